@@ -6,12 +6,24 @@ let formData = {
     brandValues: [],
     selectedName: null,
     selectedColors: null,
-    generatedLogo: null
+    generatedLogo: null,
+    logo: null,
+    logoTrademarkNotes: '',
+    projectId: null
 };
+// Titles already shown, so "Refresh Names" asks for new ones
+let seenNameTitles = [];
+// TLD set (or custom list) for domain checks, chosen on the brand values step
+let domainOptions = { tlds: 'uk' };
+// Colour vision deficiencies simulated by the server (see src/color-vision.js)
+const CVD_TYPES = ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'];
+// Social platforms whose handles are checked (see src/handles.js)
+const HANDLE_LABELS = { instagram: 'Instagram', x: 'X', tiktok: 'TikTok', youtube: 'YouTube', github: 'GitHub', linkedin: 'LinkedIn' };
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     showStep(0); // Show welcome screen first
+    loadProjectList();
 });
 
 // Start the journey - hide welcome, show header and first step
@@ -25,6 +37,143 @@ function startJourney() {
     showStep(1); // Show first step (business description)
 }
 
+// Saved projects on the welcome screen
+async function loadProjectList() {
+    const listDiv = document.getElementById('projectList');
+    if (!listDiv) return;
+    try {
+        const response = await fetch('/api/projects');
+        const data = await response.json();
+        listDiv.innerHTML = '';
+        if (!data.projects || data.projects.length === 0) return;
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Your projects';
+        listDiv.appendChild(heading);
+
+        data.projects.forEach(project => {
+            const row = document.createElement('div');
+            row.className = 'project-row';
+
+            const info = document.createElement('div');
+            info.className = 'project-info';
+            const title = document.createElement('div');
+            title.className = 'project-title';
+            title.textContent = project.selectedName?.title || project.name;
+            const meta = document.createElement('div');
+            meta.className = 'project-meta';
+            meta.textContent = `${project.businessDescription} • updated ${new Date(project.updatedAt).toLocaleString()}`;
+            info.appendChild(title);
+            info.appendChild(meta);
+
+            const openBtn = document.createElement('button');
+            openBtn.className = 'btn btn-secondary';
+            openBtn.textContent = 'Open';
+            openBtn.onclick = () => openProject(project.id);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-secondary';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.onclick = () => deleteProject(project.id, project.name);
+
+            row.appendChild(info);
+            row.appendChild(openBtn);
+            row.appendChild(deleteBtn);
+            listDiv.appendChild(row);
+        });
+    } catch (error) {
+        listDiv.innerHTML = '';
+    }
+}
+
+// Create the project on first save, then keep its brief and selections up to date
+async function saveProject() {
+    const fields = {
+        brief: {
+            businessDescription: formData.businessDescription,
+            visuals: formData.visuals,
+            brandValues: formData.brandValues
+        },
+        selectedName: formData.selectedName,
+        selectedColors: formData.selectedColors
+    };
+    try {
+        const response = await fetch(formData.projectId ? `/api/projects/${formData.projectId}` : '/api/projects', {
+            method: formData.projectId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(fields)
+        });
+        const data = await response.json();
+        if (data.id) formData.projectId = data.id;
+    } catch (error) {
+        // Saving is best effort; generation works without a project
+        console.warn('Could not save project:', error.message);
+    }
+}
+
+// Reopen a saved project at the furthest step it reached
+async function openProject(id) {
+    const response = await fetch(`/api/projects/${id}`);
+    const project = await response.json();
+    if (project.error) {
+        alert(project.error);
+        return;
+    }
+
+    formData = {
+        businessDescription: project.brief.businessDescription,
+        visuals: project.brief.visuals,
+        brandValues: project.brief.brandValues,
+        selectedName: project.selectedName,
+        selectedColors: project.selectedColors,
+        generatedLogo: null,
+        logo: null,
+        logoTrademarkNotes: '',
+        projectId: project.id
+    };
+    seenNameTitles = project.nameBatches.flatMap(batch => (batch.names || []).map(n => n.title)).filter(Boolean);
+    document.getElementById('businessDescription').value = formData.businessDescription;
+    document.getElementById('visualElements').value = formData.visuals.join(', ');
+    document.getElementById('brandValues').value = formData.brandValues.join(', ');
+    startJourney();
+
+    const lastNames = project.nameBatches[project.nameBatches.length - 1];
+    const lastPalettes = project.palettes[project.palettes.length - 1];
+    const lastLogo = project.logos[project.logos.length - 1];
+    const lastPrompt = project.logoPrompts[project.logoPrompts.length - 1];
+
+    if (formData.selectedColors && (lastLogo || lastPrompt)) {
+        showStep(6);
+        showSelectedColors();
+        document.getElementById('loadingLogo').style.display = 'none';
+        document.getElementById('logoPromptText').value = lastLogo?.prompt || lastPrompt?.prompt || '';
+        document.getElementById('logoPromptSection').style.display = lastLogo ? 'none' : 'block';
+        document.getElementById('logoDisplay').innerHTML = '';
+        if (lastLogo) {
+            displayLogo(lastLogo, lastLogo.backend === 'svg' ? 'svg' : 'image', false);
+            const logoCheck = project.screening.filter(r => r.check === 'logo-trademark' && r.imageUrl === lastLogo.logoUrl).pop();
+            formData.logoTrademarkNotes = logoCheck?.notes || '';
+        }
+    } else if (formData.selectedName && lastPalettes) {
+        showStep(5);
+        showSelectedName();
+        document.getElementById('loadingColors').style.display = 'none';
+        document.getElementById('refreshColorsBtn').style.display = 'inline-block';
+        displayColorPalettes(lastPalettes.palettes, lastPalettes.diversity);
+    } else if (lastNames) {
+        showStep(4);
+        document.getElementById('loadingNames').style.display = 'none';
+        document.getElementById('refreshNamesBtn').style.display = 'inline-block';
+        displayNameSuggestions(lastNames.names);
+    }
+}
+
+async function deleteProject(id, name) {
+    if (!confirm(`Delete the project "${name}"?`)) return;
+    await fetch(`/api/projects/${id}`, { method: 'DELETE' });
+    loadProjectList();
+}
+
 function showStep(step) {
     // Hide all steps
     document.querySelectorAll('.step').forEach(s => {
@@ -34,6 +183,10 @@ function showStep(step) {
         }
     });
     
+    // The brand summary belongs to the logo step
+    const results = document.getElementById('results');
+    if (results && step !== 6) results.style.display = 'none';
+
     // Show current step
     const stepElement = document.getElementById(`step${step}`);
     if (stepElement) {
@@ -67,10 +220,22 @@ function nextStep(step) {
     } else if (step === 3) {
         const brandValues = document.getElementById('brandValues').value.trim();
         formData.brandValues = brandValues ? brandValues.split(',').map(v => v.trim()).filter(Boolean) : [];
-        generateNames();
+        const tldSet = document.getElementById('domainTlds').value;
+        const customTlds = document.getElementById('customTlds').value.trim();
+        if (tldSet === 'custom' && !customTlds) {
+            alert('Please enter the domain endings to check, e.g. com, io');
+            return;
+        }
+        domainOptions = { tlds: tldSet === 'custom' ? customTlds : tldSet };
+        seenNameTitles = [];
+        saveProject().then(generateNames);
     }
 }
 
+function toggleCustomTlds() {
+    document.getElementById('customTlds').style.display = document.getElementById('domainTlds').value === 'custom' ? 'block' : 'none';
+}
+
 function previousStep(step) {
     if (step === 2) {
         showStep(1);
@@ -83,6 +248,67 @@ function previousStep(step) {
     }
 }
 
+// POST to a /stream endpoint and read its Server-Sent Events. Each `progress`
+// event goes to onProgress; resolves with the data of the final `result` or
+// `error` event (same shape as the non-streaming endpoint's JSON).
+async function postStream(url, payload, onProgress) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    if (!response.ok || !response.body) {
+        throw new Error(`Request failed (${response.status})`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let final = null;
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            let event = 'message';
+            const dataLines = [];
+            frame.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+            });
+            if (dataLines.length === 0) continue; // keep-alive comment
+            const data = JSON.parse(dataLines.join('\n'));
+            if (event === 'progress') onProgress(data);
+            else if (event === 'result' || event === 'error') final = data;
+        }
+    }
+    if (!final) {
+        throw new Error('The connection closed before a result arrived');
+    }
+    return final;
+}
+
+// Live progress log under a loading spinner; returns the onProgress callback
+function createProgressLog(loadingDiv) {
+    let log = loadingDiv.querySelector('.progress-log');
+    if (!log) {
+        log = document.createElement('ul');
+        log.className = 'progress-log';
+        loadingDiv.appendChild(log);
+    }
+    log.innerHTML = '';
+    return (event) => {
+        if (!event.message) return;
+        const item = document.createElement('li');
+        item.textContent = event.message;
+        log.appendChild(item);
+        log.scrollTop = log.scrollHeight;
+    };
+}
+
 async function generateNames() {
     showStep(4);
     const loadingDiv = document.getElementById('loadingNames');
@@ -94,17 +320,14 @@ async function generateNames() {
     refreshBtn.style.display = 'none';
 
     try {
-        const response = await fetch('/api/generate-names', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                businessDescription: formData.businessDescription,
-                visuals: formData.visuals,
-                brandValues: formData.brandValues
-            })
-        });
-
-        const data = await response.json();
+        const data = await postStream('/api/generate-names/stream', {
+            businessDescription: formData.businessDescription,
+            visuals: formData.visuals,
+            brandValues: formData.brandValues,
+            exclude: seenNameTitles,
+            domainOptions,
+            projectId: formData.projectId
+        }, createProgressLog(loadingDiv));
         
         if (data.error) {
             throw new Error(data.error);
@@ -114,6 +337,7 @@ async function generateNames() {
         refreshBtn.style.display = 'inline-block';
 
         if (data.names && data.names.length > 0) {
+            seenNameTitles.push(...data.names.map(n => n.title).filter(Boolean));
             displayNameSuggestions(data.names);
         } else {
             suggestionsDiv.innerHTML = '<p class="error-message">No names generated. Please try again.</p>';
@@ -145,27 +369,72 @@ function displayNameSuggestions(names) {
         card.appendChild(description);
 
         // Domain availability
-        // Note: In the API, true = domain exists (taken), false = domain doesn't exist (available), null = error
-        if (name.domains) {
+        // Note: In the API, true = domain exists (taken), false = domain doesn't exist (available), null = error.
+        // Newer results also carry domainDetails (RDAP registration data), used when present.
+        if (name.domainDetails || name.domains) {
             const domainDiv = document.createElement('div');
-            Object.entries(name.domains).forEach(([domain, status]) => {
+            const details = name.domainDetails || Object.fromEntries(Object.entries(name.domains).map(([domain, taken]) => [
+                domain,
+                { status: taken === null ? 'unknown' : (taken ? 'registered' : 'unregistered') },
+            ]));
+            Object.entries(details).forEach(([domain, d]) => {
                 const domainSpan = document.createElement('span');
-                
-                if (status === null) {
-                    // Error checking domain
+
+                if (d.status === 'unknown') {
+                    // Neither RDAP nor DNS could tell
                     domainSpan.className = 'domain-status domain-error';
-                    domainSpan.textContent = `${domain} ⚠ Error`;
+                    domainSpan.textContent = `${domain} ⚠ Unknown`;
                 } else {
-                    const isAvailable = !status; // Invert: true means taken, so available = !taken
+                    const isAvailable = d.status === 'unregistered';
                     domainSpan.className = `domain-status ${isAvailable ? 'domain-available' : 'domain-taken'}`;
-                    domainSpan.textContent = `${domain} ${isAvailable ? '✓ Available' : '✗ Taken'}`;
+                    domainSpan.textContent = `${domain} ${isAvailable ? '✓ Available' : '✗ Registered'}`;
                 }
-                
+                domainSpan.title = describeDomainCheck(d);
+
                 domainDiv.appendChild(domainSpan);
             });
             card.appendChild(domainDiv);
         }
 
+        // Alternatives checked because the exact name is taken (shortest first)
+        const freeAlternatives = (name.domainAlternatives || []).filter(a => a.status === 'unregistered');
+        if (freeAlternatives.length > 0) {
+            const altDiv = document.createElement('div');
+            altDiv.className = 'domain-alternatives';
+            altDiv.textContent = 'Available instead: ';
+            freeAlternatives.slice(0, 5).forEach(a => {
+                const altSpan = document.createElement('span');
+                altSpan.className = 'domain-status domain-available';
+                altSpan.textContent = a.domain;
+                altSpan.title = describeDomainCheck(a);
+                altDiv.appendChild(altSpan);
+            });
+            card.appendChild(altDiv);
+        }
+
+        // Social handles
+        if (name.handles && Object.keys(name.handles).length > 0) {
+            const handleDiv = document.createElement('div');
+            handleDiv.className = 'handle-statuses';
+            const styles = {
+                available: ['domain-available', '✓'],
+                taken: ['domain-taken', '✗'],
+                unknown: ['domain-error', '⚠'],
+                invalid: ['handle-invalid', '–'],
+            };
+            Object.entries(name.handles).forEach(([platform, h]) => {
+                const [className, mark] = styles[h.status] || styles.unknown;
+                const handleSpan = document.createElement('span');
+                handleSpan.className = `domain-status ${className}`;
+                handleSpan.textContent = `${HANDLE_LABELS[platform] || platform} @${h.handle} ${mark}`;
+                handleSpan.title = h.status === 'invalid'
+                    ? `Not a valid ${HANDLE_LABELS[platform] || platform} username: ${h.reason}`
+                    : [`${h.status[0].toUpperCase()}${h.status.slice(1)}`, h.url, h.error].filter(Boolean).join('\n');
+                handleDiv.appendChild(handleSpan);
+            });
+            card.appendChild(handleDiv);
+        }
+
         // Trademark notes
         if (name.trademarkNotes) {
             const tmDiv = document.createElement('div');
@@ -178,6 +447,19 @@ function displayNameSuggestions(names) {
     });
 }
 
+// Tooltip for a domain check: registrar, dates and where the answer came from
+function describeDomainCheck(d) {
+    const lines = [];
+    if (d.registrar) lines.push(`Registrar: ${d.registrar}`);
+    if (d.created) lines.push(`Registered: ${d.created}`);
+    if (d.expires) lines.push(`Expires: ${d.expires}`);
+    if (d.statuses && d.statuses.length) lines.push(`Status: ${d.statuses.join(', ')}`);
+    if (d.source === 'rdap') lines.push('Checked with the registry (RDAP)');
+    if (d.source === 'dns') lines.push('Checked by DNS lookup (no RDAP answer)');
+    if (d.error) lines.push(`Error: ${d.error}`);
+    return lines.join('\n');
+}
+
 function selectName(name) {
     // Remove previous selection
     document.querySelectorAll('.name-card').forEach(card => card.classList.remove('selected'));
@@ -186,6 +468,7 @@ function selectName(name) {
     event.currentTarget.classList.add('selected');
     
     formData.selectedName = name;
+    saveProject();
     
     // Show selected name and proceed to colors
     setTimeout(() => {
@@ -193,12 +476,16 @@ function selectName(name) {
     }, 500);
 }
 
+function showSelectedName() {
+    const selectedNameDiv = document.getElementById('selectedNameDisplay');
+    selectedNameDiv.textContent = `Selected Name: ${formData.selectedName.title || formData.selectedName.name}`;
+}
+
 async function generateColors() {
     showStep(5);
     
     // Display selected name
-    const selectedNameDiv = document.getElementById('selectedNameDisplay');
-    selectedNameDiv.textContent = `Selected Name: ${formData.selectedName.title || formData.selectedName.name}`;
+    showSelectedName();
     
     const loadingDiv = document.getElementById('loadingColors');
     const palettesDiv = document.getElementById('colorPalettes');
@@ -215,7 +502,8 @@ async function generateColors() {
             body: JSON.stringify({
                 businessDescription: formData.businessDescription,
                 brandValues: formData.brandValues,
-                selectedName: formData.selectedName
+                selectedName: formData.selectedName,
+                projectId: formData.projectId
             })
         });
 
@@ -229,7 +517,7 @@ async function generateColors() {
         refreshBtn.style.display = 'inline-block';
 
         if (data.palettes && data.palettes.length > 0) {
-            displayColorPalettes(data.palettes);
+            displayColorPalettes(data.palettes, data.diversity);
         } else {
             palettesDiv.innerHTML = '<p class="error-message">No color palettes generated. Please try again.</p>';
         }
@@ -239,14 +527,22 @@ async function generateColors() {
     }
 }
 
-function displayColorPalettes(palettes) {
+function displayColorPalettes(palettes, diversity) {
     const palettesDiv = document.getElementById('colorPalettes');
     palettesDiv.innerHTML = '';
 
+    const diversityDiv = document.getElementById('paletteDiversity');
+    diversityDiv.style.display = diversity ? 'block' : 'none';
+    if (diversity) {
+        const missing = diversity.missingFamilies.length ? ` · no ${diversity.missingFamilies.join(' or ')} colours` : '';
+        const similar = diversity.nearDuplicates.length ? ` · ${diversity.nearDuplicates.length} similar pair${diversity.nearDuplicates.length > 1 ? 's' : ''}` : '';
+        diversityDiv.textContent = `Palette diversity: ${diversity.score}/100${missing}${similar}`;
+    }
+
     palettes.forEach((palette, index) => {
         const paletteCard = document.createElement('div');
         paletteCard.className = 'color-palette';
-        paletteCard.onclick = () => selectColors(palette);
+        paletteCard.onclick = () => selectColors(palette, paletteCard);
 
         const swatchesDiv = document.createElement('div');
         swatchesDiv.className = 'color-swatches';
@@ -289,18 +585,105 @@ function displayColorPalettes(palettes) {
             paletteCard.appendChild(explanationDiv);
         }
 
+        if (palette.contrast) {
+            paletteCard.appendChild(renderContrast(palette, paletteCard));
+        }
+        if (palette.colorVision) {
+            paletteCard.appendChild(renderColorVision(palette.colorVision));
+        }
+
         palettesDiv.appendChild(paletteCard);
     });
 }
 
-function selectColors(palette) {
+// WCAG badges for a palette card, plus the accessible variants for failing pairs
+function renderContrast(palette, paletteCard) {
+    const contrastDiv = document.createElement('div');
+    contrastDiv.className = 'contrast-report';
+
+    const badgesDiv = document.createElement('div');
+    badgesDiv.className = 'contrast-badges';
+    palette.contrast.pairs.forEach(pair => {
+        const badge = document.createElement('span');
+        badge.className = `contrast-badge ${pair.passes ? (pair.aaa ? 'aaa' : 'pass') : 'fail'}`;
+        badge.title = `${pair.label}: ${pair.ratio}:1 (needs ${pair.target}:1)`;
+        const sample = document.createElement('span');
+        sample.className = 'contrast-sample';
+        sample.style.color = pair.foreground;
+        sample.style.backgroundColor = pair.background;
+        sample.textContent = 'Aa';
+        badge.appendChild(sample);
+        badge.appendChild(document.createTextNode(`${pair.ratio}:1 ${pair.level}`));
+        badgesDiv.appendChild(badge);
+    });
+    contrastDiv.appendChild(badgesDiv);
+
+    palette.contrast.suggestions.forEach(suggestion => {
+        const pair = palette.contrast.pairs.find(p => p.id === suggestion.pair);
+        const row = document.createElement('div');
+        row.className = 'contrast-suggestion';
+        const swatch = document.createElement('span');
+        swatch.className = 'mini-swatch';
+        swatch.style.backgroundColor = suggestion.hex;
+        const text = document.createElement('span');
+        text.textContent = `${pair.label}: ${suggestion.hex} (${suggestion.direction}, ${suggestion.ratio}:1)`;
+        const useBtn = document.createElement('button');
+        useBtn.className = 'btn btn-secondary';
+        useBtn.textContent = 'Use';
+        useBtn.title = `Use this palette with ${suggestion.from} replaced by ${suggestion.hex}`;
+        useBtn.onclick = (e) => {
+            e.stopPropagation();
+            const { contrast, ...adjusted } = palette;
+            selectColors({ ...adjusted, [suggestion.replaces]: suggestion.hex }, paletteCard);
+        };
+        row.appendChild(swatch);
+        row.appendChild(text);
+        row.appendChild(useBtn);
+        contrastDiv.appendChild(row);
+    });
+    return contrastDiv;
+}
+
+// The palette as seen with each colour vision deficiency, flagging the pairs
+// that become hard to tell apart
+function renderColorVision(colorVision) {
+    const pairNames = { 'hex1-hex2': 'the two colours', 'hex1-white': 'primary on white', 'hex2-white': 'secondary on white' };
+    const visionDiv = document.createElement('div');
+    visionDiv.className = 'color-vision';
+
+    const rowDiv = document.createElement('div');
+    rowDiv.className = 'color-vision-row';
+    colorVision.types.forEach(sim => {
+        const flagged = colorVision.flagged.filter(f => f.type === sim.type);
+        const item = document.createElement('div');
+        item.className = `color-vision-item${flagged.length ? ' flagged' : ''}`;
+        item.title = sim.label + (flagged.length ? ` - hard to tell apart: ${flagged.map(f => pairNames[f.pair]).join(', ')}` : '');
+        item.innerHTML = `<span class="mini-swatch" style="background-color: ${sim.hex1}"></span><span class="mini-swatch" style="background-color: ${sim.hex2}"></span>`;
+        const label = document.createElement('span');
+        label.textContent = sim.type.charAt(0).toUpperCase() + sim.type.slice(1, 5) + '.';
+        item.appendChild(label);
+        rowDiv.appendChild(item);
+    });
+    visionDiv.appendChild(rowDiv);
+
+    if (colorVision.flagged.length > 0) {
+        const warning = document.createElement('div');
+        warning.className = 'color-vision-warning';
+        warning.textContent = `Hard to tell apart with ${colorVision.flagged.map(f => `${f.type} (${pairNames[f.pair]})`).join(', ')}`;
+        visionDiv.appendChild(warning);
+    }
+    return visionDiv;
+}
+
+function selectColors(palette, paletteCard) {
     // Remove previous selection
     document.querySelectorAll('.color-palette').forEach(card => card.classList.remove('selected'));
     
     // Mark as selected
-    event.currentTarget.classList.add('selected');
+    paletteCard.classList.add('selected');
     
     formData.selectedColors = palette;
+    saveProject();
     
     // Show selected colors and proceed to logo
     setTimeout(() => {
@@ -308,16 +691,20 @@ function selectColors(palette) {
     }, 500);
 }
 
-async function generateLogo() {
-    showStep(6);
-    
-    // Display selected colors
+function showSelectedColors() {
     const selectedColorsDiv = document.getElementById('selectedColorsDisplay');
     selectedColorsDiv.innerHTML = `
         <strong>Selected Colors:</strong> 
         ${formData.selectedColors.hex1 || formData.selectedColors.color1} • 
         ${formData.selectedColors.hex2 || formData.selectedColors.color2}
     `;
+}
+
+async function generateLogo() {
+    showStep(6);
+    
+    // Display selected colors
+    showSelectedColors();
     
     const loadingDiv = document.getElementById('loadingLogo');
     const promptSection = document.getElementById('logoPromptSection');
@@ -338,7 +725,8 @@ async function generateLogo() {
                 businessDescription: formData.businessDescription,
                 visuals: formData.visuals,
                 selectedName: formData.selectedName,
-                selectedColors: formData.selectedColors
+                selectedColors: formData.selectedColors,
+                projectId: formData.projectId
             })
         });
 
@@ -365,11 +753,12 @@ async function generateLogo() {
     }
 }
 
-async function generateLogoFromPrompt() {
+// mode 'image' renders the edited prompt, 'svg' builds a vector mark on the server
+async function generateLogoFromPrompt(mode = 'image') {
     const promptTextarea = document.getElementById('logoPromptText');
     const editedPrompt = promptTextarea.value.trim();
     
-    if (!editedPrompt) {
+    if (mode === 'image' && !editedPrompt) {
         alert('Please enter a prompt for logo generation.');
         return;
     }
@@ -377,28 +766,25 @@ async function generateLogoFromPrompt() {
     const loadingDiv = document.getElementById('loadingLogoGeneration');
     const promptSection = document.getElementById('logoPromptSection');
     const logoDiv = document.getElementById('logoDisplay');
-    const backBtn = document.getElementById('backToColorsBtn');
     
     loadingDiv.style.display = 'block';
     promptSection.style.display = 'none';
     logoDiv.innerHTML = '';
 
     try {
-        const response = await fetch('/api/generate-logo', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                businessDescription: formData.businessDescription,
-                visuals: formData.visuals,
-                selectedName: formData.selectedName,
-                selectedColors: {
-                    ...formData.selectedColors,
-                    customPrompt: editedPrompt
-                }
-            })
-        });
-
-        const data = await response.json();
+        const data = await postStream('/api/generate-logo/stream', {
+            businessDescription: formData.businessDescription,
+            visuals: formData.visuals,
+            selectedName: formData.selectedName,
+            selectedColors: {
+                ...formData.selectedColors,
+                customPrompt: editedPrompt
+            },
+            imageOptions: mode === 'svg'
+                ? { mode: 'svg', style: document.getElementById('logoStyle').value, seed: Math.floor(Math.random() * 1e9) }
+                : { mode: 'image', transparent: document.getElementById('logoTransparent').checked, fidelity: document.getElementById('logoFidelity').value },
+            projectId: formData.projectId
+        }, createProgressLog(loadingDiv));
         
         if (data.error) {
             throw new Error(data.error);
@@ -407,53 +793,7 @@ async function generateLogoFromPrompt() {
         loadingDiv.style.display = 'none';
 
         if (data.logoUrl) {
-            const img = document.createElement('img');
-            img.src = data.logoUrl;
-            img.className = 'logo-image';
-            img.alt = 'Generated Logo';
-            
-            const downloadBtn = document.createElement('button');
-            downloadBtn.className = 'btn btn-primary';
-            downloadBtn.textContent = 'Download Logo';
-            downloadBtn.onclick = () => {
-                const a = document.createElement('a');
-                a.href = data.logoUrl;
-                a.download = data.filename || 'logo.png';
-                a.click();
-            };
-            
-            const regenerateBtn = document.createElement('button');
-            regenerateBtn.className = 'btn btn-secondary';
-            regenerateBtn.textContent = 'Regenerate Logo';
-            regenerateBtn.style.marginLeft = '10px';
-            regenerateBtn.onclick = () => {
-                generateLogoFromPrompt();
-            };
-            
-            logoDiv.appendChild(img);
-            logoDiv.appendChild(document.createElement('br'));
-            logoDiv.appendChild(downloadBtn);
-            logoDiv.appendChild(regenerateBtn);
-            
-            // Check logo trademark
-            logoDiv.appendChild(document.createElement('br'));
-            logoDiv.appendChild(document.createElement('br'));
-            const checkingDiv = document.createElement('div');
-            checkingDiv.className = 'loading';
-            checkingDiv.innerHTML = '<p>Checking for similar trademarks...</p>';
-            logoDiv.appendChild(checkingDiv);
-            
-            // Call logo trademark check
-            checkLogoTrademark(data.logoUrl, logoDiv, checkingDiv);
-            
-            // Show Learn More button
-            const learnMoreBtn = document.getElementById('learnMoreBtn');
-            if (learnMoreBtn) {
-                learnMoreBtn.style.display = 'block';
-            }
-            
-            formData.generatedLogo = data.logoUrl;
-            backBtn.style.display = 'inline-block';
+            displayLogo(data, mode);
         } else {
             logoDiv.innerHTML = '<p class="error-message">Logo generation failed. Please try again.</p>';
         }
@@ -463,6 +803,335 @@ async function generateLogoFromPrompt() {
     }
 }
 
+// Show or hide the logo as seen with each colour vision deficiency (rendered by the server)
+function toggleLogoVision(data, logoDiv, visionBtn) {
+    const existing = logoDiv.querySelector('.logo-vision');
+    if (existing) {
+        existing.remove();
+        visionBtn.textContent = 'Colour Vision Preview';
+        return;
+    }
+    const grid = document.createElement('div');
+    grid.className = 'logo-vision';
+    CVD_TYPES.forEach(type => {
+        const figure = document.createElement('figure');
+        const img = document.createElement('img');
+        img.src = `/api/logo-vision/${encodeURIComponent(data.filename)}?type=${type}`;
+        img.alt = `Logo as seen with ${type}`;
+        img.loading = 'lazy';
+        const caption = document.createElement('figcaption');
+        caption.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+        figure.appendChild(img);
+        figure.appendChild(caption);
+        grid.appendChild(figure);
+    });
+    visionBtn.after(grid);
+    visionBtn.textContent = 'Hide Colour Vision Preview';
+}
+
+// How closely a rendered logo keeps to the palette: score, the palette colours
+// next to the nearest logo colours, and what was done about a low score
+function renderLogoFidelity(fidelity) {
+    const fidelityDiv = document.createElement('div');
+    fidelityDiv.className = `logo-fidelity${fidelity.passes ? '' : ' flagged'}`;
+    const score = document.createElement('strong');
+    score.textContent = `Colour match ${fidelity.score}/100`;
+    fidelityDiv.appendChild(score);
+    fidelity.colors.forEach(c => {
+        const item = document.createElement('span');
+        item.className = 'logo-fidelity-item';
+        item.title = c.nearest
+            ? `${c.hex} in the palette, closest logo colour ${c.nearest} (ΔE ${c.distance}), ${Math.round(c.share * 100)}% of the logo`
+            : `${c.hex} is not in the logo`;
+        item.innerHTML = `<span class="mini-swatch" style="background-color: ${c.hex}"></span>→<span class="mini-swatch" style="background-color: ${c.nearest || 'transparent'}"></span>`;
+        fidelityDiv.appendChild(item);
+    });
+    const notes = [];
+    if (fidelity.offPalette > 0.05) notes.push(`${Math.round(fidelity.offPalette * 100)}% of the logo is in other colours`);
+    if (fidelity.before !== undefined) notes.push(`recoloured to the palette (was ${fidelity.before}/100)`);
+    if (fidelity.action === 'regenerate' && fidelity.attempts > 1) notes.push(`best of ${fidelity.attempts} renders`);
+    if (!fidelity.passes) notes.push(`below the ${fidelity.threshold}/100 target`);
+    if (notes.length > 0) {
+        const note = document.createElement('span');
+        note.textContent = notes.join(', ');
+        fidelityDiv.appendChild(note);
+    }
+    return fidelityDiv;
+}
+
+// Show a generated logo (a /api/generate-logo response) with its download buttons.
+// The logo trademark check runs unless `checkTrademark` is false (reopened projects).
+function displayLogo(data, mode, checkTrademark = true) {
+    const logoDiv = document.getElementById('logoDisplay');
+    const backBtn = document.getElementById('backToColorsBtn');
+
+    const img = document.createElement('img');
+    img.src = data.logoUrl;
+    img.className = 'logo-image';
+    img.alt = 'Generated Logo';
+    
+    const downloadBtn = document.createElement('button');
+    downloadBtn.className = 'btn btn-primary';
+    downloadBtn.textContent = 'Download Logo';
+    downloadBtn.onclick = () => {
+        const a = document.createElement('a');
+        a.href = data.logoUrl;
+        a.download = data.filename || 'logo.png';
+        a.click();
+    };
+    
+    const regenerateBtn = document.createElement('button');
+    regenerateBtn.className = 'btn btn-secondary';
+    regenerateBtn.textContent = 'Regenerate Logo';
+    regenerateBtn.style.marginLeft = '10px';
+    regenerateBtn.onclick = () => {
+        generateLogoFromPrompt(mode);
+    };
+    
+    const kitBtn = document.createElement('button');
+    kitBtn.className = 'btn btn-secondary';
+    kitBtn.textContent = 'Download Brand Kit';
+    kitBtn.style.marginLeft = '10px';
+    kitBtn.onclick = () => downloadBrandKit(kitBtn);
+    
+    logoDiv.appendChild(img);
+    if (data.fidelity) logoDiv.appendChild(renderLogoFidelity(data.fidelity));
+    logoDiv.appendChild(document.createElement('br'));
+    logoDiv.appendChild(downloadBtn);
+    logoDiv.appendChild(kitBtn);
+    if (data.svgUrl) {
+        const svgBtn = document.createElement('button');
+        svgBtn.className = 'btn btn-secondary';
+        svgBtn.textContent = data.vectorized ? 'Download Traced SVG' : 'Download SVG';
+        svgBtn.style.marginLeft = '10px';
+        if (data.vectorized) svgBtn.title = 'Vector version traced from the logo in your palette colours';
+        svgBtn.onclick = () => {
+            const a = document.createElement('a');
+            a.href = data.svgUrl;
+            a.download = data.svgFilename || 'logo.svg';
+            a.click();
+        };
+        logoDiv.appendChild(svgBtn);
+    }
+    if (data.transparentUrl) {
+        for (const [label, url, fallback] of [['Transparent PNG', data.transparentUrl, 'logo-transparent.png'], ['Transparent WebP', data.transparentWebpUrl, 'logo-transparent.webp']]) {
+            const transparentBtn = document.createElement('button');
+            transparentBtn.className = 'btn btn-secondary';
+            transparentBtn.textContent = `Download ${label}`;
+            transparentBtn.style.marginLeft = '10px';
+            transparentBtn.onclick = () => {
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = url.split('/').pop() || fallback;
+                a.click();
+            };
+            logoDiv.appendChild(transparentBtn);
+        }
+    }
+    logoDiv.appendChild(regenerateBtn);
+
+    const visionBtn = document.createElement('button');
+    visionBtn.className = 'btn btn-secondary';
+    visionBtn.textContent = 'Colour Vision Preview';
+    visionBtn.style.marginLeft = '10px';
+    visionBtn.onclick = () => toggleLogoVision(data, logoDiv, visionBtn);
+    logoDiv.appendChild(visionBtn);
+    
+    // Check logo trademark
+    if (checkTrademark) {
+        logoDiv.appendChild(document.createElement('br'));
+        logoDiv.appendChild(document.createElement('br'));
+        const checkingDiv = document.createElement('div');
+        checkingDiv.className = 'loading';
+        checkingDiv.innerHTML = '<p>Checking for similar trademarks...</p>';
+        logoDiv.appendChild(checkingDiv);
+        
+        // Call logo trademark check
+        checkLogoTrademark(data.logoUrl, logoDiv, checkingDiv);
+    }
+    
+    // Show Learn More button
+    const learnMoreBtn = document.getElementById('learnMoreBtn');
+    if (learnMoreBtn) {
+        learnMoreBtn.style.display = 'block';
+    }
+    
+    formData.generatedLogo = data.logoUrl;
+    formData.logo = data;
+    formData.logoTrademarkNotes = '';
+    backBtn.style.display = 'inline-block';
+    showBrandSummary();
+}
+
+// Fill "Your Brand Summary" with the chosen name, palette and logo, plus
+// links to the brand guidelines document
+function showBrandSummary() {
+    const results = document.getElementById('results');
+    const content = document.getElementById('resultsContent');
+    if (!results || !content) return;
+    const name = formData.selectedName.title || formData.selectedName.name;
+    const hex1 = formData.selectedColors.hex1 || formData.selectedColors.color1;
+    const hex2 = formData.selectedColors.hex2 || formData.selectedColors.color2;
+
+    content.innerHTML = '';
+    const summary = document.createElement('div');
+    summary.className = 'brand-summary';
+
+    const logo = document.createElement('img');
+    logo.src = formData.logo.logoUrl;
+    logo.alt = `${name} logo`;
+    summary.appendChild(logo);
+
+    const details = document.createElement('div');
+    const title = document.createElement('h3');
+    title.textContent = name;
+    const description = document.createElement('p');
+    description.textContent = formData.selectedName.description || '';
+    const swatches = document.createElement('div');
+    swatches.className = 'color-swatches';
+    [hex1, hex2].forEach(hex => {
+        const swatch = document.createElement('div');
+        swatch.className = 'color-swatch';
+        swatch.style.backgroundColor = hex;
+        swatch.title = hex;
+        swatches.appendChild(swatch);
+    });
+    details.appendChild(title);
+    details.appendChild(description);
+    details.appendChild(swatches);
+    summary.appendChild(details);
+    content.appendChild(summary);
+
+    const viewBtn = document.createElement('button');
+    viewBtn.className = 'btn btn-primary';
+    viewBtn.textContent = 'View Brand Guidelines';
+    viewBtn.onclick = () => openGuidelines('html');
+    const pdfBtn = document.createElement('button');
+    pdfBtn.className = 'btn btn-secondary';
+    pdfBtn.textContent = 'Download PDF';
+    pdfBtn.onclick = () => openGuidelines('pdf');
+    content.appendChild(viewBtn);
+    content.appendChild(pdfBtn);
+
+    const tokens = document.createElement('div');
+    tokens.className = 'design-tokens';
+    const tokenFormat = document.createElement('select');
+    [
+        ['zip', 'All formats (zip)'],
+        ['css', 'CSS custom properties'],
+        ['scss', 'SCSS variables'],
+        ['tailwind', 'Tailwind preset'],
+        ['json', 'Style Dictionary / Figma tokens (JSON)'],
+        ['ase', 'Adobe swatches (ASE)'],
+        ['gpl', 'GIMP palette (GPL)']
+    ].forEach(([value, label]) => tokenFormat.add(new Option(label, value)));
+    const tokensBtn = document.createElement('button');
+    tokensBtn.className = 'btn btn-secondary';
+    tokensBtn.textContent = 'Download Design Tokens';
+    tokensBtn.title = 'Tint and shade ramps, a neutral scale and light / dark theme colours built from your palette';
+    tokensBtn.onclick = () => downloadDesignTokens(tokenFormat.value, tokensBtn);
+    tokens.appendChild(tokenFormat);
+    tokens.appendChild(tokensBtn);
+    content.appendChild(tokens);
+
+    results.style.display = 'block';
+}
+
+// Zip of logo sizes, favicons, social crops and palette files (built on the server)
+async function downloadBrandKit(button) {
+    const label = button.textContent;
+    button.disabled = true;
+    button.textContent = 'Building Brand Kit...';
+    try {
+        const response = await fetch('/api/brand-kit', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                selectedName: formData.selectedName,
+                selectedColors: formData.selectedColors,
+                logo: formData.logo
+            })
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Request failed (${response.status})`);
+        }
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(await response.blob());
+        a.download = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || 'brand-kit.zip';
+        a.click();
+    } catch (error) {
+        alert('Could not build the brand kit: ' + error.message);
+    } finally {
+        button.disabled = false;
+        button.textContent = label;
+    }
+}
+
+// The selected palette as a colour system in one token format, or all of them as a zip
+async function downloadDesignTokens(format, button) {
+    button.disabled = true;
+    try {
+        const response = await fetch(`/api/design-tokens?format=${format}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                selectedName: formData.selectedName,
+                selectedColors: formData.selectedColors
+            })
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Request failed (${response.status})`);
+        }
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(await response.blob());
+        a.download = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || 'design-tokens';
+        a.click();
+    } catch (error) {
+        alert('Could not build the design tokens: ' + error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Build the brand guidelines on the server; HTML opens in a new tab, PDF downloads
+async function openGuidelines(format) {
+    // Open the tab now so the popup blocker sees the click
+    const win = format === 'html' ? window.open('', '_blank') : null;
+    try {
+        const response = await fetch(`/api/guidelines?format=${format}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                businessDescription: formData.businessDescription,
+                visuals: formData.visuals,
+                brandValues: formData.brandValues,
+                selectedName: formData.selectedName,
+                selectedColors: formData.selectedColors,
+                logo: formData.logo,
+                logoTrademarkNotes: formData.logoTrademarkNotes
+            })
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Request failed (${response.status})`);
+        }
+        const url = URL.createObjectURL(await response.blob());
+        if (win) {
+            win.location = url;
+        } else {
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/)?.[1] || 'brand-guidelines.pdf';
+            a.click();
+        }
+    } catch (error) {
+        if (win) win.close();
+        alert('Could not build the brand guidelines: ' + error.message);
+    }
+}
+
 async function regeneratePrompt() {
     await generateLogo();
 }
@@ -472,7 +1141,7 @@ async function checkLogoTrademark(logoUrl, logoDiv, checkingDiv) {
         const response = await fetch('/api/check-logo-trademark', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ imageUrl: logoUrl })
+            body: JSON.stringify({ imageUrl: logoUrl, projectId: formData.projectId })
         });
 
         const data = await response.json();
@@ -488,6 +1157,7 @@ async function checkLogoTrademark(logoUrl, logoDiv, checkingDiv) {
         }
 
         // Display trademark notes
+        formData.logoTrademarkNotes = data.notes || '';
         if (data.notes) {
             const tmDiv = document.createElement('div');
             tmDiv.className = 'trademark-notes';
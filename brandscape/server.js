@@ -2,9 +2,11 @@
 import { file } from 'bun';
 import { join, dirname } from 'path';
 import { existsSync } from 'fs';
+import { createJobQueue } from './src/job-queue.js';
+import { createProjectStore } from './src/project-store.js';
 
-// Import brandscape functions (we'll need to refactor them)
-// For now, we'll create API endpoints that can call the functions
+// API endpoints call the wrappers in src/brandscape-api.js, which share the
+// core pipeline in src/brandscape.js with the CLI.
 
 const PORT = process.env.PORT || 3000;
 
@@ -28,10 +30,154 @@ function getMimeType(path) {
 // CORS headers
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type'
 };
 
+// Server-Sent Events response. `run(onProgress, signal)` does the work: every
+// onProgress({ stage, message }) call is sent as a `progress` event and its
+// return value as the final `result` event (`error` when it has an error).
+// `signal` is aborted when the client disconnects, so the work can stop early.
+// A comment line every few seconds keeps proxies and the idle timeout happy.
+function sseResponse(run) {
+  const encoder = new TextEncoder();
+  let open = true;
+  let heartbeat;
+  const aborter = new AbortController();
+  const stream = new ReadableStream({
+    async start(controller) {
+      const write = (text) => {
+        if (!open) return;
+        try {
+          controller.enqueue(encoder.encode(text));
+        } catch (e) {
+          open = false;
+        }
+      };
+      const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      heartbeat = setInterval(() => write(': keep-alive\n\n'), 5000);
+      try {
+        const result = await run((progress) => send('progress', { ...progress, time: Date.now() }), aborter.signal);
+        send(result?.error ? 'error' : 'result', result);
+      } catch (error) {
+        send('error', { error: error.message });
+      }
+      clearInterval(heartbeat);
+      if (open) {
+        open = false;
+        controller.close();
+      }
+    },
+    cancel() {
+      open = false;
+      clearInterval(heartbeat);
+      aborter.abort();
+    }
+  });
+  return new Response(stream, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    }
+  });
+}
+
+// Brand projects (see src/project-store.js)
+const projects = createProjectStore();
+
+// Generation endpoints take an optional `projectId`; successful results are
+// recorded on that project, unless `signal` says the run was cancelled.
+// Returns the result unchanged.
+function recordRun(projectId, kind, result, signal) {
+  if (projectId && result && !result.error && !signal?.aborted) {
+    projects.addRecord(projectId, kind, result);
+  }
+  return result;
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+// Guidelines document as a page (HTML) or a download (PDF); errors as JSON
+function guidelinesResponse(result) {
+  if (result.error) {
+    return jsonResponse(result, 400);
+  }
+  if (result.pdf) {
+    return new Response(result.pdf, {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${result.filename}"`
+      }
+    });
+  }
+  return new Response(result.html, {
+    headers: { ...corsHeaders, 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+// Brand kit zip download; errors as JSON
+function brandKitResponse(result) {
+  if (result.error) {
+    return jsonResponse(result, 400);
+  }
+  return new Response(result.zip, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${result.filename}"`
+    }
+  });
+}
+
+// Design tokens download (one file or a zip); errors as JSON
+function designTokensResponse(result) {
+  if (result.error) {
+    return jsonResponse(result, 400);
+  }
+  return new Response(result.data, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': result.contentType,
+      'Content-Disposition': `attachment; filename="${result.filename}"`
+    }
+  });
+}
+
+// Input for generateGuidelines from a saved project: its selections, latest
+// logo and the notes of the latest logo trademark check
+function projectGuidelinesInput(project) {
+  const logo = project.logos[project.logos.length - 1];
+  const logoCheck = [...project.screening].reverse().find(r => r.check === 'logo-trademark' && (!logo || r.imageUrl === logo.logoUrl));
+  return {
+    ...project.brief,
+    selectedName: project.selectedName,
+    selectedColors: project.selectedColors,
+    logo,
+    logoTrademarkNotes: logoCheck?.notes
+  };
+}
+
+// Logo renders queued outside the request (POST /api/jobs/logo); jobs are
+// stored in jobs/ and picked up again after a restart
+const jobQueue = createJobQueue({
+  handlers: {
+    async logo(input, { onProgress, signal }) {
+      const { businessDescription, visuals, selectedName, selectedColors, imageOptions, projectId } = input;
+      const { generateLogo } = await import('./src/brandscape-api.js');
+      const result = await generateLogo(businessDescription, visuals, selectedName, selectedColors, imageOptions, { onProgress, signal });
+      return recordRun(projectId, 'logo', result, signal);
+    }
+  }
+});
+
 Bun.serve({
   port: PORT,
   async fetch(req) {
@@ -78,15 +224,28 @@ Bun.serve({
       return new Response('Logo not found', { status: 404 });
     }
 
+    // Logo as seen with a colour vision deficiency (?type=protanopia, deuteranopia, tritanopia or achromatopsia)
+    const logoVisionMatch = pathname.match(/^\/api\/logo-vision\/([^/]+)$/);
+    if (logoVisionMatch && req.method === 'GET') {
+      const { simulateLogoVision } = await import('./src/brandscape-api.js');
+      const result = await simulateLogoVision(decodeURIComponent(logoVisionMatch[1]), url.searchParams.get('type'));
+      if (result.error) {
+        return jsonResponse(result, result.error === 'Logo not found' ? 404 : 400);
+      }
+      return new Response(result.png, {
+        headers: { ...corsHeaders, 'Content-Type': 'image/png' }
+      });
+    }
+
     // API endpoints
     if (pathname === '/api/generate-names' && req.method === 'POST') {
       try {
         const body = await req.json();
-        const { businessDescription, visuals, brandValues } = body;
+        const { businessDescription, visuals, brandValues, exclude, domainOptions, handleOptions, projectId } = body;
 
         // Import and call brandscape function
         const { generateNames } = await import('./src/brandscape-api.js');
-        const result = await generateNames(businessDescription, visuals, brandValues);
+        const result = recordRun(projectId, 'names', await generateNames(businessDescription, visuals, brandValues, exclude, { domains: domainOptions, handles: { platforms: handleOptions?.platforms } }));
         
         return new Response(JSON.stringify(result), {
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -99,13 +258,22 @@ Bun.serve({
       }
     }
 
+    // Streaming variant: progress events while names are generated and screened
+    if (pathname === '/api/generate-names/stream' && req.method === 'POST') {
+      const body = await req.json().catch(() => ({}));
+      const { businessDescription, visuals, brandValues, exclude, domainOptions, handleOptions, projectId } = body;
+
+      const { generateNames } = await import('./src/brandscape-api.js');
+      return sseResponse(async (onProgress, signal) => recordRun(projectId, 'names', await generateNames(businessDescription, visuals, brandValues, exclude, { onProgress, signal, domains: domainOptions, handles: { platforms: handleOptions?.platforms } }), signal));
+    }
+
     if (pathname === '/api/generate-colors' && req.method === 'POST') {
       try {
         const body = await req.json();
-        const { businessDescription, brandValues, selectedName } = body;
+        const { businessDescription, brandValues, selectedName, projectId } = body;
 
         const { generateColors } = await import('./src/brandscape-api.js');
-        const result = await generateColors(businessDescription, brandValues, selectedName);
+        const result = recordRun(projectId, 'palettes', await generateColors(businessDescription, brandValues, selectedName));
         
         return new Response(JSON.stringify(result), {
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -121,10 +289,10 @@ Bun.serve({
     if (pathname === '/api/generate-logo-prompt' && req.method === 'POST') {
       try {
         const body = await req.json();
-        const { businessDescription, visuals, selectedName, selectedColors } = body;
+        const { businessDescription, visuals, selectedName, selectedColors, projectId } = body;
 
         const { generateLogoPrompt } = await import('./src/brandscape-api.js');
-        const result = await generateLogoPrompt(businessDescription, visuals, selectedName, selectedColors);
+        const result = recordRun(projectId, 'prompt', await generateLogoPrompt(businessDescription, visuals, selectedName, selectedColors));
         
         return new Response(JSON.stringify(result), {
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -140,10 +308,10 @@ Bun.serve({
     if (pathname === '/api/generate-logo' && req.method === 'POST') {
       try {
         const body = await req.json();
-        const { businessDescription, visuals, selectedName, selectedColors } = body;
+        const { businessDescription, visuals, selectedName, selectedColors, imageOptions, projectId } = body;
 
         const { generateLogo } = await import('./src/brandscape-api.js');
-        const result = await generateLogo(businessDescription, visuals, selectedName, selectedColors);
+        const result = recordRun(projectId, 'logo', await generateLogo(businessDescription, visuals, selectedName, selectedColors, imageOptions));
         
         return new Response(JSON.stringify(result), {
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -156,13 +324,56 @@ Bun.serve({
       }
     }
 
+    // Streaming variant: progress events for the prompt, image queue and download
+    if (pathname === '/api/generate-logo/stream' && req.method === 'POST') {
+      const body = await req.json().catch(() => ({}));
+      const { businessDescription, visuals, selectedName, selectedColors, imageOptions, projectId } = body;
+
+      const { generateLogo } = await import('./src/brandscape-api.js');
+      return sseResponse(async (onProgress, signal) => recordRun(projectId, 'logo', await generateLogo(businessDescription, visuals, selectedName, selectedColors, imageOptions, { onProgress, signal }), signal));
+    }
+
+    // Queue a logo render; poll GET /api/jobs/:id for status, progress and result
+    if (pathname === '/api/jobs/logo' && req.method === 'POST') {
+      try {
+        const body = await req.json();
+        const { businessDescription, visuals, selectedName, selectedColors, imageOptions, projectId } = body;
+        const job = jobQueue.add('logo', { businessDescription, visuals, selectedName, selectedColors, imageOptions, projectId });
+
+        return new Response(JSON.stringify({ jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}` }), {
+          status: 202,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: 500,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    const jobMatch = pathname.match(/^\/api\/jobs\/([\w-]+)$/);
+    if (jobMatch && (req.method === 'GET' || req.method === 'DELETE')) {
+      const job = req.method === 'DELETE' ? jobQueue.cancel(jobMatch[1]) : jobQueue.get(jobMatch[1]);
+      if (!job) {
+        return new Response(JSON.stringify({ error: 'Job not found' }), {
+          status: 404,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      return new Response(JSON.stringify(job), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
     if (pathname === '/api/check-trademark' && req.method === 'POST') {
       try {
         const body = await req.json();
-        const { name, businessContext } = body;
+        const { name, businessContext, projectId } = body;
 
         const { checkTrademark } = await import('./src/brandscape-api.js');
         const result = await checkTrademark(name, businessContext);
+        recordRun(projectId, 'screening', { check: 'trademark', name, ...result });
         
         return new Response(JSON.stringify(result), {
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -178,10 +389,11 @@ Bun.serve({
     if (pathname === '/api/check-domain' && req.method === 'POST') {
       try {
         const body = await req.json();
-        const { name } = body;
+        const { name, domainOptions, projectId } = body;
 
         const { checkDomain } = await import('./src/brandscape-api.js');
-        const result = await checkDomain(name);
+        const result = await checkDomain(name, domainOptions);
+        recordRun(projectId, 'screening', { check: 'domain', name, ...result });
         
         return new Response(JSON.stringify(result), {
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -197,10 +409,11 @@ Bun.serve({
     if (pathname === '/api/check-logo-trademark' && req.method === 'POST') {
       try {
         const body = await req.json();
-        const { imageUrl } = body;
+        const { imageUrl, projectId } = body;
 
         const { checkLogoTrademark } = await import('./src/brandscape-api.js');
         const result = await checkLogoTrademark(imageUrl);
+        recordRun(projectId, 'screening', { check: 'logo-trademark', imageUrl, ...result });
         
         return new Response(JSON.stringify(result), {
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -213,6 +426,95 @@ Bun.serve({
       }
     }
 
+    // Brand guidelines from the request body; ?format=html (default) or pdf
+    if (pathname === '/api/guidelines' && req.method === 'POST') {
+      const body = await req.json().catch(() => ({}));
+      const { generateGuidelines } = await import('./src/brandscape-api.js');
+      return guidelinesResponse(await generateGuidelines(body, url.searchParams.get('format') || body.format || 'html'));
+    }
+
+    // Brand guidelines for a saved project
+    const guidelinesMatch = pathname.match(/^\/api\/projects\/([\w-]+)\/guidelines$/);
+    if (guidelinesMatch && req.method === 'GET') {
+      const project = projects.get(guidelinesMatch[1]);
+      if (!project) {
+        return jsonResponse({ error: 'Project not found' }, 404);
+      }
+      const { generateGuidelines } = await import('./src/brandscape-api.js');
+      return guidelinesResponse(await generateGuidelines(projectGuidelinesInput(project), url.searchParams.get('format') || 'html'));
+    }
+
+    // Brand kit zip from the request body ({ selectedName, selectedColors, logo })
+    if (pathname === '/api/brand-kit' && req.method === 'POST') {
+      const body = await req.json().catch(() => ({}));
+      const { generateBrandKit } = await import('./src/brandscape-api.js');
+      return brandKitResponse(await generateBrandKit(body));
+    }
+
+    // Brand kit for a saved project (its selections and latest logo)
+    const brandKitMatch = pathname.match(/^\/api\/projects\/([\w-]+)\/brand-kit$/);
+    if (brandKitMatch && req.method === 'GET') {
+      const project = projects.get(brandKitMatch[1]);
+      if (!project) {
+        return jsonResponse({ error: 'Project not found' }, 404);
+      }
+      const { generateBrandKit } = await import('./src/brandscape-api.js');
+      return brandKitResponse(await generateBrandKit(projectGuidelinesInput(project)));
+    }
+
+    // Design tokens from the request body ({ selectedName, selectedColors });
+    // ?format=zip (default), css, scss, tailwind, json, ase or gpl
+    if (pathname === '/api/design-tokens' && req.method === 'POST') {
+      const body = await req.json().catch(() => ({}));
+      const { generateDesignTokens } = await import('./src/brandscape-api.js');
+      return designTokensResponse(generateDesignTokens(body, url.searchParams.get('format') || body.format || 'zip'));
+    }
+
+    // Design tokens for a saved project's selected colours
+    const designTokensMatch = pathname.match(/^\/api\/projects\/([\w-]+)\/design-tokens$/);
+    if (designTokensMatch && req.method === 'GET') {
+      const project = projects.get(designTokensMatch[1]);
+      if (!project) {
+        return jsonResponse({ error: 'Project not found' }, 404);
+      }
+      const { generateDesignTokens } = await import('./src/brandscape-api.js');
+      return designTokensResponse(generateDesignTokens(projectGuidelinesInput(project), url.searchParams.get('format') || 'zip'));
+    }
+
+    // Brand projects: list / create
+    if (pathname === '/api/projects') {
+      try {
+        if (req.method === 'GET') {
+          return jsonResponse({ projects: projects.list() });
+        }
+        if (req.method === 'POST') {
+          const body = await req.json().catch(() => ({}));
+          return jsonResponse(projects.create(body), 201);
+        }
+      } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+      }
+    }
+
+    // Brand projects: load / update / delete
+    const projectMatch = pathname.match(/^\/api\/projects\/([\w-]+)$/);
+    if (projectMatch && ['GET', 'PUT', 'DELETE'].includes(req.method)) {
+      try {
+        const id = projectMatch[1];
+        if (req.method === 'DELETE') {
+          return projects.remove(id)
+            ? jsonResponse({ deleted: id })
+            : jsonResponse({ error: 'Project not found' }, 404);
+        }
+        const project = req.method === 'PUT'
+          ? projects.update(id, await req.json().catch(() => ({})))
+          : projects.get(id);
+        return project ? jsonResponse(project) : jsonResponse({ error: 'Project not found' }, 404);
+      } catch (error) {
+        return jsonResponse({ error: error.message }, 500);
+      }
+    }
+
     // 404 for unknown routes
     return new Response('Not found', { status: 404, headers: corsHeaders });
   }
@@ -0,0 +1,46 @@
+// BrandScape A1111 stand-in
+// A small local server for trying out the a1111 image backend without a GPU.
+// It answers POST /sdapi/v1/txt2img the way Automatic1111 does, with a bare
+// base64 PNG of the requested size filled with the first HEX code in the prompt.
+//
+//   bun src/a1111-stand-in.js --port 7861
+//   A1111_URL=http://localhost:7861 BRAND_IMAGE_BACKEND=a1111 bun server.js
+//
+// Options:
+//   --port     port to listen on (default 7861)
+//   --status   answer every request with this HTTP status instead, as a failing server would
+
+import { parseArgs } from 'util';
+import sharp from 'sharp';
+
+// Start the stand-in; returns the Bun server (call .stop() when done). Each
+// txt2img request body is passed to `onRequest` when given.
+export function startA1111StandIn({ port = 7861, status = 200, onRequest = () => {} } = {}) {
+  return Bun.serve({
+    port,
+    async fetch(req) {
+      if (req.method !== 'POST' || new URL(req.url).pathname !== '/sdapi/v1/txt2img') {
+        return new Response('Not found', { status: 404 });
+      }
+      const body = await req.json();
+      onRequest(body);
+      if (status !== 200) return new Response('Stand-in failure', { status });
+      const fill = String(body.prompt || '').match(/#[0-9A-Fa-f]{6}\b/)?.[0] || '#808080';
+      const png = await sharp({
+        create: { width: body.width || 512, height: body.height || 512, channels: 3, background: fill },
+      }).png().toBuffer();
+      return Response.json({ images: [png.toString('base64')], parameters: body, info: '{}' });
+    },
+  });
+}
+
+if (import.meta.main) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '7861' },
+      status: { type: 'string', default: '200' },
+    },
+  });
+  const server = startA1111StandIn({ port: Number(values.port), status: Number(values.status) });
+  console.log(`A1111 stand-in on http://localhost:${server.port}`);
+}
@@ -0,0 +1,177 @@
+// BrandScape background removal
+// Logo prompts ask for a plain white background; this turns that field
+// transparent so the logo can sit on coloured surfaces:
+//   1. flood fill from the image edges through pixels within `tolerance` (CIE76)
+//      of the background colour
+//   2. optionally key enclosed background-coloured areas (letter counters, gaps)
+//   3. keying in a thin band around the removed area: alpha is how far each
+//      channel moved away from the background colour, and the background
+//      tint is taken out of the anti-aliased edge pixels
+//   4. feather the edge alpha with a small blur
+
+import { hexToRgb, rgbToHex, rgbToLab, deltaE76 } from './color.js';
+import { borderColor } from './vectorize.js';
+
+// Distance of every pixel to `background` in Lab (Float32Array; transparent pixels count as background)
+function backgroundDistances(data, width, height, backgroundLab) {
+  const distances = new Float32Array(width * height);
+  const cache = new Map();
+  for (let p = 0; p < width * height; p++) {
+    const i = p * 4;
+    if (data[i + 3] < 128) {
+      distances[p] = 0;
+      continue;
+    }
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    let d = cache.get(key);
+    if (d === undefined) {
+      d = deltaE76(rgbToLab({ r: data[i], g: data[i + 1], b: data[i + 2] }), backgroundLab);
+      cache.set(key, d);
+    }
+    distances[p] = d;
+  }
+  return distances;
+}
+
+// Mark (1) the background pixels reachable from the border, 4-connected
+function floodFromEdges(distances, width, height, tolerance) {
+  const mask = new Uint8Array(width * height);
+  const queue = new Int32Array(width * height);
+  let tail = 0;
+  const seed = (p) => {
+    if (!mask[p] && distances[p] <= tolerance) {
+      mask[p] = 1;
+      queue[tail++] = p;
+    }
+  };
+  for (let x = 0; x < width; x++) {
+    seed(x);
+    seed((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    seed(y * width);
+    seed(y * width + width - 1);
+  }
+  for (let head = 0; head < tail; head++) {
+    const p = queue[head];
+    const x = p % width;
+    if (x > 0) seed(p - 1);
+    if (x < width - 1) seed(p + 1);
+    if (p >= width) seed(p - width);
+    if (p < (height - 1) * width) seed(p + width);
+  }
+  return mask;
+}
+
+// Add enclosed regions of background colour of at least `minArea` pixels to the mask
+function keyEnclosed(mask, distances, width, height, tolerance, minArea) {
+  const seen = mask.slice();
+  const queue = new Int32Array(width * height);
+  for (let start = 0; start < width * height; start++) {
+    if (seen[start] || distances[start] > tolerance) continue;
+    let tail = 0;
+    queue[tail++] = start;
+    seen[start] = 1;
+    for (let head = 0; head < tail; head++) {
+      const p = queue[head];
+      const x = p % width;
+      for (const n of [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, p - width, p + width]) {
+        if (n >= 0 && n < width * height && !seen[n] && distances[n] <= tolerance) {
+          seen[n] = 1;
+          queue[tail++] = n;
+        }
+      }
+    }
+    if (tail >= minArea) {
+      for (let k = 0; k < tail; k++) mask[queue[k]] = 1;
+    }
+  }
+}
+
+// Pixels within `radius` steps (4-connected) of the mask, excluding the mask itself
+function edgeBand(mask, width, height, radius) {
+  const band = new Uint8Array(width * height);
+  let frontier = [];
+  for (let p = 0; p < width * height; p++) if (mask[p]) frontier.push(p);
+  for (let step = 0; step < radius; step++) {
+    const next = [];
+    for (const p of frontier) {
+      const x = p % width;
+      for (const n of [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, p - width, p + width]) {
+        if (n >= 0 && n < width * height && !mask[n] && !band[n]) {
+          band[n] = 1;
+          next.push(n);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return band;
+}
+
+// Make the background of `input` (file path or Buffer) transparent.
+// Options: background (HEX, default: the border colour), tolerance (CIE76
+// distance still counted as background, default 12), holes (also key enclosed
+// background areas, default true), feather (edge blur sigma in px, default 1).
+// Returns { png, webp, width, height, background, removed } where `removed`
+// is the share of pixels made transparent (0-1).
+export async function removeBackground(input, { background, tolerance = 12, holes = true, feather = 1 } = {}) {
+  const { default: sharp } = await import('sharp');
+  const { data, info } = await sharp(input).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const total = width * height;
+
+  const bg = hexToRgb(background) || borderColor(data, width, height);
+  const distances = backgroundDistances(data, width, height, rgbToLab(bg));
+  const mask = floodFromEdges(distances, width, height, tolerance);
+  if (holes) keyEnclosed(mask, distances, width, height, tolerance, Math.max(16, Math.round(total * 0.0005)));
+  const band = edgeBand(mask, width, height, 2);
+
+  // Alpha: 0 in the mask; in the band, the smallest coverage that explains the
+  // pixel as the background mixed with a foreground colour (colour-to-alpha)
+  const bgChannels = [bg.r, bg.g, bg.b];
+  const alpha = Buffer.alloc(total);
+  let removed = 0;
+  for (let p = 0; p < total; p++) {
+    const i = p * 4;
+    if (mask[p]) {
+      removed++;
+      continue;
+    }
+    let a = 1;
+    if (band[p]) {
+      a = 0;
+      for (let c = 0; c < 3; c++) {
+        const diff = data[i + c] - bgChannels[c];
+        const range = diff < 0 ? bgChannels[c] : 255 - bgChannels[c];
+        if (range > 0) a = Math.max(a, Math.abs(diff) / range);
+      }
+      if (a > 0 && a < 1) {
+        // Unmix the background from the edge colour
+        for (let c = 0; c < 3; c++) {
+          data[i + c] = Math.round((data[i + c] - (1 - a) * bgChannels[c]) / a);
+        }
+      }
+    }
+    alpha[p] = Math.round(a * data[i + 3]);
+  }
+
+  if (feather > 0) {
+    const blurred = await sharp(alpha, { raw: { width, height, channels: 1 } }).blur(Math.max(0.3, feather)).extractChannel(0).raw().toBuffer();
+    // Only soften inwards, so no background-coloured halo is added
+    for (let p = 0; p < total; p++) {
+      if (band[p]) alpha[p] = Math.min(alpha[p], blurred[p]);
+    }
+  }
+  for (let p = 0; p < total; p++) data[p * 4 + 3] = alpha[p];
+
+  const image = () => sharp(data, { raw: { width, height, channels: 4 } });
+  return {
+    png: await image().png().toBuffer(),
+    webp: await image().webp({ quality: 90, alphaQuality: 100 }).toBuffer(),
+    width,
+    height,
+    background: rgbToHex(bg),
+    removed: Math.round(removed / total * 1000) / 1000,
+  };
+}
@@ -0,0 +1,270 @@
+// BrandScape batch runner
+// Runs names, colours and the logo prompt for many briefs at once.
+//
+// Usage: bun src/batch.js briefs.csv --out ./batch-out --concurrency 2 --retries 2
+//
+// Input is CSV (header row) or JSONL (one brief object per line) with the fields
+// business, visuals, brandValues and optionally id, pickName, pickPalette.
+// Each brief gets its own folder with result.json; summary.csv lists every row.
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { generateNames, generateColors, generateLogoPrompt } from './brandscape-api.js';
+import { normalizeBrief, paletteCount, suggestionCount } from './brandscape.js';
+
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f.trim())) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f.trim())) rows.push(row);
+  return rows;
+}
+
+function csvEscape(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Read briefs from a .csv or .jsonl/.json file. A JSONL line that is not a
+// JSON object becomes { invalid: reason }, which runBatch reports as a failed row.
+export function readBriefs(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (/\.jsonl?$/i.test(file)) {
+    return text.split(/\r?\n/)
+      .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+      .filter(({ line }) => line)
+      .map(({ line, number }) => {
+        try {
+          const brief = JSON.parse(line);
+          if (brief && typeof brief === 'object' && !Array.isArray(brief)) return brief;
+          return { invalid: `Line ${number} is not a JSON object` };
+        } catch (e) {
+          return { invalid: `Line ${number} is not valid JSON: ${e.message}` };
+        }
+      });
+  }
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return rows.map(cells => Object.fromEntries(keys.map((k, i) => [k, (cells[i] ?? '').trim()])));
+}
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'brief';
+}
+
+// A failure that would repeat on every attempt (a bad brief, or a model reply
+// that already failed validation after its own retries): the row fails at once
+function permanentError(message) {
+  return Object.assign(new Error(message), { permanent: true });
+}
+
+// The API wrappers return { error } instead of throwing; turn that into a throw so it can be retried
+function unwrap(result, step) {
+  if (!result || result.error) {
+    const message = `${step}: ${result?.error || 'no result'}`;
+    throw result?.errorType === 'model_output' ? permanentError(message) : new Error(message);
+  }
+  return result;
+}
+
+const API = { generateNames, generateColors, generateLogoPrompt };
+
+async function runRow(brief, { generateNames, generateColors, generateLogoPrompt } = API) {
+  const { business, visuals, brandValues, pickName, pickPalette } = normalizeBrief(brief);
+  if (!business) throw permanentError('Brief is missing a business description');
+  if (!(pickName >= 1 && pickName <= suggestionCount)) {
+    throw permanentError(`Name pick ${pickName} is out of range (1-${suggestionCount})`);
+  }
+  if (!(pickPalette >= 1 && pickPalette <= paletteCount)) {
+    throw permanentError(`Palette pick ${pickPalette} is out of range (1-${paletteCount})`);
+  }
+
+  const { names } = unwrap(await generateNames(business, visuals, brandValues), 'names');
+  const selectedName = names[pickName - 1];
+  if (!selectedName) throw new Error(`names: pick ${pickName} is out of range (1-${names.length})`);
+
+  const { palettes } = unwrap(await generateColors(business, brandValues, selectedName), 'colours');
+  const selectedPalette = palettes[pickPalette - 1];
+  if (!selectedPalette) throw new Error(`colours: pick ${pickPalette} is out of range (1-${palettes.length})`);
+
+  const { prompt } = unwrap(await generateLogoPrompt(business, visuals, selectedName, selectedPalette), 'logo prompt');
+
+  return { brief: { business, visuals, brandValues }, names, selectedName, palettes, selectedPalette, logoPrompt: prompt };
+}
+
+// Integer option check: `value` must be an integer of at least `min`
+function checkCount(value, name, min) {
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`${name} must be ${min === 0 ? 'a non-negative' : 'a positive'} integer (got ${JSON.stringify(value)})`);
+  }
+  return value;
+}
+
+// Folder ids for the briefs: the brief's own `id` or "<row>-<business>", both
+// slugified so they stay inside the output folder. Returns [{ id, duplicateOf }]
+// where `duplicateOf` is the 1-based row that already uses the id.
+function briefIds(briefs) {
+  const seen = new Map();
+  return briefs.map((brief, index) => {
+    const id = brief.id !== undefined && String(brief.id).trim()
+      ? slugify(brief.id)
+      : `${String(index + 1).padStart(3, '0')}-${slugify(brief.business || brief.businessDescription)}`;
+    const duplicateOf = seen.get(id) ?? null;
+    if (duplicateOf === null) seen.set(id, index + 1);
+    return { id, duplicateOf };
+  });
+}
+
+// Run every brief with at most `concurrency` rows in flight. A row that fails
+// is tried again up to `retries` times, unless the failure would repeat (a
+// missing business, an out-of-range pick, a model reply that failed
+// validation); failures are recorded, never thrown. Rows that cannot run at
+// all (invalid JSONL lines, duplicate ids) fail without attempts.
+// `opts.api` replaces the generateNames, generateColors and generateLogoPrompt
+// wrappers (all three; defaults to brandscape-api.js).
+export async function runBatch(briefs, opts = {}) {
+  const outDir = opts.outDir || 'batch-out';
+  const api = opts.api || API;
+  const concurrency = checkCount(opts.concurrency ?? 2, 'concurrency', 1);
+  const retries = checkCount(opts.retries ?? 2, 'retries', 0);
+  const log = opts.log || console.log;
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const ids = briefIds(briefs);
+  const summary = new Array(briefs.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < briefs.length) {
+      const index = next++;
+      const brief = briefs[index];
+      const { id, duplicateOf } = ids[index];
+      const rowDir = path.join(outDir, id);
+      let attempts = 0;
+      let lastError = null;
+      let result = null;
+
+      if (brief.invalid || duplicateOf) {
+        lastError = brief.invalid || `Duplicate id "${id}" (already used by row ${duplicateOf})`;
+        log(`[row ${index + 1}] skipped: ${lastError}`);
+        summary[index] = {
+          row: index + 1,
+          id,
+          business: brief.business || brief.businessDescription || '',
+          status: 'failed',
+          attempts,
+          name: '',
+          hex1: '',
+          hex2: '',
+          // The folder belongs to another row (or there is nothing to write)
+          folder: '',
+          error: lastError,
+        };
+        continue;
+      }
+
+      while (attempts <= retries && !result) {
+        attempts++;
+        try {
+          result = await runRow(brief, api);
+        } catch (e) {
+          lastError = e.message || String(e);
+          log(`[${id}] attempt ${attempts} failed: ${lastError}`);
+          if (e.permanent) break;
+          if (attempts <= retries) await new Promise(r => setTimeout(r, 1000 * attempts));
+        }
+      }
+
+      fs.mkdirSync(rowDir, { recursive: true });
+      if (result) {
+        fs.writeFileSync(path.join(rowDir, 'result.json'), JSON.stringify(result, null, 2));
+        log(`[${id}] done: ${result.selectedName.title}`);
+      } else {
+        fs.writeFileSync(path.join(rowDir, 'error.json'), JSON.stringify({ brief, error: lastError, attempts }, null, 2));
+      }
+
+      summary[index] = {
+        row: index + 1,
+        id,
+        business: brief.business || brief.businessDescription || '',
+        status: result ? 'ok' : 'failed',
+        attempts,
+        name: result?.selectedName.title || '',
+        hex1: result?.selectedPalette.hex1 || '',
+        hex2: result?.selectedPalette.hex2 || '',
+        folder: rowDir,
+        error: result ? '' : lastError,
+      };
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, briefs.length) }, worker));
+
+  const columns = ['row', 'id', 'business', 'status', 'attempts', 'name', 'hex1', 'hex2', 'folder', 'error'];
+  const csv = [columns.join(','), ...summary.map(r => columns.map(c => csvEscape(r[c])).join(','))].join('\n') + '\n';
+  fs.writeFileSync(path.join(outDir, 'summary.csv'), csv);
+  return summary;
+}
+
+if (import.meta.main) {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+      out: { type: 'string' },
+      concurrency: { type: 'string' },
+      retries: { type: 'string' },
+    },
+  });
+  if (positionals.length === 0) {
+    console.log('Usage: bun src/batch.js <briefs.csv|briefs.jsonl> [--out dir] [--concurrency n] [--retries n]');
+    process.exit(1);
+  }
+  // Whole numbers only: "0", "abc" or "1.5" are rejected rather than replaced by the default
+  const count = (flag) => {
+    const value = values[flag];
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value.trim())) {
+      console.error(`--${flag} must be a whole number (got "${value}")`);
+      process.exit(1);
+    }
+    return Number(value);
+  };
+  const concurrency = count('concurrency');
+  const retries = count('retries');
+  if (concurrency === 0) {
+    console.error('--concurrency must be at least 1');
+    process.exit(1);
+  }
+  const briefs = readBriefs(positionals[0]);
+  const outDir = values.out || 'batch-out';
+  const summary = await runBatch(briefs, { outDir, concurrency, retries });
+  const failed = summary.filter(r => r.status !== 'ok');
+  console.log(`\n${summary.length - failed.length}/${summary.length} briefs completed. Summary: ${path.join(outDir, 'summary.csv')}`);
+  failed.forEach(r => console.log(`  ✗ row ${r.row} (${r.id}): ${r.error}`));
+  process.exit(failed.length > 0 ? 1 : 0);
+}
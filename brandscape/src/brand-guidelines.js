@@ -0,0 +1,335 @@
+// BrandScape brand guidelines
+// Turns the choices made in a run (name, palette, logo, screening) into a
+// brand guidelines document, as printable HTML or as a PDF built locally
+// with pdf.js.
+//
+// buildGuidelines(input) collects everything into one plain object that both
+// renderers read, so the HTML and the PDF always say the same thing.
+
+import fs from 'fs';
+import { colorFormats } from './color.js';
+import { createPdfDocument } from './pdf.js';
+
+export const GUIDELINE_FORMATS = ['html', 'pdf'];
+
+export const DISCLAIMERS = [
+  'Trademark notes come from automated searches of EUIPO, UK IPO and the web. They are not a legal clearance search; consult a trademark attorney before adopting the name or logo.',
+  'Domain availability was checked with the registries over RDAP (DNS lookup where a registry has no RDAP service) when the name was generated and can change at any time. Register the domains before announcing the brand.',
+  'The logo was produced by a generative model or procedurally. It may resemble existing marks; run a reverse image search and a design review before use.',
+  'Colour explanations describe common colour-psychology associations, which vary between cultures and audiences.',
+];
+
+// Clear space and minimum size depend on how the logo was made: vector marks
+// stay sharp when small, raster renders need more pixels.
+function logoUsage(isVector) {
+  return {
+    clearSpace: 'Keep a clear space of at least one quarter of the logo width on every side. No text, images or edges may enter it.',
+    minimumSize: isVector
+      ? 'Minimum width: 48 px on screen, 15 mm in print.'
+      : 'Minimum width: 120 px on screen, 30 mm in print. Use the largest render available for print.',
+    dont: [
+      'Do not stretch, skew or rotate the logo.',
+      'Do not recolour it outside the brand palette.',
+      'Do not add shadows, outlines or other effects.',
+      'Do not place it on busy images or backgrounds with low contrast.',
+    ],
+  };
+}
+
+// The two palette colours as [{ role, name, hex, rgb, hsl, rgbText, hslText }]
+export function paletteColors(palette = {}) {
+  const colorNames = [palette.name1, palette.name2];
+  if (!colorNames[0] && palette.namePair) {
+    colorNames.splice(0, 2, ...String(palette.namePair).split(/\s*&\s*/));
+  }
+  return [palette.hex1 || palette.color1, palette.hex2 || palette.color2]
+    .map((hex, i) => {
+      const formats = colorFormats(hex);
+      return formats && { role: i === 0 ? 'Primary' : 'Secondary', name: colorNames[i] || '', ...formats };
+    })
+    .filter(Boolean);
+}
+
+// File-name friendly form of the brand name, e.g. "Luminara Co" -> "luminara-co"
+export function brandSlug(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'brand';
+}
+
+// "example.com: registered (Registrar Ltd, expires 2027-01-01)"
+function domainLine(d) {
+  const details = [d.registrar, d.expires && `expires ${d.expires}`].filter(Boolean).join(', ');
+  return `${d.domain}: ${d.status}${details ? ` (${details})` : ''}`;
+}
+
+// input: { businessDescription, visuals, brandValues, selectedName, selectedColors,
+//          logo: { path, svgPath, prompt, backend, style }, logoTrademarkNotes }
+export function buildGuidelines(input = {}) {
+  const name = input.selectedName?.title || input.selectedName?.name || 'Untitled brand';
+  const palette = input.selectedColors || {};
+  const colors = paletteColors(palette);
+
+  const logo = input.logo && (input.logo.path || input.logo.svgPath) ? input.logo : null;
+  // Registration details when the name has them, else the older true/false/null map
+  const domains = input.selectedName?.domainDetails
+    ? Object.entries(input.selectedName.domainDetails).map(([domain, d]) => ({
+      domain,
+      status: d.status === 'unregistered' ? 'available' : d.status,
+      registrar: d.registrar || null,
+      expires: d.expires || null,
+    }))
+    : Object.entries(input.selectedName?.domains || {}).map(([domain, taken]) => ({
+      domain,
+      status: taken === null ? 'unknown' : taken ? 'registered' : 'available',
+      registrar: null,
+      expires: null,
+    }));
+
+  return {
+    name,
+    rationale: input.selectedName?.description || '',
+    businessDescription: input.businessDescription || '',
+    visuals: input.visuals || [],
+    brandValues: input.brandValues || [],
+    colors,
+    paletteExplanation: palette.explanation || palette.short || '',
+    logo,
+    usage: logoUsage(Boolean(logo?.svgPath)),
+    screening: {
+      domains,
+      trademarkNotes: input.selectedName?.trademarkNotes || '',
+      logoTrademarkNotes: input.logoTrademarkNotes || '',
+    },
+    disclaimers: DISCLAIMERS,
+    generatedAt: new Date().toISOString().slice(0, 10),
+  };
+}
+
+// File name for the exported document, e.g. "emberly-brand-guidelines.pdf"
+export function guidelinesFilename(guidelines, format) {
+  return `${brandSlug(guidelines.name)}-brand-guidelines.${format}`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Logo as a data URI so the HTML works when saved or printed on its own
+function logoDataUri(logo) {
+  if (logo.svgPath && fs.existsSync(logo.svgPath)) {
+    return `data:image/svg+xml;base64,${fs.readFileSync(logo.svgPath).toString('base64')}`;
+  }
+  if (logo.path && fs.existsSync(logo.path)) {
+    const ext = logo.path.split('.').pop().toLowerCase();
+    const mime = ext === 'jpg' || ext === 'jpeg' ? 'image/jpeg' : ext === 'webp' ? 'image/webp' : 'image/png';
+    return `data:${mime};base64,${fs.readFileSync(logo.path).toString('base64')}`;
+  }
+  return null;
+}
+
+export function renderGuidelinesHtml(g) {
+  const list = (items) => items.map(i => `<li>${escapeHtml(i)}</li>`).join('');
+  const logoSrc = g.logo ? logoDataUri(g.logo) : null;
+  const colorRows = g.colors.map(c => `
+        <div class="color">
+          <div class="swatch" style="background:${c.hex}"></div>
+          <div>
+            <strong>${escapeHtml(c.role)}${c.name ? ` · ${escapeHtml(c.name)}` : ''}</strong>
+            <div class="mono">HEX ${c.hex}<br>RGB ${c.rgb.r}, ${c.rgb.g}, ${c.rgb.b}<br>HSL ${c.hsl.h}°, ${c.hsl.s}%, ${c.hsl.l}%</div>
+          </div>
+        </div>`).join('');
+  const domainRows = g.screening.domains.map(d => `<li>${escapeHtml(domainLine(d))}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(g.name)} brand guidelines</title>
+<style>
+  @page { size: A4; margin: 18mm; }
+  body { font-family: Helvetica, Arial, sans-serif; color: #1e293b; max-width: 800px; margin: 40px auto; padding: 0 24px; line-height: 1.5; }
+  h1 { font-size: 2.5rem; margin-bottom: 0; }
+  h2 { border-bottom: 2px solid ${g.colors[0]?.hex || '#1e293b'}; padding-bottom: 4px; margin-top: 40px; break-after: avoid; }
+  section { break-inside: avoid; }
+  .meta { color: #64748b; }
+  .colors { display: flex; gap: 32px; flex-wrap: wrap; }
+  .color { display: flex; gap: 16px; align-items: center; }
+  .swatch { width: 96px; height: 96px; border: 1px solid #e2e8f0; }
+  .mono { font-family: Menlo, Consolas, monospace; font-size: 0.85rem; }
+  .clear-space { display: inline-block; padding: 40px; outline: 1px dashed #94a3b8; outline-offset: -1px; }
+  .clear-space img { display: block; width: 160px; height: auto; outline: 1px solid #e2e8f0; }
+  .notes { white-space: pre-line; background: #f8fafc; padding: 12px 16px; }
+  .disclaimers { font-size: 0.85rem; color: #64748b; }
+  @media print { body { margin: 0; padding: 0; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(g.name)}</h1>
+  <p class="meta">Brand guidelines · ${g.generatedAt}</p>
+
+  <section>
+    <h2>Name</h2>
+    ${g.rationale ? `<p>${escapeHtml(g.rationale)}</p>` : ''}
+    ${g.businessDescription ? `<p><strong>Business:</strong> ${escapeHtml(g.businessDescription)}</p>` : ''}
+    ${g.brandValues.length ? `<p><strong>Brand values:</strong> ${escapeHtml(g.brandValues.join(', '))}</p>` : ''}
+  </section>
+
+  <section>
+    <h2>Colour palette</h2>
+    <div class="colors">${colorRows}
+    </div>
+    ${g.paletteExplanation ? `<p>${escapeHtml(g.paletteExplanation)}</p>` : ''}
+  </section>
+
+  ${g.logo ? `<section>
+    <h2>Logo</h2>
+    ${logoSrc ? `<div class="clear-space"><img src="${logoSrc}" alt="${escapeHtml(g.name)} logo"></div>` : ''}
+    <p>${escapeHtml(g.usage.clearSpace)}</p>
+    <p>${escapeHtml(g.usage.minimumSize)}</p>
+    <ul>${list(g.usage.dont)}</ul>
+    ${g.logo.prompt ? `<p><strong>Logo prompt:</strong></p><p class="notes">${escapeHtml(g.logo.prompt)}</p>` : ''}
+  </section>` : ''}
+
+  <section>
+    <h2>Screening summary</h2>
+    ${domainRows ? `<p><strong>Domains</strong></p><ul>${domainRows}</ul>` : '<p>No domain checks were recorded.</p>'}
+    ${g.screening.trademarkNotes ? `<p><strong>Name trademark notes</strong></p><p class="notes">${escapeHtml(g.screening.trademarkNotes)}</p>` : ''}
+    ${g.screening.logoTrademarkNotes ? `<p><strong>Logo trademark notes</strong></p><p class="notes">${escapeHtml(g.screening.logoTrademarkNotes)}</p>` : ''}
+  </section>
+
+  <section class="disclaimers">
+    <h2>Disclaimers</h2>
+    <ul>${list(g.disclaimers)}</ul>
+  </section>
+</body>
+</html>
+`;
+}
+
+// Raw RGBA pixels of the logo for the PDF (sharp also rasterises SVG), or null
+async function loadLogoPixels(logo, maxSize = 600) {
+  const source = [logo.path, logo.svgPath].find(p => p && fs.existsSync(p));
+  if (!source) return null;
+  try {
+    const { default: sharp } = await import('sharp');
+    const { data, info } = await sharp(source)
+      .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height, channels: info.channels };
+  } catch (e) {
+    console.warn('Logo could not be added to the PDF:', e.message);
+    return null;
+  }
+}
+
+export async function renderGuidelinesPdf(g) {
+  const pdf = createPdfDocument();
+  const margin = 56;
+  const contentWidth = pdf.width - margin * 2;
+  const accent = g.colors[0]?.hex || '#1E293B';
+  const textColor = '#1E293B';
+  const muted = '#64748B';
+  let top = margin;
+
+  pdf.addPage();
+  const ensure = (space) => {
+    if (top + space > pdf.height - margin) {
+      pdf.addPage();
+      top = margin;
+    }
+  };
+  const paragraph = (text, { size = 10.5, bold = false, color = textColor, indent = 0 } = {}) => {
+    const lineHeight = size * 1.45;
+    for (const line of pdf.wrap(text, contentWidth - indent, size, bold)) {
+      ensure(lineHeight);
+      top += lineHeight;
+      pdf.text(line, margin + indent, top - size * 0.35, { size, bold, color });
+    }
+    top += size * 0.5;
+  };
+  const bullets = (items, opts = {}) => {
+    for (const item of items) {
+      const size = opts.size || 10.5;
+      ensure(size * 1.45);
+      pdf.text('•', margin + 4, top + size * 1.1, { size, color: opts.color || textColor });
+      paragraph(item, { ...opts, indent: 16 });
+      top -= size * 0.3;
+    }
+    top += 6;
+  };
+  const heading = (text) => {
+    ensure(60);
+    top += 18;
+    pdf.text(text, margin, top + 14, { size: 15, bold: true, color: textColor });
+    top += 22;
+    pdf.line(margin, top, margin + contentWidth, top, { color: accent, lineWidth: 1.5 });
+    top += 10;
+  };
+
+  pdf.text(g.name, margin, top + 28, { size: 30, bold: true, color: textColor });
+  top += 44;
+  paragraph(`Brand guidelines · ${g.generatedAt}`, { color: muted });
+
+  heading('Name');
+  if (g.rationale) paragraph(g.rationale);
+  if (g.businessDescription) paragraph(`Business: ${g.businessDescription}`);
+  if (g.brandValues.length) paragraph(`Brand values: ${g.brandValues.join(', ')}`);
+
+  heading('Colour palette');
+  ensure(90);
+  const columnWidth = contentWidth / 2;
+  g.colors.forEach((c, i) => {
+    const x = margin + i * columnWidth;
+    pdf.rect(x, top, 72, 72, { fill: c.hex, stroke: '#E2E8F0', lineWidth: 0.5 });
+    pdf.text(`${c.role}${c.name ? ` · ${c.name}` : ''}`, x + 84, top + 14, { size: 11, bold: true, color: textColor });
+    pdf.text(`HEX ${c.hex}`, x + 84, top + 32, { size: 9.5, color: textColor });
+    pdf.text(`RGB ${c.rgb.r}, ${c.rgb.g}, ${c.rgb.b}`, x + 84, top + 47, { size: 9.5, color: textColor });
+    pdf.text(`HSL ${c.hsl.h}, ${c.hsl.s}%, ${c.hsl.l}%`, x + 84, top + 62, { size: 9.5, color: textColor });
+  });
+  top += 86;
+  if (g.paletteExplanation) paragraph(g.paletteExplanation);
+
+  if (g.logo) {
+    heading('Logo');
+    const pixels = await loadLogoPixels(g.logo);
+    if (pixels) {
+      const w = 150;
+      const h = w * pixels.height / pixels.width;
+      const pad = w / 4;
+      ensure(h + pad * 2 + 10);
+      pdf.rect(margin, top, w + pad * 2, h + pad * 2, { stroke: '#94A3B8', lineWidth: 0.75, dash: [4, 3] });
+      pdf.image(pdf.addImage(pixels), margin + pad, top + pad, w, h);
+      pdf.text('clear space', margin + w + pad * 2 + 8, top + 12, { size: 8.5, color: muted });
+      top += h + pad * 2 + 14;
+    }
+    paragraph(g.usage.clearSpace);
+    paragraph(g.usage.minimumSize);
+    bullets(g.usage.dont);
+    if (g.logo.prompt) {
+      paragraph('Logo prompt', { bold: true });
+      paragraph(g.logo.prompt, { color: muted });
+    }
+  }
+
+  heading('Screening summary');
+  if (g.screening.domains.length) {
+    paragraph('Domains', { bold: true });
+    bullets(g.screening.domains.map(domainLine));
+  } else {
+    paragraph('No domain checks were recorded.');
+  }
+  if (g.screening.trademarkNotes) {
+    paragraph('Name trademark notes', { bold: true });
+    paragraph(g.screening.trademarkNotes, { color: muted });
+  }
+  if (g.screening.logoTrademarkNotes) {
+    paragraph('Logo trademark notes', { bold: true });
+    paragraph(g.screening.logoTrademarkNotes, { color: muted });
+  }
+
+  heading('Disclaimers');
+  bullets(g.disclaimers, { size: 9, color: muted });
+
+  return pdf.toBuffer();
+}
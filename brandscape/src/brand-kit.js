@@ -0,0 +1,201 @@
+// BrandScape brand kit
+// Builds the downloadable kit a client needs from one logo: PNGs at standard
+// sizes, WebP/AVIF copies, favicons and app icons with a web manifest, social
+// avatar and banner crops, the palette as swatch files and design tokens.
+// Everything is rendered with sharp from the largest logo available (the SVG
+// for vector logos) and packed with zip.js.
+//
+// Kit layout:
+//   logo/      logo-<size>.png, logo.webp, logo.avif (+ logo.svg for vector and traced logos)
+//   favicon/   favicon.ico, favicon-16x16.png, favicon-32x32.png, apple-touch-icon.png,
+//              android-chrome-192x192.png, android-chrome-512x512.png, site.webmanifest
+//   social/    avatar, Open Graph image and platform banners
+//   palette/   palette.png, palette.svg, palette.css, palette.json, palette.gpl, palette.ase
+//   tokens/    the full colour system from design-tokens.js (CSS, SCSS, Tailwind, JSON, ASE, GPL)
+//   README.txt
+
+import fs from 'fs';
+import { paletteColors, brandSlug } from './brand-guidelines.js';
+import { buildAse, designTokenFiles } from './design-tokens.js';
+import { createZip } from './zip.js';
+
+export const LOGO_SIZES = [16, 32, 48, 64, 128, 256, 512, 1024];
+
+export const SOCIAL_CROPS = [
+  { file: 'avatar-400x400.png', width: 400, height: 400, use: 'Profile picture (most platforms crop it to a circle)' },
+  { file: 'og-image-1200x630.png', width: 1200, height: 630, use: 'Link previews (Open Graph / Twitter card)' },
+  { file: 'x-header-1500x500.png', width: 1500, height: 500, use: 'X (Twitter) header' },
+  { file: 'linkedin-banner-1584x396.png', width: 1584, height: 396, use: 'LinkedIn page banner' },
+  { file: 'facebook-cover-820x312.png', width: 820, height: 312, use: 'Facebook cover' },
+];
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+// favicon.ico holding PNG images (supported by every current browser)
+function buildIco(pngs) {
+  const header = Buffer.alloc(6 + pngs.length * 16);
+  header.writeUInt16LE(0, 0);
+  header.writeUInt16LE(1, 2); // icon
+  header.writeUInt16LE(pngs.length, 4);
+  let offset = header.length;
+  pngs.forEach(({ size, data }, i) => {
+    const entry = 6 + i * 16;
+    header.writeUInt8(size >= 256 ? 0 : size, entry);
+    header.writeUInt8(size >= 256 ? 0 : size, entry + 1);
+    header.writeUInt16LE(1, entry + 4);  // planes
+    header.writeUInt16LE(32, entry + 6); // bits per pixel
+    header.writeUInt32LE(data.length, entry + 8);
+    header.writeUInt32LE(offset, entry + 12);
+    offset += data.length;
+  });
+  return Buffer.concat([header, ...pngs.map(p => p.data)]);
+}
+
+const escapeXml = (text) => String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+
+function paletteSvg(name, colors) {
+  const width = 600 * colors.length;
+  const swatches = colors.map((c, i) => `
+  <rect x="${i * 600}" y="0" width="600" height="420" fill="${c.hex}"/>
+  <text x="${i * 600 + 32}" y="480" font-family="Helvetica, Arial, sans-serif" font-size="30" font-weight="700" fill="#1E293B">${c.role}${c.name ? ` · ${escapeXml(c.name)}` : ''}</text>
+  <text x="${i * 600 + 32}" y="524" font-family="Helvetica, Arial, sans-serif" font-size="24" fill="#475569">${c.hex} · ${c.rgbText}</text>
+  <text x="${i * 600 + 32}" y="560" font-family="Helvetica, Arial, sans-serif" font-size="24" fill="#475569">${c.hslText}</text>`).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="600" viewBox="0 0 ${width} 600">
+  <title>${escapeXml(name)} palette</title>
+  <rect width="${width}" height="600" fill="#FFFFFF"/>${swatches}
+</svg>
+`;
+}
+
+function paletteFiles(name, colors) {
+  const slug = brandSlug(name);
+  const css = `:root {\n${colors.map(c => `  --${slug}-${c.role.toLowerCase()}: ${c.hex};\n  --${slug}-${c.role.toLowerCase()}-rgb: ${c.rgb.r}, ${c.rgb.g}, ${c.rgb.b};`).join('\n')}\n}\n`;
+  const gpl = `GIMP Palette\nName: ${name}\nColumns: ${colors.length}\n#\n${colors.map(c => `${String(c.rgb.r).padStart(3)} ${String(c.rgb.g).padStart(3)} ${String(c.rgb.b).padStart(3)}\t${c.role}${c.name ? ` ${c.name}` : ''} ${c.hex}`).join('\n')}\n`;
+  const json = JSON.stringify({ name, colors: colors.map(({ role, name: colorName, hex, rgb, hsl }) => ({ role, name: colorName, hex, rgb, hsl })) }, null, 2) + '\n';
+  return [
+    { path: 'palette/palette.svg', data: paletteSvg(name, colors) },
+    { path: 'palette/palette.css', data: css },
+    { path: 'palette/palette.json', data: json },
+    { path: 'palette/palette.gpl', data: gpl },
+    { path: 'palette/palette.ase', data: buildAse([{ colors: colors.map(c => ({ label: `${c.role}${c.name ? ` ${c.name}` : ''}`, hex: c.hex })) }]) },
+  ];
+}
+
+function readme(name, colors, svgNote) {
+  return `${name} brand kit
+${'='.repeat(name.length + 10)}
+
+logo/
+  logo-<size>.png   square PNGs, ${LOGO_SIZES.join(', ')} px
+  logo.webp         1024 px WebP
+  logo.avif         1024 px AVIF${svgNote ? `\n  logo.svg          ${svgNote}` : ''}
+
+favicon/
+  Copy the files to the root of the website and add to <head>:
+    <link rel="icon" href="/favicon.ico" sizes="any">
+    <link rel="icon" type="image/png" sizes="32x32" href="/favicon-32x32.png">
+    <link rel="apple-touch-icon" href="/apple-touch-icon.png">
+    <link rel="manifest" href="/site.webmanifest">
+
+social/
+${SOCIAL_CROPS.map(c => `  ${c.file.padEnd(30)}${c.use}`).join('\n')}
+
+palette/
+${colors.map(c => `  ${c.role}${c.name ? ` (${c.name})` : ''}: ${c.hex}  ${c.rgbText}  ${c.hslText}`).join('\n')}
+  palette.ase (Adobe), palette.gpl (GIMP / Inkscape), palette.css, palette.json,
+  palette.svg and palette.png swatch sheets
+
+tokens/
+  The palette expanded into 50-950 tint / shade ramps, a neutral scale and
+  light / dark theme roles (primary, accent, surface, text, ...):
+  tokens.css (custom properties), _tokens.scss, tailwind.preset.cjs,
+  tokens.json (Style Dictionary / Tokens Studio for Figma), tokens.ase, tokens.gpl
+`;
+}
+
+// Build the kit. `logoPath` is the raster logo, `svgPath` the vector master
+// when there is one and `tracedSvgPath` an SVG traced from the raster logo
+// (shipped as logo.svg, but the raster stays the source of the renders).
+// Returns the zip archive as a Buffer.
+export async function buildBrandKit({ name, palette, logoPath, svgPath, tracedSvgPath }) {
+  const source = [svgPath, logoPath].find(p => p && fs.existsSync(p));
+  if (!source) throw new Error('Logo file not found');
+  let sharp;
+  try {
+    ({ default: sharp } = await import('sharp'));
+  } catch (e) {
+    throw new Error('sharp is required to build the brand kit');
+  }
+
+  const colors = paletteColors(palette);
+  const primary = colors[0]?.hex || '#1E293B';
+  const secondary = colors[1]?.hex || primary;
+  const files = [];
+
+  // 1024 px square master with a transparent margin, every size comes from it
+  const master = await sharp(source, source === svgPath ? { density: 300 } : {})
+    .resize(1024, 1024, { fit: 'contain', background: TRANSPARENT })
+    .png()
+    .toBuffer();
+  const square = (size) => sharp(master).resize(size, size).png().toBuffer();
+
+  for (const size of LOGO_SIZES) {
+    files.push({ path: `logo/logo-${size}.png`, data: size === 1024 ? master : await square(size) });
+  }
+  files.push({ path: 'logo/logo.webp', data: await sharp(master).webp({ quality: 90 }).toBuffer() });
+  files.push({ path: 'logo/logo.avif', data: await sharp(master).avif({ quality: 60 }).toBuffer() });
+  const traced = source !== svgPath && tracedSvgPath && fs.existsSync(tracedSvgPath);
+  if (source === svgPath || traced) files.push({ path: 'logo/logo.svg', data: fs.readFileSync(traced ? tracedSvgPath : svgPath) });
+
+  // Favicons and app icons; iOS shows transparency as black, so the touch icon is flattened
+  const ico = [];
+  for (const size of [16, 32, 48]) ico.push({ size, data: await square(size) });
+  files.push({ path: 'favicon/favicon.ico', data: buildIco(ico) });
+  files.push({ path: 'favicon/favicon-16x16.png', data: ico[0].data });
+  files.push({ path: 'favicon/favicon-32x32.png', data: ico[1].data });
+  files.push({ path: 'favicon/apple-touch-icon.png', data: await sharp(master).resize(180, 180).flatten({ background: '#FFFFFF' }).png().toBuffer() });
+  files.push({ path: 'favicon/android-chrome-192x192.png', data: await square(192) });
+  files.push({ path: 'favicon/android-chrome-512x512.png', data: await square(512) });
+  files.push({
+    path: 'favicon/site.webmanifest',
+    data: JSON.stringify({
+      name,
+      short_name: name.length > 12 ? name.split(/\s+/)[0] : name,
+      icons: [
+        { src: '/android-chrome-192x192.png', sizes: '192x192', type: 'image/png' },
+        { src: '/android-chrome-512x512.png', sizes: '512x512', type: 'image/png' },
+      ],
+      theme_color: primary,
+      background_color: '#FFFFFF',
+      display: 'standalone',
+    }, null, 2) + '\n',
+  });
+
+  // Social crops: the logo on white for the avatar, on a palette gradient for banners
+  for (const crop of SOCIAL_CROPS) {
+    const isAvatar = crop.width === crop.height;
+    const background = isAvatar
+      ? `<svg xmlns="http://www.w3.org/2000/svg" width="${crop.width}" height="${crop.height}"><rect width="100%" height="100%" fill="#FFFFFF"/></svg>`
+      : `<svg xmlns="http://www.w3.org/2000/svg" width="${crop.width}" height="${crop.height}"><defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${primary}"/><stop offset="1" stop-color="${secondary}"/></linearGradient></defs><rect width="100%" height="100%" fill="url(#g)"/></svg>`;
+    // Avatars are shown as circles, so the logo keeps inside the inscribed circle
+    const logoSize = Math.round(Math.min(crop.width, crop.height) * (isAvatar ? 0.7 : 0.6));
+    const data = await sharp(Buffer.from(background))
+      .composite([{ input: await square(logoSize), gravity: 'centre' }])
+      .png()
+      .toBuffer();
+    files.push({ path: `social/${crop.file}`, data });
+  }
+
+  const palettes = paletteFiles(name, colors);
+  const svgSheet = palettes.find(f => f.path === 'palette/palette.svg').data;
+  files.push(...palettes, { path: 'palette/palette.png', data: await sharp(Buffer.from(svgSheet)).png().toBuffer() });
+  files.push(...designTokenFiles(name, palette));
+
+  const svgNote = source === svgPath
+    ? 'vector master, use it for print and large formats'
+    : traced ? 'traced in the palette colours, check fine details before print use' : null;
+  files.push({ path: 'README.txt', data: readme(name, colors, svgNote) });
+
+  const folder = `${brandSlug(name)}-brand-kit`;
+  return createZip(files.map(f => ({ path: `${folder}/${f.path}`, data: f.data })));
+}
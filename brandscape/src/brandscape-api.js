@@ -1,388 +1,188 @@
 // BrandScape API Wrapper - Exposes functions for web interface
-// This file wraps the brandscape.js functionality for API use
+// Thin wrappers around the core library in brandscape.js: each function takes
+// the request fields and returns a JSON-serialisable object ({ error } on failure).
 
-import { Ollama } from "ollama";
-import { Client } from "@gradio/client";
-import { CheerioWebBaseLoader } from "@langchain/community/document_loaders/web/cheerio";
-import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
-import similarity from 'compute-cosine-similarity';
 import fs from 'fs';
-import dns from 'dns/promises';
-
-// Import helper functions from brandscape.js
-// Note: We'll need to refactor brandscape.js to export these, or duplicate them here
-
-const defaultModel = process.env.BRAND_MODEL || 'llama3.2:3b';
-const ollamaBaseUrl = process.env.OLLAMA_URL || "http://localhost:11434";
-const _ollamaHeaders = {};
-if (process.env.OLLAMA_API_KEY) {
-  _ollamaHeaders['Authorization'] = 'Bearer ' + process.env.OLLAMA_API_KEY;
-}
-const ollama = new Ollama({ host: ollamaBaseUrl, headers: _ollamaHeaders });
-
-const llmSettings = { model: defaultModel };
-
-// Helper functions (simplified versions)
-function extractTextFromOllamaResult(result) {
-  if (typeof result === 'string') return result;
-  if (result?.response) return result.response;
-  if (result?.message?.content) return result.message.content;
-  if (Array.isArray(result)) return result.map(r => extractTextFromOllamaResult(r)).join('\n');
-  return JSON.stringify(result);
-}
-
-function extractFirstJson(text) {
-  const jsonMatch = text.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
-  if (jsonMatch) {
-    try {
-      return JSON.parse(jsonMatch[0]);
-    } catch (e) {
-      throw new Error('Failed to parse JSON: ' + e.message);
-    }
-  }
-  throw new Error('No JSON found in text');
-}
-
-// Domain availability check
-// Returns: { domain: true } if domain exists (taken), { domain: false } if available
-async function domainAvailabilityReport(name) {
-  // If name contains "&", use "and" variant instead of compact version
-  const hasAmpersand = (name || '').includes('&');
-  let basesToCheck = [];
-  
-  if (hasAmpersand) {
-    // Replace "&" with "and" and create domain base
-    const withAnd = (name || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
-    const partsWithAnd = withAnd.split(/\s+/).filter(Boolean);
-    const compactWithAnd = partsWithAnd.join('');
-    if (compactWithAnd) {
-      basesToCheck = [compactWithAnd]; // Only check "and" variant for names with "&"
-    } else {
-      // Fallback: create compact version if "and" variant fails
-      const raw = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
-      const parts = raw.split(/\s+/).filter(Boolean);
-      basesToCheck = [parts.join('')];
-    }
-  } else {
-    // No "&" in name, use compact version
-    const raw = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
-    if (!raw) return {};
-    const parts = raw.split(/\s+/).filter(Boolean);
-    basesToCheck = [parts.join('')];
-  }
-
-  const tlds = ['com', 'co.uk', 'uk'];
-  const results = {};
-  
-  for (const base of Array.from(basesToCheck)) {
-    for (const tld of tlds) {
-      const domain = `${base}.${tld}`;
-      try {
-        // Try to resolve the domain
-        // If it resolves, the domain exists (is taken)
-        await dns.resolve(domain);
-        results[domain] = true; // true = domain exists = taken
-      } catch (err) {
-        // If DNS resolution fails, check the error code
-        // ENOTFOUND or ENODATA means domain doesn't exist (available)
-        // Other errors might be network issues - treat as unknown/error
-        if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') {
-          results[domain] = false; // false = domain doesn't exist = available
-        } else {
-          // Network error or other issue - mark as null to indicate error
-          results[domain] = null;
-        }
-      }
-    }
-  }
-  return results;
-}
-
-// Import trademark functions from brandscape.js
-// Note: These functions need to be exported from brandscape.js for this to work
-// For now, we'll define simplified versions
-
-async function trademarkSearchUKExpanded(name, opts = {}) {
-  // Try to import from brandscape.js if it exports the function
-  // Otherwise use a simplified version
-  try {
-    // This would work if brandscape.js exports the function
-    // const { trademarkSearchUKExpanded: tmSearch } = await import('./brandscape.js');
-    // return await tmSearch(name, opts);
-    
-    // Simplified version for now
-    return { hits: [], warnings: [], summary: [] };
-  } catch (e) {
-    return { hits: [], warnings: [`Trademark search error: ${e.message}`], summary: [] };
-  }
-}
-
-async function generateTrademarkNotes(name, searchResults, businessContext = '') {
-  try {
-    // Import from brandscape.js if available
-    // const { generateTrademarkNotes: genNotes } = await import('./brandscape.js');
-    // return await genNotes(name, searchResults, businessContext);
-    
-    // Simplified version
-    if (!searchResults || !searchResults.hits || searchResults.hits.length === 0) {
-      return `The exact name "${name}" was not found as a registered trademark in the web search results.\n\nDISCLAIMER: This is not a legal clearance.`;
-    }
-    return `Trademark search completed for "${name}". DISCLAIMER: This is not a legal clearance.`;
-  } catch (e) {
-    return `Trademark search error: ${e.message}`;
+import path from 'path';
+import {
+  shortenBusinessDescription,
+  parseVisuals,
+  parseBrandValues,
+  buildNameQuery,
+  buildNameContext,
+  fetchNameSuggestions,
+  screenName,
+  suggestionCount,
+  generateColorRecommendations,
+  generateLogoPromptText,
+  enhanceLogoPromptForPalette,
+  generateLogoImage,
+  generateSvgLogo,
+  trademarkSearchUKExpanded,
+  generateTrademarkNotes,
+  domainRegistrationReport,
+  serpAPIImageSearch,
+  ModelOutputError,
+} from './brandscape.js';
+import { resolveImageOptions } from './image-backends.js';
+import { availabilityMap, checkDomainAlternatives } from './domains.js';
+import { GUIDELINE_FORMATS, buildGuidelines, guidelinesFilename, renderGuidelinesHtml, renderGuidelinesPdf, brandSlug } from './brand-guidelines.js';
+import { buildBrandKit } from './brand-kit.js';
+import { TOKEN_FORMATS, buildColorSystem, renderTokens, designTokenFiles } from './design-tokens.js';
+import { createZip } from './zip.js';
+import { colorNamePair } from './color-names.js';
+import { analyzePaletteDiversity } from './palette-diversity.js';
+import { CVD_TYPES, simulateImage } from './color-vision.js';
+
+const LOGOS_DIR = 'logos';
+
+// { error } response; model replies that failed validation are flagged so
+// clients can offer a retry instead of a generic failure
+function errorResult(error) {
+  if (error instanceof ModelOutputError) {
+    return { error: error.message, errorType: 'model_output', task: error.task };
   }
+  return { error: error.message };
 }
 
 // Generate names
-export async function generateNames(businessDescription, visuals = [], brandValues = []) {
+// `exclude` lists titles already shown (used by "Refresh Names").
+// `opts.onProgress` receives { stage, message } updates (see the /stream endpoints)
+// and `opts.signal` (an AbortSignal) stops the run between steps.
+// `opts.domains` ({ tlds, alternatives }) picks the TLDs checked and how many
+// alternative names are tried when the exact domain is taken; `opts.handles`
+// ({ platforms }) the social platforms whose handles are checked.
+export async function generateNames(businessDescription, visuals = [], brandValues = [], exclude = [], opts = {}) {
   try {
-    const shortBiz = businessDescription.split(/\s+/).slice(0, 5).join(' ');
-    
-    // Build query
-    let query = `Make a list of 5 innovative business names for: "${shortBiz}"`;
-    if (visuals.length > 0) {
-      query += ` Visuals: ${visuals.join(', ')}.`;
-    }
-    if (brandValues.length > 0) {
-      query += ` Brand values: ${brandValues.join(', ')}.`;
-    }
-
-    // System prompt
-    const systemPrompt = `You are a creative branding expert. Generate exactly 5 business name suggestions in JSON format:
-{
-  "suggestions": [
-    {
-      "title": "Name Here",
-      "description": "Brief description"
-    }
-  ]
-}
-
-CRITICAL RULES FOR NAMES:
-- NEVER add suffixes like "Co", "Co.", "Company", "Inc", "LLC", "Ltd", "Design", "Studio", "Group", "Solutions", or any business entity suffixes to the end of names.
-- The name should stand alone without any suffix (e.g., "Knit Warming" NOT "Knit Warming Co").
-- Use only letters, no punctuation or special characters.
-- Prefer 1-2 word names.
-- Avoid generic words and suffixes.`;
-
-    const answer = await ollama.generate({
-      ...llmSettings,
-      system: systemPrompt,
-      prompt: query,
-      temperature: 0.8,
-    });
-
-    const rawText = extractTextFromOllamaResult(answer);
-    const parsed = extractFirstJson(rawText);
-    let suggestions = parsed?.suggestions || parsed || [];
-
-    // Post-process to remove any suffixes that might have slipped through
-    const cleanSuffixes = (name) => {
-      if (!name) return name;
-      let cleaned = String(name).trim();
-      // Remove "Branding Co" or "Branding Co." first (before removing just "Co")
-      cleaned = cleaned.replace(/\s+Branding\s+Co\.?\s*$/i, '').trim();
-      // Remove common suffixes (with space before)
-      cleaned = cleaned.replace(/\s+(Co\.?|Company|Inc\.?|LLC|Ltd\.?|Design|Studio|Group|Solutions|Corp\.?|Corporation)\s*$/i, '').trim();
-      // Remove standalone "Co" or "Co." at the end (catch any remaining)
-      cleaned = cleaned.replace(/\s+Co\.?\s*$/i, '').trim();
-      return cleaned;
-    };
-    
-    suggestions = suggestions.map(s => {
-      if (s && s.title) {
-        s.title = cleanSuffixes(s.title);
-      } else if (typeof s === 'string') {
-        return cleanSuffixes(s);
-      }
-      return s;
-    });
-
-    // Add domain and trademark screening
-    const namesWithScreening = await Promise.all(suggestions.slice(0, 5).map(async (s) => {
-      const title = s.title || s.name || s; // Already cleaned above
-      const description = s.description || '';
-      
-      const domains = await domainAvailabilityReport(title);
-      const tmSearch = await trademarkSearchUKExpanded(title);
-      const tmNotes = await generateTrademarkNotes(title, tmSearch, businessDescription);
-
+    const { onProgress, signal } = opts;
+    const shortBiz = shortenBusinessDescription(businessDescription);
+    const visualsList = parseVisuals(visuals);
+    const brandValuesList = parseBrandValues(brandValues);
+
+    const query = buildNameQuery(shortBiz, visualsList, brandValuesList);
+    onProgress?.({ stage: 'context', message: 'Building naming context' });
+    const context = await buildNameContext(shortBiz, visualsList, query);
+    signal?.throwIfAborted();
+    const suggestions = await fetchNameSuggestions({ query, context, exclude, onProgress });
+
+    // Add domain, social handle and trademark screening
+    const namesWithScreening = await Promise.all(suggestions.slice(0, suggestionCount).map(async (s) => {
+      const title = s.title || s.name || '';
+      const { domains, domainDetails, domainAlternatives, handles, trademarkNotes } = await screenName(title, shortBiz, { onProgress, signal, domains: opts.domains, handles: opts.handles });
       return {
         title,
-        description,
+        description: s.description || '',
         domains,
-        trademarkNotes: tmNotes
+        domainDetails,
+        domainAlternatives,
+        handles,
+        trademarkNotes
       };
     }));
 
     return { names: namesWithScreening };
   } catch (error) {
-    return { error: error.message };
+    return errorResult(error);
   }
 }
 
 // Generate colors
 export async function generateColors(businessDescription, brandValues = [], selectedName = null) {
   try {
-    // Simplified color generation
-    // In production, you'd use the full generateColorRecommendations logic
-    
-    const systemPrompt = `You are a color psychology expert. Generate 5 color palette recommendations in JSON format:
-{
-  "palettes": [
-    {
-      "hex1": "#HEXCODE",
-      "hex2": "#HEXCODE",
-      "namePair": "Color Name & Color Name",
-      "explanation": "Full sentence explanation (15-30 words) of why these colors suit the brand",
-      "short": "Brief description"
+    const selected = {
+      title: selectedName?.title || selectedName?.name || '',
+      description: selectedName?.description || businessDescription || '',
+    };
+    const palettes = await generateColorRecommendations({ selected, brandValues: parseBrandValues(brandValues) });
+    if (palettes.length === 0) {
+      return { error: 'Colour generation failed. Please try again.' };
     }
-  ]
-}
-
-CRITICAL: Ensure DIVERSITY across the color spectrum. The five color pairs should cover different color families:
-- Include warm colors (reds, oranges, yellows) in at least one pair
-- Include cool colors (blues, greens, purples) in at least one pair  
-- Include neutral/earthy tones (browns, grays, beiges) if appropriate
-- Vary saturation levels (some vibrant, some muted)
-- Vary brightness levels (some light, some dark)
-- Each pair should be visually distinct from the others
-- Avoid repeating similar color combinations`;
-
-    const prompt = `Business: "${businessDescription}"
-${brandValues.length > 0 ? `Brand values: ${brandValues.join(', ')}` : ''}
-${selectedName ? `Selected name: ${selectedName.title || selectedName.name}` : ''}
-
-Generate 5 color palette recommendations with HEX codes and explanations. Ensure the five palettes are diverse and cover different color families across the spectrum.`;
-
-    const answer = await ollama.generate({
-      ...llmSettings,
-      system: systemPrompt,
-      prompt: prompt,
-      temperature: 0.8,
-    });
-
-    const rawText = extractTextFromOllamaResult(answer);
-    const parsed = extractFirstJson(rawText);
-    const palettes = parsed?.palettes || parsed || [];
-
-    return { palettes: palettes.slice(0, 5) };
+    // Name the colours from their HEX codes (as the logo prompt does), so the
+    // names on a palette card always match its swatches
+    const named = palettes.slice(0, 5).map(p => ({ ...p, ...colorNamePair(p.hex1, p.hex2) }));
+    return { palettes: named, diversity: analyzePaletteDiversity(named) };
   } catch (error) {
-    return { error: error.message };
+    return errorResult(error);
   }
 }
 
 // Generate logo prompt only (without generating image)
 export async function generateLogoPrompt(businessDescription, visuals = [], selectedName, selectedColors) {
   try {
-    const nameForLogo = selectedName?.title || selectedName?.name || '';
-    const descForLogo = selectedName?.description || businessDescription;
-    const hexA = selectedColors?.hex1 || selectedColors?.color1 || '#000000';
-    const hexB = selectedColors?.hex2 || selectedColors?.color2 || '#FFFFFF';
-
-    // Generate logo prompt
-    const logoSystem = `You are an expert logo prompt writer. Return ONLY a concise paragraph (2-4 sentences, maximum 80 words) describing ONLY the visual appearance of a minimal mark. The PRIMARY focus must be the visual elements provided by the user. If the user specifies visual elements (e.g., "knitting needle"), the logo MUST feature those elements as the main subject. Describe ONLY: the visual elements (as the central focus), shapes, lines, geometric forms, colors (use exact HEX codes), and style (flat vector, white background). Do NOT include: business name, wordmark, emotional language, what the logo "conveys" or "evokes", brand values, or any descriptive notes about meaning. Only describe what the logo looks like visually, with the user's visual elements as the primary subject.`;
-
-    const visualsText = visuals.length > 0 ? visuals.join(', ') : 'none specified';
-    const logoUser = `Business type: ${descForLogo}
-Visual elements: ${visualsText}
-Colors: ${hexA} (primary), ${hexB} (accent)
-
-CRITICAL: The logo MUST feature the visual elements listed above as the PRIMARY and CENTRAL subject. If visual elements are provided (e.g., "knitting needle"), describe a logo that prominently features those elements. Describe ONLY the visual appearance: the visual elements as the main subject, shapes, lines, forms, and how colors ${hexA} and ${hexB} are applied to these elements. Include the exact HEX codes. Do NOT describe what the logo means, conveys, or evokes. Only describe what it looks like, with the visual elements as the focus. Maximum 80 words.`;
-
-    const logoResp = await ollama.generate({
-      ...llmSettings,
-      system: logoSystem,
-      prompt: logoUser,
-      temperature: 0,
+    const prompt = await generateLogoPromptText({
+      description: selectedName?.description || businessDescription,
+      visuals: parseVisuals(visuals),
+      hex1: selectedColors?.hex1 || selectedColors?.color1,
+      hex2: selectedColors?.hex2 || selectedColors?.color2,
     });
-
-    const logoPrompt = extractTextFromOllamaResult(logoResp).trim();
-
-    return { prompt: logoPrompt };
+    return { prompt };
   } catch (error) {
-    return { error: error.message };
+    return errorResult(error);
   }
 }
 
 // Generate logo
-export async function generateLogo(businessDescription, visuals = [], selectedName, selectedColors) {
+// Uses selectedColors.customPrompt when provided, otherwise writes a new prompt.
+// `imageOptions` picks the image backend and its width/height/guidance/steps.
+// With imageOptions.mode 'svg' a vector mark is built locally instead (no prompt
+// is needed) and the response also carries svgUrl / svgFilename. Rendered
+// logos are traced to SVG in the selected colours (unless imageOptions.vectorize
+// is off), and then carry svgUrl / svgFilename with `vectorized: true`. With
+// imageOptions.transparent the response adds transparentUrl / transparentFilename
+// and transparentWebpUrl for the copy with the background removed. Rendered
+// logos also carry `fidelity`, how closely they keep to the selected colours
+// (unless imageOptions.fidelity is 'off').
+// `opts.onProgress` receives { stage, message } updates and `opts.signal`
+// (an AbortSignal) cancels the render.
+export async function generateLogo(businessDescription, visuals = [], selectedName, selectedColors, imageOptions = {}, opts = {}) {
   try {
-    const nameForLogo = selectedName?.title || selectedName?.name || '';
-    const descForLogo = selectedName?.description || businessDescription;
-    const hexA = selectedColors?.hex1 || selectedColors?.color1 || '#000000';
-    const hexB = selectedColors?.hex2 || selectedColors?.color2 || '#FFFFFF';
-
-    // Generate logo prompt
-    const logoSystem = `You are an expert logo prompt writer. Return ONLY a concise paragraph (2-4 sentences, maximum 80 words) describing ONLY the visual appearance of a minimal mark. The PRIMARY focus must be the visual elements provided by the user. If the user specifies visual elements (e.g., "knitting needle"), the logo MUST feature those elements as the main subject. Describe ONLY: the visual elements (as the central focus), shapes, lines, geometric forms, colors (use exact HEX codes), and style (flat vector, white background). Do NOT include: business name, wordmark, emotional language, what the logo "conveys" or "evokes", brand values, or any descriptive notes about meaning. Only describe what the logo looks like visually, with the user's visual elements as the primary subject.`;
-
-    let logoPrompt;
-    
-    // If customPrompt is provided, use it directly
-    if (selectedColors?.customPrompt) {
-      logoPrompt = selectedColors.customPrompt;
-    } else {
-      // Generate logo prompt
-      const visualsText = visuals.length > 0 ? visuals.join(', ') : 'none specified';
-      const logoUser = `Business type: ${descForLogo}
-Visual elements: ${visualsText}
-Colors: ${hexA} (primary), ${hexB} (accent)
-
-CRITICAL: The logo MUST feature the visual elements listed above as the PRIMARY and CENTRAL subject. If visual elements are provided (e.g., "knitting needle"), describe a logo that prominently features those elements. Describe ONLY the visual appearance: the visual elements as the main subject, shapes, lines, forms, and how colors ${hexA} and ${hexB} are applied to these elements. Include the exact HEX codes. Do NOT describe what the logo means, conveys, or evokes. Only describe what it looks like, with the visual elements as the focus. Maximum 80 words.`;
-
-      const logoResp = await ollama.generate({
-        ...llmSettings,
-        system: logoSystem,
-        prompt: logoUser,
-        temperature: 0,
-      });
-
-      logoPrompt = extractTextFromOllamaResult(logoResp).trim();
+    const { onProgress, signal } = opts;
+    if (resolveImageOptions(imageOptions).mode === 'svg') {
+      fs.mkdirSync(LOGOS_DIR, { recursive: true });
+      const logo = await generateSvgLogo({
+        name: selectedName?.title || selectedName?.name || '',
+        palette: selectedColors,
+        visuals: parseVisuals(visuals),
+      }, { ...imageOptions, outDir: LOGOS_DIR, onProgress, signal });
+      return {
+        logoUrl: `/api/logo/${logo.filename}`,
+        filename: logo.filename,
+        prompt: logo.description,
+        backend: logo.backend,
+        svgUrl: `/api/logo/${logo.svgFilename}`,
+        svgFilename: logo.svgFilename,
+        style: logo.style
+      };
     }
 
-    // Generate image using Gradio client
-    const client = await Client.connect("black-forest-labs/FLUX.1-dev");
-    const result = await client.predict("/infer", {
-      prompt: logoPrompt,
-      seed: 0,
-      randomize_seed: true,
-      width: 1024,
-      height: 1024,
-      guidance_scale: 3.5,
-      num_inference_steps: 28,
-    });
-
-    // Extract image URL
-    const fileInfo = result.data[0];
-    const imageUrl = fileInfo.url;
-
-    // Download and save image
-    const imageResp = await fetch(imageUrl);
-    const imageBuffer = Buffer.from(await imageResp.arrayBuffer());
-    
-    // Convert to PNG if sharp is available
-    let filename = `logo-${Date.now()}.png`;
-    let imagePath = `logos/${filename}`;
-    
-    try {
-      const sharpModule = await import('sharp');
-      const sharp = sharpModule.default;
-      const pngBuffer = await sharp(imageBuffer).png().toBuffer();
-      fs.writeFileSync(imagePath, pngBuffer);
-    } catch (sharpErr) {
-      // Fallback to WebP
-      filename = `logo-${Date.now()}.webp`;
-      imagePath = `logos/${filename}`;
-      fs.writeFileSync(imagePath, imageBuffer);
+    let logoPrompt = selectedColors?.customPrompt;
+    if (!logoPrompt) {
+      onProgress?.({ stage: 'prompt', message: 'Writing the logo prompt' });
+      const generated = await generateLogoPrompt(businessDescription, visuals, selectedName, selectedColors);
+      if (generated.error) return generated;
+      logoPrompt = generated.prompt;
     }
 
+    fs.mkdirSync(LOGOS_DIR, { recursive: true });
+    const fluxPrompt = enhanceLogoPromptForPalette(logoPrompt, selectedColors);
+    signal?.throwIfAborted();
+    const { filename, backend, svgFilename, transparentFilename, transparentWebpFilename, fidelity } = await generateLogoImage(fluxPrompt, { ...imageOptions, palette: selectedColors, outDir: LOGOS_DIR, onProgress, signal });
+
     return {
       logoUrl: `/api/logo/${filename}`,
       filename: filename,
-      prompt: logoPrompt
+      prompt: logoPrompt,
+      backend,
+      ...(fidelity && { fidelity }),
+      ...(svgFilename && { svgUrl: `/api/logo/${svgFilename}`, svgFilename, vectorized: true }),
+      ...(transparentFilename && {
+        transparentUrl: `/api/logo/${transparentFilename}`,
+        transparentFilename,
+        transparentWebpUrl: `/api/logo/${transparentWebpFilename}`
+      })
     };
   } catch (error) {
-    return { error: error.message };
+    return errorResult(error);
   }
 }
 
@@ -393,43 +193,37 @@ export async function checkTrademark(name, businessContext = '') {
     const notes = await generateTrademarkNotes(name, searchResults, businessContext);
     return { notes, searchResults };
   } catch (error) {
-    return { error: error.message };
+    return errorResult(error);
   }
 }
 
 // Check domain
-export async function checkDomain(name) {
+// `domainOptions` ({ tlds, alternatives }) as for generateNames
+export async function checkDomain(name, domainOptions = {}) {
   try {
-    const domains = await domainAvailabilityReport(name);
-    return { domains };
+    const domainDetails = await domainRegistrationReport(name, { tlds: domainOptions.tlds });
+    const domainAlternatives = await checkDomainAlternatives(name, domainDetails, { max: domainOptions.alternatives });
+    return { domains: availabilityMap(domainDetails), domainDetails, domainAlternatives };
   } catch (error) {
-    return { error: error.message };
+    return errorResult(error);
   }
 }
 
-// SerpAPI reverse image search for logo screening
-async function serpAPIImageSearch(imageUrl, opts = {}) {
-  const key = process.env.SERPAPI_KEY;
-  if (!key) return { error: 'SERPAPI_KEY not set' };
-  
-  const params = new URLSearchParams({
-    engine: 'google_lens',
-    url: imageUrl,
-    api_key: key,
-  });
-  
-  if (opts.ukOnly !== false) {
-    params.append('gl', 'uk');
-    params.append('hl', 'en');
-  }
-  
+// A generated logo as seen with a colour vision deficiency (see color-vision.js).
+// `type` is one of CVD_TYPES. Returns { png (Buffer, at most 512 px), filename }.
+export async function simulateLogoVision(filename, type) {
   try {
-    const res = await fetch(`https://serpapi.com/search.json?${params.toString()}`);
-    if (!res.ok) return { error: `SerpAPI status ${res.status}` };
-    const body = await res.json();
-    return { source: 'serpapi_images', body };
-  } catch (e) {
-    return { error: e.message };
+    if (!CVD_TYPES.includes(type)) {
+      return { error: `Unknown colour vision type "${type}" (expected one of ${CVD_TYPES.join(', ')})` };
+    }
+    const logoPath = filename ? path.join(LOGOS_DIR, path.basename(filename)) : null;
+    if (!logoPath || !fs.existsSync(logoPath)) {
+      return { error: 'Logo not found' };
+    }
+    const png = await simulateImage(logoPath, type, { maxSize: 512 });
+    return { png, filename: `${path.basename(logoPath, path.extname(logoPath))}-${type}.png` };
+  } catch (error) {
+    return errorResult(error);
   }
 }
 
@@ -536,7 +330,83 @@ export async function checkLogoTrademark(imageUrl, opts = {}) {
 
     return out;
   } catch (error) {
-    return { error: error.message };
+    return errorResult(error);
   }
 }
 
+// Brand guidelines document (see brand-guidelines.js)
+// `logo` is a /api/generate-logo response ({ filename, svgFilename, prompt, ... });
+// its files are read from the logos directory (a traced SVG is left out, the
+// document shows the logo as rendered). `format` is 'html' or 'pdf'.
+// Returns { html, filename } or { pdf (Buffer), filename }.
+export async function generateGuidelines({ businessDescription, visuals = [], brandValues = [], selectedName, selectedColors, logo, logoTrademarkNotes } = {}, format = 'html') {
+  try {
+    if (!GUIDELINE_FORMATS.includes(format)) {
+      return { error: `Unknown format "${format}" (expected one of ${GUIDELINE_FORMATS.join(', ')})` };
+    }
+    if (!selectedName || !selectedColors) {
+      return { error: 'A selected name and colours are required' };
+    }
+    const logoFile = (name) => (name ? path.join(LOGOS_DIR, path.basename(name)) : null);
+    const guidelines = buildGuidelines({
+      businessDescription,
+      visuals: parseVisuals(visuals),
+      brandValues: parseBrandValues(brandValues),
+      selectedName,
+      selectedColors,
+      logo: logo && { ...logo, path: logoFile(logo.filename), svgPath: logo.vectorized ? null : logoFile(logo.svgFilename) },
+      logoTrademarkNotes,
+    });
+    const filename = guidelinesFilename(guidelines, format);
+    if (format === 'pdf') {
+      return { pdf: await renderGuidelinesPdf(guidelines), filename };
+    }
+    return { html: renderGuidelinesHtml(guidelines), filename };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+// Brand kit zip (see brand-kit.js) for the selected name, colours and a
+// /api/generate-logo response; the transparent copy of a rendered logo is
+// preferred over the opaque PNG. Returns { zip (Buffer), filename }.
+export async function generateBrandKit({ selectedName, selectedColors, logo } = {}) {
+  try {
+    if (!logo?.filename && !logo?.svgFilename) {
+      return { error: 'A generated logo is required' };
+    }
+    const name = selectedName?.title || selectedName?.name || 'Brand';
+    const logoFile = (file) => (file ? path.join(LOGOS_DIR, path.basename(file)) : null);
+    const zip = await buildBrandKit({
+      name,
+      palette: selectedColors || {},
+      logoPath: logoFile(logo.transparentFilename || logo.filename),
+      [logo.vectorized ? 'tracedSvgPath' : 'svgPath']: logoFile(logo.svgFilename),
+    });
+    return { zip, filename: `${brandSlug(name)}-brand-kit.zip` };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+// Design tokens (see design-tokens.js) for the selected colours, in one of
+// TOKEN_FORMATS or 'zip' for all of them. Returns { data, filename, contentType }.
+export function generateDesignTokens({ selectedName, selectedColors } = {}, format = 'zip') {
+  try {
+    if (format !== 'zip' && !TOKEN_FORMATS.includes(format)) {
+      return { error: `Unknown format "${format}" (expected zip or one of ${TOKEN_FORMATS.join(', ')})` };
+    }
+    const system = buildColorSystem(selectedColors || {});
+    if (!system) {
+      return { error: 'Selected colours with two valid HEX codes are required' };
+    }
+    const name = selectedName?.title || selectedName?.name || 'Brand';
+    if (format === 'zip') {
+      const folder = `${brandSlug(name)}-design-tokens`;
+      return { data: createZip(designTokenFiles(name, selectedColors, folder)), filename: `${folder}.zip`, contentType: 'application/zip' };
+    }
+    return renderTokens(system, format, name);
+  } catch (error) {
+    return errorResult(error);
+  }
+}
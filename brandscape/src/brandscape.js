@@ -1,132 +1,170 @@
-// *** Using Ollama to Query a Web site using URL
+// BrandScape core library
+// Naming, screening (domains + trademarks), colour retrieval and logo generation.
+// The functions below take explicit inputs so the CLI (bottom of this file) and
+// the web API (brandscape-api.js) share one implementation.
+//
+// Run the interactive CLI with: bun src/brandscape.js
+// Run unattended with:          bun src/brandscape.js --brief brief.json --out ./out
 
-import { Ollama } from "ollama";
-import { Client } from "@gradio/client";
 // Used to download a web site.
 import { CheerioWebBaseLoader } from "@langchain/community/document_loaders/web/cheerio";
 
 // https://js.langchain.com/v0.2/docs/how_to/recursive_text_splitter/
 import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
-// measure embeddings similarity
-import similarity from 'compute-cosine-similarity';
-import mlDistance from 'ml-distance';
 
-
-
-
-// Interactive prompt — paste right after imports, before creating the loader
 import readline from 'readline/promises';
 import { stdin as input, stdout as output } from 'process';
 import fs from 'fs';
-import dns from 'dns/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { getTaskLLM, extractTextFromOllamaResult } from './llm-providers.js';
+import { resolveImageOptions, getImageBackend } from './image-backends.js';
+import { buildSvgLogo, hashString } from './svg-logo.js';
+import { vectorizeImage } from './vectorize.js';
+import { removeBackground } from './background.js';
+import { analyzePaletteContrast } from './contrast.js';
+import { simulatePalette } from './color-vision.js';
+import { designTokenFiles } from './design-tokens.js';
+import { nearestColorName } from './color-names.js';
+import { analyzePaletteDiversity, colorFamily } from './palette-diversity.js';
+import { paletteFidelity, recolorToPalette } from './palette-fidelity.js';
+import { retrieveColorContext } from './color-corpus.js';
+import { rankChunks } from './vector-store.js';
+import { checkDomains, checkDomainAlternatives, domainCandidates, availabilityMap } from './domains.js';
+import { checkHandles } from './handles.js';
+import {
+  NameSuggestionsSchema,
+  PalettesSchema,
+  LogoPromptSchema,
+  ModelOutputError,
+  toFormat,
+  parseStructured,
+  extractFirstJson,
+} from './schemas.js';
+
+export { defaultModel, configureLLM, extractTextFromOllamaResult } from './llm-providers.js';
+export { ModelOutputError, extractFirstJson } from './schemas.js';
 
-console.log("Welcome to BrandScape!\nI'll ask you a few questions to help craft your business name, colour scheme, and logo.\n...\nWhat's your business all about?");
+// Number of suggestions to request from the model (keeps prompts and parsing consistent)
+export const suggestionCount = 5;
 
-// Default model to use for creative name suggestions (can be overridden via env)
-const defaultModel = process.env.BRAND_MODEL || 'llama3.2:3b';
+// Number of colour palettes suggested for the chosen name
+export const paletteCount = 5;
 
-const rl = readline.createInterface({ input, output });
-let rawInput = (await rl.question('> ')).trim();
-rl.close();
+// Simple in-memory cache for trademark searches (shared by every caller of this module).
+const trademarkCache = new Map();
+
+// Context window for text generation (Ollama num_ctx)
+const numCtx = 5000;
 
-if (!rawInput) {
-  console.log('No input received; exiting.');
-  process.exit(0);
+// Run a text task ('naming', 'colors', 'logoPrompt') on its configured provider
+async function generateText(task, { system, prompt, temperature, format }) {
+  const { provider, model } = getTaskLLM(task);
+  return provider.generate({ model, system, prompt, temperature, numCtx, format });
 }
 
-// Limit to up to 5 words
-let words = rawInput.split(/\s+/).map(w => w.trim()).filter(Boolean);
-if (words.length > 5) {
-  console.log('Input contains more than 5 words; truncating to the first 5.');
-  words = words.slice(0, 5);
+// Run a text task constrained to a zod schema (see schemas.js). A reply that
+// still does not fit is retried with the validation error appended to the
+// prompt; after `attempts` tries the last ModelOutputError is thrown.
+async function generateStructured(task, { system, prompt, temperature, schema, repair, attempts = 2 }) {
+  const format = toFormat(schema);
+  let lastError = null;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const retryNote = lastError
+      ? `\n\nYour previous reply was rejected: ${lastError.message.slice(0, 300)}\nReply again with JSON in the requested shape only.`
+      : '';
+    const raw = await generateText(task, { system, prompt: prompt + retryNote, temperature, format });
+    try {
+      return parseStructured(task, raw, schema, repair);
+    } catch (err) {
+      if (!(err instanceof ModelOutputError)) throw err;
+      lastError = err;
+      console.warn(`Model output for ${task} did not validate (attempt ${attempt} of ${attempts}).`);
+    }
+  }
+  throw lastError;
 }
-const shortBiz = words.join(' ');
-const lower = shortBiz.toLowerCase();
 
-// Do not run food/fashion URL mapping. We'll build a contextual query and defer retrieval.
-let url = null;
-// Number of suggestions to request from the model (keeps prompts and parsing consistent)
-const suggestionCount = 5;
-// Simple in-memory cache for trademark searches. Declare early so helpers can use it
-// even if the helper functions are executed before the later section of the file
-// is parsed (avoids TDZ errors when using `const`).
-const trademarkCache = new Map();
-let query = `Make a list of ${suggestionCount} innovative business ideas for: "${shortBiz}"`;
-console.log('Selected input:', shortBiz);
-
-// Ask the model to return the follow-up question exactly once
-const followUpQuestion = 'What are the visual elements that best represent your business?';
-const followSystem = `You are a concise assistant. Return EXACTLY the following single question line and nothing else: ${followUpQuestion}`;
-// We intentionally use a deterministic follow-up question here (avoid calling the
-// model before the client/llm settings are initialized). If you want the model
-// to craft the follow-up, move that call to after the Ollama client is created.
-const followText = followUpQuestion;
-console.log('\n' + followText);
-
-// Prompt user to answer with up to two visuals (comma-separated)
-const rlVisual = readline.createInterface({ input, output });
-let visualsRaw = (await rlVisual.question('> ')).trim();
-rlVisual.close();
-let visuals = (visualsRaw || '').split(',').map(s => s.trim()).filter(Boolean).slice(0, 2);
-if (visuals.length === 0) {
-  console.log('No visuals provided; proceeding without explicit visuals.');
-} else if (visuals.length === 1) {
-  console.log('Recorded 1 visual:', visuals[0]);
-} else {
-  console.log('Recorded visuals:', visuals.join(', '));
+// Progress reporting: long-running functions take opts.onProgress and call it
+// with { stage, message, ...details } as they go. Listener errors are ignored.
+function reportProgress(opts, stage, message, details = {}) {
+  if (typeof opts?.onProgress !== 'function') return;
+  try {
+    opts.onProgress({ stage, message, ...details });
+  } catch (e) {
+    // a broken listener must not break the pipeline
+  }
 }
 
-// Placeholder for any early name suggestions produced at the "All set" step
-let earlySuggestedNames = null;
+// Split the text into 500 character chunks. And overlap each chunk by 20 characters
+const textSplitter = new RecursiveCharacterTextSplitter({
+  // Try different sizes of chunk that better suit your model
+  chunkSize: 500,
+  chunkOverlap: 20,
+});
 
-// Ensure Ollama client exists so we can ask the model to return a single-line confirmation.
-const ollamaBaseUrl = process.env.OLLAMA_URL || "http://localhost:11434";
-// Only include Authorization header when an API key is provided to avoid
-// sending an empty Authorization header (which can cause 401 responses).
-const _ollamaHeaders = {};
-if (process.env.OLLAMA_API_KEY) {
-  _ollamaHeaders['Authorization'] = 'Bearer ' + process.env.OLLAMA_API_KEY;
+// --- Input normalisation ---
+
+// Limit the business description to up to 5 words
+export function shortenBusinessDescription(rawInput) {
+  const words = String(rawInput || '').split(/\s+/).map(w => w.trim()).filter(Boolean);
+  return words.slice(0, 5).join(' ');
 }
-const ollama = new Ollama({ host: ollamaBaseUrl, headers: _ollamaHeaders });
-
-// Prompt for brand values (up to 2 free-text choices)
-console.log('\nWhat are your brand values?');
-const rlBrandFirst = readline.createInterface({ input, output });
-let brandChoicesRaw = (await rlBrandFirst.question('> ')).trim();
-rlBrandFirst.close();
-let brandValues = [];
-if (!brandChoicesRaw) {
-  console.log('No brand values selected; proceeding without explicit brand values.');
-} else {
-  // Allow comma-separated values or use 'and' to separate; take up to two entries
-  brandValues = brandChoicesRaw.split(/,|\band\b|\//i).map(s => s.trim()).filter(Boolean).slice(0,2);
-  if (brandValues.length === 0) {
+
+// Up to two visuals (comma-separated)
+export function parseVisuals(raw) {
+  if (Array.isArray(raw)) return raw.map(s => String(s).trim()).filter(Boolean).slice(0, 2);
+  return String(raw || '').split(',').map(s => s.trim()).filter(Boolean).slice(0, 2);
+}
+
+// Up to two brand values, separated by commas, "and" or "/"
+export function parseBrandValues(raw) {
+  if (Array.isArray(raw)) return raw.map(s => String(s).trim()).filter(Boolean).slice(0, 2);
+  const text = String(raw || '').trim();
+  if (!text) return [];
+  let values = text.split(/,|\band\b|\//i).map(s => s.trim()).filter(Boolean).slice(0, 2);
+  if (values.length === 0) {
     // Fallback: take up to two words
-    const fallback = brandChoicesRaw.split(/\s+/).filter(Boolean).slice(0,2).join(' ');
-    if (fallback) brandValues = [fallback];
-  }
-  if (brandValues.length > 0) {
-    console.log('\nSelected brand values:', brandValues.join(', '));
-    console.log('All set! I will generate 5 name recommendations now.');
+    const fallback = text.split(/\s+/).filter(Boolean).slice(0, 2).join(' ');
+    if (fallback) values = [fallback];
   }
+  return values;
 }
 
-// Update the query to include visuals and brand values when present
-if (visuals.length > 0 || brandValues.length > 0) {
+// Build the naming query, including visuals and brand values when present
+export function buildNameQuery(shortBiz, visuals = [], brandValues = []) {
+  if (visuals.length === 0 && brandValues.length === 0) {
+    return `Make a list of ${suggestionCount} innovative business ideas for: "${shortBiz}"`;
+  }
   const visualsPart = visuals.length ? ` Visuals: ${visuals.join(', ')}.` : '';
   const brandPart = brandValues.length ? ` Brand values: ${brandValues.join(', ')}.` : '';
-  // Use the unified suggestionCount so prompt and parsing expectations match
-  query = `Make a list of ${suggestionCount} innovative business names for: "${shortBiz}".${visualsPart}${brandPart}`;
+  return `Make a list of ${suggestionCount} innovative business names for: "${shortBiz}".${visualsPart}${brandPart}`;
 }
 
+// Remove business entity suffixes ("Co", "Ltd", "Studio", ...) from a name
+export function cleanSuffixes(name) {
+  if (!name) return name;
+  let cleaned = String(name).trim();
+  // Remove "Branding Co" or "Branding Co." first (before removing just "Co")
+  cleaned = cleaned.replace(/\s+Branding\s+Co\.?\s*$/i, '').trim();
+  // Remove common suffixes (with space before)
+  cleaned = cleaned.replace(/\s+(Co\.?|Company|Inc\.?|LLC|Ltd\.?|Design|Studio|Group|Solutions|Corp\.?|Corporation)\s*$/i, '').trim();
+  // Remove standalone "Co" or "Co." at the end (catch any remaining)
+  cleaned = cleaned.replace(/\s+Co\.?\s*$/i, '').trim();
+  return cleaned;
+}
 
+// Normalize HEX strings: ensure leading '#' and uppercase; validate as #RRGGBB.
+export function normalizeHex(h) {
+  if (!h) return null;
+  let s = String(h).trim();
+  if (!s.startsWith('#')) s = '#' + s;
+  s = s.toUpperCase();
+  if (/^#[0-9A-F]{6}$/.test(s)) return s;
+  return null;
+}
 
-
-
-
-
-
-
+// --- Name suggestions ---
 
 const systemTemplate = (context) => `
 You are a concise assistant that uses the retrieved context to answer the user's request.
@@ -151,114 +189,33 @@ IMPORTANT: The JSON "suggestions" array MUST contain exactly ${suggestionCount}
 
 ${context}`;
 
-let data;
-if (url) {
-  const loader = new CheerioWebBaseLoader(url);
-  data = await loader.load();
-} else {
-  // No URL provided (we're not auto-retrieving). Create a minimal fallback document
-  // using the short business description and any visuals the user provided.
-  const visualsText = (typeof visuals !== 'undefined' && visuals.length) ? (' ' + visuals.join(' ')) : '';
-  data = [{ pageContent: `${shortBiz}${visualsText}` }];
-}
-
-// Model used for embedding
-const modelEmbedding = {
-  model: 'mxbai-embed-large',
-  // model: "snowflake-arctic-embed",
-  // model: "snowflake-arctic-embed:110m",
-  // model: "snowflake-arctic-embed:22m",
-  // model: "nomic-embed-text",
-}
+// Embed the brief and rank its chunks against the naming query; returns the
+// top 5 chunks joined as a context string for the naming prompt.
+export async function buildNameContext(shortBiz, visuals = [], query = buildNameQuery(shortBiz, visuals)) {
+  // No URL retrieval here: create a minimal document from the short business
+  // description and any visuals the user provided.
+  const visualsText = visuals.length ? (' ' + visuals.join(' ')) : '';
+  const data = [{ pageContent: `${shortBiz}${visualsText}` }];
 
-// Ollama model settings
-const llmSettings = {
-  model: 'llama3.2:3b',
-  // model: 'qwen2.5:1.5b',
-  // model: 'granite3-moe',
-  // model: "llama3.2:1b",
-  // model: "llama3.2:3b",
-  // model: "qwen2:latest",
-  numCtx: 5000,
-};
-
-// Split the text into 500 character chunks. And overlap each chunk by 20 characters
-const textSplitter = new RecursiveCharacterTextSplitter({
-  // Try different sizes of chunk that better suit your model
-  chunkSize: 500,
-  chunkOverlap: 20,
-});
+  let splitDocs;
+  try {
+    splitDocs = await textSplitter.splitDocuments(data);
+  } catch (e) {
+    // Fallback: create a single document from the provided data (handles minimal local input)
+    console.warn('Text splitter failed, using fallback single-document mode:', e.message);
+    splitDocs = data.map(d => ({ pageContent: d.pageContent || String(d) }));
+  }
 
-let splitDocs;
-try {
-  splitDocs = await textSplitter.splitDocuments(data);
-} catch (e) {
-  // Fallback: create a single document from the provided data (handles minimal local input)
-  console.warn('Text splitter failed, using fallback single-document mode:', e.message);
-  splitDocs = (Array.isArray(data) ? data : [data]).map(d => ({ pageContent: d.pageContent || String(d) }));
+  // Use the 5 most similar texts for the context (embeddings cached in the vector store)
+  const ranked = await rankChunks(query, splitDocs.map(doc => ({ text: doc.pageContent })), { collection: 'naming', k: 5 });
+  return ranked
+    .map((doc, index) => `Doc${index}: ${doc.text}`)
+    .join(' ');
 }
 
-console.log('Show 3 docs of ' + splitDocs.length);
-// console.log(JSON.stringify(docs, null, 2));
-console.log(splitDocs.slice(0, 3));
-
-console.time('embedding')
-const promptEmbedding =  await ollama.embed({
-  ...modelEmbedding,
-  input: query,
-})
-
-// Send all the texts for embeddings at once
-const embeddings = await ollama.embed({
-  ...modelEmbedding,
-  input: splitDocs.map(doc => doc.pageContent)
-})
-
-splitDocs.forEach((doc, index) => {
-  doc.embedding = embeddings.embeddings[index]
-  // similarity with similarity
-  // doc.similarity = similarity(promptEmbedding.embeddings[0], doc.embedding)
-  // similarity with ml-distance cosine
-  doc.similarity = mlDistance.similarity.cosine(promptEmbedding.embeddings[0], doc.embedding)
-})
-
-console.timeEnd('embedding')
-
-// Sort by similarity
-splitDocs = splitDocs.sort((a, b) => {
-  if (a.similarity < b.similarity) {
-    return 1;
-  }
-  if (a.similarity > b.similarity) {
-    return -1;
-  }
-  // a must be equal to b
-  return 0;
-})
-
-// Use the 5 most similar texts for the context
-const context = splitDocs.slice(0, 5)
-  .map((doc, index) => `Doc${index}: ${doc.pageContent}`)
-  .join(' ')
-
-// console.log(context)
-
-// Using generate via helper (see fetchNameSuggestions below)
-
-// Helper: robustly extract the first JSON object from a text blob
-function extractFirstJson(text) {
-  if (!text) throw new Error('Empty text');
-  try { return JSON.parse(text); } catch (e) { /* fallthrough */ }
-  const first = text.indexOf('{');
-  const last = text.lastIndexOf('}');
-  if (first === -1 || last === -1 || last <= first) {
-    throw new Error('No JSON object found in response');
-  }
-  const candidate = text.slice(first, last + 1);
-  return JSON.parse(candidate);
-}
+// --- Model output parsing helpers ---
 
-function salvageSuggestionsFromText(text) {
+export function salvageSuggestionsFromText(text) {
   if (!text) return [];
   const titleRe = /"(\d+\.\s[^"}]+)"\s*,?/g;
   const descRe = /"description"\s*:\s*"([^"]+)"/g;
@@ -281,7 +238,7 @@ function salvageSuggestionsFromText(text) {
   return out;
 }
 
-function salvageNamesFromText(text) {
+export function salvageNamesFromText(text) {
   if (!text) return [];
   const re = /"name"\s*:\s*"([^"]+)"/g;
   const out = [];
@@ -302,607 +259,421 @@ function salvageNamesFromText(text) {
   return out;
 }
 
-function extractTextFromOllamaResult(result) {
-  if (!result) return '';
-  if (typeof result === 'string') return result;
-  if (result.output && Array.isArray(result.output) && result.output[0]?.content) return result.output[0].content;
-  if (result.choices && result.choices[0]?.message?.content) return result.choices[0].message.content;
-  if (typeof result.response === 'string') return result.response;
-  if (result.response && typeof result.response === 'object') {
-    if (typeof result.response.response === 'string') return result.response.response;
-    if (typeof result.response.text === 'string') return result.response.text;
-    if (typeof result.response.content === 'string') return result.response.content;
+// Save raw model output for debugging (or print it when OLLAMA_DEBUG=1)
+function dumpRawModelOutput(rawAnswerText, prefix = 'ollama-raw') {
+  if (process.env.OLLAMA_DEBUG === '1') {
+    console.error('Raw model output (first 400 chars):\n', rawAnswerText.slice(0, 400));
+    return;
   }
   try {
-    const queue = [result];
-    while (queue.length) {
-      const cur = queue.shift();
-      if (!cur || typeof cur !== 'object') continue;
-      for (const k of Object.keys(cur)) {
-        const v = cur[k];
-        if (typeof v === 'string' && v.length > 0) {
-          if (v.length < 2000) return v;
-        } else if (typeof v === 'object' && v !== null && !Array.isArray(v)) {
-          queue.push(v);
-        }
-      }
-    }
-  } catch (e) {}
-  const sanitized = {};
-  if (result.model) sanitized.model = result.model;
-  if (result.created_at) sanitized.created_at = result.created_at;
-  if (typeof result.response === 'string') sanitized.response = result.response;
-  if (result.done !== undefined) sanitized.done = result.done;
-  if (result.done_reason) sanitized.done_reason = result.done_reason;
-  return JSON.stringify(sanitized);
+    const dumpPath = `${prefix}-${Date.now()}.txt`;
+    fs.writeFileSync(dumpPath, rawAnswerText, 'utf8');
+    console.error(`Raw model output saved to ./${dumpPath}. Set OLLAMA_DEBUG=1 to print it to the console.`);
+  } catch (writeErr) {
+    console.error('Additionally, failed to save raw model output to disk:', writeErr.message);
+  }
 }
 
-async function fetchNameSuggestions(excludeNames = []) {
-  const excludeList = Array.isArray(excludeNames) ? excludeNames.filter(Boolean) : [];
-  const recentExclude = excludeList.slice(-25);
-  const promptText = recentExclude.length ? `${query} Avoid repeating these exact names: ${recentExclude.join(', ')}.` : query;
-  const answer = await ollama.generate({
-    ...llmSettings,
-    system: systemTemplate(context),
-    prompt: promptText,
-    temperature: 0,
-  });
-const rawAnswerText = extractTextFromOllamaResult(answer);
-
-let parsed;
-try {
-  parsed = extractFirstJson(rawAnswerText);
-} catch (err) {
-  console.error('Failed to parse JSON from model output:', err.message);
-  if (process.env.OLLAMA_DEBUG === '1') {
-    console.error('Raw model output (first 400 chars):\n', rawAnswerText.slice(0, 400));
-  } else {
+// Reshape common near-misses into { suggestions: [{ title, description }] }:
+// a bare array, a JSON string nested in `response`, plain strings, `name`
+// instead of `title`, or plain text we can salvage titles from.
+export function repairNameSuggestions(value) {
+  if (typeof value === 'string') return { suggestions: salvageSuggestionsFromText(value) };
+  if (Array.isArray(value)) value = { suggestions: value };
+  if (!Array.isArray(value?.suggestions) && typeof value?.response === 'string') {
     try {
-      const dumpPath = `ollama-raw-${Date.now()}.txt`;
-      fs.writeFileSync(dumpPath, rawAnswerText, 'utf8');
-      console.error(`Raw model output saved to ./${dumpPath}. Set OLLAMA_DEBUG=1 to print it to the console.`);
-    } catch (writeErr) {
-      console.error('Additionally, failed to save raw model output to disk:', writeErr.message);
+      value = repairNameSuggestions(extractFirstJson(value.response));
+    } catch (e) {
+      value = { suggestions: salvageSuggestionsFromText(value.response) };
     }
   }
-  process.exit(1);
+  if (!Array.isArray(value?.suggestions)) return value;
+  return {
+    suggestions: value.suggestions.map(s => {
+      if (typeof s === 'string') return { title: s, description: '' };
+      if (!s || typeof s !== 'object') return s;
+      return { title: s.title ?? s.name, description: s.description ?? s.reason ?? '' };
+    }),
+  };
 }
 
-let suggestions = parsed?.suggestions;
-if (!Array.isArray(suggestions) && typeof parsed?.response === 'string') {
+// Ask the model for `suggestionCount` name suggestions ({ title, description }).
+// `query` and `context` come from buildNameQuery / buildNameContext.
+// Throws ModelOutputError when the reply cannot be validated or repaired.
+// `onProgress` receives { stage: 'names', message } updates.
+export async function fetchNameSuggestions({ query, context = '', exclude = [], onProgress }) {
+  reportProgress({ onProgress }, 'names', 'Asking the model for names');
+  const excludeList = Array.isArray(exclude) ? exclude.filter(Boolean) : [];
+  const recentExclude = excludeList.slice(-25);
+  const promptText = recentExclude.length ? `${query} Avoid repeating these exact names: ${recentExclude.join(', ')}.` : query;
+  let suggestions;
   try {
-    const inner = extractFirstJson(parsed.response);
-    if (inner && Array.isArray(inner.suggestions)) {
-      suggestions = inner.suggestions;
-      console.warn('Parsed suggestions from nested response string.');
-    }
-  } catch (e) {
-    const salvage = salvageSuggestionsFromText(parsed.response);
-    if (salvage.length > 0) {
-      suggestions = salvage;
-      console.warn(`Salvaged ${salvage.length} suggestion(s) from nested response text.`);
-    }
-  }
-}
-if (!Array.isArray(suggestions)) {
-  if (Array.isArray(parsed)) {
-    suggestions = parsed;
-    console.warn('Model returned an array directly — using that as suggestions.');
-  } else {
-    console.error('Parsed result does not contain "suggestions" array. Parsed value:\n', parsed);
-    if (process.env.OLLAMA_DEBUG === '1') {
-      console.error('Raw model output (first 400 chars):\n', rawAnswerText.slice(0, 400));
-    } else {
-      const salvage = salvageSuggestionsFromText(parsed?.response || rawAnswerText);
-      if (salvage.length > 0) {
-        suggestions = salvage;
-        console.warn(`Salvaged ${salvage.length} suggestion(s) from raw model text.`);
-      } else {
-        try {
-          const dumpPath = `ollama-raw-${Date.now()}.txt`;
-          fs.writeFileSync(dumpPath, rawAnswerText, 'utf8');
-          console.error(`Raw model output saved to ./${dumpPath}. Set OLLAMA_DEBUG=1 to print it to the console.`);
-        } catch (writeErr) {
-          console.error('Additionally, failed to save raw model output to disk:', writeErr.message);
-        }
-      }
-    }
-    if (!Array.isArray(suggestions)) process.exit(1);
+    ({ suggestions } = await generateStructured('naming', {
+      system: systemTemplate(context),
+      prompt: promptText,
+      temperature: 0,
+      schema: NameSuggestionsSchema,
+      repair: repairNameSuggestions,
+    }));
+  } catch (err) {
+    if (err instanceof ModelOutputError) dumpRawModelOutput(err.raw);
+    throw err;
   }
-}
-if (suggestions.length !== suggestionCount) {
-  console.warn(`Warning: suggestions array has length ${suggestions.length} (expected ${suggestionCount}).`);
-  console.warn('Suggestions (preview):', suggestions.slice(0, suggestionCount).map(s => s?.title || s).join(' | '));
+  reportProgress({ onProgress }, 'names', `${suggestions.length} names generated`, { count: suggestions.length });
+  if (suggestions.length !== suggestionCount) {
+    console.warn(`Warning: suggestions array has length ${suggestions.length} (expected ${suggestionCount}).`);
+    console.warn('Suggestions (preview):', suggestions.slice(0, suggestionCount).map(s => s.title).join(' | '));
   }
-  
+
   // Post-process to remove any suffixes that might have slipped through
-  // Helper function to clean suffixes from names
-  const cleanSuffixes = (name) => {
-    if (!name) return name;
-    let cleaned = String(name).trim();
-    // Remove "Branding Co" or "Branding Co." first (before removing just "Co")
-    cleaned = cleaned.replace(/\s+Branding\s+Co\.?\s*$/i, '').trim();
-    // Remove common suffixes (with space before)
-    cleaned = cleaned.replace(/\s+(Co\.?|Company|Inc\.?|LLC|Ltd\.?|Design|Studio|Group|Solutions|Corp\.?|Corporation)\s*$/i, '').trim();
-    // Remove standalone "Co" or "Co." at the end (catch any remaining)
-    cleaned = cleaned.replace(/\s+Co\.?\s*$/i, '').trim();
-    return cleaned;
-  };
-  
-  suggestions = suggestions.map(s => {
-    if (s && s.title) {
-      s.title = cleanSuffixes(s.title);
-    }
-    return s;
-  });
-  
-  return suggestions;
+  return suggestions.map(s => ({ title: cleanSuffixes(s.title), description: s.description }));
 }
 
-async function printSuggestionsWithScreening(list) {
-  console.log(`\nHere are five name recommendations for your business with domain and trademark screening:\n`);
-  
-  // Helper function to clean suffixes
-  const cleanSuffixes = (name) => {
-    if (!name) return name;
-    let cleaned = String(name).trim();
-    // Remove "Branding Co" or "Branding Co." first (before removing just "Co")
-    cleaned = cleaned.replace(/\s+Branding\s+Co\.?\s*$/i, '').trim();
-    // Remove common suffixes (with space before)
-    cleaned = cleaned.replace(/\s+(Co\.?|Company|Inc\.?|LLC|Ltd\.?|Design|Studio|Group|Solutions|Corp\.?|Corporation)\s*$/i, '').trim();
-    // Remove standalone "Co" or "Co." at the end (catch any remaining)
-    cleaned = cleaned.replace(/\s+Co\.?\s*$/i, '').trim();
-    return cleaned;
-  };
-  
-  for (let i = 0; i < list.length; i++) {
-    const s = list[i];
-    let title = s.title || `(${i+1})`;
-    // Clean suffixes before displaying
-    title = cleanSuffixes(title);
-    const desc = s.description || '';
-    
-    console.log(`${i + 1}) ${title}`);
-    console.log(`   Description: ${desc}`);
-    
-    // Domain availability check
-    try {
-      const domainReport = await domainAvailabilityReport(title);
-      console.log('   Domain availability:');
-      const domains = Object.keys(domainReport);
-      if (domains.length > 0) {
-        domains.forEach(d => {
-          const available = domainReport[d] ? '❌ Taken' : '✅ Available';
-          console.log(`      ${d}: ${available}`);
-        });
-      } else {
-        console.log('      No domain check results');
-      }
-    } catch (e) {
-      console.warn('   Domain check failed:', e.message);
-    }
-    
-    // Trademark notes
-    try {
-      const tm = await trademarkSearchUKExpanded(title);
-      if (tm && tm.warnings && tm.warnings.length > 0) {
-        console.warn('   Trademark search warnings:', tm.warnings.join(' | '));
-      }
-      if (!tm) {
-        console.log('   Trademark notes: No search results available.');
-      } else {
-        const notes = await generateTrademarkNotes(title, tm, shortBiz);
-        console.log('   Trademark notes:');
-        const noteLines = notes.split('\n').filter(l => l.trim());
-        noteLines.forEach(line => {
-          console.log(`      • ${line.trim()}`);
-        });
-      }
-    } catch (e) {
-      console.warn('   Trademark check failed:', e.message);
-    }
-    
-    console.log(''); // Empty line between suggestions
-  }
+// Domain + trademark screening for a single name.
+// Returns { domains, domainDetails, domainAlternatives, handles, trademark, trademarkNotes }
+// where `domains` is the true/false/null availability map, `domainDetails` the
+// registration report (domainRegistrationReport), `domainAlternatives` the
+// alternatives checked when the exact name is taken (checkDomainAlternatives),
+// `handles` the social handle checks (checkHandles) and `trademark` the raw
+// trademarkSearchUKExpanded result (hits, summary, warnings).
+// `opts.domains` ({ tlds, alternatives }) picks the TLDs and how many
+// alternative names to check, `opts.handles` ({ platforms, checker }) the
+// handle checks; `opts.onProgress` receives 'domains', 'handles' and
+// 'trademark' stage updates and `opts.signal` (an AbortSignal) cancels the
+// domain and handle lookups and stops before the next stage.
+export async function screenName(title, businessContext = '', opts = {}) {
+  const { tlds, alternatives } = opts.domains || {};
+  const { signal } = opts;
+  reportProgress(opts, 'domains', `Checking domains for ${title}`, { name: title });
+  const domainDetails = await domainRegistrationReport(title, { tlds, signal });
+  const domains = availabilityMap(domainDetails);
+  const domainAlternatives = await checkDomainAlternatives(title, domainDetails, { max: alternatives, signal });
+  reportProgress(opts, 'domains', `Domains checked for ${title}`, { name: title, domains });
+  reportProgress(opts, 'handles', `Checking social handles for ${title}`, { name: title });
+  const handles = await checkHandles(title, { ...opts.handles, signal });
+  signal?.throwIfAborted();
+  const trademark = await trademarkSearchUKExpanded(title, { onProgress: opts.onProgress });
+  const trademarkNotes = await generateTrademarkNotes(title, trademark, businessContext);
+  reportProgress(opts, 'trademark', `Trademark notes ready for ${title}`, { name: title });
+  return { domains, domainDetails, domainAlternatives, handles, trademark, trademarkNotes };
 }
 
-const seenSuggestionTitles = new Set();
-function trackSuggestionTitles(list) {
-  list.forEach(s => {
-    const title = (s?.title || '').trim().toLowerCase();
-    if (title) seenSuggestionTitles.add(title);
-  });
+// --- Colours ---
+
+// Used when the model never returns valid colour pair lines
+export const DEFAULT_PALETTE_LINES = [
+  `#0B5394,#F4B183 - Deep Navy & Warm Apricot - Trustworthy and approachable.`,
+  `#18AF6E,#FF6F61 - Forest Green & Coral - Growth with friendly warmth.`,
+  `#F1C232,#6D9EEB - Goldenrod & Sky Blue - Optimistic and modern.`,
+  `#2C3E50,#F7DC6F - Slate & Warm Yellow - Calm and optimistic.`,
+  `#7F3FBF,#FFD166 - Purple & Soft Gold - Creative and confident.`
+];
+
+export function validateFivePairLines(lines) {
+  if (!Array.isArray(lines) || lines.length !== 5) return false;
+  // HEX1,HEX2 - Name Pair - full sentence explanation (allows longer explanations up to 500 chars).
+  const re = /^#([0-9A-F]{6})\s*,\s*#([0-9A-F]{6})\s*-\s*([^\-]{3,80})\s*-\s*(.{15,500})$/i;
+  return lines.every(l => re.test(l));
 }
 
-async function refreshSuggestionList() {
-  console.log('\nRefreshing suggestions...\n');
-  const next = await fetchNameSuggestions(Array.from(seenSuggestionTitles));
-  trackSuggestionTitles(next);
-  return next;
+// Parse "HEX1,HEX2 - Name Pair - explanation" into a palette object
+export function parseFivePairLine(ln) {
+  const parts = ln.split(/\s*-\s*/);
+  const hexPart = parts[0] || '';
+  const namesPart = parts[1] || '';
+  const reasonPart = parts[2] || '';
+  const hexes = hexPart.split(',').map(h => h.trim().toUpperCase());
+  let nameParts = namesPart.split(/\s*&\s*|\s+and\s+/i).map(n => n.trim());
+  if (nameParts.length < 2) nameParts = namesPart.split(/\s*,\s*/).map(n => n.trim());
+  return {
+    hex1: hexes[0] || '',
+    hex2: hexes[1] || '',
+    namePair: namesPart || '',
+    name1: nameParts[0] || '',
+    name2: nameParts[1] || '',
+    short: reasonPart || '',
+    explanation: reasonPart || '',
+    long: '',
+    raw: ln,
+  };
 }
 
-const continueLine = 'Type continue for a quick domain and trade mark screening.';
-const continueSystem = `You are a strict assistant. Return EXACTLY the following single line and nothing else: ${continueLine}`;
-async function getContinuePromptLine() {
-  let continueResp;
-  try {
-    continueResp = await ollama.generate({ ...llmSettings, system: continueSystem, prompt: 'Reply with the single line exactly as specified.', temperature: 0 });
-  } catch (e) {
-    continueResp = null;
-  }
-  let continueText = continueResp ? extractTextFromOllamaResult(continueResp).trim() : '';
-  if (continueText !== continueLine) continueText = continueLine;
-  return continueText;
+// Palette object from a validated PaletteSchema item (same shape as parseFivePairLine)
+export function paletteFromStructured({ hex1, hex2, name1, name2, explanation }) {
+  const namePair = `${name1} & ${name2}`;
+  return {
+    hex1,
+    hex2,
+    namePair,
+    name1,
+    name2,
+    short: explanation,
+    explanation,
+    long: '',
+    raw: `${hex1},${hex2} - ${namePair} - ${explanation}`,
+  };
 }
 
-let suggestions = await fetchNameSuggestions();
-trackSuggestionTitles(suggestions);
+// Attach the WCAG contrast report (see contrast.js) as `contrast` and the
+// colour-vision simulation (see color-vision.js) as `colorVision`
+export function withAccessibility(palette) {
+  return { ...palette, contrast: analyzePaletteContrast(palette), colorVision: simulatePalette(palette) };
+}
 
-let selected = null;
-while (!selected) {
-  // Display suggestions with integrated domain and trademark screening
-  await printSuggestionsWithScreening(suggestions);
-  
-  // Prompt user to pick a name or refresh
-  console.log('Pick one name or type refresh:');
-  const rlPick = readline.createInterface({ input, output });
-  let pickRaw = (await rlPick.question('> ')).trim();
-  rlPick.close();
-  const pickLower = pickRaw.toLowerCase();
-  
-  if (pickLower.startsWith('refresh')) {
-    suggestions = await refreshSuggestionList();
-    continue;
-  }
-  
-  const pick = parseInt(pickRaw, 10);
-  if (Number.isNaN(pick) || pick < 1 || pick > suggestions.length) {
-    console.error(`Invalid selection. Expected a number between 1 and ${suggestions.length} or type "refresh"`);
-    continue;
-  }
-  
-  selected = suggestions[pick - 1];
-  console.log('\nYou selected:', selected.title);
-  break;
+// Reshape common near-misses into { palettes: [...] }: a bare array, HEX codes
+// without '#' or in lowercase, `colors: [a, b]`, a `namePair` instead of
+// name1/name2, `reason`/`description` instead of explanation, or plain text in
+// the old "HEX1,HEX2 - Name & Name - explanation" line format.
+export function repairPalettes(value) {
+  if (typeof value === 'string') {
+    const lines = value.split(/\r?\n/).map(l => l.trim()).filter(l => /^#?[0-9A-F]{6}\s*,/i.test(l));
+    return repairPalettes({ palettes: lines.map(parseFivePairLine) });
+  }
+  if (Array.isArray(value)) value = { palettes: value };
+  if (!Array.isArray(value?.palettes)) return value;
+  return {
+    palettes: value.palettes.map(p => {
+      if (!p || typeof p !== 'object') return p;
+      const [c1, c2] = Array.isArray(p.colors) ? p.colors : [];
+      let { name1, name2 } = p;
+      if ((!name1 || !name2) && p.namePair) {
+        [name1, name2] = String(p.namePair).split(/\s*&\s*|\s+and\s+/i).map(n => n.trim());
+      }
+      return {
+        hex1: normalizeHex(p.hex1 ?? c1) ?? p.hex1,
+        hex2: normalizeHex(p.hex2 ?? c2) ?? p.hex2,
+        name1,
+        name2,
+        explanation: p.explanation ?? p.reason ?? p.description ?? p.short,
+      };
+    }),
+  };
 }
 
-// After the user picks a name, proceed directly to colours (no yes/no confirmation).
-console.log('\nNext up: colours! Here are five colour schemes for your business.');
-
-// store colours chosen (filled by retrieval flow below)
-let paletteColors = [];
-let paletteColorDetails = [];
-let logoPromptText = '';
-
-// Function to generate color recommendations (can be called multiple times for refresh)
-async function generateColorRecommendations() {
-  // Use the full web-retrieval flow with web search integration to ground colour suggestions
-  //: load the Mailchimp page, search web for brand-specific colors, combine, embed, select top-k relevant chunks, then ask the model.
-try {
-  const sources = [
-    'https://mailchimp.com/resources/color-psychology/'
-  ];
-  let pageDocs = [];
-  for (const src of sources) {
-    try {
-      const loader = new CheerioWebBaseLoader(src);
-      const docs = await loader.load();
-      if (Array.isArray(docs)) pageDocs.push(...docs);
-      else if (docs) pageDocs.push(docs);
-    } catch (e) {
-      console.warn('Failed to load', src, e.message);
+// Web pages added to the colour context when web sources are on
+const COLOR_WEB_SOURCES = [
+  'https://mailchimp.com/resources/color-psychology/'
+];
+
+// Colour flow grounded in the bundled colour-psychology corpus (color-corpus.js):
+// retrieve the top-k relevant notes, then ask the model for five pairs. Web
+// sources are opt-in: with `web` (off unless BRAND_COLOR_WEB=1) the Mailchimp
+// colour-psychology page and, with SERPAPI_KEY, web searches for brand-specific
+// colours are added to the candidates. Near-duplicate pairs and missing warm / cool / neutral families
+// are asked for again (see diversifyPalettes). `selected` is the chosen name
+// ({ title, description }).
+// Returns an array of palette objects (see parseFivePairLine) with their
+// `contrast` and `colorVision` reports, or [] on failure.
+export async function generateColorRecommendations({ selected, brandValues = [], web = /^(1|true|yes|on)$/i.test(process.env.BRAND_COLOR_WEB || '') }) {
+  try {
+    let pageDocs = [];
+    for (const src of web ? COLOR_WEB_SOURCES : []) {
+      try {
+        const loader = new CheerioWebBaseLoader(src);
+        const docs = await loader.load();
+        if (Array.isArray(docs)) pageDocs.push(...docs);
+        else if (docs) pageDocs.push(docs);
+      } catch (e) {
+        console.warn('Failed to load', src, e.message);
+      }
     }
-  }
 
-  // Add web search results for colors based on brand values and business description
-  if (process.env.SERPAPI_KEY && (brandValues.length > 0 || selected.description)) {
-    try {
-      console.log('Searching web for colors matching your brand values...');
-      const searchQueries = [];
-      
-      // Create search queries based on brand values
-      if (brandValues.length > 0) {
-        for (const value of brandValues) {
-          searchQueries.push(`"${value}" color psychology brand colors`);
-          searchQueries.push(`colors that represent ${value} in branding`);
+    // Add web search results for colors based on brand values and business description
+    if (web && process.env.SERPAPI_KEY && (brandValues.length > 0 || selected.description)) {
+      try {
+        console.log('Searching web for colors matching your brand values...');
+        const searchQueries = [];
+
+        // Create search queries based on brand values
+        if (brandValues.length > 0) {
+          for (const value of brandValues) {
+            searchQueries.push(`"${value}" color psychology brand colors`);
+            searchQueries.push(`colors that represent ${value} in branding`);
+          }
         }
-      }
-      
-      // Add business-specific color search
-      if (selected.description) {
-        searchQueries.push(`"${selected.title}" brand colors ${selected.description}`);
-      }
-      
-      // Perform web searches and add results to pageDocs
-      for (const query of searchQueries.slice(0, 4)) { // Limit to 4 queries to avoid rate limits
-        try {
-          const searchRes = await serpAPISearch(query, { maxResults: 3, ukOnly: false });
-          if (!searchRes.error && searchRes.body?.organic_results) {
-            for (const result of searchRes.body.organic_results) {
-              // Create a document from search result
-              const searchContent = `${result.title || ''}\n${result.snippet || ''}\n${result.link || ''}`;
-              if (searchContent.trim()) {
-                pageDocs.push({ pageContent: searchContent });
+
+        // Add business-specific color search
+        if (selected.description) {
+          searchQueries.push(`"${selected.title}" brand colors ${selected.description}`);
+        }
+
+        // Perform web searches and add results to pageDocs
+        for (const query of searchQueries.slice(0, 4)) { // Limit to 4 queries to avoid rate limits
+          try {
+            const searchRes = await serpAPISearch(query, { maxResults: 3, ukOnly: false });
+            if (!searchRes.error && searchRes.body?.organic_results) {
+              for (const result of searchRes.body.organic_results) {
+                // Create a document from search result
+                const searchContent = `${result.title || ''}\n${result.snippet || ''}\n${result.link || ''}`;
+                if (searchContent.trim()) {
+                  pageDocs.push({ pageContent: searchContent, metadata: { source: result.link || 'web search' } });
+                }
               }
             }
+          } catch (searchErr) {
+            // Continue with other queries if one fails
+            console.warn(`Web search query failed: ${query}`, searchErr.message);
           }
-        } catch (searchErr) {
-          // Continue with other queries if one fails
-          console.warn(`Web search query failed: ${query}`, searchErr.message);
         }
+      } catch (webSearchErr) {
+        console.warn('Web search for colors failed, continuing with the corpus only:', webSearchErr.message);
       }
-    } catch (webSearchErr) {
-      console.warn('Web search for colors failed, continuing with static sources:', webSearchErr.message);
     }
-  }
-
-  if (!Array.isArray(pageDocs) || pageDocs.length === 0) {
-    console.warn('No documents loaded from web-retrieval sources; proceeding with empty context.');
-    pageDocs = [{ pageContent: '' }];
-  }
-
-  // split the page into chunks using the same splitter used earlier
-  let splitDocsColor = await textSplitter.splitDocuments(pageDocs);
-  if (!Array.isArray(splitDocsColor) || splitDocsColor.length === 0) splitDocsColor = (Array.isArray(pageDocs) ? pageDocs : [pageDocs]).map(d => ({ pageContent: d.pageContent || '' }));
 
-  // create a short embedding query that describes what we want from the page
-  const brandValuesText = brandValues.length > 0 ? ` Brand values: ${brandValues.join(', ')}.` : '';
-  const brandValuesTextForPrompt = brandValues.length > 0 ? `\nBrand values: ${brandValues.join(', ')}` : '';
-  const colorQuery = `color psychology and associations for a business named "${selected.title}" ${selected.description ? ('- ' + selected.description) : ''}${brandValuesText}`;
-  const colorPromptEmbedding = await ollama.embed({ ...modelEmbedding, input: colorQuery });
+    // split web pages into chunks using the same splitter used for naming
+    const webChunks = pageDocs.length > 0
+      ? (await textSplitter.splitDocuments(pageDocs)).map(d => ({ pageContent: d.pageContent, source: d.metadata?.source }))
+      : [];
 
-  // embed each chunk and compute cosine similarity to the query
-  const chunkEmbeddings = await ollama.embed({ ...modelEmbedding, input: splitDocsColor.map(d => d.pageContent) });
-  splitDocsColor.forEach((doc, i) => {
-    doc.embedding = chunkEmbeddings.embeddings[i];
-    doc.similarity = mlDistance.similarity.cosine(colorPromptEmbedding.embeddings[0], doc.embedding);
-  });
+    // create a short query that describes what we want from the corpus
+    const brandValuesText = brandValues.length > 0 ? ` Brand values: ${brandValues.join(', ')}.` : '';
+    const brandValuesTextForPrompt = brandValues.length > 0 ? `\nBrand values: ${brandValues.join(', ')}` : '';
+    const colorQuery = `color psychology and associations for a business named "${selected.title}" ${selected.description ? ('- ' + selected.description) : ''}${brandValuesText}`;
 
-  // pick top 5 most similar chunks as context
-  splitDocsColor = splitDocsColor.sort((a,b) => (b.similarity || 0) - (a.similarity || 0)).slice(0, 5);
-  const colorContext = splitDocsColor.map((d, i) => `Doc${i}: ${d.pageContent}`).join('\n\n');
+    // pick the 5 most relevant corpus notes (and web chunks) as context
+    const colorDocs = await retrieveColorContext(colorQuery, { k: 5, extraDocs: webChunks });
+    const colorContext = colorDocs.map((d, i) => `Doc${i} (${d.topic}): ${d.text}`).join('\n\n');
 
-  const colorSystem = `You are a color psychology expert that uses the retrieved web context to recommend colors for a brand. Use the web search context provided to explain WHY these colors suit the specific business and brand values. Provide detailed, full-sentence explanations based on color psychology research from the context.`;
-  // Request FIVE complementary colour pairs with DIVERSITY across the color spectrum. Each line should contain two HEX values,
-  // a human-friendly pair name, and a full sentence explanation based on web search context.
-  const colorUser = `Context from web search and color psychology:\n${colorContext}\n\nBusiness name: "${selected.title}"\nShort description: "${selected.description || ''}"${brandValuesTextForPrompt}\n\nReturn EXACTLY FIVE NON-EMPTY LINES and nothing else. EACH LINE MUST MATCH THIS EXACT FORMAT: HEX1,HEX2 - COLOR_NAME_PAIR - full sentence explanation. Use HEX in UPPERCASE. 
+    const colorSystem = `You are a color psychology expert that uses the retrieved reference notes to recommend colors for a brand. Use the context provided to explain WHY these colors suit the specific business and brand values. Provide detailed, full-sentence explanations based on the color psychology in the context.`;
+    // Request FIVE complementary colour pairs with DIVERSITY across the color spectrum. Each line should contain two HEX values,
+    // a human-friendly pair name, and a full sentence explanation based on the retrieved context.
+    const colorBrief = `Colour psychology context:\n${colorContext}\n\nBusiness name: "${selected.title}"\nShort description: "${selected.description || ''}"${brandValuesTextForPrompt}`;
+    const colorUser = `${colorBrief}\n\nReturn a JSON object of the form {"palettes": [{"hex1": "...", "hex2": "...", "name1": "...", "name2": "...", "explanation": "..."}]} with EXACTLY FIVE palettes and nothing else. hex1 and hex2 are UPPERCASE HEX codes (#RRGGBB); name1 and name2 are human-friendly names for those two colours.
 
 CRITICAL: Ensure DIVERSITY across the color spectrum. The five color pairs should cover different color families:
 - Include warm colors (reds, oranges, yellows) in at least one pair
-- Include cool colors (blues, greens, purples) in at least one pair  
+- Include cool colors (blues, greens, purples) in at least one pair
 - Include neutral/earthy tones (browns, grays, beiges) if appropriate
 - Vary saturation levels (some vibrant, some muted)
 - Vary brightness levels (some light, some dark)
 - Each pair should be visually distinct from the others
 - Avoid repeating similar color combinations
 
-The explanation must be a complete sentence (15-30 words) that explains WHY these colors suit this specific business and brand values, referencing color psychology principles from the web search context. Example: #1A73E8,#E83E1A - Deep Blue & Warm Coral - Deep blue conveys trust and professionalism which aligns with your brand's reliability, while warm coral adds energy and approachability that makes customers feel welcomed and valued. Prioritize colors that align with the brand values and explain the connection clearly. Do NOT include the business name, labels, bullets, or extra commentary.`;
-
-  function validateFivePairLines(lines) {
-    if (!Array.isArray(lines) || lines.length !== 5) return false;
-    // HEX1,HEX2 - Name Pair - full sentence explanation (allows longer explanations up to 500 chars).
-    const re = /^#([0-9A-F]{6})\s*,\s*#([0-9A-F]{6})\s*-\s*([^\-]{3,80})\s*-\s*(.{15,500})$/i;
-    return lines.every(l => re.test(l));
-  }
-
-  function parseFivePairLine(ln) {
-    const parts = ln.split(/\s*-\s*/);
-    const hexPart = parts[0] || '';
-    const namesPart = parts[1] || '';
-    const reasonPart = parts[2] || '';
-    const hexes = hexPart.split(',').map(h => h.trim().toUpperCase());
-    let nameParts = namesPart.split(/\s*&\s*|\s+and\s+/i).map(n => n.trim());
-    if (nameParts.length < 2) nameParts = namesPart.split(/\s*,\s*/).map(n => n.trim());
-    return {
-      hex1: hexes[0] || '',
-      hex2: hexes[1] || '',
-      namePair: namesPart || '',
-      name1: nameParts[0] || '',
-      name2: nameParts[1] || '',
-      short: reasonPart || '',
-      long: '',
-      raw: ln,
-    };
-  }
+The explanation must be a complete sentence (15-30 words) that explains WHY these colors suit this specific business and brand values, referencing color psychology principles from the context. Example palette: {"hex1": "#1A73E8", "hex2": "#E83E1A", "name1": "Deep Blue", "name2": "Warm Coral", "explanation": "Deep blue conveys trust and professionalism which aligns with your brand's reliability, while warm coral adds energy and approachability that makes customers feel welcomed and valued."}. Prioritize colors that align with the brand values and explain the connection clearly. Do NOT include the business name, labels, bullets, or extra commentary.`;
 
-  // Attempt up to 3 times to get properly formatted five pairs
-  let attempts = 0;
-  let colorText = '';
-  let colorLines = [];
-  while (attempts < 3) {
-    const colorResp = await ollama.generate({ ...llmSettings, system: colorSystem, prompt: colorUser, temperature: 0.7 });
-    colorText = extractTextFromOllamaResult(colorResp).trim();
-    colorLines = (colorText || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean).slice(0,5);
-    if (validateFivePairLines(colorLines)) break;
-    attempts++;
-    console.warn(`Colour pair format validation failed (attempt ${attempts}). Retrying...`);
-  }
-
-  if (colorLines.length === 0) {
-    console.warn('Model did not return valid colour pair lines; falling back to default pairs.');
-    paletteColors = [
-      `#0B5394,#F4B183 - Deep Navy & Warm Apricot - Trustworthy and approachable.`,
-      `#18AF6E,#FF6F61 - Forest Green & Coral - Growth with friendly warmth.`,
-      `#F1C232,#6D9EEB - Goldenrod & Sky Blue - Optimistic and modern.`,
-      `#2C3E50,#F7DC6F - Slate & Warm Yellow - Calm and optimistic.`,
-      `#7F3FBF,#FFD166 - Purple & Soft Gold - Creative and confident.`
-    ];
-    paletteColorDetails = paletteColors.map(parseFivePairLine);
-    paletteColorDetails.forEach((c, idx) => console.log(`${idx+1}) ${c.hex1},${c.hex2} - ${c.namePair} - ${c.short}`));
-  } else {
-    paletteColors = colorLines.slice(0,5);
-    paletteColorDetails = paletteColors.map(parseFivePairLine);
-    paletteColorDetails.forEach((c, idx) => console.log(`${idx+1}) ${c.hex1},${c.hex2} - ${c.namePair} - ${c.short}`));
-  }
-  return paletteColorDetails;
-} catch (e) {
-  console.warn('Colour suggestion failed (retrieval flow):', e.message);
-  paletteColors = [
-    `#18AF6E - ${selected.title} - Conveys growth and trust.`,
-    `#FF9900 - ${selected.title} - Energetic and friendly.`
-  ];
-  console.log('1) ' + paletteColors[0]);
-  console.log('2) ' + paletteColors[1]);
+    // Attempt up to 3 times to get valid palettes
+    try {
+      const { palettes } = await generateStructured('colors', {
+        system: colorSystem,
+        prompt: colorUser,
+        temperature: 0.7,
+        schema: PalettesSchema,
+        repair: repairPalettes,
+        attempts: 3,
+      });
+      const diverse = await diversifyPalettes(palettes.slice(0, paletteCount).map(paletteFromStructured), { system: colorSystem, brief: colorBrief });
+      return diverse.map(withAccessibility);
+    } catch (err) {
+      if (!(err instanceof ModelOutputError)) throw err;
+      console.warn('Model did not return valid colour palettes; falling back to default pairs.');
+      return DEFAULT_PALETTE_LINES.map(parseFivePairLine).map(withAccessibility);
+    }
+  } catch (e) {
+    console.warn('Colour suggestion failed (retrieval flow):', e.message);
     // Return empty array on error, caller can handle fallback
     return [];
   }
 }
 
-// Generate initial color recommendations
-paletteColorDetails = await generateColorRecommendations();
-if (paletteColorDetails.length === 0) {
-  // Fallback if generation failed
-  paletteColorDetails = [];
-}
+const FAMILY_HINTS = {
+  warm: 'at least one warm colour (red, orange, yellow or pink)',
+  cool: 'at least one cool colour (blue, green or purple)',
+  neutral: 'at least one neutral or earthy colour (grey, beige, brown or a near-black / near-white)',
+};
 
-// Prompt the user to pick one of the shown palettes and immediately show a
-// concise logo prompt based on that choice.
-let pickedPalette = null;
-while (!pickedPalette) {
-  console.log('\nPick one of the above palettes or type refresh:');
-const rlPickPalette = readline.createInterface({ input, output });
-let pickPalRaw = (await rlPickPalette.question('> ')).trim();
-rlPickPalette.close();
-
-  const pickLower = pickPalRaw.toLowerCase();
-  if (pickLower.startsWith('refresh')) {
-    console.log('\nRegenerating color recommendations...');
-    // Regenerate colors by calling the function again
-    paletteColorDetails = await generateColorRecommendations();
-    if (paletteColorDetails.length === 0) {
-      console.warn('Failed to regenerate colors. Please try again or pick from existing options.');
-      continue;
+// Ask again for the palettes that analyzePaletteDiversity flags (near-duplicates,
+// or slots needed for a missing warm / cool / neutral family), keeping the rest.
+// A replacement is only taken when it raises the diversity score; after
+// `rounds` attempts whatever is left stays as it is.
+async function diversifyPalettes(palettes, { system, brief, rounds = 2 }) {
+  let current = palettes;
+  for (let round = 1; round <= rounds; round++) {
+    const { failing, score } = analyzePaletteDiversity(current);
+    if (failing.length === 0) break;
+    console.log(`Palette diversity ${score}/100; asking again for ${failing.length} palette(s) (round ${round} of ${rounds})...`);
+
+    const kept = current.filter((_, i) => !failing.some(f => f.index === i));
+    const slots = failing.map((slot, k) => `${k + 1}. ${slot.family ? `Must include ${FAMILY_HINTS[slot.family]}.` : 'Any colour family not already used above.'}`);
+    const prompt = `${brief}\n\nThese palettes are already chosen:\n${kept.map(p => `- ${p.hex1}, ${p.hex2}`).join('\n')}\n\nReturn a JSON object of the form {"palettes": [{"hex1": "...", "hex2": "...", "name1": "...", "name2": "...", "explanation": "..."}]} with EXACTLY ${failing.length} NEW palette(s), in this order:\n${slots.join('\n')}\n\nEach new palette must be clearly different from the chosen ones and from each other in hue, lightness and saturation; do not reuse or lightly adjust their colours. hex1 and hex2 are UPPERCASE HEX codes (#RRGGBB). The explanation is one complete sentence (15-30 words) on why the colours suit this business, based on colour psychology.`;
+    let replies;
+    try {
+      ({ palettes: replies } = await generateStructured('colors', { system, prompt, temperature: 0.9, schema: PalettesSchema, repair: repairPalettes, attempts: 2 }));
+    } catch (err) {
+      if (!(err instanceof ModelOutputError)) throw err;
+      console.warn('Model did not return replacement palettes; keeping the current set.');
+      break;
+    }
+
+    // Match replies to slots (family slots first), keeping each one that helps
+    const candidates = replies.map(paletteFromStructured);
+    for (const slot of [...failing].sort((a, b) => (b.family ? 1 : 0) - (a.family ? 1 : 0))) {
+      const k = candidates.findIndex(p => !slot.family || [p.hex1, p.hex2].some(hex => colorFamily(hex) === slot.family));
+      if (k === -1) continue;
+      const [candidate] = candidates.splice(k, 1);
+      const next = current.map((p, i) => (i === slot.index ? candidate : p));
+      if (analyzePaletteDiversity(next).score > analyzePaletteDiversity(current).score) current = next;
     }
-    // Continue the loop to show the new options and prompt again
-    continue;
-  }
-  
-  // Try to parse as a number
-let pickPal = parseInt(pickPalRaw, 10);
-  if (Number.isNaN(pickPal) || pickPal < 1) {
-    console.warn('Invalid input. Please enter a number 1-5 or type "refresh".');
-    continue;
-  }
-  
-if (!Array.isArray(paletteColorDetails) || paletteColorDetails.length === 0) {
-  console.warn('No palette details available to pick from.');
-    break;
   }
-  
-  if (pickPal > paletteColorDetails.length) {
-    console.warn(`Please enter a number between 1 and ${paletteColorDetails.length}.`);
-    continue;
+  return current;
+}
+
+// --- Logo prompt ---
+
+const logoSystem = `You are an expert logo prompt writer. Return ONLY a JSON object {"prompt": "..."} whose prompt is a concise paragraph (2-4 sentences, maximum 80 words) describing ONLY the visual appearance of a minimal mark. The PRIMARY focus must be the visual elements provided by the user. If the user specifies visual elements (e.g., "knitting needle"), the logo MUST feature those elements as the main subject. Describe ONLY: the visual elements (as the central focus), shapes, lines, geometric forms, colors (use exact HEX codes), and style (flat vector, white background). Do NOT include: business name, wordmark, emotional language, what the logo "conveys" or "evokes", brand values, or any descriptive notes about meaning. Only describe what the logo looks like visually, with the user's visual elements as the primary subject.`;
+
+// Accept a plain-text reply or a `description`/`text` field as the prompt
+export function repairLogoPrompt(value) {
+  if (typeof value === 'string') return { prompt: value };
+  if (value && typeof value === 'object' && typeof value.prompt !== 'string') {
+    return { prompt: value.description ?? value.text ?? value.response };
   }
-  
-  pickedPalette = paletteColorDetails[pickPal - 1];
-  break;
+  return value;
 }
 
-if (pickedPalette) {
-  // Announce and show a quick logo prompt preview using the picked palette
-  console.log('\nLet\'s move on to the logo. Here a logo prompt based on your preferences:');
-  const nameForLogo = (selected && selected.title) ? selected.title : shortBiz;
-  const descForLogo = (selected && selected.description) ? selected.description : '';
-  // Narrow palette variables so later logo-generation uses the selected palette
-  paletteColors = [`${pickedPalette.hex1},${pickedPalette.hex2} - ${pickedPalette.namePair} - ${pickedPalette.short}`];
-  paletteColorDetails = [pickedPalette];
-  try {
-    const logoSystem = `You are an expert logo prompt writer. Return ONLY a concise paragraph (2-4 sentences, maximum 80 words) describing ONLY the visual appearance of a minimal mark. The PRIMARY focus must be the visual elements provided by the user. If the user specifies visual elements (e.g., "knitting needle"), the logo MUST feature those elements as the main subject. Describe ONLY: the visual elements (as the central focus), shapes, lines, geometric forms, colors (use exact HEX codes), and style (flat vector, white background). Do NOT include: business name, wordmark, emotional language, what the logo "conveys" or "evokes", brand values, or any descriptive notes about meaning. Only describe what the logo looks like visually, with the user's visual elements as the primary subject.`;
-  // Prefer the picked palette's hex values when available
-  let hexA = '#000000';
-  let hexB = '#FFFFFF';
-  if (Array.isArray(paletteColorDetails) && paletteColorDetails[0]) {
-    hexA = paletteColorDetails[0].hex1 || hexA;
-    hexB = paletteColorDetails[0].hex2 || hexB;
-  } else if (Array.isArray(paletteColors) && paletteColors[0]) {
+// Write a concise visual-only logo prompt for the chosen palette.
+// Retries once when the model leaves out either HEX code.
+export async function generateLogoPromptText({ description = '', visuals = [], hex1, hex2 }) {
+  const hexAclean = normalizeHex(hex1) || String(hex1 || '#000000').toUpperCase();
+  const hexBclean = normalizeHex(hex2) || String(hex2 || '#FFFFFF').toUpperCase();
+  const visualsForLogo = (visuals && visuals.length > 0) ? visuals.join(', ') : '';
+  const logoUser = `Business type: ${description}\nVisual elements: ${visualsForLogo || 'none specified'}\nColors: ${hexAclean} (primary), ${hexBclean} (accent)\n\nCRITICAL: The logo MUST feature the visual elements listed above as the PRIMARY and CENTRAL subject. If visual elements are provided (e.g., "knitting needle"), describe a logo that prominently features those elements. Describe ONLY the visual appearance: the visual elements as the main subject, shapes, lines, forms, and how colors ${hexAclean} and ${hexBclean} are applied to these elements. Include the exact HEX codes. Do NOT describe what the logo means, conveys, or evokes. Only describe what it looks like, with the visual elements as the focus. Maximum 80 words.`;
+  const request = { system: logoSystem, temperature: 0, schema: LogoPromptSchema, repair: repairLogoPrompt };
+  let logoText = (await generateStructured('logoPrompt', { ...request, prompt: logoUser })).prompt.trim();
+  // Verify HEX codes are included, retry once if missing
+  const hasHexA = logoText.toUpperCase().includes(hexAclean);
+  const hasHexB = logoText.toUpperCase().includes(hexBclean);
+  if (!(hasHexA && hasHexB)) {
+    const logoUserStrict = logoUser + `\n\nIMPORTANT: Include the exact HEX codes ${hexAclean} and ${hexBclean} in your response.`;
     try {
-      const p = paletteColors[0].split('-')[0].trim();
-      const parts = p.split(',').map(s => s.trim());
-      if (parts[0]) hexA = parts[0];
-      if (parts[1]) hexB = parts[1];
-      } catch (err) {
-        // ignore parse issues
-      }
-    }
-    // Normalize HEX strings: ensure leading '#' and uppercase; validate as #RRGGBB.
-    const normalizeHex = (h) => {
-      if (!h) return null;
-      let s = String(h).trim();
-      if (!s.startsWith('#')) s = '#' + s;
-      s = s.toUpperCase();
-      if (/^#[0-9A-F]{6}$/.test(s)) return s;
-      return null;
-    };
-    const hexAclean = normalizeHex(hexA) || String(hexA || '').toUpperCase();
-    const hexBclean = normalizeHex(hexB) || String(hexB || '').toUpperCase();
-    const visualsForLogo = (visuals && visuals.length > 0) ? visuals.join(', ') : '';
-    const logoUser = `Business type: ${descForLogo}\nVisual elements: ${visualsForLogo || 'none specified'}\nColors: ${hexAclean} (primary), ${hexBclean} (accent)\n\nCRITICAL: The logo MUST feature the visual elements listed above as the PRIMARY and CENTRAL subject. If visual elements are provided (e.g., "knitting needle"), describe a logo that prominently features those elements. Describe ONLY the visual appearance: the visual elements as the main subject, shapes, lines, forms, and how colors ${hexAclean} and ${hexBclean} are applied to these elements. Include the exact HEX codes. Do NOT describe what the logo means, conveys, or evokes. Only describe what it looks like, with the visual elements as the focus. Maximum 80 words.`;
-    let logoResp = await ollama.generate({ ...llmSettings, system: logoSystem, prompt: logoUser, temperature: 0 });
-    let logoText = extractTextFromOllamaResult(logoResp).trim();
-    // Verify HEX codes are included, retry once if missing
-    const hasHexA = hexAclean && logoText.toUpperCase().includes(hexAclean.toUpperCase());
-    const hasHexB = hexBclean && logoText.toUpperCase().includes(hexBclean.toUpperCase());
-    if (!(hasHexA && hasHexB)) {
-      const logoUserStrict = logoUser + `\n\nIMPORTANT: Include the exact HEX codes ${hexAclean} and ${hexBclean} in your response.`;
-      try {
-        logoResp = await ollama.generate({ ...llmSettings, system: logoSystem, prompt: logoUserStrict, temperature: 0 });
-        logoText = extractTextFromOllamaResult(logoResp).trim();
-      } catch (retryErr) {
-        // ignore retry failure and keep original text
-      }
+      logoText = (await generateStructured('logoPrompt', { ...request, prompt: logoUserStrict })).prompt.trim();
+    } catch (retryErr) {
+      // ignore retry failure and keep original text
     }
-  console.log(logoText);
-    logoPromptText = logoText;
-  } catch (e) {
-    console.warn('Logo prompt preview generation failed:', e.message);
-    logoPromptText = logoLines.join('\n');
   }
+  return logoText;
 }
 
-async function domainAvailabilityReport(name) {
-  const raw = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
-  if (!raw) return {};
-  const parts = raw.split(/\s+/).filter(Boolean);
-  const compact = parts.join('');
-  
-  // If name contains "&", use "and" variant instead of compact version
-  const hasAmpersand = (name || '').includes('&');
-  let basesToCheck = [];
-  
-  if (hasAmpersand) {
-    // Replace "&" with "and" and create domain base
-    const withAnd = (name || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
-    const partsWithAnd = withAnd.split(/\s+/).filter(Boolean);
-    const compactWithAnd = partsWithAnd.join('');
-    if (compactWithAnd) {
-      basesToCheck = [compactWithAnd]; // Only check "and" variant for names with "&"
-    } else {
-      basesToCheck = [compact]; // Fallback if "and" variant fails
-    }
-  } else {
-    // No "&" in name, use compact version
-    basesToCheck = [compact];
-  }
-  
-  const uniqueBases = Array.from(new Set(basesToCheck.filter(Boolean)));
-  const tlds = ['com', 'co.uk', 'uk'];
-  const results = {};
-  for (const base of uniqueBases) {
-    for (const tld of tlds) {
-      const domain = `${base}.${tld}`;
-      try {
-        await dns.resolve(domain);
-        results[domain] = true;
-      } catch (err) {
-        results[domain] = false;
-      }
-    }
-  }
-  return results;
+// --- Domains ---
+
+// Registration check over RDAP (DNS when the registry has none), see domains.js.
+// The name is run together (or with "&" spelled "and") under `opts.tlds`
+// (a TLD set name or list, default BRAND_DOMAIN_TLDS / uk: .com, .co.uk, .uk).
+// Returns: { domain: { status, source, registrar, created, expires, statuses, error } }
+export async function domainRegistrationReport(name, opts = {}) {
+  return checkDomains(domainCandidates(name, opts.tlds), opts);
+}
+
+// Domain availability check
+// Returns: { domain: true } if domain is registered (taken), { domain: false } if available,
+// { domain: null } when neither RDAP nor DNS could tell (network etc.)
+export async function domainAvailabilityReport(name, opts = {}) {
+  return availabilityMap(await domainRegistrationReport(name, opts));
 }
 
+// --- Trademarks ---
+
 // SerpAPI integration for web searches
-async function serpAPISearch(query, opts = {}) {
+export async function serpAPISearch(query, opts = {}) {
   const key = process.env.SERPAPI_KEY;
   if (!key) return { error: 'SERPAPI_KEY not set' };
   
@@ -931,7 +702,7 @@ async function serpAPISearch(query, opts = {}) {
 }
 
 // SerpAPI reverse image search for logo screening
-async function serpAPIImageSearch(imageUrl, opts = {}) {
+export async function serpAPIImageSearch(imageUrl, opts = {}) {
   const key = process.env.SERPAPI_KEY;
   if (!key) return { error: 'SERPAPI_KEY not set' };
   
@@ -959,7 +730,7 @@ async function serpAPIImageSearch(imageUrl, opts = {}) {
 
 // Generate trademark notes by analyzing search results with LLM
 // Simple phonetic similarity check - returns true if words sound similar
-function soundsSimilar(word1, word2) {
+export function soundsSimilar(word1, word2) {
   if (!word1 || !word2) return false;
   const w1 = word1.toLowerCase().replace(/[^a-z]/g, '');
   const w2 = word2.toLowerCase().replace(/[^a-z]/g, '');
@@ -977,7 +748,7 @@ function soundsSimilar(word1, word2) {
   return variations.some(([v1, v2]) => v1 === v2 || v1.includes(v2) || v2.includes(v1));
 }
 
-async function generateTrademarkNotes(name, searchResults, businessContext = '') {
+export async function generateTrademarkNotes(name, searchResults, businessContext = '') {
   if (!searchResults || !searchResults.hits || searchResults.hits.length === 0) {
     return 'The exact name "' + name + '" was not found as a registered trademark in the web search results.\n\nDISCLAIMER: This is not a legal clearance.';
   }
@@ -1195,7 +966,7 @@ async function generateTrademarkNotes(name, searchResults, businessContext = '')
 
 // Best-effort UK trademark search using SerpAPI (or Ollama webSearch as fallback).
 // This is NOT a legal clearance. It returns raw web-search hits that mention trademarks.
-async function trademarkSearchUK(name) {
+export async function trademarkSearchUK(name) {
   const q = `"${name}" trademark UK OR "trade mark" OR site:ipo.gov.uk`;
   
   // Try SerpAPI first
@@ -1217,11 +988,11 @@ async function trademarkSearchUK(name) {
     }
   }
   
-  // Fallback to Ollama webSearch if available
+  // Fallback to the search provider's webSearch (Ollama) if available
   try {
-    if (typeof ollama.webSearch === 'function') {
-    const res = await ollama.webSearch({ query: q, max_results: 6 });
-    return res;
+    const { provider: search } = getTaskLLM('search');
+    if (typeof search.webSearch === 'function') {
+      return await search.webSearch({ query: q, max_results: 6 });
     }
     return { error: 'No search provider available (set SERPAPI_KEY or enable ollama.webSearch)' };
   } catch (e) {
@@ -1231,7 +1002,7 @@ async function trademarkSearchUK(name) {
 
 // --- Expanded trademark search (webSearch + optional WhoisXMLAPI + caching) ---
 
-async function callWhoisXmlTrademark(name) {
+export async function callWhoisXmlTrademark(name) {
   const key = process.env.WHOISXMLAPI_KEY;
   if (!key) return { error: 'no_api_key' };
   const q = encodeURIComponent(name);
@@ -1249,7 +1020,7 @@ async function callWhoisXmlTrademark(name) {
 }
 
 // Screen a logo image for similar trademarks using reverse image search
-async function logoTrademarkScreen(imageUrl, opts = {}) {
+export async function logoTrademarkScreen(imageUrl, opts = {}) {
   const key = `logo:${imageUrl}`;
   const ttlMs = (opts.ttlMinutes || 10) * 60 * 1000;
   const now = Date.now();
@@ -1297,7 +1068,7 @@ async function logoTrademarkScreen(imageUrl, opts = {}) {
 // EUIPO (European Union Intellectual Property Office) API integration
 // Note: EUIPO database includes UK trademarks (even post-Brexit, historical data remains)
 // Uses EUIPO eSearch public interface
-async function searchEUIPOAPI(name, opts = {}) {
+export async function searchEUIPOAPI(name, opts = {}) {
   try {
     if (typeof fetch !== 'function') {
       return { error: 'fetch not available' };
@@ -1351,7 +1122,7 @@ async function searchEUIPOAPI(name, opts = {}) {
 }
 
 // Helper to transform EUIPO API results to our format
-function transformEUIPOResults(data, searchName) {
+export function transformEUIPOResults(data, searchName) {
   const hits = [];
   
   // EUIPO API response structure may vary - handle different formats
@@ -1379,7 +1150,7 @@ function transformEUIPOResults(data, searchName) {
 // UK IPO integration
 // Note: UK IPO doesn't have a public REST API, so we use web scraping
 // If UK IPO releases an official API in the future, this function can be updated
-async function searchUKIPOAPI(name, opts = {}) {
+export async function searchUKIPOAPI(name, opts = {}) {
   try {
     // Check if web scraping is enabled (set UK_IPO_WEB_SCRAPING=true in .env to enable)
     // Default to false to respect UK IPO terms of service
@@ -1423,7 +1194,7 @@ async function searchUKIPOAPI(name, opts = {}) {
 // Note: UK IPO uses https://www.ipo.gov.uk/tmtext for trademark searches
 // This function scrapes the search results page
 // IMPORTANT: Check UK IPO terms of service before using in production
-async function searchUKIPOWeb(name, opts = {}) {
+export async function searchUKIPOWeb(name, opts = {}) {
   try {
     // UK IPO trademark text search URL
     const searchUrl = `https://www.ipo.gov.uk/tmtext?textquery=${encodeURIComponent(name)}`;
@@ -1508,14 +1279,19 @@ async function searchUKIPOWeb(name, opts = {}) {
   }
 }
 
-async function trademarkSearchUKExpanded(name, opts = {}) {
+// `opts.onProgress` receives a 'trademark' stage update as each layer finishes.
+export async function trademarkSearchUKExpanded(name, opts = {}) {
   const key = `tm:${String(name || '').toLowerCase()}`;
   const ttlMs = (opts.ttlMinutes || 10) * 60 * 1000;
   const now = Date.now();
   const cached = trademarkCache.get(key);
-  if (cached && (now - cached.ts) < ttlMs) return cached.value;
+  if (cached && (now - cached.ts) < ttlMs) {
+    reportProgress(opts, 'trademark', `Trademark results for ${name} from cache`, { name, layer: 'cache' });
+    return cached.value;
+  }
 
   const out = { summary: [], hits: [], warnings: [] };
+  const layerDone = (layer) => reportProgress(opts, 'trademark', `Trademark layer ${layer} done for ${name}`, { name, layer });
 
   // 0) Direct API calls (highest priority - most accurate)
   // Try EUIPO API first (includes UK trademark data)
@@ -1530,6 +1306,7 @@ async function trademarkSearchUKExpanded(name, opts = {}) {
   } catch (e) {
     out.warnings.push(`EUIPO API error: ${String(e.message || e)}`);
   }
+  layerDone('EUIPO');
 
   // Try UK IPO (web scraping if enabled, or API if available in future)
   try {
@@ -1546,6 +1323,7 @@ async function trademarkSearchUKExpanded(name, opts = {}) {
   } catch (e) {
     out.warnings.push(`UK IPO error: ${String(e.message || e)}`);
   }
+  layerDone('UK IPO');
 
   // 1) SerpAPI or Ollama webSearch expansion (if available)
   // By default perform a lightweight UK-focused trademark screen. To run broader
@@ -1572,6 +1350,7 @@ async function trademarkSearchUKExpanded(name, opts = {}) {
   }
 
   // Prefer SerpAPI if available
+  const { provider: search } = getTaskLLM('search');
   if (process.env.SERPAPI_KEY) {
     for (const q of queries) {
       try {
@@ -1594,11 +1373,11 @@ async function trademarkSearchUKExpanded(name, opts = {}) {
         out.warnings.push(`SerpAPI query failed: ${String(e.message || e)}`);
       }
     }
-  } else if (typeof ollama.webSearch === 'function') {
+  } else if (typeof search.webSearch === 'function') {
     // Fallback to Ollama webSearch
     for (const q of queries) {
       try {
-        const res = await ollama.webSearch({ query: q, max_results: 8 });
+        const res = await search.webSearch({ query: q, max_results: 8 });
         const items = res?.results || res?.items || res?.hits || res?.data || [];
         if (Array.isArray(items) && items.length > 0) {
           for (const r of items) {
@@ -1617,6 +1396,7 @@ async function trademarkSearchUKExpanded(name, opts = {}) {
   } else {
     out.warnings.push('No search provider available (set SERPAPI_KEY or enable ollama.webSearch); skipping web search layer.');
   }
+  layerDone('web search');
 
   // 2) WhoisXMLAPI (optional, if key provided)
   if (process.env.WHOISXMLAPI_KEY) {
@@ -1626,6 +1406,7 @@ async function trademarkSearchUKExpanded(name, opts = {}) {
       out.hits.push({ source: 'whoisxml', body: w.body });
       out.summary.push('WhoisXMLAPI results included (requires API key).');
     }
+    layerDone('WhoisXML');
   }
 
   // Deduplicate by url/title when possible
@@ -1642,7 +1423,8 @@ async function trademarkSearchUKExpanded(name, opts = {}) {
   return out;
 }
 
-async function searchAndSuggestNames(title, description, bizShort, visualsArr, brandVals, opts = {}) {
+// Ask the model for one (or a few) names for an already chosen idea
+export async function searchAndSuggestNames(title, description, bizShort, visualsArr, brandVals, opts = {}) {
   const count = Number.isInteger(opts.count) ? opts.count : 3;
   // Default to 2 words per name unless caller overrides
   const maxWords = Number.isInteger(opts.maxWords) ? opts.maxWords : 2;
@@ -1674,141 +1456,21 @@ async function searchAndSuggestNames(title, description, bizShort, visualsArr, b
     { role: 'user', content: `Business: "${bizShort}"\nIdea title: "${title}"\nDescription: "${description}"\nVisuals: ${visualsArr.join(', ')}\nBrand values: ${brandVals.join(', ')}` }
   ];
   // Call the model directly (no tools). We expect a short, deterministic reply.
-  const resp = await ollama.chat({ model: defaultModel, messages: msgs, options: { temperature } });
-  // Normalize and return textual content
-  const content = resp?.message?.content ?? extractTextFromOllamaResult(resp);
+  const { provider, model } = getTaskLLM('naming');
+  const content = await provider.chat({ model, messages: msgs, temperature });
   return content || '';
 }
 
-let names;
-if (earlySuggestedNames && earlySuggestedNames.length > 0) {
-  // Reuse early suggestion (from the All set step)
-  names = earlySuggestedNames.slice(0,3);
-} else {
-  const nameText = await searchAndSuggestNames(selected.title, selected.description || '', shortBiz, visuals || [], brandValues || [], { count: 1, maxWords: 2, temperature: 0, format: 'title_and_reason' });
-  // Parse the returned two-line (name + reason) format
-  const lines = (nameText || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-  let parsedName = lines[0] ? lines[0].replace(/^\d+\.\s*/, '').replace(/^["'`\*\s]+|["'`\*\s]+$/g, '').trim() : '';
-  
-  // Remove suffixes from parsed name
-  const cleanSuffixes = (name) => {
-    if (!name) return name;
-    let cleaned = String(name).trim();
-    // Remove "Branding Co" or "Branding Co." first (before removing just "Co")
-    cleaned = cleaned.replace(/\s+Branding\s+Co\.?\s*$/i, '').trim();
-    // Remove common suffixes (with space before)
-    cleaned = cleaned.replace(/\s+(Co\.?|Company|Inc\.?|LLC|Ltd\.?|Design|Studio|Group|Solutions|Corp\.?|Corporation)\s*$/i, '').trim();
-    // Remove standalone "Co" or "Co." at the end (catch any remaining)
-    cleaned = cleaned.replace(/\s+Co\.?\s*$/i, '').trim();
-    return cleaned;
-  };
-  parsedName = cleanSuffixes(parsedName);
-  
-  const parsedReason = lines[1] ? lines[1].replace(/^["'`\*\s]+|["'`\*\s]+$/g, '').trim() : '';
-  names = [{ name: parsedName, rationale: parsedReason }];
-}
-if (!Array.isArray(names) || names.length < 1) {
-  // final dump and exit
-  if (process.env.OLLAMA_DEBUG === '1') {
-    console.error('Final nameParsed value (debug):', nameParsed);
-    console.error('Raw name output (first 400 chars):\n', nameText.slice(0, 400));
-  } else {
-    try {
-      const dumpPath = `ollama-names-raw-${Date.now()}.txt`;
-      fs.writeFileSync(dumpPath, nameText || '');
-      console.error(`Expected at least 1 name but could not parse them. Raw name output saved to ./${dumpPath}. Set OLLAMA_DEBUG=1 to print more debug info.`);
-    } catch (writeErr) {
-      console.error('Additionally, failed to save raw name output to disk:', writeErr.message);
-    }
-  }
-  throw new Error('Invalid names shape');
-}
-
-// Use the first suggested name (we requested a single short creative name).
-const chosenName = names[0].name;
-const chosenRationale = names[0].rationale || '';
-const chosenInitial = (chosenName && chosenName.length) ? chosenName.trim().charAt(0).toUpperCase() : '';
+// --- Logo ---
 
-// Ask user if they want to edit the prompt manually, or proceed with logo generation
-const rlEdit = readline.createInterface({ input, output });
-let editRaw = (await rlEdit.question('\nDo you want to edit this prompt manually? ')).trim();
-rlEdit.close();
-
-let finalLogoPrompt = logoPromptText;
-
-if (editRaw && /^y/i.test(editRaw)) {
-  // User wants to edit manually
-  const rlManual = readline.createInterface({ input, output });
-  console.log('\nPlease type your custom logo prompt (press Enter when done):');
-  const manualPrompt = (await rlManual.question('> ')).trim();
-  rlManual.close();
-  
-  if (manualPrompt) {
-    finalLogoPrompt = manualPrompt;
-    console.log('\nUsing your custom prompt for logo generation.');
-  } else {
-    console.log('\nNo custom prompt provided, using the original prompt.');
-  }
-}
-
-// Helper function to convert HEX to approximate color name for better model recognition
-function hexToColorName(hex) {
-  if (!hex) return 'unknown';
-  const h = hex.replace('#', '').toUpperCase();
-  // Common color mappings
-  const colorMap = {
-    '000000': 'black', 'FFFFFF': 'white', 'FF0000': 'red', '00FF00': 'green', '0000FF': 'blue',
-    'FFFF00': 'yellow', 'FF00FF': 'magenta', '00FFFF': 'cyan', 'FFA500': 'orange', '800080': 'purple',
-    'FFC0CB': 'pink', 'A52A2A': 'brown', '808080': 'gray', 'FFD700': 'gold', 'C0C0C0': 'silver',
-    '008000': 'dark green', '000080': 'navy blue', '800000': 'maroon', 'FF6347': 'tomato',
-    '32CD32': 'lime green', '4169E1': 'royal blue', 'FF1493': 'deep pink', '00CED1': 'dark turquoise',
-    'FF8C00': 'dark orange', '2E8B57': 'sea green', '4682B4': 'steel blue', 'DC143C': 'crimson',
-    '8B008B': 'dark magenta', '556B2F': 'dark olive green', 'B8860B': 'dark goldenrod',
-  };
-  
-  // Exact match
-  if (colorMap[h]) return colorMap[h];
-  
-  // Parse RGB
-  const r = parseInt(h.substring(0, 2), 16);
-  const g = parseInt(h.substring(2, 4), 16);
-  const b = parseInt(h.substring(4, 6), 16);
-  
-  // Approximate color name based on RGB values
-  if (r > 200 && g < 100 && b < 100) return 'red';
-  if (r < 100 && g > 200 && b < 100) return 'green';
-  if (r < 100 && g < 100 && b > 200) return 'blue';
-  if (r > 200 && g > 200 && b < 100) return 'yellow';
-  if (r > 200 && g < 100 && b > 200) return 'magenta';
-  if (r < 100 && g > 200 && b > 200) return 'cyan';
-  if (r > 200 && g > 150 && b < 100) return 'orange';
-  if (r > 150 && g < 100 && b > 150) return 'purple';
-  if (r > 200 && g > 150 && b > 150) return 'pink';
-  if (r < 150 && g < 150 && b < 150) return 'dark';
-  if (r > 200 && g > 200 && b > 200) return 'light';
-  if (r > 100 && g < 80 && b < 80) return 'dark red';
-  if (r < 80 && g > 100 && b < 80) return 'dark green';
-  if (r < 80 && g < 80 && b > 100) return 'dark blue';
-  
-  // Fallback: describe by RGB
-  if (r > g && r > b) {
-    if (g > b) return 'warm red-orange';
-    return 'red';
-  }
-  if (g > r && g > b) {
-    if (r > b) return 'yellow-green';
-    return 'green';
-  }
-  if (b > r && b > g) {
-    if (r > g) return 'purple-blue';
-    return 'blue';
-  }
-  
-  return 'neutral';
+// Everyday name of a HEX colour for better model recognition: the nearest
+// match in the bundled colour-name set (see color-names.js), e.g. 'navy blue'
+export function hexToColorName(hex) {
+  return nearestColorName(hex)?.name || 'unknown';
 }
 
 // Extract HEX codes from the prompt and enhance with color names
-function enhancePromptWithColorNames(prompt, hexA, hexB) {
+export function enhancePromptWithColorNames(prompt, hexA, hexB) {
   if (!hexA || !hexB) return prompt;
   
   const colorNameA = hexToColorName(hexA);
@@ -1838,30 +1500,370 @@ function enhancePromptWithColorNames(prompt, hexA, hexB) {
   return enhanced;
 }
 
-// Extract HEX codes from paletteColorDetails if available
-let hexAForFlux = null;
-let hexBForFlux = null;
-if (Array.isArray(paletteColorDetails) && paletteColorDetails[0]) {
-  hexAForFlux = paletteColorDetails[0].hex1 || null;
-  hexBForFlux = paletteColorDetails[0].hex2 || null;
-} else if (Array.isArray(paletteColors) && paletteColors[0]) {
+// Pick out the palette HEX codes and add colour names to a logo prompt.
+// Returns the prompt unchanged when the palette has no usable HEX pair.
+export function enhanceLogoPromptForPalette(prompt, palette) {
+  const hexA = normalizeHex(palette?.hex1 || palette?.color1);
+  const hexB = normalizeHex(palette?.hex2 || palette?.color2);
+  if (!hexA || !hexB) return prompt;
+  return enhancePromptWithColorNames(prompt, hexA, hexB);
+}
+
+// Extra renders tried by the 'regenerate' palette fidelity action
+const LOGO_FIDELITY_RETRIES = 2;
+
+// Score a rendered logo ({ buffer, extension, imageUrl }) against `palette` and
+// act on a score below imageOptions.minFidelity as imageOptions.fidelity says:
+// 'regenerate' calls render(seed) up to LOGO_FIDELITY_RETRIES more times with
+// other seeds and keeps the best logo, 'recolor' maps the logo onto the
+// palette colours (palette-fidelity.js). Returns { rendered, fidelity } with the
+// fidelity report plus { action, attempts } and, after recolouring,
+// `before` (the score of the logo as rendered).
+async function keepLogoToPalette(rendered, render, palette, { prompt, imageOptions, opts }) {
+  const threshold = imageOptions.minFidelity;
+  let fidelity = await paletteFidelity(rendered.buffer, palette, { threshold });
+  if (!fidelity) return { rendered, fidelity: null };
+  let attempts = 1;
+  if (!fidelity.passes && imageOptions.fidelity === 'regenerate') {
+    const baseSeed = imageOptions.seed ?? hashString(String(prompt));
+    while (!fidelity.passes && attempts <= LOGO_FIDELITY_RETRIES) {
+      opts.signal?.throwIfAborted();
+      reportProgress(opts, 'image', `Palette fidelity ${fidelity.score}/100 is below ${threshold}, rendering again (${attempts}/${LOGO_FIDELITY_RETRIES})`);
+      let candidate;
+      try {
+        candidate = await render((baseSeed + attempts * 7919) % 2147483647);
+      } catch (err) {
+        if (opts.signal?.aborted) throw err;
+        console.warn('Logo re-render failed, keeping the best logo so far:', err.message);
+        break;
+      }
+      attempts++;
+      const score = await paletteFidelity(candidate.buffer, palette, { threshold });
+      if (score.score > fidelity.score) [rendered, fidelity] = [candidate, score];
+    }
+  } else if (!fidelity.passes && imageOptions.fidelity === 'recolor') {
+    reportProgress(opts, 'image', `Palette fidelity ${fidelity.score}/100 is below ${threshold}, recolouring the logo to the palette`);
+    const buffer = await recolorToPalette(rendered.buffer, palette);
+    const before = fidelity.score;
+    fidelity = { ...(await paletteFidelity(buffer, palette, { threshold })), before };
+    rendered = { ...rendered, buffer, extension: 'png' };
+  }
+  return { rendered, fidelity: { ...fidelity, action: imageOptions.fidelity, attempts } };
+}
+
+// One-line summary of a logo's palette fidelity report for the console
+function describeLogoFidelity(fidelity) {
+  const matches = fidelity.colors.map(c => `${c.hex} -> ${c.nearest || 'none'} (ΔE ${c.distance ?? '-'})`).join(', ');
+  const notes = [
+    fidelity.before !== undefined && `recoloured, was ${fidelity.before}`,
+    fidelity.attempts > 1 && `best of ${fidelity.attempts} renders`,
+  ].filter(Boolean);
+  return `${fidelity.passes ? '✅' : '⚠️'} Palette fidelity ${fidelity.score}/100 (target ${fidelity.threshold}): ${matches}${notes.length ? ` - ${notes.join(', ')}` : ''}`;
+}
+
+// Render a logo image on the configured image backend (see image-backends.js)
+// and save it to `outDir` (converted to PNG with sharp when available).
+// `opts` may override backend, width, height, guidance, steps, seed, vectorize,
+// transparent, fidelity and minFidelity;
+// `opts.onProgress` receives 'image' stage updates (queue position, download)
+// and `opts.signal` (an AbortSignal) cancels the render.
+// With `opts.palette` (hex1/hex2) the logo is scored for how closely it keeps
+// to the palette unless fidelity is 'off' (see keepLogoToPalette), and with
+// vectorize on, the PNG is also traced to an SVG in the palette colours (see
+// vectorize.js) saved next to it. With transparent on, a copy with the
+// background removed (see background.js) is saved as logo-<time>-transparent.png / .webp.
+// Returns { imageUrl, imagePath, filename, backend } plus { fidelity } when the
+// logo was scored, { svgPath, svgFilename } when the logo was traced and
+// { transparentPath, transparentFilename, transparentWebpFilename } for the
+// transparent copy.
+export async function generateLogoImage(prompt, opts = {}) {
+  const outDir = opts.outDir || '.';
+  const imageOptions = resolveImageOptions(opts);
+  const backend = getImageBackend(imageOptions.backend);
+  reportProgress(opts, 'image', `Sending the prompt to the ${backend.name} backend`, { backend: backend.name });
+  const render = (seed) => backend.render({
+    prompt,
+    ...imageOptions,
+    seed,
+    onProgress: (event) => reportProgress(opts, 'image', event.message, event),
+    signal: opts.signal,
+  });
+  let rendered = await render(imageOptions.seed);
+  opts.signal?.throwIfAborted();
+
+  const colors = [opts.palette?.hex1 || opts.palette?.color1, opts.palette?.hex2 || opts.palette?.color2]
+    .map(normalizeHex)
+    .filter(Boolean);
+  let fidelity = null;
+  if (imageOptions.fidelity !== 'off' && colors.length === 2) {
+    reportProgress(opts, 'image', 'Checking the logo against the palette');
+    try {
+      ({ rendered, fidelity } = await keepLogoToPalette(rendered, render, { hex1: colors[0], hex2: colors[1] }, { prompt, imageOptions, opts }));
+    } catch (fidelityErr) {
+      if (opts.signal?.aborted) throw fidelityErr;
+      console.warn('Palette fidelity check failed, keeping the logo as rendered:', fidelityErr.message);
+    }
+  }
+  const { buffer: imageBuffer, extension, imageUrl } = rendered;
+  reportProgress(opts, 'image', 'Saving the logo');
+
+  let filename;
+  try {
+    // Try to use sharp for PNG conversion
+    const sharpModule = await import('sharp');
+    const sharp = sharpModule.default;
+    const pngBuffer = await sharp(imageBuffer).png().toBuffer();
+    filename = `logo-${Date.now()}.png`;
+    fs.writeFileSync(path.join(outDir, filename), pngBuffer);
+  } catch (sharpErr) {
+    // Fallback: save in the backend's original format if sharp is not available
+    filename = `logo-${Date.now()}.${extension || 'webp'}`;
+    fs.writeFileSync(path.join(outDir, filename), imageBuffer);
+  }
+
+  const result = { imageUrl, imagePath: path.join(outDir, filename), filename, backend: backend.name };
+  if (fidelity) result.fidelity = fidelity;
+  if (imageOptions.vectorize && colors.length > 0 && filename.endsWith('.png')) {
+    opts.signal?.throwIfAborted();
+    reportProgress(opts, 'image', 'Tracing the logo to SVG');
+    try {
+      const { svg } = await vectorizeImage(result.imagePath, { colors });
+      result.svgFilename = filename.replace(/\.png$/, '.svg');
+      result.svgPath = path.join(outDir, result.svgFilename);
+      fs.writeFileSync(result.svgPath, svg);
+    } catch (traceErr) {
+      console.warn('Logo tracing failed, keeping the PNG only:', traceErr.message);
+    }
+  }
+  if (imageOptions.transparent && filename.endsWith('.png')) {
+    opts.signal?.throwIfAborted();
+    reportProgress(opts, 'image', 'Removing the background');
+    try {
+      const { png, webp } = await removeBackground(result.imagePath);
+      result.transparentFilename = filename.replace(/\.png$/, '-transparent.png');
+      result.transparentWebpFilename = filename.replace(/\.png$/, '-transparent.webp');
+      result.transparentPath = path.join(outDir, result.transparentFilename);
+      fs.writeFileSync(result.transparentPath, png);
+      fs.writeFileSync(path.join(outDir, result.transparentWebpFilename), webp);
+    } catch (bgErr) {
+      console.warn('Background removal failed, keeping the opaque PNG only:', bgErr.message);
+    }
+  }
+  return result;
+}
+
+// Build a procedural vector logo (see svg-logo.js) from the name and palette
+// and save it to `outDir` as SVG plus a PNG rendered with sharp. No model or
+// network is used. `opts` may override style, width, height and seed.
+// Returns the generateLogoImage shape plus { svgPath, svgFilename, style, description }.
+export async function generateSvgLogo({ name, initial, palette, visuals = [] }, opts = {}) {
+  const outDir = opts.outDir || '.';
+  const { style, width, height, seed } = resolveImageOptions(opts);
+  opts.signal?.throwIfAborted();
+  reportProgress(opts, 'image', `Building a ${style} vector logo`, { backend: 'svg' });
+  const { svg, description } = buildSvgLogo({
+    name,
+    initial,
+    hex1: normalizeHex(palette?.hex1 || palette?.color1) || undefined,
+    hex2: normalizeHex(palette?.hex2 || palette?.color2) || undefined,
+    style,
+    visuals,
+    seed,
+    width,
+    height,
+  });
+
+  const stamp = Date.now();
+  const svgFilename = `logo-${stamp}.svg`;
+  const filename = `logo-${stamp}.png`;
+  fs.writeFileSync(path.join(outDir, svgFilename), svg);
+  const sharp = (await import('sharp')).default;
+  fs.writeFileSync(path.join(outDir, filename), await sharp(Buffer.from(svg)).png().toBuffer());
+
+  return {
+    imageUrl: null,
+    imagePath: path.join(outDir, filename),
+    filename,
+    svgPath: path.join(outDir, svgFilename),
+    svgFilename,
+    backend: 'svg',
+    style,
+    description,
+  };
+}
+
+
+// --- Whole flow ---
+
+// Normalise a brief (JSON file contents or CLI flags) into the flow inputs.
+// Accepts `business` or `businessDescription`, and visuals / brandValues as
+// arrays or comma-separated strings.
+export function normalizeBrief(brief = {}) {
+  return {
+    business: shortenBusinessDescription(brief.business ?? brief.businessDescription ?? ''),
+    visuals: parseVisuals(brief.visuals),
+    brandValues: parseBrandValues(brief.brandValues ?? brief.values),
+    pickName: parseInt(brief.pickName || 1, 10),
+    pickPalette: parseInt(brief.pickPalette || 1, 10),
+    logoPrompt: brief.logoPrompt ? String(brief.logoPrompt).trim() : '',
+  };
+}
+
+// Run the whole BrandScape flow without prompting: names + screening, colours,
+// logo prompt and (unless opts.logo === false) the logo image in opts.outDir,
+// rendered with opts.image ({ mode, style, backend, width, height, guidance, steps }).
+// opts.domains ({ tlds, alternatives }) and opts.handles ({ platforms, checker })
+// are passed to screenName for each name.
+// Name and palette picks are 1-based and checked against suggestionCount and
+// paletteCount before anything runs. A failed logo render is reported in
+// `logoError` instead of throwing, so the rest of the result is kept.
+export async function runBrief(brief, opts = {}) {
+  const { business, visuals, brandValues, pickName, pickPalette, logoPrompt: customPrompt } = normalizeBrief(brief);
+  if (!business) throw new Error('Brief is missing a business description');
+  // Checked before any lookups so a bad pick fails straight away
+  if (!(pickName >= 1 && pickName <= suggestionCount)) {
+    throw new Error(`Name pick ${pickName} is out of range (1-${suggestionCount})`);
+  }
+  if (!(pickPalette >= 1 && pickPalette <= paletteCount)) {
+    throw new Error(`Palette pick ${pickPalette} is out of range (1-${paletteCount})`);
+  }
+
+  const query = buildNameQuery(business, visuals, brandValues);
+  const context = await buildNameContext(business, visuals, query);
+  const suggestions = await fetchNameSuggestions({ query, context, exclude: opts.exclude });
+
+  const names = [];
+  for (const s of suggestions.slice(0, suggestionCount)) {
+    const title = s.title || '';
+    const { domains, domainDetails, domainAlternatives, handles, trademark, trademarkNotes } = await screenName(title, business, { domains: opts.domains, handles: opts.handles });
+    names.push({ title, description: s.description || '', domains, domainDetails, domainAlternatives, handles, trademarkNotes, trademarkWarnings: trademark.warnings });
+  }
+  if (!(pickName >= 1 && pickName <= names.length)) {
+    throw new Error(`Name pick ${pickName} is out of range (1-${names.length})`);
+  }
+  const selectedName = names[pickName - 1];
+
+  let palettes = await generateColorRecommendations({ selected: selectedName, brandValues });
+  if (palettes.length === 0) palettes = DEFAULT_PALETTE_LINES.map(parseFivePairLine).map(withAccessibility);
+  if (!(pickPalette >= 1 && pickPalette <= palettes.length)) {
+    throw new Error(`Palette pick ${pickPalette} is out of range (1-${palettes.length})`);
+  }
+  const selectedPalette = palettes[pickPalette - 1];
+
+  const logoPrompt = customPrompt || await generateLogoPromptText({
+    description: selectedName.description,
+    visuals,
+    hex1: selectedPalette.hex1,
+    hex2: selectedPalette.hex2,
+  });
+  const fluxPrompt = enhanceLogoPromptForPalette(logoPrompt, selectedPalette);
+
+  let logo = null;
+  let logoError = null;
+  if (opts.logo !== false) {
+    try {
+      const imageOpts = { ...opts.image, outDir: opts.outDir };
+      logo = resolveImageOptions(imageOpts).mode === 'svg'
+        ? await generateSvgLogo({ name: selectedName.title, palette: selectedPalette, visuals }, imageOpts)
+        : await generateLogoImage(fluxPrompt, { ...imageOpts, palette: selectedPalette });
+    } catch (e) {
+      logoError = e.message || String(e);
+    }
+  }
+
+  return {
+    brief: { business, visuals, brandValues },
+    names,
+    selectedName,
+    palettes,
+    selectedPalette,
+    logoPrompt,
+    fluxPrompt,
+    logo,
+    logoError,
+  };
+}
+
+// --- Interactive CLI ---
+
+async function ask(question = '> ') {
+  const rl = readline.createInterface({ input, output });
   try {
-    const p = paletteColors[0].split('-')[0].trim();
-    const parts = p.split(',').map(s => s.trim());
-    if (parts[0]) hexAForFlux = parts[0];
-    if (parts[1]) hexBForFlux = parts[1];
+    return (await rl.question(question)).trim();
+  } finally {
+    rl.close();
+  }
+}
+
+async function printSuggestionsWithScreening(list, shortBiz) {
+  console.log(`\nHere are five name recommendations for your business with domain and trademark screening:\n`);
+
+  for (let i = 0; i < list.length; i++) {
+    const s = list[i];
+    const title = cleanSuffixes(s.title || `(${i+1})`);
+    const desc = s.description || '';
+
+    console.log(`${i + 1}) ${title}`);
+    console.log(`   Description: ${desc}`);
+
+    // Same screening as the API (screenName), formatted for the terminal
+    let screening;
+    try {
+      screening = await screenName(title, shortBiz);
     } catch (e) {
-    // ignore
+      console.warn('   Screening failed:', e.message);
+      console.log('');
+      continue;
+    }
+    const { domainDetails, domainAlternatives, handles, trademark, trademarkNotes } = screening;
+
+    console.log('   Domain availability:');
+    const domains = Object.keys(domainDetails);
+    if (domains.length > 0) {
+      domains.forEach(d => {
+        const r = domainDetails[d];
+        const label = r.status === 'unknown' ? '⚠ Unknown' : (r.status === 'registered' ? '❌ Registered' : '✅ Available');
+        const details = [
+          r.registrar && `registrar ${r.registrar}`,
+          r.expires && `expires ${r.expires}`,
+          r.source === 'dns' && 'DNS fallback',
+        ].filter(Boolean).join(', ');
+        console.log(`      ${d}: ${label}${details ? ` (${details})` : ''}`);
+      });
+      const available = domainAlternatives.filter(a => a.status === 'unregistered');
+      if (available.length > 0) console.log(`   Available alternatives: ${available.map(a => a.domain).join(', ')}`);
+    } else {
+      console.log('      No domain check results');
+    }
+
+    const labels = { available: '✅', taken: '❌', unknown: '⚠', invalid: '✗' };
+    console.log(`   Handles: ${Object.entries(handles).map(([platform, h]) => `${platform} @${h.handle} ${labels[h.status]}`).join('  ')}`);
+
+    if (trademark?.warnings?.length > 0) {
+      console.warn('   Trademark search warnings:', trademark.warnings.join(' | '));
+    }
+    console.log('   Trademark notes:');
+    trademarkNotes.split('\n').filter(l => l.trim()).forEach(line => {
+      console.log(`      • ${line.trim()}`);
+    });
+
+    console.log(''); // Empty line between suggestions
   }
 }
 
-// Enhance the prompt with color names before sending to Flux
-if (hexAForFlux && hexBForFlux) {
-  // Ensure HEX codes have # prefix
-  const hexAClean = hexAForFlux.startsWith('#') ? hexAForFlux.toUpperCase() : '#' + hexAForFlux.toUpperCase();
-  const hexBClean = hexBForFlux.startsWith('#') ? hexBForFlux.toUpperCase() : '#' + hexBForFlux.toUpperCase();
-  finalLogoPrompt = enhancePromptWithColorNames(finalLogoPrompt, hexAClean, hexBClean);
-  console.log(`\nEnhanced prompt with colors: ${hexToColorName(hexAClean)} (${hexAClean}) and ${hexToColorName(hexBClean)} (${hexBClean})`);
+function printPalettes(palettes) {
+  palettes.forEach((c, idx) => {
+    console.log(`${idx+1}) ${c.hex1},${c.hex2} - ${c.namePair} - ${c.short}`);
+    if (!c.contrast) return;
+    console.log(`   Contrast: ${c.contrast.pairs.map(p => `${p.label.toLowerCase()} ${p.ratio}:1 ${p.level}`).join(' · ')}`);
+    c.contrast.suggestions.forEach(v => {
+      const pair = c.contrast.pairs.find(p => p.id === v.pair);
+      console.log(`   ${pair.label} fails ${v.target}:1 - try ${v.hex} instead of ${v.from} (${v.direction}, ${v.ratio}:1)`);
+    });
+    if (c.colorVision?.flagged.length) {
+      console.log(`   Hard to tell apart with: ${c.colorVision.flagged.map(f => `${f.type} (${f.pair.replace('-', ' / ')})`).join(', ')}`);
+    }
+  });
 }
 
 // Perform visual similarity check using reverse image search
@@ -1950,116 +1952,348 @@ async function performVisualSimilarityCheck(imageUrl) {
   }
 }
 
-// Generate logo using FLUX.1 [dev] model via Gradio client
-console.log('\nGenerating logo image using FLUX.1 [dev]...');
-try {
-  // Connect to FLUX.1-dev Gradio client
-  const client = await Client.connect("black-forest-labs/FLUX.1-dev");
-  
-  // Generate image with the enhanced logo prompt
-  const result = await client.predict("/infer", {
-    prompt: finalLogoPrompt,
-    seed: 0,
-    randomize_seed: true,
-    width: 1024,  // Higher resolution for logo
-    height: 1024,
-    guidance_scale: 3.5,  // Standard guidance scale for FLUX
-    num_inference_steps: 28,  // Standard steps for quality
-  });
-  
-  console.log('\nFLUX.1 [dev] generation completed.');
-  
-  // Handle the response - Gradio returns an array with file info object and metadata
-  if (result && result.data && Array.isArray(result.data) && result.data.length > 0) {
-    const fileInfo = result.data[0];
-    
-    // Check if it's a Gradio FileData object with a URL
-    if (fileInfo && typeof fileInfo === 'object' && fileInfo.url) {
-      const imageUrl = fileInfo.url;
-      const fileExtension = fileInfo.orig_name?.split('.').pop() || 'webp';
-      
-      console.log(`\nImage generated at: ${imageUrl}`);
-      
-      try {
-        // Download the image from the URL
-        const imageResp = await fetch(imageUrl);
-        if (!imageResp.ok) {
-          throw new Error(`HTTP ${imageResp.status}: ${imageResp.statusText}`);
-        }
-        
-        const imageBuffer = Buffer.from(await imageResp.arrayBuffer());
-        
-        // Convert to PNG if sharp is available, otherwise save as WebP
-        let imagePath;
-        try {
-          // Try to use sharp for PNG conversion
-          const sharpModule = await import('sharp');
-          const sharp = sharpModule.default;
-          const pngBuffer = await sharp(imageBuffer).png().toBuffer();
-          imagePath = `logo-${Date.now()}.png`;
-          fs.writeFileSync(imagePath, pngBuffer);
-          console.log(`\n✅ Logo saved as PNG to: ./${imagePath}`);
-          
-          // Run visual similarity check using reverse image search
-          if (process.env.SERPAPI_KEY && imageUrl) {
-            await performVisualSimilarityCheck(imageUrl);
-          }
-        } catch (sharpErr) {
-          // Fallback: save as original format (WebP) if sharp is not available
-          imagePath = `logo-${Date.now()}.${fileExtension}`;
-          fs.writeFileSync(imagePath, imageBuffer);
-          console.log(`\n✅ Logo saved to: ./${imagePath} (WebP format - install 'sharp' package for PNG conversion)`);
-          
-          // Run visual similarity check using reverse image search
-          if (process.env.SERPAPI_KEY && imageUrl) {
-            await performVisualSimilarityCheck(imageUrl);
-          }
-        }
-      } catch (downloadErr) {
-        console.warn('Failed to download image from URL:', downloadErr.message);
-        console.log(`\nYou can download it manually from: ${imageUrl}`);
+async function main() {
+  console.log("Welcome to BrandScape!\nI'll ask you a few questions to help craft your business name, colour scheme, and logo.\n...\nWhat's your business all about?");
+
+  const rawInput = await ask();
+  if (!rawInput) {
+    console.log('No input received; exiting.');
+    return;
+  }
+  if (rawInput.split(/\s+/).filter(Boolean).length > 5) {
+    console.log('Input contains more than 5 words; truncating to the first 5.');
+  }
+  const shortBiz = shortenBusinessDescription(rawInput);
+  console.log('Selected input:', shortBiz);
+
+  console.log('\nWhat are the visual elements that best represent your business?');
+  const visuals = parseVisuals(await ask());
+  if (visuals.length === 0) {
+    console.log('No visuals provided; proceeding without explicit visuals.');
+  } else if (visuals.length === 1) {
+    console.log('Recorded 1 visual:', visuals[0]);
+  } else {
+    console.log('Recorded visuals:', visuals.join(', '));
+  }
+
+  // Prompt for brand values (up to 2 free-text choices)
+  console.log('\nWhat are your brand values?');
+  const brandValues = parseBrandValues(await ask());
+  if (brandValues.length === 0) {
+    console.log('No brand values selected; proceeding without explicit brand values.');
+  } else {
+    console.log('\nSelected brand values:', brandValues.join(', '));
+    console.log('All set! I will generate 5 name recommendations now.');
+  }
+
+  const query = buildNameQuery(shortBiz, visuals, brandValues);
+  console.time('embedding');
+  const context = await buildNameContext(shortBiz, visuals, query);
+  console.timeEnd('embedding');
+
+  const seenSuggestionTitles = new Set();
+  const trackSuggestionTitles = (list) => {
+    list.forEach(s => {
+      const title = (s?.title || '').trim().toLowerCase();
+      if (title) seenSuggestionTitles.add(title);
+    });
+  };
+
+  // New suggestions, or null when the reply could not be used even after the
+  // retries (the user is told and can refresh instead of the run ending)
+  const requestSuggestions = async (exclude) => {
+    try {
+      const list = await fetchNameSuggestions({ query, context, exclude });
+      trackSuggestionTitles(list);
+      return list;
+    } catch (err) {
+      if (!(err instanceof ModelOutputError)) throw err;
+      console.warn('Could not get name suggestions:', err.message);
+      return null;
+    }
+  };
+
+  let suggestions = (await requestSuggestions()) || [];
+
+  let selected = null;
+  while (!selected) {
+    if (suggestions.length === 0) {
+      console.log('No names to pick from yet. Type refresh to ask the model again:');
+      if ((await ask()).toLowerCase().startsWith('refresh')) {
+        console.log('\nRefreshing suggestions...\n');
+        suggestions = (await requestSuggestions(Array.from(seenSuggestionTitles))) || [];
       }
-    } else if (typeof fileInfo === 'string') {
-      // Fallback: if it's a direct URL string
-      if (fileInfo.startsWith('http://') || fileInfo.startsWith('https://')) {
-        try {
-          const imageResp = await fetch(fileInfo);
-          const imageBuffer = Buffer.from(await imageResp.arrayBuffer());
-          
-          // Convert to PNG if sharp is available
-          let imagePath;
-          try {
-            const sharpModule = await import('sharp');
-            const sharp = sharpModule.default;
-            const pngBuffer = await sharp(imageBuffer).png().toBuffer();
-            imagePath = `logo-${Date.now()}.png`;
-            fs.writeFileSync(imagePath, pngBuffer);
-            console.log(`\n✅ Logo saved as PNG to: ./${imagePath}`);
-          } catch (sharpErr) {
-            // Fallback: save as WebP
-            imagePath = `logo-${Date.now()}.webp`;
-            fs.writeFileSync(imagePath, imageBuffer);
-            console.log(`\n✅ Logo saved to: ./${imagePath} (WebP format - install 'sharp' package for PNG conversion)`);
-          }
-          
-          // Run visual similarity check using reverse image search
-          if (process.env.SERPAPI_KEY && fileInfo) {
-            await performVisualSimilarityCheck(fileInfo);
-          }
-        } catch (downloadErr) {
-          console.warn('Failed to download image:', downloadErr.message);
-        }
+      continue;
+    }
+
+    // Display suggestions with integrated domain and trademark screening
+    await printSuggestionsWithScreening(suggestions, shortBiz);
+
+    // Prompt user to pick a name or refresh
+    console.log('Pick one name or type refresh:');
+    const pickRaw = await ask();
+
+    if (pickRaw.toLowerCase().startsWith('refresh')) {
+      console.log('\nRefreshing suggestions...\n');
+      const refreshed = await requestSuggestions(Array.from(seenSuggestionTitles));
+      if (refreshed) suggestions = refreshed;
+      else console.warn('Showing the previous suggestions again.');
+      continue;
+    }
+
+    const pick = parseInt(pickRaw, 10);
+    if (Number.isNaN(pick) || pick < 1 || pick > suggestions.length) {
+      console.error(`Invalid selection. Expected a number between 1 and ${suggestions.length} or type "refresh"`);
+      continue;
+    }
+
+    selected = suggestions[pick - 1];
+    console.log('\nYou selected:', selected.title);
+  }
+
+  // After the user picks a name, proceed directly to colours (no yes/no confirmation).
+  console.log('\nNext up: colours! Here are five colour schemes for your business.');
+  let paletteColorDetails = await generateColorRecommendations({ selected, brandValues });
+  printPalettes(paletteColorDetails);
+
+  // Prompt the user to pick one of the shown palettes and immediately show a
+  // concise logo prompt based on that choice.
+  let pickedPalette = null;
+  while (!pickedPalette) {
+    console.log('\nPick one of the above palettes or type refresh:');
+    const pickPalRaw = await ask();
+
+    if (pickPalRaw.toLowerCase().startsWith('refresh')) {
+      console.log('\nRegenerating color recommendations...');
+      const refreshed = await generateColorRecommendations({ selected, brandValues });
+      if (refreshed.length === 0) {
+        console.warn('Failed to regenerate colors. Please try again or pick from existing options.');
+        continue;
       }
+      paletteColorDetails = refreshed;
+      printPalettes(paletteColorDetails);
+      continue;
+    }
+
+    const pickPal = parseInt(pickPalRaw, 10);
+    if (Number.isNaN(pickPal) || pickPal < 1) {
+      console.warn('Invalid input. Please enter a number 1-5 or type "refresh".');
+      continue;
+    }
+    if (paletteColorDetails.length === 0) {
+      console.warn('No palette details available to pick from.');
+      break;
+    }
+    if (pickPal > paletteColorDetails.length) {
+      console.warn(`Please enter a number between 1 and ${paletteColorDetails.length}.`);
+      continue;
+    }
+    pickedPalette = paletteColorDetails[pickPal - 1];
+  }
+
+  let logoPromptText = '';
+  if (pickedPalette) {
+    console.log('\nLet\'s move on to the logo. Here a logo prompt based on your preferences:');
+    try {
+      logoPromptText = await generateLogoPromptText({
+        description: selected.description || '',
+        visuals,
+        hex1: pickedPalette.hex1,
+        hex2: pickedPalette.hex2,
+      });
+      console.log(logoPromptText);
+    } catch (e) {
+      console.warn('Logo prompt preview generation failed:', e.message);
+    }
+  }
+
+  // Ask the model for a single short creative name for the mark
+  const nameText = await searchAndSuggestNames(selected.title, selected.description || '', shortBiz, visuals, brandValues, { count: 1, maxWords: 2, temperature: 0, format: 'title_and_reason' });
+  // Parse the returned two-line (name + reason) format
+  const lines = (nameText || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const parsedName = cleanSuffixes(lines[0] ? lines[0].replace(/^\d+\.\s*/, '').replace(/^["'`\*\s]+|["'`\*\s]+$/g, '').trim() : '');
+  if (!parsedName) {
+    dumpRawModelOutput(nameText || '', 'ollama-names-raw');
+    console.warn(`Could not read a mark name from the model output; using "${selected.title}".`);
+  }
+  const chosenName = parsedName || selected.title;
+  const chosenInitial = chosenName.trim().charAt(0).toUpperCase();
+
+  // Ask user if they want to edit the prompt manually, or proceed with logo generation
+  const editRaw = await ask('\nDo you want to edit this prompt manually? ');
+
+  let finalLogoPrompt = logoPromptText;
+
+  if (editRaw && /^y/i.test(editRaw)) {
+    console.log('\nPlease type your custom logo prompt (press Enter when done):');
+    const manualPrompt = await ask();
+    if (manualPrompt) {
+      finalLogoPrompt = manualPrompt;
+      console.log('\nUsing your custom prompt for logo generation.');
     } else {
-      // Log the response structure for debugging
-      console.warn('Unexpected response format. File info:', JSON.stringify(fileInfo, null, 2));
+      console.log('\nNo custom prompt provided, using the original prompt.');
     }
-  } else {
-    console.warn('No image data in response. Full result:', JSON.stringify(result, null, 2).substring(0, 500));
+  }
+
+  // Enhance the prompt with color names before sending to Flux
+  if (pickedPalette) {
+    finalLogoPrompt = enhanceLogoPromptForPalette(finalLogoPrompt, pickedPalette);
+    const hexA = normalizeHex(pickedPalette.hex1);
+    const hexB = normalizeHex(pickedPalette.hex2);
+    if (hexA && hexB) {
+      console.log(`\nEnhanced prompt with colors: ${hexToColorName(hexA)} (${hexA}) and ${hexToColorName(hexB)} (${hexB})`);
+    }
+  }
+
+  const { mode: logoMode, style: logoStyle, backend: imageBackend } = resolveImageOptions();
+  if (logoMode === 'svg') {
+    console.log(`\nBuilding a ${logoStyle} vector logo locally...`);
+    try {
+      const logo = await generateSvgLogo({ name: selected.title, initial: chosenInitial, palette: pickedPalette, visuals });
+      console.log(`\n${logo.description}`);
+      console.log(`\n✅ Logo saved to: ./${logo.svgPath} and ./${logo.imagePath}`);
+    } catch (svgErr) {
+      console.warn('Vector logo generation failed:', svgErr.message || svgErr);
     }
-  } catch (fluxErr) {
-  console.warn('FLUX.1 [dev] generation failed:', fluxErr.message || fluxErr);
-  if (fluxErr.stack) {
-    console.warn('Error details:', fluxErr.stack);
+    return;
+  }
+
+  console.log(`\nGenerating logo image using the ${imageBackend} backend...`);
+  try {
+    const logo = await generateLogoImage(finalLogoPrompt, { palette: pickedPalette });
+    console.log(`\nLogo generation completed (${logo.backend}).`);
+    if (logo.imageUrl) console.log(`\nImage generated at: ${logo.imageUrl}`);
+    console.log(`\n✅ Logo saved to: ./${logo.imagePath}`);
+    if (logo.svgPath) console.log(`✅ Traced SVG saved to: ./${logo.svgPath}`);
+    if (logo.transparentPath) console.log(`✅ Transparent PNG saved to: ./${logo.transparentPath}`);
+    if (logo.fidelity) console.log(describeLogoFidelity(logo.fidelity));
+
+    // Run visual similarity check using reverse image search
+    if (process.env.SERPAPI_KEY && logo.imageUrl) {
+      await performVisualSimilarityCheck(logo.imageUrl);
+    }
+  } catch (imageErr) {
+    console.warn(`Logo generation (${imageBackend}) failed:`, imageErr.message || imageErr);
+    if (imageErr.stack) {
+      console.warn('Error details:', imageErr.stack);
+    }
+  }
+}
+
+const USAGE = `Usage:
+  bun src/brandscape.js                      Interactive mode
+  bun src/brandscape.js --brief brief.json   Unattended mode
+
+Unattended options (flags override fields in the brief):
+  --brief <file>        JSON brief: { business, visuals, brandValues, pickName, pickPalette, logoPrompt }
+  --business <text>     Business description (up to 5 words are used)
+  --visuals <list>      Comma-separated visual elements (up to 2)
+  --values <list>       Comma-separated brand values (up to 2)
+  --pick-name <n>       Which of the 5 names to use (default 1)
+  --pick-palette <n>    Which of the 5 palettes to use (default 1)
+  --prompt <text>       Use this logo prompt instead of generating one
+  --tlds <set|list>     Domains to check: uk, global, eu, tech or a list such as com,io (default BRAND_DOMAIN_TLDS or uk)
+  --domain-alternatives <n>  Alternative names to check when the exact domain is taken (default 6, 0 = none)
+  --no-logo             Skip the logo render
+  --logo-mode <m>       image (render the prompt) or svg (local vector mark) (default BRAND_LOGO_MODE or image)
+  --logo-style <s>      svg mode: monogram, emblem, badge or icon (default monogram)
+  --no-vectorize        image mode: keep the PNG only, do not trace it to SVG
+  --transparent         image mode: also save the logo with the background removed (PNG and WebP)
+  --fidelity <a>        image mode: report, regenerate, recolor or off when the logo strays from the palette (default report)
+  --min-fidelity <n>    image mode: palette fidelity score (0-100) the logo must reach (default 70)
+  --image-backend <b>   flux, a1111 or offline (default BRAND_IMAGE_BACKEND or flux)
+  --width <px>          Logo width (default 1024)
+  --height <px>         Logo height (default 1024)
+  --guidance <n>        Guidance scale (default 3.5)
+  --steps <n>           Inference steps (default 28)
+  --out <dir>           Output folder for result.json, the logo and design tokens (default ./brandscape-out)`;
+
+// Parse command-line flags. Returns null when no unattended flag was given.
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      brief: { type: 'string' },
+      business: { type: 'string' },
+      visuals: { type: 'string' },
+      values: { type: 'string' },
+      'pick-name': { type: 'string' },
+      'pick-palette': { type: 'string' },
+      prompt: { type: 'string' },
+      tlds: { type: 'string' },
+      'domain-alternatives': { type: 'string' },
+      'no-logo': { type: 'boolean' },
+      'logo-mode': { type: 'string' },
+      'logo-style': { type: 'string' },
+      'no-vectorize': { type: 'boolean' },
+      transparent: { type: 'boolean' },
+      fidelity: { type: 'string' },
+      'min-fidelity': { type: 'string' },
+      'image-backend': { type: 'string' },
+      width: { type: 'string' },
+      height: { type: 'string' },
+      guidance: { type: 'string' },
+      steps: { type: 'string' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  if (values.help) return { help: true };
+  if (!values.brief && !values.business) return null;
+
+  const brief = values.brief ? JSON.parse(fs.readFileSync(values.brief, 'utf8')) : {};
+  if (values.business) brief.business = values.business;
+  if (values.visuals !== undefined) brief.visuals = values.visuals;
+  if (values.values !== undefined) brief.brandValues = values.values;
+  if (values['pick-name']) brief.pickName = values['pick-name'];
+  if (values['pick-palette']) brief.pickPalette = values['pick-palette'];
+  if (values.prompt) brief.logoPrompt = values.prompt;
+
+  const image = {
+    mode: values['logo-mode'],
+    style: values['logo-style'],
+    backend: values['image-backend'],
+    width: values.width,
+    height: values.height,
+    guidance: values.guidance,
+    steps: values.steps,
+    vectorize: values['no-vectorize'] ? false : undefined,
+    transparent: values.transparent || undefined,
+    fidelity: values.fidelity,
+    minFidelity: values['min-fidelity'],
+  };
+
+  const domains = { tlds: values.tlds, alternatives: values['domain-alternatives'] };
+
+  return { brief, outDir: values.out || 'brandscape-out', logo: !values['no-logo'], image, domains };
+}
+
+async function runUnattended({ brief, outDir, logo, image, domains }) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const result = await runBrief(brief, { outDir, logo, image, domains });
+  const resultPath = path.join(outDir, 'result.json');
+  fs.writeFileSync(resultPath, JSON.stringify(result, null, 2));
+  const tokenFiles = designTokenFiles(result.selectedName.title, result.selectedPalette);
+  if (tokenFiles.length) fs.mkdirSync(path.join(outDir, 'tokens'), { recursive: true });
+  for (const file of tokenFiles) fs.writeFileSync(path.join(outDir, file.path), file.data);
+
+  console.log(`Selected name: ${result.selectedName.title}`);
+  console.log(`Selected palette: ${result.selectedPalette.hex1},${result.selectedPalette.hex2} - ${result.selectedPalette.namePair}`);
+  if (result.logo) console.log(`Logo saved to: ${[result.logo.svgPath, result.logo.imagePath, result.logo.transparentPath].filter(Boolean).join(', ')}`);
+  if (result.logo?.fidelity) console.log(describeLogoFidelity(result.logo.fidelity));
+  if (result.logoError) console.warn('Logo generation failed:', result.logoError);
+  if (tokenFiles.length) console.log(`Design tokens written to: ${path.join(outDir, 'tokens')}`);
+  console.log(`Result written to: ${resultPath}`);
+}
+
+if (import.meta.main) {
+  try {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli?.help) console.log(USAGE);
+    else if (cli) await runUnattended(cli);
+    else await main();
+  } catch (err) {
+    console.error(err.message || err);
+    process.exit(1);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,191 @@
+// BrandScape colour-psychology corpus
+// A bundled, versioned set of short notes on what colours suggest, which
+// colours industries use and how colours combine. It is the default retrieval
+// source for colour suggestions, so palettes are grounded without any web
+// access; the Mailchimp page and SerpAPI results are optional extras
+// (BRAND_COLOR_WEB=1, see generateColorRecommendations).
+//
+// Embeddings for the corpus are precomputed with the embeddings model
+// (mxbai-embed-large by default) into color-corpus.embeddings.json:
+//   { version, model, entries: { <id>: { hash, embedding } } }
+// A file written for another corpus version or with another model is ignored,
+// and entries missing from it or whose text changed (hash mismatch) are
+// embedded at run time instead. Write the file, and rebuild it after editing
+// the corpus, with:
+//   bun src/color-corpus.js --embed
+//
+// Corpus vectors (precomputed or not) are kept in the vector store
+// (vector-store.js), so each entry is embedded at most once per model. When no
+// embeddings model is reachable at all, retrieval falls back to keyword
+// overlap so colour suggestions still get context.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getTaskLLM } from './llm-providers.js';
+import { rankChunks, contentHash } from './vector-store.js';
+
+export const COLOR_CORPUS_VERSION = '1.0.0';
+
+export const COLOR_CORPUS_EMBEDDINGS_PATH = path.join(import.meta.dir, 'color-corpus.embeddings.json');
+
+// { id, topic, tags, text } - `topic` is a colour, an industry or a principle
+export const COLOR_CORPUS = [
+  // Colours
+  { id: 'color-red', topic: 'red', tags: ['energy', 'urgency', 'passion', 'appetite'], text: 'Red is the most arousing hue: it raises attention and signals energy, passion, urgency and danger. Brands use it for excitement, appetite and action (sales, calls to action, fast food, sport). Too much red reads as aggressive or alarming, so it works best as a strong accent or paired with a calm neutral.' },
+  { id: 'color-orange', topic: 'orange', tags: ['friendly', 'playful', 'affordable', 'creative'], text: 'Orange combines the energy of red with the cheerfulness of yellow. It feels friendly, playful, confident and good value, and suits creative, youthful and budget-conscious brands. Burnt and terracotta oranges feel warmer and more crafted than bright safety orange, which can look cheap or loud.' },
+  { id: 'color-yellow', topic: 'yellow', tags: ['optimism', 'happiness', 'warmth', 'caution'], text: 'Yellow suggests optimism, sunshine, happiness and clarity, and it is the most visible colour at a distance. It draws the eye for children\'s products, food and budget brands. Pure yellow has poor contrast on white, so text needs a darker partner; mustard and golden yellows feel more mature and vintage.' },
+  { id: 'color-green', topic: 'green', tags: ['nature', 'growth', 'health', 'sustainability', 'money'], text: 'Green stands for nature, growth, health, freshness and renewal, and in many markets for money and permission ("go"). Bright greens feel fresh and organic, deep forest and bottle greens feel established and premium, and sage or olive greens feel calm, natural and handmade.' },
+  { id: 'color-blue', topic: 'blue', tags: ['trust', 'calm', 'reliability', 'professional'], text: 'Blue is the most widely liked colour and the most common in corporate branding. It conveys trust, calm, stability, intelligence and security, which is why banks, insurers, technology and healthcare brands favour it. Because it is so common it can feel cold or generic; a warm accent or an unusual shade helps a blue brand stand out.' },
+  { id: 'color-navy', topic: 'navy', tags: ['authority', 'tradition', 'professional', 'premium'], text: 'Navy and midnight blue keep blue\'s trustworthiness but add authority, tradition and seriousness. They act as a softer alternative to black for professional services, law, finance and premium menswear, and pair well with gold, cream or a bright accent.' },
+  { id: 'color-teal', topic: 'teal', tags: ['balance', 'clarity', 'modern', 'wellness'], text: 'Teal and turquoise sit between blue and green, mixing calm and trust with freshness and renewal. They feel clear, modern and balanced, and are popular with wellness, healthcare, travel and modern technology brands. Teal pairs naturally with coral and warm oranges as a complementary accent.' },
+  { id: 'color-purple', topic: 'purple', tags: ['luxury', 'creativity', 'wisdom', 'imagination'], text: 'Purple has long been associated with royalty, luxury, wisdom and mystery because the dye was rare. Deep purples feel premium and spiritual; lavender and lilac feel gentle, nostalgic and calming. Purple is used for beauty, creative and imaginative brands and stands out in categories dominated by blue.' },
+  { id: 'color-pink', topic: 'pink', tags: ['care', 'playful', 'romance', 'youthful'], text: 'Pink suggests care, sweetness, romance and playfulness. Soft blush pinks feel gentle and nurturing, while hot pink and magenta feel bold, confident and rebellious. Pink is used well beyond beauty and confectionery, for example by fintech and telecom challengers that want to look approachable and different.' },
+  { id: 'color-brown', topic: 'brown', tags: ['earthy', 'reliable', 'natural', 'craft'], text: 'Brown is earthy, dependable and down to earth. It evokes wood, leather, soil, coffee and chocolate, and suits craft, outdoor, artisan food and rustic brands. It can look dull on its own, so it is usually paired with cream, a natural green or a warm orange to keep it lively.' },
+  { id: 'color-black', topic: 'black', tags: ['luxury', 'sophistication', 'power', 'minimal'], text: 'Black conveys sophistication, power, elegance and exclusivity, and gives maximum contrast for type. Luxury fashion, premium products and minimalist brands rely on black with white or a single metallic accent. A deep charcoal is often friendlier than pure black for screens.' },
+  { id: 'color-white', topic: 'white', tags: ['purity', 'simplicity', 'clean', 'space'], text: 'White suggests cleanliness, simplicity, purity and space. It is the canvas of minimalist, medical and technology brands, and makes any accent colour more prominent. Off-whites such as cream, ivory and linen feel warmer and more crafted than stark white.' },
+  { id: 'color-grey', topic: 'grey', tags: ['neutral', 'balance', 'timeless', 'professional'], text: 'Grey is neutral, balanced and timeless. It feels professional and technical but can seem dull or indecisive on its own. Warm greys and greige feel softer and more homely, cool slate greys feel modern and industrial; grey works best as a supporting colour for a more expressive accent.' },
+  { id: 'color-gold', topic: 'gold', tags: ['luxury', 'prestige', 'celebration', 'quality'], text: 'Gold and metallic yellows signal prestige, quality, celebration and wealth. Used sparingly with black, navy, deep green or burgundy they feel luxurious; used heavily they can feel gaudy. In flat print and on screens gold is usually shown as an ochre or mustard tone.' },
+  { id: 'color-beige', topic: 'beige', tags: ['calm', 'natural', 'understated', 'warm'], text: 'Beige, sand, cream and taupe feel calm, natural, understated and warm. They are popular with interiors, skincare, wellness and slow-living brands that want a quiet, tactile and organic feel, often with a muted green, terracotta or deep brown accent.' },
+  { id: 'color-burgundy', topic: 'burgundy', tags: ['richness', 'maturity', 'wine', 'tradition'], text: 'Burgundy, maroon and wine reds keep red\'s warmth but feel richer, more mature and more refined. They suit wine, hospitality, heritage, education and premium food brands, and pair well with cream, gold or dusty pink.' },
+  { id: 'color-coral', topic: 'coral', tags: ['warmth', 'approachable', 'lively', 'friendly'], text: 'Coral and salmon mix the energy of orange with the softness of pink. They feel lively, warm and approachable without the aggression of red, and make a friendly accent for lifestyle, hospitality, social and consumer technology brands, especially against teal or navy.' },
+
+  // Industries
+  { id: 'industry-finance', topic: 'finance', tags: ['bank', 'insurance', 'accounting', 'investment', 'trust'], text: 'Finance, banking, insurance and accounting brands need to look trustworthy, stable and secure, so navy, deep blue and dark green dominate, often with grey or white. Challenger banks break the pattern with coral, pink, purple or bright green to look modern and approachable while keeping a calm neutral base.' },
+  { id: 'industry-health', topic: 'healthcare', tags: ['medical', 'clinic', 'pharmacy', 'hospital', 'care'], text: 'Healthcare, medical and pharmacy brands use blues, teals and greens to suggest cleanliness, calm, care and competence, with plenty of white. Warmer accents such as soft orange or coral make clinics and care services feel more human and less clinical.' },
+  { id: 'industry-wellness', topic: 'wellness', tags: ['yoga', 'spa', 'mindfulness', 'therapy', 'calm'], text: 'Wellness, yoga, spa and mindfulness brands favour soft, muted and natural colours: sage, eucalyptus, sand, blush, lavender and warm off-whites. Low saturation signals calm and balance; strong saturated colours feel at odds with relaxation.' },
+  { id: 'industry-fitness', topic: 'fitness', tags: ['gym', 'sport', 'training', 'energy', 'performance'], text: 'Fitness, gym and sports brands want energy, strength and motivation: high-contrast combinations of black or charcoal with red, orange, electric blue or neon green. Strong saturation and contrast suggest performance and intensity.' },
+  { id: 'industry-food', topic: 'food', tags: ['restaurant', 'cafe', 'bakery', 'appetite', 'takeaway'], text: 'Food and restaurant brands use warm reds, oranges and yellows because they are linked with appetite, warmth and speed. Organic and healthy food leans on greens and earthy tones; bakeries and cafés on creams, browns and soft pastels. Blue is rare because few foods are blue.' },
+  { id: 'industry-coffee', topic: 'coffee', tags: ['cafe', 'roaster', 'espresso', 'tea'], text: 'Coffee shops, roasters and tea brands draw on browns, creams, black and deep greens that evoke roasted beans, wood and tradition. Speciality roasters often add an unexpected bright accent (orange, teal, mustard) to look modern and independent.' },
+  { id: 'industry-drinks', topic: 'drinks', tags: ['brewery', 'wine', 'spirits', 'bar', 'craft beer'], text: 'Breweries, wineries and spirits brands use deep, rich colours such as burgundy, bottle green, navy, black and gold to suggest heritage and quality, while craft beer labels use bold, playful and saturated colours to stand out on the shelf.' },
+  { id: 'industry-tech', topic: 'technology', tags: ['software', 'saas', 'startup', 'app', 'ai', 'digital'], text: 'Technology and software brands lean on blue for trust and competence, and purple, violet or electric colours for innovation. Many modern tech brands pair a vivid accent with near-black or white and use gradients; a distinctive accent helps in a crowded blue category.' },
+  { id: 'industry-eco', topic: 'sustainability', tags: ['eco', 'green', 'environment', 'renewable', 'recycling', 'outdoors'], text: 'Sustainable, eco and environmental brands use greens, earthy browns, sky blues and natural off-whites to suggest nature, renewal and responsibility. Muted, desaturated tones look more credible and less like greenwashing than very bright green.' },
+  { id: 'industry-luxury', topic: 'luxury', tags: ['premium', 'fashion', 'jewellery', 'boutique', 'high-end'], text: 'Luxury, fashion and jewellery brands rely on black, white, deep jewel tones (emerald, sapphire, burgundy, plum) and metallic gold or champagne. Restraint matters: few colours, low saturation and lots of space read as premium.' },
+  { id: 'industry-beauty', topic: 'beauty', tags: ['cosmetics', 'skincare', 'salon', 'hair', 'nails'], text: 'Beauty, skincare and salon brands use blush, nude, peach, lilac and soft neutrals for a gentle, caring feel, or black with a bold pink or red for glamour and confidence. Skincare often favours clean whites with a single soft accent.' },
+  { id: 'industry-kids', topic: 'children', tags: ['kids', 'toys', 'nursery', 'school', 'play', 'baby'], text: 'Children\'s, toy and education brands use bright, saturated primaries and secondaries (red, yellow, blue, green, orange) to feel fun, energetic and playful. Baby and nursery brands soften this into pastels that feel gentle and safe for parents.' },
+  { id: 'industry-education', topic: 'education', tags: ['university', 'tutoring', 'learning', 'academy', 'training'], text: 'Education brands balance trust and seriousness (navy, burgundy, deep green) with optimism and curiosity (yellow, orange, bright blue). Universities favour heritage colours; tutoring and online learning brands use brighter, friendlier palettes.' },
+  { id: 'industry-legal', topic: 'legal', tags: ['law', 'solicitor', 'consulting', 'professional services'], text: 'Legal, consulting and professional-services firms use navy, charcoal, deep green, burgundy and grey to convey authority, discretion and competence, often with a restrained gold or a single modern accent to avoid looking old-fashioned.' },
+  { id: 'industry-construction', topic: 'construction', tags: ['builder', 'trades', 'plumbing', 'electrician', 'industrial'], text: 'Construction, trades and industrial brands use strong, high-visibility colours like safety orange, yellow and red with black, charcoal or navy. They suggest strength, reliability and safety and stay legible on vans, signage and workwear.' },
+  { id: 'industry-real-estate', topic: 'real estate', tags: ['property', 'estate agent', 'homes', 'interiors', 'architecture'], text: 'Real estate, property and interiors brands use navy, charcoal, deep green and warm neutrals to look dependable and upmarket, with a gold, terracotta or soft accent for warmth. Architecture studios favour minimal black, white and a single accent.' },
+  { id: 'industry-travel', topic: 'travel', tags: ['hotel', 'holiday', 'tourism', 'hospitality', 'airline'], text: 'Travel, tourism and hospitality brands use sky and ocean blues, turquoise, sunny yellows and warm corals to suggest escape, openness and relaxation. Boutique hotels lean on deep, moody colours and warm neutrals for a crafted, intimate feel.' },
+  { id: 'industry-pets', topic: 'pets', tags: ['pet', 'dog', 'cat', 'vet', 'grooming'], text: 'Pet care, grooming and veterinary brands combine friendly, warm colours (orange, yellow, coral) with trustworthy blues and greens. Playful, rounded and saturated palettes suit pet products; vets need more of the calm blue and green of healthcare.' },
+  { id: 'industry-crafts', topic: 'crafts', tags: ['handmade', 'knitting', 'artisan', 'makers', 'pottery', 'textiles'], text: 'Handmade, craft and artisan brands favour warm, muted and natural colours: terracotta, mustard, sage, dusty rose, oatmeal and deep browns. They suggest warmth, authenticity and the hand of the maker rather than mass production.' },
+  { id: 'industry-agriculture', topic: 'agriculture', tags: ['farm', 'garden', 'florist', 'plants', 'landscaping'], text: 'Farm, garden, florist and landscaping brands use greens with earthy browns, sunny yellows and floral accents. Deep greens and natural kraft tones feel established and organic, brighter greens feel fresh and seasonal.' },
+  { id: 'industry-automotive', topic: 'automotive', tags: ['cars', 'garage', 'mechanic', 'transport', 'logistics'], text: 'Automotive, garage and transport brands use red for speed and passion, black and silver for precision and premium engineering, and blue for reliability. Logistics brands favour bold, legible single colours that work on vehicles at a distance.' },
+  { id: 'industry-music', topic: 'entertainment', tags: ['music', 'events', 'gaming', 'media', 'nightlife'], text: 'Music, events, gaming and nightlife brands use dark backgrounds with vivid, saturated or neon accents (magenta, electric blue, acid green, purple) to feel exciting and immersive. Festivals often use playful multi-colour palettes.' },
+  { id: 'industry-nonprofit', topic: 'non-profit', tags: ['charity', 'community', 'foundation', 'social'], text: 'Charities and community organisations need warmth and trust: friendly oranges, yellows and greens for hope and community, balanced with blue or navy for credibility. Causes often adopt a colour tied to their mission, such as green for environment or pink for breast cancer awareness.' },
+
+  // Principles
+  { id: 'principle-contrast', topic: 'contrast', tags: ['accessibility', 'legibility', 'wcag'], text: 'A brand palette needs enough lightness contrast to stay legible: a dark primary with a light secondary (or the reverse) works on white and dark backgrounds and passes accessibility checks. Two colours of similar lightness blur together in greyscale and for people with colour vision deficiencies.' },
+  { id: 'principle-complementary', topic: 'complementary colours', tags: ['pairing', 'accent', 'harmony'], text: 'Complementary colours sit opposite each other on the colour wheel (blue and orange, teal and coral, purple and yellow, green and red). Together they create strong, vibrant contrast; one colour usually leads and the other is used sparingly as an accent.' },
+  { id: 'principle-analogous', topic: 'analogous colours', tags: ['harmony', 'calm', 'pairing'], text: 'Analogous colours sit next to each other on the colour wheel (blue and teal, orange and red, green and yellow). They feel harmonious and calm, and suit brands that want a gentle, cohesive feel; varying their lightness keeps them distinguishable.' },
+  { id: 'principle-warm-cool', topic: 'warm and cool colours', tags: ['temperature', 'mood'], text: 'Warm colours (reds, oranges, yellows, pinks) feel energetic, close and inviting; cool colours (blues, greens, purples) feel calm, distant and professional. Pairing a cool main colour with a warm accent balances trust with approachability.' },
+  { id: 'principle-saturation', topic: 'saturation', tags: ['muted', 'vibrant', 'pastel', 'tone'], text: 'Saturation changes a colour\'s personality as much as hue: vivid colours feel bold, young and energetic; muted and dusty tones feel sophisticated, calm and crafted; pastels feel soft and gentle; very dark shades feel serious and premium.' },
+  { id: 'principle-distinctiveness', topic: 'distinctiveness', tags: ['competitors', 'recognition', 'differentiation'], text: 'Colour is one of the fastest cues for brand recognition. Choosing a colour competitors do not use, or an unusual shade of the category colour, makes a brand easier to remember; copying the category leader makes it blend in.' },
+  { id: 'principle-context', topic: 'personal associations', tags: ['culture', 'experience', 'fit'], text: 'Colour meanings are associations, not rules: people respond to whether a colour fits the product and the brand\'s personality more than to the colour alone. The same brown can feel rustic for a bakery and dull for a tech start-up.' },
+  { id: 'culture-meanings', topic: 'cultural differences', tags: ['international', 'culture', 'markets'], text: 'Colour meanings vary between cultures: white is linked with weddings and purity in much of the West but with mourning in parts of East Asia; red means luck and celebration in China but danger in many Western contexts; green has religious significance in parts of the Middle East. Check associations in each target market.' },
+];
+
+// Hash of an entry's text, stored with its vector to spot entries edited since
+export const entryHash = (entry) => crypto.createHash('sha256').update(entry.text).digest('hex').slice(0, 16);
+
+// Text embedded for an entry: topic, tags and text, so short queries still match
+const entryText = (entry) => `${entry.topic} (${entry.tags.join(', ')}): ${entry.text}`;
+
+async function embedTexts(input) {
+  const { provider, model } = getTaskLLM('embeddings');
+  return provider.embed({ model, input });
+}
+
+// Parsed embeddings files by path (null when missing or unreadable)
+const embeddingsFiles = new Map();
+
+// Precomputed vectors for `model` from the embeddings file, by entry id. The
+// whole file is stale when it was written for another corpus version or model;
+// entries whose text changed since they were embedded are left out
+function precomputedEmbeddings(model, file = COLOR_CORPUS_EMBEDDINGS_PATH) {
+  if (!embeddingsFiles.has(file)) {
+    try {
+      embeddingsFiles.set(file, JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (e) {
+      embeddingsFiles.set(file, null);
+    }
+  }
+  const embeddingsFile = embeddingsFiles.get(file);
+  if (embeddingsFile?.version !== COLOR_CORPUS_VERSION || embeddingsFile.model !== model) return new Map();
+  return new Map(COLOR_CORPUS
+    .filter(entry => embeddingsFile.entries?.[entry.id]?.hash === entryHash(entry))
+    .map(entry => [entry.id, embeddingsFile.entries[entry.id].embedding]));
+}
+
+// Lower-case words of 3+ letters with a plural "s" dropped ("colours" -> "colour")
+const tokenize = (text) => (String(text).toLowerCase().match(/[a-z]{3,}/g) || []).map(w => w.replace(/(?<=[^s])s$/, ''));
+
+// Words of the colour query template that say nothing about the business
+const QUERY_STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'color', 'colour', 'psychology', 'association', 'business', 'named', 'brand', 'value']);
+
+// Keyword overlap of `query` with each text, each word weighted by how rare it
+// is across `texts` (IDF), so words every note shares count for little - the
+// fallback when nothing can be embedded
+function keywordSimilarities(query, texts) {
+  const docWords = texts.map(t => new Set(tokenize(t)));
+  const idf = (w) => Math.log((docWords.length + 1) / (docWords.filter(ws => ws.has(w)).length + 0.5));
+  const queryWords = [...new Set(tokenize(query))]
+    .filter(w => !QUERY_STOP_WORDS.has(w))
+    .map(w => ({ w, weight: Math.max(0, idf(w)) }));
+  const total = queryWords.reduce((sum, q) => sum + q.weight, 0);
+  return docWords.map(words => (total > 0 ? queryWords.reduce((sum, q) => sum + (words.has(q.w) ? q.weight : 0), 0) / total : 0));
+}
+
+// The `k` corpus entries (plus `extraDocs`, e.g. web chunks as { pageContent, source })
+// most relevant to `query`: [{ id, topic, text, source, similarity }], best first.
+// Corpus entries have source 'corpus'. Uses embeddings (cached in the vector
+// store, see vector-store.js), or keyword overlap when the embeddings model
+// cannot be reached. `embeddingsPath` is the precomputed embeddings file.
+export async function retrieveColorContext(query, { k = 5, extraDocs = [], embeddingsPath = COLOR_CORPUS_EMBEDDINGS_PATH } = {}) {
+  const { model } = getTaskLLM('embeddings');
+  const precomputed = precomputedEmbeddings(model, embeddingsPath);
+  const chunks = [
+    ...COLOR_CORPUS.map(entry => ({
+      text: entryText(entry),
+      metadata: { id: entry.id, topic: entry.topic, text: entry.text, source: 'corpus' },
+      vector: precomputed.get(entry.id),
+    })),
+    ...extraDocs
+      .filter(d => d.pageContent?.trim())
+      .map(d => ({
+        text: d.pageContent,
+        metadata: { id: `web-${contentHash(d.pageContent).slice(0, 8)}`, topic: 'web', text: d.pageContent.trim(), source: d.source || d.metadata?.source || 'web' },
+      })),
+  ];
+
+  try {
+    const ranked = await rankChunks(query, chunks, { collection: 'color-corpus', k });
+    return ranked.map(({ metadata, similarity }) => ({ ...metadata, similarity }));
+  } catch (e) {
+    console.warn('Embedding colour context failed, ranking by keywords instead:', e.message);
+    return keywordSimilarities(query, chunks.map(c => c.text))
+      .map((similarity, i) => ({ ...chunks[i].metadata, similarity }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, k);
+  }
+}
+
+// Embed the whole corpus with the configured embeddings model and write
+// color-corpus.embeddings.json. Returns the number of entries embedded.
+export async function writeCorpusEmbeddings(file = COLOR_CORPUS_EMBEDDINGS_PATH) {
+  const { model } = getTaskLLM('embeddings');
+  const vectors = await embedTexts(COLOR_CORPUS.map(entryText));
+  const entries = Object.fromEntries(COLOR_CORPUS.map((entry, i) => [entry.id, { hash: entryHash(entry), embedding: vectors[i] }]));
+  fs.writeFileSync(file, JSON.stringify({ version: COLOR_CORPUS_VERSION, model, entries }) + '\n');
+  return COLOR_CORPUS.length;
+}
+
+if (import.meta.main) {
+  if (!process.argv.includes('--embed')) {
+    console.log('Usage: bun src/color-corpus.js --embed   (writes src/color-corpus.embeddings.json)');
+    process.exit(1);
+  }
+  const count = await writeCorpusEmbeddings();
+  console.log(`Embedded ${count} corpus entries (version ${COLOR_CORPUS_VERSION}) to ${COLOR_CORPUS_EMBEDDINGS_PATH}`);
+}
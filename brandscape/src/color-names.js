@@ -0,0 +1,119 @@
+// BrandScape colour names
+// Names a HEX colour by its nearest match (CIEDE2000 in Lab) in a bundled set
+// of about 200 everyday colour names: the descriptive CSS colour keywords plus
+// common design and paint names. The names are the words people (and image
+// models) use, so obscure CSS keywords such as "papaya whip" are left out.
+
+import { hexToRgb, rgbToLab, deltaE2000 } from './color.js';
+
+export const COLOR_NAMES = [
+  // Neutrals
+  ['black', '#000000'], ['graphite', '#383838'], ['charcoal', '#36454F'], ['gunmetal', '#2A3439'],
+  ['dark slate gray', '#2F4F4F'], ['dark gray', '#545454'], ['dim gray', '#696969'], ['slate gray', '#708090'],
+  ['gray', '#808080'], ['cool gray', '#8C92AC'], ['stone', '#928E85'], ['silver', '#C0C0C0'],
+  ['light gray', '#D3D3D3'], ['pale gray', '#E5E5E5'], ['off-white', '#FAF9F6'], ['white', '#FFFFFF'],
+  ['ivory', '#FFFFF0'], ['cream', '#FFFDD0'], ['eggshell', '#F0EAD6'], ['beige', '#F5F5DC'],
+  ['linen', '#FAF0E6'], ['bone', '#E3DAC9'], ['sand', '#C2B280'], ['khaki', '#C3B091'],
+  ['tan', '#D2B48C'], ['taupe', '#483C32'], ['greige', '#BEB5A7'],
+
+  // Browns
+  ['brown', '#964B00'], ['chocolate', '#7B3F00'], ['coffee', '#6F4E37'], ['espresso', '#4E312D'],
+  ['walnut', '#5D432C'], ['chestnut', '#954535'], ['mahogany', '#C04000'], ['saddle brown', '#8B4513'],
+  ['sienna', '#A0522D'], ['burnt sienna', '#E97451'], ['umber', '#635147'], ['caramel', '#C68E17'],
+  ['camel', '#C19A6B'], ['copper', '#B87333'], ['bronze', '#CD7F32'], ['rust', '#B7410E'],
+  ['terracotta', '#E2725B'], ['cinnamon', '#D2691E'], ['cocoa', '#875F42'], ['mocha', '#967969'],
+  ['sandy brown', '#F4A460'],
+
+  // Reds
+  ['red', '#FF0000'], ['crimson', '#DC143C'], ['scarlet', '#FF2400'], ['cherry red', '#D2042D'],
+  ['ruby', '#E0115F'], ['carmine', '#960018'], ['cardinal red', '#C41E3A'], ['fire engine red', '#CE2029'],
+  ['brick red', '#CB4154'], ['maroon', '#800000'], ['burgundy', '#800020'], ['wine', '#722F37'],
+  ['oxblood', '#4A0000'], ['dark red', '#8B0000'], ['tomato red', '#FF6347'], ['coral', '#FF7F50'],
+  ['salmon', '#FA8072'], ['light coral', '#F08080'], ['vermilion', '#E34234'], ['indian red', '#CD5C5C'],
+
+  // Pinks
+  ['pink', '#FFC0CB'], ['light pink', '#FFB6C1'], ['hot pink', '#FF69B4'], ['deep pink', '#FF1493'],
+  ['magenta', '#FF00FF'], ['rose', '#FF007F'], ['dusty rose', '#C08081'], ['blush pink', '#DE5D83'],
+  ['bubblegum pink', '#FFC1CC'], ['rose pink', '#FF66CC'], ['salmon pink', '#FF91A4'], ['raspberry', '#E30B5C'],
+  ['flamingo pink', '#FC8EAC'], ['peach', '#FFE5B4'], ['apricot', '#FBCEB1'], ['blush', '#F3CFC6'],
+  ['cerise', '#DE3163'], ['watermelon pink', '#FC6C85'], ['mauve', '#E0B0FF'],
+
+  // Oranges
+  ['orange', '#FFA500'], ['dark orange', '#FF8C00'], ['tangerine', '#F28500'], ['burnt orange', '#CC5500'],
+  ['pumpkin orange', '#FF7518'], ['amber', '#FFBF00'], ['marigold', '#EAA221'], ['safety orange', '#FF6700'],
+  ['persimmon', '#EC5800'], ['ochre', '#CC7722'], ['peach orange', '#FFCC99'],
+
+  // Yellows
+  ['yellow', '#FFFF00'], ['lemon yellow', '#FFF44F'], ['canary yellow', '#FFEF00'], ['golden yellow', '#FFDF00'],
+  ['gold', '#FFD700'], ['mustard yellow', '#E1AD01'], ['goldenrod', '#DAA520'], ['dark goldenrod', '#B8860B'],
+  ['butter yellow', '#FFFD74'], ['pale yellow', '#FFFFBF'], ['saffron', '#F4C430'], ['sunflower yellow', '#FFDA03'],
+  ['maize', '#FBEC5D'], ['honey', '#EB9605'], ['champagne', '#F7E7CE'], ['vanilla', '#F3E5AB'],
+  ['olive', '#808000'], ['olive drab', '#6B8E23'], ['dark olive green', '#556B2F'],
+
+  // Greens
+  ['green', '#008000'], ['lime green', '#32CD32'], ['lime', '#BFFF00'], ['chartreuse', '#7FFF00'],
+  ['bright green', '#66FF00'], ['forest green', '#228B22'], ['dark green', '#006400'], ['hunter green', '#355E3B'],
+  ['emerald green', '#50C878'], ['jade', '#00A86B'], ['kelly green', '#4CBB17'], ['sea green', '#2E8B57'],
+  ['medium sea green', '#3CB371'], ['spring green', '#00FF7F'], ['mint green', '#98FF98'], ['mint', '#3EB489'],
+  ['pistachio', '#93C572'], ['sage green', '#9CAF88'], ['moss green', '#8A9A5B'], ['fern green', '#4F7942'],
+  ['pine green', '#01796F'], ['bottle green', '#006A4E'], ['teal', '#008080'], ['dark teal', '#014D4E'],
+  ['turquoise', '#40E0D0'], ['aquamarine', '#7FFFD4'], ['seafoam green', '#93E9BE'], ['avocado green', '#568203'],
+  ['army green', '#4B5320'], ['pea green', '#8EAB12'], ['grass green', '#3F9B0B'], ['apple green', '#8DB600'],
+  ['celadon', '#ACE1AF'], ['light green', '#90EE90'], ['pale green', '#98FB98'], ['neon green', '#39FF14'],
+  ['dark sea green', '#8FBC8F'], ['teal green', '#006D5B'], ['eucalyptus', '#44D7A8'],
+
+  // Blues and cyans
+  ['cyan', '#00FFFF'], ['light cyan', '#E0FFFF'], ['dark cyan', '#008B8B'], ['teal blue', '#367588'],
+  ['sky blue', '#87CEEB'], ['light sky blue', '#87CEFA'], ['baby blue', '#89CFF0'], ['powder blue', '#B0E0E6'],
+  ['light blue', '#ADD8E6'], ['pale blue', '#DBE9F4'], ['ice blue', '#D6F1FF'], ['cornflower blue', '#6495ED'],
+  ['steel blue', '#4682B4'], ['royal blue', '#4169E1'], ['dodger blue', '#1E90FF'], ['azure', '#007FFF'],
+  ['cobalt blue', '#0047AB'], ['sapphire blue', '#0F52BA'], ['blue', '#0000FF'], ['medium blue', '#0000CD'],
+  ['dark blue', '#00008B'], ['navy blue', '#000080'], ['midnight blue', '#191970'], ['ultramarine', '#120A8F'],
+  ['denim blue', '#1560BD'], ['cerulean', '#007BA7'], ['electric blue', '#7DF9FF'], ['petrol blue', '#005F6A'],
+  ['prussian blue', '#003153'], ['cadet blue', '#5F9EA0'], ['air force blue', '#5D8AA8'], ['true blue', '#0073CF'],
+  ['bright blue', '#0096FF'], ['ocean blue', '#0077BE'], ['dusty blue', '#8BA8B7'], ['slate blue', '#6A5ACD'],
+  ['dark slate blue', '#483D8B'], ['periwinkle', '#CCCCFF'], ['deep navy', '#0B1A33'], ['dark turquoise', '#00CED1'],
+
+  // Purples
+  ['purple', '#800080'], ['violet', '#8F00FF'], ['dark violet', '#9400D3'], ['blue violet', '#8A2BE2'],
+  ['medium purple', '#9370DB'], ['indigo', '#4B0082'], ['pale lavender', '#E6E6FA'], ['lavender', '#B57EDC'],
+  ['lilac', '#C8A2C8'], ['amethyst', '#9966CC'], ['orchid', '#DA70D6'], ['plum', '#8E4585'],
+  ['eggplant', '#614051'], ['aubergine', '#3D0734'], ['grape', '#6F2DA8'], ['royal purple', '#7851A9'],
+  ['mulberry', '#C54B8C'], ['dark purple', '#301934'], ['heliotrope', '#DF73FF'], ['wisteria', '#C9A0DC'],
+  ['thistle', '#D8BFD8'], ['deep purple', '#36013F'], ['magenta purple', '#6B2D5C'], ['fuchsia', '#C154C1'],
+];
+
+let entries = null;
+
+// Dataset with Lab values, computed on first use
+function namedColors() {
+  if (!entries) {
+    entries = COLOR_NAMES.map(([name, hex]) => ({ name, hex, lab: rgbToLab(hexToRgb(hex)) }));
+  }
+  return entries;
+}
+
+// Nearest named colour to `hex`: { name, hex, distance (CIEDE2000) }, or null for an invalid HEX
+export function nearestColorName(hex) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return null;
+  const lab = rgbToLab(rgb);
+  let best = null;
+  for (const entry of namedColors()) {
+    const distance = deltaE2000(lab, entry.lab);
+    if (!best || distance < best.distance) best = { name: entry.name, hex: entry.hex, distance };
+  }
+  return { ...best, distance: Math.round(best.distance * 10) / 10 };
+}
+
+// 'navy blue' -> 'Navy Blue'
+export function titleCaseColorName(name) {
+  return String(name).replace(/(^|[\s-])([a-z])/g, (m, sep, c) => sep + c.toUpperCase());
+}
+
+// "Name & Name" for two HEX colours, as shown on palette cards, or null when either is invalid
+export function colorNamePair(hex1, hex2) {
+  const [a, b] = [nearestColorName(hex1), nearestColorName(hex2)];
+  if (!a || !b) return null;
+  return { name1: titleCaseColorName(a.name), name2: titleCaseColorName(b.name), namePair: `${titleCaseColorName(a.name)} & ${titleCaseColorName(b.name)}` };
+}
@@ -0,0 +1,135 @@
+// BrandScape colour-vision-deficiency simulation
+// Shows how a palette or logo looks with protanopia, deuteranopia, tritanopia
+// (Machado, Oliveira & Fernandes 2009, full severity) and achromatopsia
+// (luminance only). The matrices apply to linear RGB, so colours are
+// linearised first; images are decoded and encoded with sharp.
+//
+// Two colours count as indistinguishable when their simulated CIE76 distance
+// drops below CVD_MIN_DELTA_E. CIE76 overstates differences in saturation, so
+// the limit is set high enough to flag the classic confusions (red / green,
+// blue / purple, green / orange) while blue / yellow style pairs pass.
+
+import { hexToRgb, rgbToHex, rgbToLab, deltaE76 } from './color.js';
+
+export const CVD_TYPES = ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'];
+
+export const CVD_LABELS = {
+  protanopia: 'Protanopia (no red cones)',
+  deuteranopia: 'Deuteranopia (no green cones)',
+  tritanopia: 'Tritanopia (no blue cones)',
+  achromatopsia: 'Achromatopsia (no colour)',
+};
+
+export const CVD_MIN_DELTA_E = 25;
+
+const MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881],
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900],
+  ],
+  achromatopsia: [
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+  ],
+};
+
+// sRGB byte -> linear, and linear (in 1/4096 steps) -> sRGB byte
+const TO_LINEAR = Float64Array.from({ length: 256 }, (_, v) => {
+  const c = v / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+});
+const FROM_LINEAR = Uint8Array.from({ length: 4097 }, (_, i) => {
+  const c = i / 4096;
+  return Math.round(255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055));
+});
+
+function simulateRgb(r, g, b, matrix) {
+  const lr = TO_LINEAR[r];
+  const lg = TO_LINEAR[g];
+  const lb = TO_LINEAR[b];
+  const out = matrix.map(([mr, mg, mb]) => {
+    const v = Math.max(0, Math.min(1, mr * lr + mg * lg + mb * lb));
+    return FROM_LINEAR[Math.round(v * 4096)];
+  });
+  return { r: out[0], g: out[1], b: out[2] };
+}
+
+function matrixFor(type) {
+  const matrix = MATRICES[type];
+  if (!matrix) throw new Error(`Unknown colour vision type "${type}" (expected one of ${CVD_TYPES.join(', ')})`);
+  return matrix;
+}
+
+// HEX as seen with `type`, or null for an invalid HEX
+export function simulateColor(hex, type) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return null;
+  return rgbToHex(simulateRgb(rgb.r, rgb.g, rgb.b, matrixFor(type)));
+}
+
+// Simulation report for a palette ({ hex1, hex2 } or { color1, color2 }):
+// {
+//   types:   [{ type, label, hex1, hex2, pairs: [{ pair, distance, distinguishable }] }],
+//   flagged: [{ type, pair, distance }]   pairs that become indistinguishable
+// }
+// Pairs are the two colours together and each on white. Returns null when
+// the palette has no valid HEX pair.
+export function simulatePalette(palette = {}) {
+  const normalize = (hex) => {
+    const rgb = hexToRgb(hex);
+    return rgb && rgbToHex(rgb);
+  };
+  const hex1 = normalize(palette.hex1 || palette.color1);
+  const hex2 = normalize(palette.hex2 || palette.color2);
+  if (!hex1 || !hex2) return null;
+
+  const flagged = [];
+  const types = CVD_TYPES.map(type => {
+    const seen = { hex1: simulateColor(hex1, type), hex2: simulateColor(hex2, type), white: '#FFFFFF' };
+    const pairs = [['hex1', 'hex2'], ['hex1', 'white'], ['hex2', 'white']].map(([a, b]) => {
+      const distance = Math.round(deltaE76(rgbToLab(hexToRgb(seen[a])), rgbToLab(hexToRgb(seen[b]))) * 10) / 10;
+      const distinguishable = distance >= CVD_MIN_DELTA_E;
+      if (!distinguishable) flagged.push({ type, pair: `${a}-${b}`, distance });
+      return { pair: `${a}-${b}`, distance, distinguishable };
+    });
+    return { type, label: CVD_LABELS[type], hex1: seen.hex1, hex2: seen.hex2, pairs };
+  });
+  return { types, flagged };
+}
+
+// Render `input` (file path or Buffer) as seen with `type`; returns a PNG Buffer
+// (alpha kept). `maxSize` limits the longest side (default: original size).
+export async function simulateImage(input, type, { maxSize } = {}) {
+  const matrix = matrixFor(type);
+  const { default: sharp } = await import('sharp');
+  let image = sharp(input).ensureAlpha();
+  if (maxSize) image = image.resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true });
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+
+  const cache = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    let seen = cache.get(key);
+    if (seen === undefined) {
+      const { r, g, b } = simulateRgb(data[i], data[i + 1], data[i + 2], matrix);
+      seen = (r << 16) | (g << 8) | b;
+      cache.set(key, seen);
+    }
+    data[i] = seen >> 16;
+    data[i + 1] = (seen >> 8) & 255;
+    data[i + 2] = seen & 255;
+  }
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+}
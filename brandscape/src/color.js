@@ -0,0 +1,161 @@
+// BrandScape colour maths
+// Conversions between the HEX codes used everywhere in BrandScape and the
+// RGB / HSL values shown in exports, CIE Lab for perceptual distances (CIE76
+// and CIEDE2000) and WCAG 2.x relative luminance / contrast ratios.
+
+// '#1A73E8' -> { r, g, b } (0-255), or null for anything that is not #RRGGBB
+export function hexToRgb(hex) {
+  const m = /^#?([0-9A-F]{6})$/i.exec(String(hex || '').trim());
+  if (!m) return null;
+  const n = parseInt(m[1], 16);
+  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+}
+
+export function rgbToHex({ r, g, b }) {
+  const part = (v) => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, '0');
+  return `#${part(r)}${part(g)}${part(b)}`.toUpperCase();
+}
+
+// { r, g, b } (0-255) -> { h (0-360), s, l (0-100) }, rounded
+export function rgbToHsl({ r, g, b }) {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  let h = 0;
+  let s = 0;
+  if (max !== min) {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    if (max === rn) h = (gn - bn) / d + (gn < bn ? 6 : 0);
+    else if (max === gn) h = (bn - rn) / d + 2;
+    else h = (rn - gn) / d + 4;
+    h *= 60;
+  }
+  return { h: Math.round(h) % 360, s: Math.round(s * 100), l: Math.round(l * 100) };
+}
+
+// { h (0-360), s, l (0-100) } -> { r, g, b } (0-255), rounded
+export function hslToRgb({ h, s, l }) {
+  const sn = s / 100;
+  const ln = l / 100;
+  const k = (n) => (n + h / 30) % 12;
+  const a = sn * Math.min(ln, 1 - ln);
+  const f = (n) => ln - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return { r: Math.round(f(0) * 255), g: Math.round(f(8) * 255), b: Math.round(f(4) * 255) };
+}
+
+// HEX, RGB and HSL notations for one colour, or null when the HEX is invalid
+export function colorFormats(hex) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return null;
+  const hsl = rgbToHsl(rgb);
+  return {
+    hex: rgbToHex(rgb),
+    rgb,
+    hsl,
+    rgbText: `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`,
+    hslText: `hsl(${hsl.h}, ${hsl.s}%, ${hsl.l}%)`,
+  };
+}
+
+// sRGB (0-255) -> CIE L*a*b* (D65 white)
+export function rgbToLab({ r, g, b }) {
+  const linear = (v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+  const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const [fx, fy, fz] = [f(x), f(y), f(z)];
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+// CIE L*a*b* (D65 white) -> sRGB { r, g, b } (0-255), unrounded and unclamped,
+// so callers can tell when a Lab colour is outside the sRGB gamut
+export function labToRgb({ l, a, b }) {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const inverse = (t) => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+  const x = inverse(fx) * 0.95047;
+  const y = inverse(fy);
+  const z = inverse(fz) * 1.08883;
+  const gamma = (c) => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.sign(c) * Math.abs(c) ** (1 / 2.4) - 0.055);
+  return {
+    r: gamma(x * 3.2406 + y * -1.5372 + z * -0.4986),
+    g: gamma(x * -0.9689 + y * 1.8758 + z * 0.0415),
+    b: gamma(x * 0.0557 + y * -0.2040 + z * 1.0570),
+  };
+}
+
+// CIE76 colour difference (Euclidean distance in Lab); about 2.3 is just noticeable
+export function deltaE76(lab1, lab2) {
+  return Math.hypot(lab1.l - lab2.l, lab1.a - lab2.a, lab1.b - lab2.b);
+}
+
+// CIEDE2000 colour difference (Sharma, Wu & Dalal 2005); corrects CIE76 for
+// hue and chroma, so equal values look about equally different across the gamut
+export function deltaE2000(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cMean7 = ((c1 + c2) / 2) ** 7;
+  const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + 25 ** 7)));
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const cp1 = Math.hypot(a1, lab1.b);
+  const cp2 = Math.hypot(a2, lab2.b);
+  const hue = (b, a) => (b === 0 && a === 0 ? 0 : (Math.atan2(b, a) / rad + 360) % 360);
+  const hp1 = hue(lab1.b, a1);
+  const hp2 = hue(lab2.b, a2);
+
+  const dL = lab2.l - lab1.l;
+  const dC = cp2 - cp1;
+  let dh = 0;
+  if (cp1 * cp2 !== 0) {
+    dh = hp2 - hp1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin((dh / 2) * rad);
+
+  const lMean = (lab1.l + lab2.l) / 2;
+  const cpMean = (cp1 + cp2) / 2;
+  let hMean = hp1 + hp2;
+  if (cp1 * cp2 !== 0) {
+    hMean = Math.abs(hp1 - hp2) > 180 ? (hp1 + hp2 + (hp1 + hp2 < 360 ? 360 : -360)) / 2 : (hp1 + hp2) / 2;
+  }
+  const t = 1
+    - 0.17 * Math.cos((hMean - 30) * rad)
+    + 0.24 * Math.cos(2 * hMean * rad)
+    + 0.32 * Math.cos((3 * hMean + 6) * rad)
+    - 0.20 * Math.cos((4 * hMean - 63) * rad);
+  const sL = 1 + (0.015 * (lMean - 50) ** 2) / Math.sqrt(20 + (lMean - 50) ** 2);
+  const sC = 1 + 0.045 * cpMean;
+  const sH = 1 + 0.015 * cpMean * t;
+  const cpMean7 = cpMean ** 7;
+  const rT = -2 * Math.sqrt(cpMean7 / (cpMean7 + 25 ** 7)) * Math.sin(60 * Math.exp(-(((hMean - 275) / 25) ** 2)) * rad);
+  return Math.sqrt((dL / sL) ** 2 + (dC / sC) ** 2 + (dH / sH) ** 2 + rT * (dC / sC) * (dH / sH));
+}
+
+// WCAG 2.x relative luminance of an sRGB colour (0 = black, 1 = white)
+export function relativeLuminance({ r, g, b }) {
+  const linear = (v) => {
+    const c = v / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+// WCAG contrast ratio between two HEX colours (1-21), or null when either is invalid
+export function contrastRatio(hexA, hexB) {
+  const a = hexToRgb(hexA);
+  const b = hexToRgb(hexB);
+  if (!a || !b) return null;
+  const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
@@ -0,0 +1,108 @@
+// BrandScape palette contrast checks (WCAG 2.x)
+// Rates the two palette colours against each other, on white and on black,
+// picks readable text for each colour used as a fill, and suggests the
+// nearest same-hue variant (lighter or darker) for every pair that fails.
+//
+// Targets: 4.5:1 (AA body text) for a colour on white or black, 3:1 (AA large
+// text and graphics, WCAG 1.4.3 / 1.4.11) for the two brand colours together,
+// since they mostly meet in logos, buttons and headings.
+
+import { hexToRgb, rgbToHex, rgbToHsl, hslToRgb, rgbToLab, deltaE76, contrastRatio } from './color.js';
+
+export const WCAG_LEVELS = { AAA: 7, AA: 4.5, AA_LARGE: 3 };
+
+const WHITE = '#FFFFFF';
+const BLACK = '#000000';
+
+// { ratio, level: 'AAA' | 'AA' | 'AA Large' | 'Fail', aaa, aa, aaLarge } for a contrast ratio
+export function wcagRating(ratio) {
+  const rounded = Math.floor(ratio * 100) / 100;
+  const level = ratio >= WCAG_LEVELS.AAA ? 'AAA' : ratio >= WCAG_LEVELS.AA ? 'AA' : ratio >= WCAG_LEVELS.AA_LARGE ? 'AA Large' : 'Fail';
+  return {
+    ratio: rounded,
+    level,
+    aaa: ratio >= WCAG_LEVELS.AAA,
+    aa: ratio >= WCAG_LEVELS.AA,
+    aaLarge: ratio >= WCAG_LEVELS.AA_LARGE,
+  };
+}
+
+// Nearest variant of `hex` with the same hue and saturation that reaches
+// `target` against `against`, found by stepping HSL lightness both ways.
+// Returns { hex, ratio, direction: 'darker' | 'lighter', distance (CIE76) } or null.
+export function accessibleVariant(hex, against, target = WCAG_LEVELS.AA) {
+  const rgb = hexToRgb(hex);
+  if (!rgb || !hexToRgb(against)) return null;
+  const { h, s, l } = rgbToHsl(rgb);
+  const candidates = [];
+  for (const [direction, step] of [['darker', -1], ['lighter', 1]]) {
+    for (let lightness = l + step; lightness >= 0 && lightness <= 100; lightness += step) {
+      const variant = rgbToHex(hslToRgb({ h, s, l: lightness }));
+      const ratio = contrastRatio(variant, against);
+      if (ratio >= target) {
+        candidates.push({
+          hex: variant,
+          ratio: Math.floor(ratio * 100) / 100,
+          direction,
+          distance: Math.round(deltaE76(rgbToLab(rgb), rgbToLab(hexToRgb(variant))) * 10) / 10,
+        });
+        break;
+      }
+    }
+  }
+  return candidates.sort((a, b) => a.distance - b.distance)[0] || null;
+}
+
+// Contrast report for a palette ({ hex1, hex2 } or { color1, color2 }):
+// {
+//   pairs:       [{ id, label, foreground, background, target, passes, ratio, level, aaa, aa, aaLarge }],
+//   textOnFill:  [{ fill, role, text, ratio, level, ... }]  (white or black, whichever reads better)
+//   suggestions: [{ pair, replaces: 'hex1' | 'hex2', from, hex, ratio, target, direction, distance }]
+// }
+// Returns null when the palette has no valid HEX pair.
+export function analyzePaletteContrast(palette = {}) {
+  const normalize = (hex) => {
+    const rgb = hexToRgb(hex);
+    return rgb && rgbToHex(rgb);
+  };
+  const hex1 = normalize(palette.hex1 || palette.color1);
+  const hex2 = normalize(palette.hex2 || palette.color2);
+  if (!hex1 || !hex2) return null;
+  const colors = { hex1, hex2 };
+
+  const checks = [
+    { id: 'hex1-hex2', label: 'Primary with secondary', foreground: 'hex1', background: 'hex2', target: WCAG_LEVELS.AA_LARGE },
+    { id: 'hex1-white', label: 'Primary on white', foreground: 'hex1', background: WHITE, target: WCAG_LEVELS.AA },
+    { id: 'hex1-black', label: 'Primary on black', foreground: 'hex1', background: BLACK, target: WCAG_LEVELS.AA },
+    { id: 'hex2-white', label: 'Secondary on white', foreground: 'hex2', background: WHITE, target: WCAG_LEVELS.AA },
+    { id: 'hex2-black', label: 'Secondary on black', foreground: 'hex2', background: BLACK, target: WCAG_LEVELS.AA },
+  ];
+
+  const pairs = [];
+  const suggestions = [];
+  for (const check of checks) {
+    const foreground = colors[check.foreground];
+    const background = colors[check.background] || check.background;
+    const ratio = contrastRatio(foreground, background);
+    pairs.push({ id: check.id, label: check.label, foreground, background, target: check.target, passes: ratio >= check.target, ...wcagRating(ratio) });
+    if (ratio >= check.target) continue;
+
+    // Adjust whichever brand colour needs the smaller change
+    const options = [{ replaces: check.foreground, variant: accessibleVariant(foreground, background, check.target) }];
+    if (colors[check.background]) {
+      options.push({ replaces: check.background, variant: accessibleVariant(background, foreground, check.target) });
+    }
+    const best = options.filter(o => o.variant).sort((a, b) => a.variant.distance - b.variant.distance)[0];
+    if (best) {
+      suggestions.push({ pair: check.id, replaces: best.replaces, from: colors[best.replaces], target: check.target, ...best.variant });
+    }
+  }
+
+  const textOnFill = ['hex1', 'hex2'].map(role => {
+    const fill = colors[role];
+    const [text, ratio] = [[WHITE, contrastRatio(WHITE, fill)], [BLACK, contrastRatio(BLACK, fill)]].sort((a, b) => b[1] - a[1])[0];
+    return { fill, role, text, ...wcagRating(ratio) };
+  });
+
+  return { pairs, textOnFill, suggestions };
+}
@@ -0,0 +1,305 @@
+// BrandScape design tokens
+// Expands a palette's two colours into a brand colour system and writes it
+// in the formats design and front-end tools read:
+//   - tint / shade ramps (50-950) for the primary and accent colours, built in
+//     CIE Lab so steps look evenly spaced; each base colour keeps its exact
+//     HEX at the step nearest its lightness
+//   - a neutral ramp tinted with the primary hue
+//   - semantic roles (primary, accent, surface, text, ...) for a light and a
+//     dark theme, with text colours picked for WCAG contrast
+//
+// Formats: tokens.css (custom properties), _tokens.scss, tailwind.preset.cjs,
+// tokens.json (W3C design tokens, read by Style Dictionary and Tokens Studio
+// for Figma), tokens.ase (Adobe) and tokens.gpl (GIMP / Inkscape).
+
+import { hexToRgb, rgbToHex, rgbToLab, labToRgb, contrastRatio } from './color.js';
+import { brandSlug } from './brand-guidelines.js';
+
+export const TOKEN_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+// Target L* per step
+const STEP_LIGHTNESS = [97, 94, 86, 77, 66, 56, 46, 37, 28, 20, 13];
+
+export const TOKEN_FORMATS = ['css', 'scss', 'tailwind', 'json', 'ase', 'gpl'];
+
+export const TOKEN_FILES = {
+  css: { filename: 'tokens.css', contentType: 'text/css; charset=utf-8' },
+  scss: { filename: '_tokens.scss', contentType: 'text/x-scss; charset=utf-8' },
+  tailwind: { filename: 'tailwind.preset.cjs', contentType: 'text/javascript; charset=utf-8' },
+  json: { filename: 'tokens.json', contentType: 'application/json' },
+  ase: { filename: 'tokens.ase', contentType: 'application/octet-stream' },
+  gpl: { filename: 'tokens.gpl', contentType: 'text/plain; charset=utf-8' },
+};
+
+const WHITE = '#FFFFFF';
+const BLACK = '#000000';
+
+const inGamut = ({ r, g, b }) => [r, g, b].every(v => v >= -0.5 && v <= 255.5);
+
+// HEX for lightness / chroma / hue (LCh), lowering the chroma until it fits sRGB
+function lchToHex(l, chroma, hue) {
+  const at = (c) => labToRgb({ l, a: c * Math.cos(hue), b: c * Math.sin(hue) });
+  if (inGamut(at(chroma))) return rgbToHex(at(chroma));
+  let [lo, hi] = [0, chroma];
+  for (let i = 0; i < 16; i++) {
+    const mid = (lo + hi) / 2;
+    if (inGamut(at(mid))) lo = mid;
+    else hi = mid;
+  }
+  return rgbToHex(at(lo));
+}
+
+// { 50: HEX, ..., 950: HEX } around `hex`; the anchor step is `hex` itself.
+// Chroma tapers off towards white and black, as it does in hand-made ramps.
+function buildRamp(hex) {
+  const lab = rgbToLab(hexToRgb(hex));
+  const chroma = Math.hypot(lab.a, lab.b);
+  const hue = Math.atan2(lab.b, lab.a);
+  const anchor = STEP_LIGHTNESS.reduce((best, l, i) => (Math.abs(l - lab.l) < Math.abs(STEP_LIGHTNESS[best] - lab.l) ? i : best), 0);
+  const ramp = {};
+  TOKEN_STEPS.forEach((step, i) => {
+    if (i === anchor) {
+      ramp[step] = hex;
+      return;
+    }
+    const l = STEP_LIGHTNESS[i];
+    const taper = l > lab.l
+      ? ((100 - l) / Math.max(1, 100 - lab.l)) ** 0.7
+      : (l / Math.max(1, lab.l)) ** 0.6;
+    ramp[step] = lchToHex(l, chroma * Math.min(1, taper), hue);
+  });
+  return { ramp, anchor: TOKEN_STEPS[anchor] };
+}
+
+function buildNeutralRamp(hex) {
+  const lab = rgbToLab(hexToRgb(hex));
+  const chroma = Math.min(4, Math.hypot(lab.a, lab.b) * 0.08);
+  const hue = Math.atan2(lab.b, lab.a);
+  return Object.fromEntries(TOKEN_STEPS.map((step, i) => [step, lchToHex(STEP_LIGHTNESS[i], chroma, hue)]));
+}
+
+// White or black, whichever reads better on `fill`
+const textOn = (fill) => (contrastRatio(WHITE, fill) >= contrastRatio(BLACK, fill) ? WHITE : BLACK);
+
+// Step of `ramp` to use as `name` in a theme: the base step in light mode;
+// in dark mode the first step from the base towards the light end that
+// reaches 4.5:1 on the dark background
+function themeStep(name, ramps, bases, background) {
+  const index = TOKEN_STEPS.indexOf(bases[name]);
+  if (!background) return index;
+  for (let i = index; i >= 0; i--) {
+    if (contrastRatio(ramps[name][TOKEN_STEPS[i]], background) >= 4.5) return i;
+  }
+  return 0;
+}
+
+// Semantic roles of one theme: { role: { hex, ref } } where `ref` is the ramp
+// step ('neutral.50') the role points to, or null for plain white
+function buildTheme(ramps, bases, dark) {
+  const ref = (ramp, step) => ({ hex: ramps[ramp][step], ref: `${ramp}.${step}` });
+  const roles = {
+    background: dark ? ref('neutral', 950) : { hex: WHITE, ref: null },
+    surface: ref('neutral', dark ? 900 : 50),
+    surfaceMuted: ref('neutral', dark ? 800 : 100),
+    border: ref('neutral', dark ? 700 : 200),
+    text: ref('neutral', dark ? 50 : 900),
+    textMuted: ref('neutral', dark ? 400 : 600),
+  };
+  for (const name of ['primary', 'accent']) {
+    const i = themeStep(name, ramps, bases, dark ? roles.background.hex : null);
+    // Hover goes one step towards more contrast with the background
+    const hover = dark ? Math.max(0, i - 1) : Math.min(TOKEN_STEPS.length - 1, i + 1);
+    roles[name] = ref(name, TOKEN_STEPS[i]);
+    roles[`${name}Hover`] = ref(name, TOKEN_STEPS[hover]);
+    roles[`on${name[0].toUpperCase()}${name.slice(1)}`] = { hex: textOn(roles[name].hex), ref: null };
+  }
+  return roles;
+}
+
+// Colour system for a palette ({ hex1, hex2 } or { color1, color2 }):
+// {
+//   ramps:  { primary, accent, neutral }   each { 50: HEX, ..., 950: HEX }
+//   bases:  { primary, accent }            the step holding the palette colour
+//   themes: { light, dark }                { role: { hex, ref } }
+// }
+// Returns null when the palette has no valid HEX pair.
+export function buildColorSystem(palette = {}) {
+  const normalize = (hex) => {
+    const rgb = hexToRgb(hex);
+    return rgb && rgbToHex(rgb);
+  };
+  const hex1 = normalize(palette.hex1 || palette.color1);
+  const hex2 = normalize(palette.hex2 || palette.color2);
+  if (!hex1 || !hex2) return null;
+
+  const primary = buildRamp(hex1);
+  const accent = buildRamp(hex2);
+  const ramps = { primary: primary.ramp, accent: accent.ramp, neutral: buildNeutralRamp(hex1) };
+  const bases = { primary: primary.anchor, accent: accent.anchor };
+  return {
+    ramps,
+    bases,
+    themes: { light: buildTheme(ramps, bases, false), dark: buildTheme(ramps, bases, true) },
+  };
+}
+
+const kebab = (text) => text.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+
+function renderCss(system, name, slug) {
+  const ramps = Object.entries(system.ramps)
+    .map(([ramp, steps]) => Object.entries(steps).map(([step, hex]) => `  --${slug}-${ramp}-${step}: ${hex};`).join('\n'))
+    .join('\n');
+  const roles = (theme, indent) => Object.entries(system.themes[theme])
+    .map(([role, { hex, ref }]) => `${indent}--${slug}-${kebab(role)}: ${ref ? `var(--${slug}-${ref.replace('.', '-')})` : hex};`)
+    .join('\n');
+  return `/* ${name} design tokens (BrandScape) */
+
+:root {
+${ramps}
+
+  /* Light theme */
+${roles('light', '  ')}
+}
+
+/* Dark theme: follows the system setting unless data-theme="light" is set */
+@media (prefers-color-scheme: dark) {
+  :root:not([data-theme="light"]) {
+${roles('dark', '    ')}
+  }
+}
+
+[data-theme="dark"] {
+${roles('dark', '  ')}
+}
+`;
+}
+
+function renderScss(system, name, slug) {
+  const sections = Object.entries(system.ramps).map(([ramp, steps]) => {
+    const vars = Object.entries(steps).map(([step, hex]) => `$${slug}-${ramp}-${step}: ${hex};`).join('\n');
+    const map = Object.keys(steps).map(step => `  ${step}: $${slug}-${ramp}-${step},`).join('\n');
+    return `${vars}\n\n$${slug}-${ramp}-scale: (\n${map}\n);`;
+  });
+  const theme = (which) => `$${slug}-${which}: (\n${Object.entries(system.themes[which])
+    .map(([role, { hex, ref }]) => `  '${kebab(role)}': ${ref ? `$${slug}-${ref.replace('.', '-')}` : hex},`)
+    .join('\n')}\n);`;
+  return `// ${name} design tokens (BrandScape)
+
+${sections.join('\n\n')}
+
+// Semantic roles, e.g. map-get($${slug}-light, 'surface')
+${theme('light')}
+
+${theme('dark')}
+`;
+}
+
+// Ramps as literal colours, roles as the custom properties from tokens.css,
+// so one class follows the light / dark theme
+function renderTailwind(system, name, slug) {
+  const colors = {};
+  for (const [ramp, steps] of Object.entries(system.ramps)) {
+    colors[ramp] = { ...steps };
+  }
+  for (const role of Object.keys(system.themes.light)) {
+    const value = `var(--${slug}-${kebab(role)})`;
+    const ramp = ['primary', 'accent'].find(r => role === r);
+    if (ramp) colors[ramp].DEFAULT = value;
+    else colors[kebab(role)] = value;
+  }
+  return `// ${name} design tokens (BrandScape) as a Tailwind CSS preset:
+//   presets: [require('./tailwind.preset.cjs')]
+// The semantic colours (surface, text, on-primary, ...) read the custom
+// properties from tokens.css, so include that file as well.
+module.exports = ${JSON.stringify({ theme: { extend: { colors } } }, null, 2)};
+`;
+}
+
+// W3C design tokens format ($value / $type), with references between tokens
+function renderJson(system, name) {
+  const color = {};
+  for (const [ramp, steps] of Object.entries(system.ramps)) {
+    color[ramp] = Object.fromEntries(Object.entries(steps).map(([step, hex]) => [step, { $value: hex, $type: 'color' }]));
+  }
+  const theme = (which) => Object.fromEntries(Object.entries(system.themes[which])
+    .map(([role, { hex, ref }]) => [kebab(role), { $value: ref ? `{color.${ref}}` : hex, $type: 'color' }]));
+  return JSON.stringify({
+    $description: `${name} design tokens (BrandScape)`,
+    color,
+    light: theme('light'),
+    dark: theme('dark'),
+  }, null, 2) + '\n';
+}
+
+// Adobe Swatch Exchange (.ase). `groups` is [{ name, colors: [{ label, hex }] }];
+// colours of a group without a name are written at the top level.
+export function buildAse(groups) {
+  const utf16 = (text) => {
+    const buffer = Buffer.alloc(2 + (text.length + 1) * 2);
+    buffer.writeUInt16BE(text.length + 1, 0);
+    for (let i = 0; i < text.length; i++) buffer.writeUInt16BE(text.charCodeAt(i), 2 + i * 2);
+    return buffer;
+  };
+  const block = (type, body) => {
+    const head = Buffer.alloc(6);
+    head.writeUInt16BE(type, 0);
+    head.writeUInt32BE(body.length, 2);
+    return Buffer.concat([head, body]);
+  };
+  const blocks = [];
+  for (const group of groups) {
+    if (group.name) blocks.push(block(0xC001, utf16(group.name)));
+    for (const { label, hex } of group.colors) {
+      const { r, g, b } = hexToRgb(hex);
+      const values = Buffer.alloc(4 + 12 + 2);
+      values.write('RGB ', 0, 'ascii');
+      values.writeFloatBE(r / 255, 4);
+      values.writeFloatBE(g / 255, 8);
+      values.writeFloatBE(b / 255, 12);
+      values.writeUInt16BE(0, 16); // global colour
+      blocks.push(block(0x0001, Buffer.concat([utf16(label), values])));
+    }
+    if (group.name) blocks.push(block(0xC002, Buffer.alloc(0)));
+  }
+  const header = Buffer.alloc(12);
+  header.write('ASEF', 0, 'ascii');
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(0, 6);
+  header.writeUInt32BE(blocks.length, 8);
+  return Buffer.concat([header, ...blocks]);
+}
+
+const title = (text) => text[0].toUpperCase() + text.slice(1);
+
+function renderAse(system) {
+  return buildAse(Object.entries(system.ramps).map(([ramp, steps]) => ({
+    name: title(ramp),
+    colors: Object.entries(steps).map(([step, hex]) => ({ label: `${title(ramp)} ${step}`, hex })),
+  })));
+}
+
+function renderGpl(system, name) {
+  const lines = Object.entries(system.ramps).flatMap(([ramp, steps]) => Object.entries(steps).map(([step, hex]) => {
+    const { r, g, b } = hexToRgb(hex);
+    return `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${title(ramp)} ${step} ${hex}`;
+  }));
+  return `GIMP Palette\nName: ${name}\nColumns: ${TOKEN_STEPS.length}\n#\n${lines.join('\n')}\n`;
+}
+
+const RENDERERS = { css: renderCss, scss: renderScss, tailwind: renderTailwind, json: renderJson, ase: renderAse, gpl: renderGpl };
+
+// One format of the tokens for brand `name`: { filename, contentType, data (string or Buffer) }
+export function renderTokens(system, format, name = 'Brand') {
+  if (!RENDERERS[format]) throw new Error(`Unknown token format "${format}" (expected one of ${TOKEN_FORMATS.join(', ')})`);
+  return { ...TOKEN_FILES[format], data: RENDERERS[format](system, name, brandSlug(name)) };
+}
+
+// Every format as [{ path, data }] under `folder`, ready for createZip
+export function designTokenFiles(name, palette, folder = 'tokens') {
+  const system = buildColorSystem(palette);
+  if (!system) return [];
+  return TOKEN_FORMATS.map(format => {
+    const { filename, data } = renderTokens(system, format, name);
+    return { path: `${folder}/${filename}`, data };
+  });
+}
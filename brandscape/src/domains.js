@@ -0,0 +1,251 @@
+// BrandScape domain registration checks
+// Asks the registry over RDAP (RFC 9082/9083) whether a domain is registered,
+// instead of guessing from DNS: a registered domain with no A record, or one
+// that is parked, still shows as registered. The RDAP server for each TLD
+// comes from the IANA bootstrap file (RFC 9224), matched on the longest
+// suffix (co.uk -> uk). When the registry has no RDAP service, times out or
+// fails, the domain's NS records are looked up instead (a delegated domain is
+// registered; NXDOMAIN means it most likely is not).
+//
+// Every check returns:
+//   { status: 'registered' | 'unregistered' | 'unknown', source: 'rdap' | 'dns' | null,
+//     registrar, created, expires, statuses, error }
+// with registrar, dates (YYYY-MM-DD) and the registry's status codes when the
+// RDAP answer has them, and `error` when the status is unknown.
+//
+// Names are checked under a TLD set (TLD_SETS, or a custom list). When the
+// exact name is registered, alternatives are checked as well: get / try
+// prefixes, an hq suffix, hyphenated words, dropped vowels and "&" as "and",
+// "n" or left out, shortest first.
+//
+// Configuration (environment):
+//   BRAND_DOMAIN_CHECK          rdap (default) | dns (skip RDAP, NS lookups only)
+//   BRAND_DOMAIN_TLDS           TLD set (uk (default), global, eu, tech) or a comma-separated list
+//   BRAND_DOMAIN_ALTERNATIVES   alternative names checked when the exact one is taken (default 6, 0 = none)
+//   BRAND_RDAP_BOOTSTRAP_URL    IANA bootstrap file (default https://data.iana.org/rdap/dns.json);
+//                               point it at a local stand-in (rdap-stand-in.js) for testing
+//   BRAND_RDAP_TIMEOUT_MS       per-request timeout (default 5000)
+
+import dns from 'dns/promises';
+
+export const DOMAIN_STATUSES = ['registered', 'unregistered', 'unknown'];
+
+export const DOMAIN_CHECK_MODES = ['rdap', 'dns'];
+
+export const TLD_SETS = {
+  uk: ['com', 'co.uk', 'uk'],
+  global: ['com', 'net', 'org'],
+  eu: ['eu', 'de', 'fr', 'nl', 'es', 'it'],
+  tech: ['io', 'ai', 'app', 'dev'],
+};
+
+export const DEFAULT_TLD_SET = 'uk';
+
+// Order alternatives of the same length are listed in
+export const ALTERNATIVE_KINDS = ['ampersand', 'hyphenated', 'no-vowels', 'prefix', 'suffix'];
+
+const DEFAULT_BOOTSTRAP_URL = 'https://data.iana.org/rdap/dns.json';
+
+// Bootstrap services by TLD, loaded once per process (per bootstrap URL)
+const bootstraps = new Map();
+
+async function loadBootstrap(url, timeout) {
+  if (!bootstraps.has(url)) {
+    const loading = (async () => {
+      const resp = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+      if (!resp.ok) throw new Error(`RDAP bootstrap HTTP ${resp.status}`);
+      const { services = [] } = await resp.json();
+      const byTld = new Map();
+      for (const [tlds, urls] of services) {
+        const base = urls.find(u => u.startsWith('https://')) || urls[0];
+        for (const tld of tlds) byTld.set(tld.toLowerCase(), base);
+      }
+      return byTld;
+    })();
+    bootstraps.set(url, loading);
+    // A failed download is tried again on the next check
+    loading.catch(() => bootstraps.delete(url));
+  }
+  return bootstraps.get(url);
+}
+
+// RDAP base URL for `domain` (longest matching suffix), or null when its TLD has none
+export async function rdapServerFor(domain, { bootstrapUrl, timeout } = {}) {
+  const byTld = await loadBootstrap(bootstrapUrl, timeout);
+  const labels = domain.toLowerCase().split('.');
+  for (let i = 1; i < labels.length; i++) {
+    const base = byTld.get(labels.slice(i).join('.'));
+    if (base) return base.endsWith('/') ? base : `${base}/`;
+  }
+  return null;
+}
+
+const day = (date) => (date ? String(date).slice(0, 10) : null);
+
+// Registrar name from an RDAP domain object (the entity with the registrar role)
+function registrarName(data) {
+  const entity = (data.entities || []).find(e => (e.roles || []).includes('registrar'));
+  if (!entity) return null;
+  const fn = (entity.vcardArray?.[1] || []).find(field => field[0] === 'fn');
+  return fn?.[3] || entity.handle || null;
+}
+
+// Registration details from an RDAP domain object
+export function parseRdapDomain(data = {}) {
+  const event = (action) => (data.events || []).find(e => e.eventAction === action)?.eventDate;
+  return {
+    registrar: registrarName(data),
+    created: day(event('registration')),
+    expires: day(event('expiration')),
+    statuses: Array.isArray(data.status) ? data.status : [],
+  };
+}
+
+async function rdapLookup(domain, { bootstrapUrl, timeout, signal }) {
+  const base = await rdapServerFor(domain, { bootstrapUrl, timeout });
+  if (!base) throw new Error(`No RDAP service for ${domain}`);
+  const resp = await fetch(`${base}domain/${encodeURIComponent(domain)}`, {
+    headers: { Accept: 'application/rdap+json, application/json' },
+    signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeout)]) : AbortSignal.timeout(timeout),
+  });
+  if (resp.status === 404) return { status: 'unregistered', source: 'rdap' };
+  if (!resp.ok) throw new Error(`RDAP HTTP ${resp.status} for ${domain}`);
+  return { status: 'registered', source: 'rdap', ...parseRdapDomain(await resp.json()) };
+}
+
+async function dnsLookup(domain) {
+  try {
+    await dns.resolveNs(domain);
+    return { status: 'registered', source: 'dns' };
+  } catch (err) {
+    // NXDOMAIN: not delegated. ENODATA: the name exists but has no NS records of its own
+    if (err.code === 'ENOTFOUND') return { status: 'unregistered', source: 'dns' };
+    if (err.code === 'ENODATA') return { status: 'registered', source: 'dns' };
+    return { status: 'unknown', source: null, error: err.code || err.message };
+  }
+}
+
+const withDefaults = ({ status, source, registrar = null, created = null, expires = null, statuses = [], error = null }) => ({
+  status, source, registrar, created, expires, statuses, error,
+});
+
+// Registration check for one domain (see the header for the result shape).
+// `opts` may override mode, bootstrapUrl and timeout; `opts.signal` (an
+// AbortSignal) cancels the check.
+export async function checkDomainRegistration(domain, opts = {}) {
+  const mode = String(opts.mode || process.env.BRAND_DOMAIN_CHECK || 'rdap').toLowerCase();
+  if (!DOMAIN_CHECK_MODES.includes(mode)) {
+    throw new Error(`Unknown domain check mode "${mode}" (expected one of ${DOMAIN_CHECK_MODES.join(', ')})`);
+  }
+  const bootstrapUrl = opts.bootstrapUrl || process.env.BRAND_RDAP_BOOTSTRAP_URL || DEFAULT_BOOTSTRAP_URL;
+  const timeout = Number(opts.timeout || process.env.BRAND_RDAP_TIMEOUT_MS || 5000);
+
+  let rdapError = null;
+  if (mode === 'rdap') {
+    try {
+      return withDefaults(await rdapLookup(domain, { bootstrapUrl, timeout, signal: opts.signal }));
+    } catch (err) {
+      opts.signal?.throwIfAborted();
+      rdapError = err.name === 'TimeoutError' ? `RDAP timed out for ${domain}` : err.message;
+    }
+  }
+  opts.signal?.throwIfAborted();
+  const result = await dnsLookup(domain);
+  return withDefaults({
+    ...result,
+    error: result.status === 'unknown' ? [rdapError, result.error].filter(Boolean).join('; ') : null,
+  });
+}
+
+// Check several domains at once: { domain: result }
+export async function checkDomains(domains, opts = {}) {
+  const results = await Promise.all(domains.map(domain => checkDomainRegistration(domain, opts)));
+  return Object.fromEntries(domains.map((domain, i) => [domain, results[i]]));
+}
+
+// { domain: result } -> the older { domain: true (taken) | false (available) | null (unknown) } map
+export function availabilityMap(report = {}) {
+  return Object.fromEntries(Object.entries(report).map(([domain, r]) => [
+    domain,
+    r.status === 'registered' ? true : r.status === 'unregistered' ? false : null,
+  ]));
+}
+
+// TLDs to check for `spec`: a TLD_SETS name, or a custom list as an array or a
+// comma-separated string (".io, ai"). Defaults to BRAND_DOMAIN_TLDS, then DEFAULT_TLD_SET.
+export function resolveTlds(spec) {
+  const value = spec ?? process.env.BRAND_DOMAIN_TLDS ?? DEFAULT_TLD_SET;
+  if (typeof value === 'string' && TLD_SETS[value.trim().toLowerCase()]) return TLD_SETS[value.trim().toLowerCase()];
+  const list = (Array.isArray(value) ? value : String(value).split(/[\s,]+/))
+    .map(t => String(t).trim().toLowerCase().replace(/^\./, ''))
+    .filter(Boolean);
+  const invalid = list.filter(t => !/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(t));
+  if (list.length === 0 || invalid.length > 0) {
+    throw new Error(`Unknown TLD set "${invalid[0] ?? value}" (expected one of ${Object.keys(TLD_SETS).join(', ')}, or a list of TLDs such as "com,io")`);
+  }
+  return [...new Set(list)];
+}
+
+const words = (text) => text.replace(/[^a-z0-9]+/g, ' ').trim().split(/\s+/).filter(Boolean);
+
+// Vowels after each word's first letter dropped: "luminara co" -> "lmnrc"
+const dropVowels = (parts) => parts.map(w => w[0] + w.slice(1).replace(/[aeiou]/g, '')).join('');
+
+// Domain labels for a brand name: { exact, alternatives: [{ label, kind }] }.
+// `exact` is the name run together, with "&" spelled "and". Alternatives are
+// shortest first (ALTERNATIVE_KINDS order on ties) and never repeat `exact`.
+export function domainLabels(name) {
+  const text = String(name || '').toLowerCase();
+  const withAnd = words(text.replace(/&/g, ' and '));
+  const exact = withAnd.join('') || words(text).join('');
+  if (!exact) return { exact: '', alternatives: [] };
+
+  const candidates = [];
+  const add = (label, kind) => candidates.push({ label, kind });
+  // The ampersand forms are also hyphenated
+  const forms = text.includes('&')
+    ? [withAnd, words(text.replace(/&/g, ' n ')), words(text.replace(/&/g, ' '))]
+    : [withAnd];
+  forms.forEach((parts, i) => {
+    if (i > 0) add(parts.join(''), 'ampersand');
+    if (parts.length > 1) add(parts.join('-'), 'hyphenated');
+  });
+  // Without the spelled-out "and", which would keep its vowel: "salt & pepper" -> "sltpppr"
+  add(dropVowels(words(text.replace(/&/g, ' '))), 'no-vowels');
+  add(`get${exact}`, 'prefix');
+  add(`try${exact}`, 'prefix');
+  add(`${exact}hq`, 'suffix');
+
+  const seen = new Set([exact]);
+  const alternatives = candidates
+    .filter(c => c.label.length >= 3 && c.label.length <= 63 && !seen.has(c.label) && seen.add(c.label))
+    .sort((a, b) => a.label.length - b.label.length || ALTERNATIVE_KINDS.indexOf(a.kind) - ALTERNATIVE_KINDS.indexOf(b.kind));
+  return { exact, alternatives };
+}
+
+// Exact-name domains for `name` under `tlds` (see resolveTlds)
+export function domainCandidates(name, tlds) {
+  const { exact } = domainLabels(name);
+  return exact ? resolveTlds(tlds).map(tld => `${exact}.${tld}`) : [];
+}
+
+// Alternatives for a name whose exact domains are in `report` (checkDomains):
+// the shortest `max` alternative labels are checked under each TLD where the
+// exact name is registered. Returns [{ domain, label, kind, ...check result }],
+// shortest domain first, or [] when no exact domain is registered.
+// `opts` may also carry the checkDomainRegistration options.
+export async function checkDomainAlternatives(name, report = {}, { max, ...opts } = {}) {
+  const limit = Number(max ?? process.env.BRAND_DOMAIN_ALTERNATIVES ?? 6);
+  const { exact, alternatives } = domainLabels(name);
+  const takenTlds = Object.entries(report)
+    .filter(([domain, r]) => r.status === 'registered' && domain.startsWith(`${exact}.`))
+    .map(([domain]) => domain.slice(exact.length + 1));
+  if (!(limit > 0) || takenTlds.length === 0) return [];
+
+  const candidates = alternatives.slice(0, limit)
+    .flatMap(({ label, kind }) => takenTlds.map(tld => ({ domain: `${label}.${tld}`, label, kind })));
+  const results = await checkDomains(candidates.map(c => c.domain), opts);
+  return candidates
+    .map(c => ({ ...c, ...results[c.domain] }))
+    .sort((a, b) => a.domain.length - b.domain.length);
+}
@@ -0,0 +1,49 @@
+// BrandScape handle stand-in
+// A small local server for trying out social handle checks without asking the
+// platforms. It answers <platform>/<handle> lookups the way the http checker
+// reads them: 200 for handles listed as taken, 404 for everything else.
+//
+//   bun src/handle-stand-in.js --port 3981 --taken luminara,x:emberly
+//   BRAND_HANDLE_BASE_URL=http://localhost:3981 bun server.js
+//
+// Options:
+//   --port     port to listen on (default 3981)
+//   --taken    comma-separated handles to report as taken, either on every
+//              platform (luminara) or on one (instagram:luminara)
+//   --blocked  comma-separated platforms that answer 429, as a rate-limited platform would
+
+import { parseArgs } from 'util';
+
+// Start the stand-in; returns the Bun server (call .stop() when done)
+export function startHandleStandIn({ port = 3981, taken = [], blocked = [] } = {}) {
+  const everywhere = new Set(taken.filter(t => !t.includes(':')).map(t => t.toLowerCase()));
+  const perPlatform = new Set(taken.filter(t => t.includes(':')).map(t => t.toLowerCase()));
+  const limited = new Set(blocked.map(p => p.toLowerCase()));
+  return Bun.serve({
+    port,
+    fetch(req) {
+      const match = new URL(req.url).pathname.match(/^\/([^/]+)\/([^/]+)$/);
+      if (!match) return new Response('Not found', { status: 404 });
+      const platform = match[1].toLowerCase();
+      const handle = decodeURIComponent(match[2]).toLowerCase();
+      if (limited.has(platform)) return new Response('Too many requests', { status: 429 });
+      if (everywhere.has(handle) || perPlatform.has(`${platform}:${handle}`)) {
+        return new Response(`<html><title>@${handle} on ${platform}</title></html>`, { headers: { 'Content-Type': 'text/html' } });
+      }
+      return new Response('Not found', { status: 404 });
+    },
+  });
+}
+
+if (import.meta.main) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '3981' },
+      taken: { type: 'string', default: '' },
+      blocked: { type: 'string', default: '' },
+    },
+  });
+  const list = (v) => v.split(',').map(s => s.trim()).filter(Boolean);
+  const server = startHandleStandIn({ port: Number(values.port), taken: list(values.taken), blocked: list(values.blocked) });
+  console.log(`Handle stand-in on http://localhost:${server.port} (taken: ${list(values.taken).join(', ') || 'none'})`);
+}
@@ -0,0 +1,189 @@
+// BrandScape social handle checks
+// Screens a brand name for free usernames on the platforms clients care about,
+// next to the domain and trademark checks. Each platform has its own username
+// rules (allowed characters, length, where dots and hyphens may go), so the
+// name is normalized per platform first: "Salt & Pepper" becomes saltandpepper
+// everywhere, but a name too long for X (15 characters) is reported as invalid
+// there rather than silently cut short.
+//
+// Every checker implements:
+//   check({ platform, handle, url, signal }) -> { status: 'taken' | 'available' | 'unknown', error }
+// where `url` is the address to look the handle up at.
+//
+// Checkers:
+//   http  requests the public profile page: 404 means available, 200 taken,
+//         anything else (login walls, rate limits, redirects) unknown (default)
+//   off   skips the lookups, every valid handle is unknown
+//
+// Platforms often answer automated requests with a login page or a block, so
+// `unknown` is common with the http checker; a checker backed by a paid
+// availability API can be passed to checkHandles instead.
+//
+// Configuration (environment):
+//   BRAND_HANDLE_CHECKER      http (default) | off
+//   BRAND_HANDLE_PLATFORMS    comma-separated platforms to check (default all of HANDLE_PLATFORMS)
+//   BRAND_HANDLE_BASE_URL     look every handle up at <base>/<platform>/<handle> instead of the
+//                             platform; point it at a local stand-in (handle-stand-in.js) for testing
+//   BRAND_HANDLE_TIMEOUT_MS   per-request timeout (default 5000)
+
+export const HANDLE_STATUSES = ['available', 'taken', 'unknown', 'invalid'];
+
+export const HANDLE_CHECKERS = ['http', 'off'];
+
+// Username rules per platform: characters kept (after lower-casing), length
+// limits, extra rules as [test, reason] and the public profile URL
+export const HANDLE_PLATFORMS = {
+  instagram: {
+    label: 'Instagram',
+    disallowed: /[^a-z0-9._]/g,
+    min: 1,
+    max: 30,
+    rules: [[h => !/^\.|\.$/.test(h), 'cannot start or end with a dot'], [h => !h.includes('..'), 'cannot have two dots in a row']],
+    profileUrl: h => `https://www.instagram.com/${h}/`,
+  },
+  x: {
+    label: 'X',
+    disallowed: /[^a-z0-9_]/g,
+    min: 4,
+    max: 15,
+    rules: [[h => !/twitter|admin/.test(h), 'cannot contain "twitter" or "admin"']],
+    profileUrl: h => `https://x.com/${h}`,
+  },
+  tiktok: {
+    label: 'TikTok',
+    disallowed: /[^a-z0-9._]/g,
+    min: 2,
+    max: 24,
+    rules: [[h => !h.endsWith('.'), 'cannot end with a dot']],
+    profileUrl: h => `https://www.tiktok.com/@${h}`,
+  },
+  youtube: {
+    label: 'YouTube',
+    disallowed: /[^a-z0-9._-]/g,
+    min: 3,
+    max: 30,
+    rules: [],
+    profileUrl: h => `https://www.youtube.com/@${h}`,
+  },
+  github: {
+    label: 'GitHub',
+    disallowed: /[^a-z0-9-]/g,
+    min: 1,
+    max: 39,
+    rules: [[h => !/^-|-$/.test(h), 'cannot start or end with a hyphen'], [h => !h.includes('--'), 'cannot have two hyphens in a row']],
+    profileUrl: h => `https://github.com/${h}`,
+  },
+  linkedin: {
+    label: 'LinkedIn',
+    disallowed: /[^a-z0-9-]/g,
+    min: 3,
+    max: 100,
+    rules: [[h => !/^-|-$/.test(h), 'cannot start or end with a hyphen']],
+    profileUrl: h => `https://www.linkedin.com/company/${h}`,
+  },
+};
+
+// Username for `name` on `platform`: { handle, valid, reason }, where `reason`
+// says why an invalid handle cannot be used as it is
+export function normalizeHandle(name, platform) {
+  const rules = HANDLE_PLATFORMS[platform];
+  if (!rules) throw new Error(`Unknown handle platform "${platform}" (expected one of ${Object.keys(HANDLE_PLATFORMS).join(', ')})`);
+  const handle = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/\s+/g, '')
+    .replace(rules.disallowed, '')
+    // Punctuation from the name ("Co.", "-Studio-") is kept inside, not at the ends or doubled
+    .replace(/([._-])\1+/g, '$1')
+    .replace(/^[._-]+|[._-]+$/g, '');
+  let reason = null;
+  if (handle.length < rules.min) reason = `shorter than ${rules.min} characters`;
+  else if (handle.length > rules.max) reason = `longer than ${rules.max} characters`;
+  else reason = rules.rules.find(([test]) => !test(handle))?.[1] || null;
+  return { handle, valid: !reason, reason };
+}
+
+// Platforms to check: `list` (array or comma-separated), else BRAND_HANDLE_PLATFORMS, else all
+export function resolvePlatforms(list) {
+  const value = list ?? process.env.BRAND_HANDLE_PLATFORMS;
+  if (!value) return Object.keys(HANDLE_PLATFORMS);
+  const platforms = (Array.isArray(value) ? value : String(value).split(','))
+    .map(p => String(p).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = platforms.find(p => !HANDLE_PLATFORMS[p]);
+  if (unknown) throw new Error(`Unknown handle platform "${unknown}" (expected one of ${Object.keys(HANDLE_PLATFORMS).join(', ')})`);
+  return [...new Set(platforms)];
+}
+
+// Profile page lookup: 404 is available, 200 taken, anything else unknown.
+// Redirects are not followed, since platforms redirect to a login page.
+export function createHttpChecker(opts = {}) {
+  const timeout = Number(opts.timeout || process.env.BRAND_HANDLE_TIMEOUT_MS || 5000);
+  return {
+    name: 'http',
+    async check({ handle, url, signal }) {
+      try {
+        const resp = await fetch(url, {
+          redirect: 'manual',
+          headers: { 'User-Agent': 'Mozilla/5.0 (compatible; BrandScape handle check)' },
+          signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeout)]) : AbortSignal.timeout(timeout),
+        });
+        if (resp.status === 404) return { status: 'available', error: null };
+        if (resp.status === 200) return { status: 'taken', error: null };
+        return { status: 'unknown', error: `HTTP ${resp.status} for ${handle}` };
+      } catch (err) {
+        signal?.throwIfAborted();
+        return { status: 'unknown', error: err.name === 'TimeoutError' ? `Timed out checking ${handle}` : err.message };
+      }
+    },
+  };
+}
+
+export function createOffChecker() {
+  return {
+    name: 'off',
+    async check() {
+      return { status: 'unknown', error: 'Handle checks are turned off' };
+    },
+  };
+}
+
+const checkerFactories = {
+  http: createHttpChecker,
+  off: createOffChecker,
+};
+
+const checkerCache = new Map();
+
+export function getHandleChecker(name) {
+  const key = String(name || process.env.BRAND_HANDLE_CHECKER || 'http').toLowerCase();
+  if (!checkerCache.has(key)) {
+    const factory = checkerFactories[key];
+    if (!factory) throw new Error(`Unknown handle checker "${name ?? key}" (expected one of ${HANDLE_CHECKERS.join(', ')})`);
+    checkerCache.set(key, factory());
+  }
+  return checkerCache.get(key);
+}
+
+// Handle availability for `name` on each platform:
+// { platform: { handle, status, url, reason, error } }
+// with `url` the public profile and `reason` set when the status is invalid.
+// `opts`: platforms (see resolvePlatforms), checker (a name from HANDLE_CHECKERS
+// or an object implementing check), baseUrl, signal.
+export async function checkHandles(name, opts = {}) {
+  const platforms = resolvePlatforms(opts.platforms);
+  const checker = typeof opts.checker === 'object' && opts.checker ? opts.checker : getHandleChecker(opts.checker);
+  const baseUrl = (opts.baseUrl || process.env.BRAND_HANDLE_BASE_URL || '').replace(/\/+$/, '');
+
+  const results = await Promise.all(platforms.map(async (platform) => {
+    const { handle, valid, reason } = normalizeHandle(name, platform);
+    const url = HANDLE_PLATFORMS[platform].profileUrl(handle);
+    if (!valid) return [platform, { handle, status: 'invalid', url: null, reason, error: null }];
+    const lookup = baseUrl ? `${baseUrl}/${platform}/${encodeURIComponent(handle)}` : url;
+    const { status, error = null } = await checker.check({ platform, handle, url: lookup, signal: opts.signal });
+    return [platform, { handle, status, url, reason: null, error }];
+  }));
+  return Object.fromEntries(results);
+}
@@ -0,0 +1,257 @@
+// BrandScape image backends
+// Logo rendering behind one interface so a hosted Space outage does not take
+// out the logo step.
+//
+// Every backend implements:
+//   render({ prompt, width, height, guidance, steps, seed, onProgress, signal }) -> { buffer, extension, imageUrl }
+// where `imageUrl` is the remote URL of the image when the backend has one (else null),
+// `onProgress`, when given, is called with { message, ...details } updates and
+// `signal` (an AbortSignal) cancels the render.
+//
+// Backends:
+//   flux     Gradio FLUX.1 [dev] Space (default)
+//   a1111    Automatic1111-style HTTP API (POST /sdapi/v1/txt2img), also served by Forge / SD.Next
+//   offline  deterministic local renderer (sharp), same prompt -> same image
+//
+// Configuration (environment, each can be overridden per request):
+//   BRAND_IMAGE_BACKEND            flux | a1111 | offline
+//   BRAND_IMAGE_WIDTH / _HEIGHT    default 1024, clamped to 64-2048
+//   BRAND_IMAGE_GUIDANCE           default 3.5, clamped to 0-30
+//   BRAND_IMAGE_STEPS              default 28, clamped to 1-100
+//   FLUX_SPACE                     Gradio Space id (default black-forest-labs/FLUX.1-dev)
+//   A1111_URL                      base URL of the A1111-style server (default http://localhost:7860)
+//   BRAND_LOGO_MODE                image (default) | svg
+//   BRAND_LOGO_STYLE               svg style: monogram (default) | emblem | badge | icon
+//   BRAND_LOGO_VECTORIZE           trace rendered logos to SVG in the palette colours (default 1; 0 disables)
+//   BRAND_LOGO_TRANSPARENT         also save rendered logos with the background removed (default 0)
+//   BRAND_LOGO_FIDELITY            what to do when a rendered logo drifts from the palette:
+//                                  report (default) | regenerate | recolor | off
+//   BRAND_LOGO_MIN_FIDELITY        palette fidelity score (0-100) a logo must reach (default 70)
+
+import { Client } from "@gradio/client";
+import { SVG_LOGO_STYLES, hashString, seededRandom } from './svg-logo.js';
+
+export const IMAGE_BACKENDS = ['flux', 'a1111', 'offline'];
+
+// `image` renders the logo prompt on a backend, `svg` builds a vector mark locally (svg-logo.js)
+export const LOGO_MODES = ['image', 'svg'];
+
+// What generateLogoImage does with a logo below the palette fidelity threshold
+// (palette-fidelity.js): only report the score, render again with another seed,
+// recolour the logo to the palette, or skip the check
+export const FIDELITY_ACTIONS = ['report', 'regenerate', 'recolor', 'off'];
+
+// Ranges the numeric render options are clamped to: [min, max, whole numbers only]
+export const IMAGE_OPTION_LIMITS = {
+  width: [64, 2048, true],
+  height: [64, 2048, true],
+  steps: [1, 100, true],
+  guidance: [0, 30, false],
+};
+
+export function defaultImageOptions() {
+  return {
+    backend: process.env.BRAND_IMAGE_BACKEND || 'flux',
+    width: parseInt(process.env.BRAND_IMAGE_WIDTH || '1024', 10),
+    height: parseInt(process.env.BRAND_IMAGE_HEIGHT || '1024', 10),
+    guidance: parseFloat(process.env.BRAND_IMAGE_GUIDANCE || '3.5'),
+    steps: parseInt(process.env.BRAND_IMAGE_STEPS || '28', 10),
+    mode: process.env.BRAND_LOGO_MODE || 'image',
+    style: process.env.BRAND_LOGO_STYLE || 'monogram',
+    vectorize: !/^(0|false|no|off)$/i.test(process.env.BRAND_LOGO_VECTORIZE || ''),
+    transparent: /^(1|true|yes|on)$/i.test(process.env.BRAND_LOGO_TRANSPARENT || ''),
+    fidelity: process.env.BRAND_LOGO_FIDELITY || 'report',
+    minFidelity: parseFloat(process.env.BRAND_LOGO_MIN_FIDELITY || '70'),
+  };
+}
+
+// Merge per-request options over the configured defaults, dropping empty values
+export function resolveImageOptions(opts = {}) {
+  const merged = defaultImageOptions();
+  for (const key of ['backend', 'width', 'height', 'guidance', 'steps', 'seed', 'mode', 'style', 'vectorize', 'transparent', 'fidelity', 'minFidelity']) {
+    if (opts[key] !== undefined && opts[key] !== null && opts[key] !== '') merged[key] = opts[key];
+  }
+  for (const [key, [min, max, integer]] of Object.entries(IMAGE_OPTION_LIMITS)) {
+    const value = Number(merged[key]);
+    if (!Number.isFinite(value)) throw new Error(`Image ${key} must be a number (got ${JSON.stringify(merged[key])})`);
+    merged[key] = Math.min(max, Math.max(min, integer ? Math.round(value) : value));
+  }
+  merged.backend = String(merged.backend).toLowerCase();
+  merged.mode = String(merged.mode).toLowerCase();
+  merged.style = String(merged.style).toLowerCase();
+  merged.vectorize = !/^(0|false|no|off)$/i.test(String(merged.vectorize));
+  merged.transparent = /^(1|true|yes|on)$/i.test(String(merged.transparent));
+  merged.fidelity = String(merged.fidelity).toLowerCase();
+  merged.minFidelity = Number(merged.minFidelity);
+  if (merged.seed !== undefined) {
+    merged.seed = Number(merged.seed);
+    if (!Number.isFinite(merged.seed)) throw new Error(`Image seed must be a number (got ${JSON.stringify(opts.seed)})`);
+  }
+  if (!IMAGE_BACKENDS.includes(merged.backend)) {
+    throw new Error(`Unknown image backend "${merged.backend}" (expected one of ${IMAGE_BACKENDS.join(', ')})`);
+  }
+  if (!LOGO_MODES.includes(merged.mode)) {
+    throw new Error(`Unknown logo mode "${merged.mode}" (expected one of ${LOGO_MODES.join(', ')})`);
+  }
+  if (!SVG_LOGO_STYLES.includes(merged.style)) {
+    throw new Error(`Unknown logo style "${merged.style}" (expected one of ${SVG_LOGO_STYLES.join(', ')})`);
+  }
+  if (!FIDELITY_ACTIONS.includes(merged.fidelity)) {
+    throw new Error(`Unknown palette fidelity action "${merged.fidelity}" (expected one of ${FIDELITY_ACTIONS.join(', ')})`);
+  }
+  if (!(merged.minFidelity >= 0 && merged.minFidelity <= 100)) {
+    throw new Error(`Minimum palette fidelity must be between 0 and 100 (got ${merged.minFidelity})`);
+  }
+  return merged;
+}
+
+async function download(url, signal) {
+  const resp = await fetch(url, { signal });
+  if (!resp.ok) {
+    throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+  }
+  return Buffer.from(await resp.arrayBuffer());
+}
+
+// Gradio FLUX.1 [dev] Space
+export function createFluxBackend(opts = {}) {
+  const space = opts.space || process.env.FLUX_SPACE || "black-forest-labs/FLUX.1-dev";
+  return {
+    name: 'flux',
+    async render({ prompt, width, height, guidance, steps, seed, onProgress = () => {}, signal }) {
+      signal?.throwIfAborted();
+      onProgress({ message: `Connecting to ${space}` });
+      const client = await Client.connect(space);
+      const job = client.submit("/infer", {
+        prompt,
+        seed: seed ?? 0,
+        randomize_seed: seed === undefined,
+        width,
+        height,
+        guidance_scale: guidance,
+        num_inference_steps: steps,
+      });
+      // A failed cancel must not surface as an unhandled rejection; the loop below stops either way
+      signal?.addEventListener('abort', () => job.cancel().catch(() => {}), { once: true });
+
+      // Follow the queue so callers can show the position, then take the first data message
+      let result = null;
+      for await (const msg of job) {
+        signal?.throwIfAborted();
+        if (msg.type === 'status') {
+          if (msg.stage === 'error') throw new Error(`FLUX job failed: ${typeof msg.message === 'string' ? msg.message : 'unknown error'}`);
+          if (msg.stage === 'pending' && typeof msg.position === 'number') {
+            const of = typeof msg.size === 'number' ? ` of ${msg.size}` : '';
+            onProgress({ message: `Image queued, position ${msg.position + 1}${of}`, status: 'queued', position: msg.position + 1, eta: msg.eta });
+          } else if (msg.stage === 'generating') {
+            onProgress({ message: 'Generating image', status: 'generating' });
+          }
+        } else if (msg.type === 'data') {
+          result = msg;
+          break;
+        }
+      }
+      signal?.throwIfAborted();
+
+      // Gradio returns an array with file info object (or a direct URL string) and metadata
+      const fileInfo = result?.data?.[0];
+      if (fileInfo && typeof fileInfo === 'object' && fileInfo.url) {
+        const extension = fileInfo.orig_name?.split('.').pop() || 'webp';
+        onProgress({ message: 'Downloading image', status: 'downloading' });
+        return { buffer: await download(fileInfo.url, signal), extension, imageUrl: fileInfo.url };
+      }
+      if (typeof fileInfo === 'string' && /^https?:\/\//.test(fileInfo)) {
+        onProgress({ message: 'Downloading image', status: 'downloading' });
+        return { buffer: await download(fileInfo, signal), extension: 'webp', imageUrl: fileInfo };
+      }
+      throw new Error('Unexpected FLUX response format: ' + JSON.stringify(result?.data ?? result).substring(0, 500));
+    },
+  };
+}
+
+// Automatic1111-style txt2img HTTP API
+export function createA1111Backend(opts = {}) {
+  const baseUrl = (opts.baseUrl || process.env.A1111_URL || 'http://localhost:7860').replace(/\/+$/, '');
+  return {
+    name: 'a1111',
+    async render({ prompt, width, height, guidance, steps, seed, onProgress = () => {}, signal }) {
+      onProgress({ message: `Generating image on ${baseUrl}`, status: 'generating' });
+      const res = await fetch(`${baseUrl}/sdapi/v1/txt2img`, {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          prompt,
+          width,
+          height,
+          cfg_scale: guidance,
+          steps,
+          seed: seed ?? -1,
+        }),
+      });
+      if (!res.ok) throw new Error(`Image API status ${res.status}`);
+      const body = await res.json();
+      const image = body?.images?.[0];
+      if (!image) throw new Error('Image API returned no images');
+      // Some servers return a data URL, A1111 returns bare base64
+      const base64 = String(image).replace(/^data:image\/\w+;base64,/, '');
+      return { buffer: Buffer.from(base64, 'base64'), extension: 'png', imageUrl: null };
+    },
+  };
+}
+
+// Deterministic local renderer: draws a simple flat mark in the first two HEX
+// codes of the prompt. Same prompt + size + seed always gives the same image.
+export function createOfflineBackend() {
+  return {
+    name: 'offline',
+    async render({ prompt, width, height, seed, onProgress = () => {}, signal }) {
+      signal?.throwIfAborted();
+      onProgress({ message: 'Rendering image locally', status: 'generating' });
+      const hexes = (String(prompt).match(/#[0-9A-Fa-f]{6}\b/g) || []).map(h => h.toUpperCase());
+      const primary = hexes[0] || '#222222';
+      const accent = hexes[1] || '#888888';
+      const rand = seededRandom(seed ?? hashString(String(prompt)));
+
+      const size = Math.min(width, height);
+      const cx = width / 2;
+      const cy = height / 2;
+      const r = size * (0.28 + rand() * 0.06);
+      const sides = 3 + Math.floor(rand() * 4);
+      const rotation = rand() * Math.PI * 2;
+      const points = Array.from({ length: sides }, (_, i) => {
+        const a = rotation + (i / sides) * Math.PI * 2;
+        return `${(cx + Math.cos(a) * r * 0.62).toFixed(1)},${(cy + Math.sin(a) * r * 0.62).toFixed(1)}`;
+      }).join(' ');
+      const ringWidth = size * (0.03 + rand() * 0.03);
+
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="100%" height="100%" fill="#FFFFFF"/>
+  <circle cx="${cx}" cy="${cy}" r="${r.toFixed(1)}" fill="none" stroke="${primary}" stroke-width="${ringWidth.toFixed(1)}"/>
+  <polygon points="${points}" fill="${accent}"/>
+  <circle cx="${cx}" cy="${cy}" r="${(r * 0.16).toFixed(1)}" fill="${primary}"/>
+</svg>`;
+      const sharp = (await import('sharp')).default;
+      const buffer = await sharp(Buffer.from(svg)).png().toBuffer();
+      return { buffer, extension: 'png', imageUrl: null };
+    },
+  };
+}
+
+const backendFactories = {
+  flux: createFluxBackend,
+  a1111: createA1111Backend,
+  offline: createOfflineBackend,
+};
+
+const backendCache = new Map();
+
+export function getImageBackend(name) {
+  const key = String(name || 'flux').toLowerCase();
+  if (!backendCache.has(key)) {
+    const factory = backendFactories[key];
+    if (!factory) throw new Error(`Unknown image backend "${name}" (expected one of ${IMAGE_BACKENDS.join(', ')})`);
+    backendCache.set(key, factory());
+  }
+  return backendCache.get(key);
+}
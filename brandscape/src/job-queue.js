@@ -0,0 +1,191 @@
+// BrandScape job queue
+// Runs slow work (logo renders) outside the HTTP request. Jobs are kept in
+// memory and mirrored to one JSON file each in `dir`, so a restart keeps
+// finished results and re-queues jobs that were waiting or interrupted.
+// Finished jobs are pruned once they are older than the retention age or
+// beyond the newest `keep` finished jobs.
+//
+// Job shape:
+//   { id, type, status, input, progress: [{ stage, message, time }], result, error,
+//     createdAt, startedAt, finishedAt }
+// where status is queued | running | done | failed | cancelled.
+//
+// Configuration (environment):
+//   BRAND_JOB_CONCURRENCY   jobs run at the same time (default 1)
+//   BRAND_JOBS_DIR          where job files are kept (default ./jobs)
+//   BRAND_JOB_RETENTION_HOURS  how long finished jobs are kept (default 168, a week)
+//   BRAND_JOB_RETENTION_COUNT  finished jobs kept at most (default 500)
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+export const JOB_STATUSES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+
+// Only the latest progress entries are kept on the job
+const MAX_PROGRESS = 50;
+
+const FINISHED = new Set(['done', 'failed', 'cancelled']);
+
+// `handlers` maps a job type to async (input, { onProgress, signal }) => result.
+// A handler may return { error } instead of throwing (like the API wrappers).
+// `retentionMs` and `keep` override the retention settings.
+export function createJobQueue({ handlers, dir, concurrency, retentionMs, keep } = {}) {
+  const jobsDir = dir || process.env.BRAND_JOBS_DIR || 'jobs';
+  const maxRunning = Math.max(1, concurrency || parseInt(process.env.BRAND_JOB_CONCURRENCY || '1', 10) || 1);
+  const maxAge = retentionMs ?? parseFloat(process.env.BRAND_JOB_RETENTION_HOURS || '168') * 3600 * 1000;
+  const maxFinished = keep ?? parseInt(process.env.BRAND_JOB_RETENTION_COUNT || '500', 10);
+  const jobs = new Map();
+  const waiting = [];
+  const controllers = new Map();
+
+  fs.mkdirSync(jobsDir, { recursive: true });
+
+  function save(job) {
+    job.updatedAt = Date.now();
+    const file = path.join(jobsDir, `${job.id}.json`);
+    // Write then rename so a crash never leaves half a file behind
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  // Drop finished jobs past the retention age, then all but the newest `maxFinished`
+  function prune() {
+    const finished = [...jobs.values()]
+      .filter(job => FINISHED.has(job.status))
+      .sort((a, b) => (b.finishedAt || 0) - (a.finishedAt || 0));
+    const now = Date.now();
+    finished.forEach((job, index) => {
+      if (index < maxFinished && now - (job.finishedAt || 0) <= maxAge) return;
+      jobs.delete(job.id);
+      fs.rmSync(path.join(jobsDir, `${job.id}.json`), { force: true });
+    });
+  }
+
+  function pump() {
+    while (controllers.size < maxRunning && waiting.length > 0) {
+      const job = jobs.get(waiting.shift());
+      // run() records handler errors itself; this catches failures to save the job
+      run(job).catch((e) => {
+        controllers.delete(job.id);
+        job.status = 'failed';
+        job.result = null;
+        job.error = e.message || String(e);
+        job.finishedAt = Date.now();
+        try {
+          save(job);
+        } catch (saveError) {
+          console.warn(`Could not save job ${job.id}:`, saveError.message);
+        }
+        pump();
+      });
+    }
+  }
+
+  async function run(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+
+    const onProgress = (event) => {
+      job.progress.push({ stage: event.stage, message: event.message, time: Date.now() });
+      if (job.progress.length > MAX_PROGRESS) job.progress.splice(0, job.progress.length - MAX_PROGRESS);
+      save(job);
+    };
+
+    try {
+      job.status = 'running';
+      job.startedAt = Date.now();
+      save(job);
+      const result = await handlers[job.type](job.input, { onProgress, signal: controller.signal });
+      if (result?.error) throw new Error(result.error);
+      if (!controller.signal.aborted) {
+        job.status = 'done';
+        job.result = result;
+      }
+    } catch (e) {
+      if (!controller.signal.aborted) {
+        job.status = 'failed';
+        job.error = e.message || String(e);
+      }
+    }
+    if (controller.signal.aborted) job.status = 'cancelled';
+    job.finishedAt = Date.now();
+    controllers.delete(job.id);
+    save(job);
+    prune();
+    pump();
+  }
+
+  // Reload jobs from disk; anything that had not finished goes back in the queue
+  for (const file of fs.readdirSync(jobsDir).filter(f => f.endsWith('.json'))) {
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(jobsDir, file), 'utf8'));
+      jobs.set(job.id, job);
+      if (job.status === 'queued' || job.status === 'running') {
+        if (job.status === 'running') {
+          job.status = 'queued';
+          job.progress.push({ stage: 'queue', message: 'Re-queued after a server restart', time: Date.now() });
+          save(job);
+        }
+        waiting.push(job.id);
+      }
+    } catch (e) {
+      console.warn(`Skipping unreadable job file ${file}:`, e.message);
+    }
+  }
+  waiting.sort((a, b) => jobs.get(a).createdAt - jobs.get(b).createdAt);
+  prune();
+  pump();
+
+  return {
+    // Queue a job; returns the stored job. The job is only queued once its
+    // file is written, so a failed write throws and leaves nothing to run.
+    add(type, input = {}) {
+      if (!handlers[type]) throw new Error(`Unknown job type "${type}" (expected one of ${Object.keys(handlers).join(', ')})`);
+      const job = {
+        id: randomUUID(),
+        type,
+        status: 'queued',
+        input,
+        progress: [],
+        result: null,
+        error: null,
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+      };
+      save(job);
+      jobs.set(job.id, job);
+      waiting.push(job.id);
+      pump();
+      return job;
+    },
+
+    // The job plus its place in the queue (1-based) while it waits, or null
+    get(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      const index = waiting.indexOf(id);
+      return index === -1 ? job : { ...job, position: index + 1 };
+    },
+
+    // Cancel a queued or running job; returns the job, or null when unknown.
+    // A running job is aborted through its AbortSignal.
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (job.status === 'queued') {
+        waiting.splice(waiting.indexOf(id), 1);
+        job.status = 'cancelled';
+        job.finishedAt = Date.now();
+        save(job);
+      } else if (job.status === 'running') {
+        controllers.get(id)?.abort();
+        job.status = 'cancelled';
+        job.finishedAt = Date.now();
+        save(job);
+      }
+      return job;
+    },
+  };
+}
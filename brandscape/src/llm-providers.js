@@ -0,0 +1,194 @@
+// BrandScape LLM providers
+// A small provider interface so each task (naming, colours, logo prompt,
+// embeddings, web search) can run on Ollama or on any OpenAI-compatible local
+// server (llama.cpp server, vLLM, LM Studio).
+//
+// Every provider implements:
+//   generate({ model, system, prompt, temperature, numCtx, format }) -> text
+//   chat({ model, messages, temperature, format }) -> text
+//   embed({ model, input }) -> number[][] (one vector per input string)
+// and optionally webSearch({ query, max_results }).
+// `format` is an optional JSON Schema the reply must follow (see schemas.js).
+//
+// Configuration (environment):
+//   BRAND_PROVIDER                 default provider for every task ('ollama' or 'openai')
+//   BRAND_<TASK>_PROVIDER          per-task provider; TASK is NAMING, COLORS, LOGO_PROMPT, EMBEDDINGS or SEARCH
+//   BRAND_<TASK>_MODEL             per-task model (falls back to BRAND_MODEL / BRAND_EMBED_MODEL)
+//   OLLAMA_URL, OLLAMA_API_KEY     Ollama host and optional bearer token
+//   OPENAI_COMPAT_URL              OpenAI-compatible base URL (default http://localhost:8080/v1)
+//   OPENAI_COMPAT_API_KEY          optional bearer token for the OpenAI-compatible server
+
+import { Ollama } from "ollama";
+
+// Default model to use for text tasks (can be overridden via env)
+export const defaultModel = process.env.BRAND_MODEL || 'llama3.2:3b';
+// Model used for embedding
+export const defaultEmbeddingModel = process.env.BRAND_EMBED_MODEL || 'mxbai-embed-large';
+
+export const TASKS = ['naming', 'colors', 'logoPrompt', 'embeddings', 'search'];
+
+// Pull the text out of the different shapes Ollama (and compatible) clients return
+export function extractTextFromOllamaResult(result) {
+  if (!result) return '';
+  if (typeof result === 'string') return result;
+  if (result.output && Array.isArray(result.output) && result.output[0]?.content) return result.output[0].content;
+  if (result.choices && result.choices[0]?.message?.content) return result.choices[0].message.content;
+  if (typeof result.response === 'string') return result.response;
+  if (result.response && typeof result.response === 'object') {
+    if (typeof result.response.response === 'string') return result.response.response;
+    if (typeof result.response.text === 'string') return result.response.text;
+    if (typeof result.response.content === 'string') return result.response.content;
+  }
+  try {
+    const queue = [result];
+    while (queue.length) {
+      const cur = queue.shift();
+      if (!cur || typeof cur !== 'object') continue;
+      for (const k of Object.keys(cur)) {
+        const v = cur[k];
+        if (typeof v === 'string' && v.length > 0) {
+          if (v.length < 2000) return v;
+        } else if (typeof v === 'object' && v !== null && !Array.isArray(v)) {
+          queue.push(v);
+        }
+      }
+    }
+  } catch (e) {}
+  const sanitized = {};
+  if (result.model) sanitized.model = result.model;
+  if (result.created_at) sanitized.created_at = result.created_at;
+  if (typeof result.response === 'string') sanitized.response = result.response;
+  if (result.done !== undefined) sanitized.done = result.done;
+  if (result.done_reason) sanitized.done_reason = result.done_reason;
+  return JSON.stringify(sanitized);
+}
+
+
+export function createOllamaProvider(opts = {}) {
+  const host = opts.host || process.env.OLLAMA_URL || "http://localhost:11434";
+  // Only include Authorization header when an API key is provided to avoid
+  // sending an empty Authorization header (which can cause 401 responses).
+  const headers = {};
+  const apiKey = opts.apiKey ?? process.env.OLLAMA_API_KEY;
+  if (apiKey) headers['Authorization'] = 'Bearer ' + apiKey;
+  const client = new Ollama({ host, headers });
+
+  const provider = {
+    name: 'ollama',
+    client,
+    async generate({ model, system, prompt, temperature, numCtx, format }) {
+      const options = {};
+      if (typeof temperature === 'number') options.temperature = temperature;
+      if (numCtx) options.num_ctx = numCtx;
+      const result = await client.generate({ model, system, prompt, options, ...(format ? { format } : {}) });
+      return extractTextFromOllamaResult(result);
+    },
+    async chat({ model, messages, temperature, format }) {
+      const options = typeof temperature === 'number' ? { temperature } : {};
+      const result = await client.chat({ model, messages, options, ...(format ? { format } : {}) });
+      return result?.message?.content ?? extractTextFromOllamaResult(result);
+    },
+    async embed({ model, input }) {
+      const result = await client.embed({ model, input });
+      return result.embeddings;
+    },
+  };
+  if (typeof client.webSearch === 'function') {
+    provider.webSearch = (params) => client.webSearch(params);
+  }
+  return provider;
+}
+
+// OpenAI-compatible chat completions / embeddings API (llama.cpp server, vLLM, LM Studio, ...)
+export function createOpenAICompatibleProvider(opts = {}) {
+  const baseUrl = (opts.baseUrl || process.env.OPENAI_COMPAT_URL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+  const apiKey = opts.apiKey ?? process.env.OPENAI_COMPAT_API_KEY;
+
+  async function post(path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = 'Bearer ' + apiKey;
+    const res = await fetch(`${baseUrl}${path}`, { method: 'POST', headers, body: JSON.stringify(body) });
+    if (!res.ok) {
+      const detail = await res.text().catch(() => '');
+      throw new Error(`OpenAI-compatible server status ${res.status}${detail ? ': ' + detail.slice(0, 200) : ''}`);
+    }
+    return res.json();
+  }
+
+  async function chat({ model, messages, temperature, maxTokens, format }) {
+    const body = { model, messages };
+    if (typeof temperature === 'number') body.temperature = temperature;
+    if (maxTokens) body.max_tokens = maxTokens;
+    if (format) body.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: format } };
+    const result = await post('/chat/completions', body);
+    return extractTextFromOllamaResult(result);
+  }
+
+  return {
+    name: 'openai',
+    chat,
+    async generate({ model, system, prompt, temperature, format }) {
+      const messages = [];
+      if (system) messages.push({ role: 'system', content: system });
+      messages.push({ role: 'user', content: prompt });
+      return chat({ model, messages, temperature, format });
+    },
+    async embed({ model, input }) {
+      const result = await post('/embeddings', { model, input });
+      // Keep the input order even if the server returns items out of order
+      return [...(result.data || [])].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)).map(d => d.embedding);
+    },
+  };
+}
+
+const providerFactories = {
+  ollama: createOllamaProvider,
+  openai: createOpenAICompatibleProvider,
+};
+
+const envName = (task) => task.replace(/[A-Z]/g, c => '_' + c).toUpperCase();
+
+function taskConfigFromEnv(task) {
+  const provider = process.env[`BRAND_${envName(task)}_PROVIDER`] || process.env.BRAND_PROVIDER || 'ollama';
+  const fallbackModel = task === 'embeddings' ? defaultEmbeddingModel : defaultModel;
+  const model = process.env[`BRAND_${envName(task)}_MODEL`] || fallbackModel;
+  return { provider, model };
+}
+
+const taskOverrides = {};
+const providerCache = new Map();
+
+// Override the provider and/or model for tasks at runtime, e.g.
+// configureLLM({ naming: { provider: 'openai', model: 'qwen2.5-7b-instruct' } }).
+// A provider may also be passed as an object implementing the interface above;
+// an unknown provider name is rejected here rather than on first use.
+export function configureLLM(config = {}) {
+  for (const [task, value] of Object.entries(config)) {
+    if (!TASKS.includes(task)) throw new Error(`Unknown LLM task "${task}" (expected one of ${TASKS.join(', ')})`);
+    if (typeof value?.provider === 'string') assertProviderName(value.provider);
+    taskOverrides[task] = { ...taskOverrides[task], ...value };
+  }
+}
+
+function assertProviderName(provider) {
+  if (!providerFactories[String(provider || 'ollama').toLowerCase()]) {
+    throw new Error(`Unknown LLM provider "${provider}" (expected one of ${Object.keys(providerFactories).join(', ')})`);
+  }
+}
+
+function resolveProvider(provider) {
+  if (provider && typeof provider === 'object') return provider;
+  const key = String(provider || 'ollama').toLowerCase();
+  if (!providerCache.has(key)) {
+    assertProviderName(provider);
+    providerCache.set(key, providerFactories[key]());
+  }
+  return providerCache.get(key);
+}
+
+// Returns { provider, model } for a task
+export function getTaskLLM(task) {
+  if (!TASKS.includes(task)) throw new Error(`Unknown LLM task "${task}"`);
+  const config = { ...taskConfigFromEnv(task), ...taskOverrides[task] };
+  return { provider: resolveProvider(config.provider), model: config.model };
+}
@@ -0,0 +1,102 @@
+// BrandScape LLM stand-in
+// A small local OpenAI-compatible server for trying out the naming, colour and
+// logo prompt flows without a model. It answers /v1/chat/completions with
+// canned replies picked by the requested JSON Schema (name suggestions,
+// palettes or logo prompt) and /v1/embeddings with letter-count vectors, so
+// texts that share words still rank together.
+//
+//   bun src/llm-stand-in.js --port 8081
+//   BRAND_PROVIDER=openai OPENAI_COMPAT_URL=http://localhost:8081/v1 bun src/brandscape.js --brief brief.json
+//
+// Options:
+//   --port     port to listen on (default 8081)
+//   --broken   answer the first n structured requests with text that is not JSON,
+//              as a small model sometimes does (default 0)
+
+import { parseArgs } from 'util';
+
+export const STAND_IN_NAMES = [
+  { title: 'Luminara', description: 'Light and warmth for the home.' },
+  { title: 'Emberly', description: 'A glowing, friendly name.' },
+  { title: 'Verdant Loom', description: 'Growth woven into every piece.' },
+  { title: 'Salt & Pepper', description: 'Everyday essentials, well seasoned.' },
+  { title: 'Northwind', description: 'Fresh, calm and dependable.' },
+];
+
+export const STAND_IN_PALETTES = [
+  { hex1: '#0B5394', hex2: '#F4B183', name1: 'Deep Navy', name2: 'Warm Apricot', explanation: 'Deep navy signals trust and care while warm apricot keeps the brand friendly and approachable for new customers.' },
+  { hex1: '#18AF6E', hex2: '#FF6F61', name1: 'Forest Green', name2: 'Coral', explanation: 'Forest green suggests growth and nature while coral adds a warm, energetic accent that feels welcoming and modern.' },
+  { hex1: '#F1C232', hex2: '#3D2B1F', name1: 'Goldenrod', name2: 'Espresso', explanation: 'Goldenrod brings optimism and warmth, grounded by a dark espresso brown that feels crafted, honest and dependable.' },
+  { hex1: '#7F3FBF', hex2: '#E6E1D3', name1: 'Purple', name2: 'Linen', explanation: 'Purple feels creative and confident, and a soft linen neutral keeps the pairing calm, premium and easy to read.' },
+  { hex1: '#CC0000', hex2: '#2E3A3F', name1: 'Signal Red', name2: 'Slate', explanation: 'Signal red gives energy and urgency, balanced by a cool slate grey that adds seriousness, focus and reliability.' },
+];
+
+const BROKEN_REPLY = 'Sorry, I am not able to help with that request right now.';
+
+// Canned reply for a chat request: by the top-level property of the requested
+// JSON Schema, else a short plain-text answer
+function replyFor(body) {
+  const properties = body.response_format?.json_schema?.schema?.properties || {};
+  const userText = (body.messages || []).filter(m => m.role === 'user').map(m => m.content).join('\n');
+  if (properties.suggestions) return JSON.stringify({ suggestions: STAND_IN_NAMES });
+  if (properties.palettes) return JSON.stringify({ palettes: STAND_IN_PALETTES });
+  if (properties.prompt) {
+    const [hex1 = '#000000', hex2 = '#FFFFFF'] = userText.match(/#[0-9A-Fa-f]{6}\b/g) || [];
+    return JSON.stringify({ prompt: `A flat vector mark with a simple rounded shape in ${hex1.toUpperCase()} and a small accent in ${hex2.toUpperCase()} on a white background.` });
+  }
+  return 'Stand-in reply.';
+}
+
+// Letter counts of the text plus a constant, so no vector is all zeros
+const embedText = (text) => {
+  const counts = new Array(26).fill(0);
+  for (const c of String(text).toLowerCase()) {
+    const i = c.charCodeAt(0) - 97;
+    if (i >= 0 && i < 26) counts[i]++;
+  }
+  return [1, ...counts];
+};
+
+// Start the stand-in; returns the Bun server (call .stop() when done). Each
+// request body is passed to `onRequest` with its path when given.
+export function startLlmStandIn({ port = 8081, broken = 0, onRequest = () => {} } = {}) {
+  let brokenLeft = broken;
+  return Bun.serve({
+    port,
+    async fetch(req) {
+      const { pathname } = new URL(req.url);
+      if (req.method !== 'POST') return new Response('Not found', { status: 404 });
+      const body = await req.json();
+      if (pathname === '/v1/embeddings') {
+        onRequest(pathname, body);
+        const input = Array.isArray(body.input) ? body.input : [body.input];
+        return Response.json({ object: 'list', model: body.model, data: input.map((text, index) => ({ object: 'embedding', index, embedding: embedText(text) })) });
+      }
+      if (pathname === '/v1/chat/completions') {
+        onRequest(pathname, body);
+        let content = replyFor(body);
+        if (body.response_format && brokenLeft > 0) {
+          brokenLeft--;
+          content = BROKEN_REPLY;
+        }
+        return Response.json({
+          object: 'chat.completion',
+          model: body.model,
+          choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        });
+      }
+      return new Response('Not found', { status: 404 });
+    },
+  });
+}
+
+if (import.meta.main) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '8081' },
+      broken: { type: 'string', default: '0' },
+    },
+  });
+  const server = startLlmStandIn({ port: Number(values.port), broken: Number(values.broken) });
+  console.log(`LLM stand-in on http://localhost:${server.port}/v1`);
+}
@@ -0,0 +1,128 @@
+// BrandScape palette diversity
+// Checks that a set of suggested palettes is actually varied: two palettes
+// are near-duplicates when their colours, matched up pairwise, are on average
+// closer than DIVERSITY_MIN_DISTANCE (CIEDE2000). The set should also reach
+// the warm, cool and neutral colour families. analyzePaletteDiversity names
+// the slots to replace, so only those are asked for again.
+//
+// Families come from CIE LCh: low-chroma colours and muted oranges / yellows
+// (browns, beiges) are neutral, hues from red through yellow (and pinks) are
+// warm, and greens, blues and purples are cool.
+
+import { hexToRgb, rgbToLab, deltaE2000 } from './color.js';
+
+export const COLOR_FAMILIES = ['warm', 'cool', 'neutral'];
+
+export const DIVERSITY_MIN_DISTANCE = 15;
+
+function lch(hex) {
+  const lab = rgbToLab(hexToRgb(hex));
+  return { lab, l: lab.l, c: Math.hypot(lab.a, lab.b), h: ((Math.atan2(lab.b, lab.a) * 180) / Math.PI + 360) % 360 };
+}
+
+// 'warm', 'cool' or 'neutral' for a HEX colour (null when invalid)
+export function colorFamily(hex) {
+  if (!hexToRgb(hex)) return null;
+  const { c, h } = lch(hex);
+  if (c < 15 || (h >= 40 && h < 100 && c < 30)) return 'neutral';
+  return h < 110 || h >= 345 ? 'warm' : 'cool';
+}
+
+const paletteHexes = (palette) => [palette.hex1 || palette.color1, palette.hex2 || palette.color2];
+
+// Distance between two palettes: their colours are matched up the way that
+// gives the smallest total, then averaged. Returns { distance (CIEDE2000),
+// lightness, chroma, hue } with the mean L*, C* and hue (degrees) differences.
+export function paletteDistance(p, q) {
+  const [a1, a2] = paletteHexes(p).map(lch);
+  const [b1, b2] = paletteHexes(q).map(lch);
+  const pairs = deltaE2000(a1.lab, b1.lab) + deltaE2000(a2.lab, b2.lab) <= deltaE2000(a1.lab, b2.lab) + deltaE2000(a2.lab, b1.lab)
+    ? [[a1, b1], [a2, b2]]
+    : [[a1, b2], [a2, b1]];
+  const mean = (fn) => Math.round((pairs.reduce((sum, [x, y]) => sum + fn(x, y), 0) / 2) * 10) / 10;
+  return {
+    distance: mean((x, y) => deltaE2000(x.lab, y.lab)),
+    lightness: mean((x, y) => Math.abs(x.l - y.l)),
+    chroma: mean((x, y) => Math.abs(x.c - y.c)),
+    // Hue is meaningless for greys, so it only counts when both colours have some chroma
+    hue: mean((x, y) => (x.c < 5 || y.c < 5 ? 0 : Math.min(Math.abs(x.h - y.h), 360 - Math.abs(x.h - y.h)))),
+  };
+}
+
+// Diversity report for a list of palettes ({ hex1, hex2 } or { color1, color2 }):
+// {
+//   score:           0-100 (spread between palettes, closest pair, family coverage)
+//   meanDistance, minDistance   palette distances (CIEDE2000)
+//   families:        { warm: [index], cool: [index], neutral: [index] }
+//   missingFamilies: families no palette reaches
+//   nearDuplicates:  [{ index, of, distance, lightness, chroma, hue }]
+//   failing:         [{ index, reason: 'duplicate' | 'family', family }]  slots to replace,
+//                    `family` being the family the replacement must bring (or null)
+// }
+export function analyzePaletteDiversity(palettes = []) {
+  const valid = palettes.map(p => paletteHexes(p).every(hex => hexToRgb(hex)));
+  const familiesOf = palettes.map((p, i) => (valid[i] ? [...new Set(paletteHexes(p).map(colorFamily))] : []));
+  const families = Object.fromEntries(COLOR_FAMILIES.map(f => [f, familiesOf.flatMap((fs, i) => (fs.includes(f) ? [i] : []))]));
+
+  const distances = [];
+  const nearest = palettes.map(() => Infinity);
+  const nearDuplicates = [];
+  const failing = [];
+  for (let j = 0; j < palettes.length; j++) {
+    if (!valid[j]) continue;
+    for (let i = 0; i < j; i++) {
+      if (!valid[i]) continue;
+      const d = paletteDistance(palettes[i], palettes[j]);
+      distances.push(d.distance);
+      nearest[i] = Math.min(nearest[i], d.distance);
+      nearest[j] = Math.min(nearest[j], d.distance);
+      if (d.distance < DIVERSITY_MIN_DISTANCE) {
+        nearDuplicates.push({ index: j, of: i, ...d });
+        // Keep the earlier palette unless it is already being replaced
+        if (!failing.some(f => f.index === j) && !failing.some(f => f.index === i)) {
+          failing.push({ index: j, reason: 'duplicate', family: null });
+        }
+      }
+    }
+  }
+
+  // Give every family that the kept palettes miss to a slot being replaced,
+  // taking extra slots from the most crowded palettes when there are too few
+  const kept = () => familiesOf.filter((_, i) => valid[i] && !failing.some(f => f.index === i));
+  for (const family of COLOR_FAMILIES) {
+    if (kept().some(fs => fs.includes(family))) continue;
+    let slot = failing.find(f => !f.family);
+    if (!slot) {
+      const candidates = palettes
+        .map((_, i) => i)
+        .filter(i => valid[i] && !failing.some(f => f.index === i))
+        // Do not drop a family that only this palette brings
+        .filter(i => familiesOf[i].every(f => kept().filter(fs => fs.includes(f)).length > 1 || failing.some(s => s.family === f)))
+        .sort((a, b) => nearest[a] - nearest[b]);
+      if (candidates.length === 0) continue;
+      slot = { index: candidates[0], reason: 'family', family: null };
+      failing.push(slot);
+    }
+    slot.family = family;
+  }
+
+  const missingFamilies = COLOR_FAMILIES.filter(f => families[f].length === 0);
+  const meanDistance = distances.length ? distances.reduce((a, b) => a + b, 0) / distances.length : 0;
+  const minDistance = distances.length ? Math.min(...distances) : 0;
+  const clamp = (v) => Math.max(0, Math.min(1, v));
+  const score = Math.round(
+    50 * clamp(meanDistance / 35)
+    + 25 * clamp(minDistance / (2 * DIVERSITY_MIN_DISTANCE))
+    + 25 * (COLOR_FAMILIES.length - missingFamilies.length) / COLOR_FAMILIES.length,
+  );
+
+  return {
+    score,
+    meanDistance: Math.round(meanDistance * 10) / 10,
+    minDistance: Math.round(minDistance * 10) / 10,
+    families,
+    missingFamilies,
+    nearDuplicates,
+    failing: failing.sort((a, b) => a.index - b.index),
+  };
+}
@@ -0,0 +1,230 @@
+// BrandScape palette fidelity
+// Checks how closely a rendered logo keeps to the chosen palette, since image
+// models drift from the requested colours even when the prompt names them:
+//   1. dominant colours: k-means in CIE Lab over the logo's pixels (downscaled),
+//      leaving out the background and the anti-aliased pixels around it
+//   2. each palette colour is matched to its nearest dominant colour (CIEDE2000)
+//   3. score = 70% how close those matches are + 30% how little of the mark
+//      is in colours far from both palette colours
+// recolorToPalette maps the dominant colours onto the exact palette, keeping
+// the anti-aliased edges, for logos that stay below the threshold.
+
+import { hexToRgb, rgbToHex, rgbToLab, deltaE76, deltaE2000 } from './color.js';
+import { borderColor } from './vectorize.js';
+
+export const FIDELITY_MIN_SCORE = 70;
+
+// CIEDE2000 distance at which a colour counts as part of a palette colour
+const ON_PALETTE_DISTANCE = 15;
+
+// CIE76 distance still counted as background
+const BACKGROUND_TOLERANCE = 12;
+
+// Weighted k-means over unique colours: [{ lab, rgb, weight }] -> [{ lab, rgb, weight }].
+// Seeds with the heaviest colour, then repeatedly the one farthest from every seed.
+function kMeans(points, k, iterations = 10) {
+  if (points.length === 0) return [];
+  const heaviest = points.reduce((best, p) => (p.weight > best.weight ? p : best));
+  const centers = [{ ...heaviest.lab }];
+  while (centers.length < Math.min(k, points.length)) {
+    let far = null;
+    let farDistance = -1;
+    for (const p of points) {
+      const d = Math.min(...centers.map(c => deltaE76(p.lab, c)));
+      if (d > farDistance) [far, farDistance] = [p, d];
+    }
+    if (farDistance < 1) break;
+    centers.push({ ...far.lab });
+  }
+
+  let assignment = [];
+  for (let it = 0; it < iterations; it++) {
+    assignment = points.map(p => {
+      let best = 0;
+      for (let c = 1; c < centers.length; c++) {
+        if (deltaE76(p.lab, centers[c]) < deltaE76(p.lab, centers[best])) best = c;
+      }
+      return best;
+    });
+    const sums = centers.map(() => ({ l: 0, a: 0, b: 0, w: 0 }));
+    points.forEach((p, i) => {
+      const s = sums[assignment[i]];
+      s.l += p.lab.l * p.weight;
+      s.a += p.lab.a * p.weight;
+      s.b += p.lab.b * p.weight;
+      s.w += p.weight;
+    });
+    sums.forEach((s, c) => {
+      if (s.w > 0) centers[c] = { l: s.l / s.w, a: s.a / s.w, b: s.b / s.w };
+    });
+  }
+
+  const clusters = centers.map(lab => ({ lab, r: 0, g: 0, b: 0, weight: 0 }));
+  points.forEach((p, i) => {
+    const cluster = clusters[assignment[i]];
+    cluster.r += p.rgb.r * p.weight;
+    cluster.g += p.rgb.g * p.weight;
+    cluster.b += p.rgb.b * p.weight;
+    cluster.weight += p.weight;
+  });
+  return clusters
+    .filter(c => c.weight > 0)
+    .map(c => ({ lab: c.lab, rgb: { r: c.r / c.weight, g: c.g / c.weight, b: c.b / c.weight }, weight: c.weight }));
+}
+
+// Foreground pixels of raw RGBA data as weighted unique colours: not transparent,
+// not background-coloured and not touching the background (anti-aliasing)
+function foregroundColors(data, width, height, bgLab) {
+  const isBackground = new Uint8Array(width * height);
+  const labs = new Map();
+  const labOf = (i) => {
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    let lab = labs.get(key);
+    if (!lab) {
+      lab = rgbToLab({ r: data[i], g: data[i + 1], b: data[i + 2] });
+      labs.set(key, lab);
+    }
+    return { key, lab };
+  };
+  for (let p = 0; p < width * height; p++) {
+    const i = p * 4;
+    isBackground[p] = data[i + 3] < 128 || deltaE76(labOf(i).lab, bgLab) <= BACKGROUND_TOLERANCE ? 1 : 0;
+  }
+  const counts = new Map();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if (isBackground[p]) continue;
+      if ((x > 0 && isBackground[p - 1]) || (x < width - 1 && isBackground[p + 1])
+        || (y > 0 && isBackground[p - width]) || (y < height - 1 && isBackground[p + width])) continue;
+      const i = p * 4;
+      const { key, lab } = labOf(i);
+      const entry = counts.get(key);
+      if (entry) entry.weight++;
+      else counts.set(key, { lab, rgb: { r: data[i], g: data[i + 1], b: data[i + 2] }, weight: 1 });
+    }
+  }
+  return [...counts.values()];
+}
+
+// Dominant colours of `input` (file path or Buffer): { background, colors: [{ hex, share }] }
+// with `share` the part of the mark (0-1) in each colour, largest first.
+export async function dominantColors(input, { k = 5, maxSize = 128 } = {}) {
+  const { default: sharp } = await import('sharp');
+  const { data, info } = await sharp(input)
+    .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const bg = borderColor(data, info.width, info.height);
+  const points = foregroundColors(data, info.width, info.height, rgbToLab(bg));
+  const clusters = kMeans(points, k);
+  const total = clusters.reduce((sum, c) => sum + c.weight, 0);
+  return {
+    background: rgbToHex(bg),
+    colors: clusters
+      .map(c => ({ hex: rgbToHex(c.rgb), share: Math.round((c.weight / total) * 1000) / 1000 }))
+      .sort((a, b) => b.share - a.share),
+  };
+}
+
+// Fidelity of the logo `input` to `palette` ({ hex1, hex2 } or { color1, color2 }):
+// {
+//   score, passes, threshold,
+//   colors:     [{ role: 'hex1' | 'hex2', hex, nearest, distance (CIEDE2000), share }]
+//   offPalette: share of the mark in colours far from both palette colours
+//   dominant:   [{ hex, share }], background
+// }
+// Returns null when the palette has no valid HEX pair.
+export async function paletteFidelity(input, palette = {}, { threshold = FIDELITY_MIN_SCORE } = {}) {
+  const targets = [['hex1', palette.hex1 || palette.color1], ['hex2', palette.hex2 || palette.color2]]
+    .map(([role, hex]) => [role, hexToRgb(hex)]);
+  if (targets.some(([, rgb]) => !rgb)) return null;
+
+  const { background, colors: dominant } = await dominantColors(input);
+  const labs = dominant.map(d => rgbToLab(hexToRgb(d.hex)));
+  const colors = targets.map(([role, rgb]) => {
+    const lab = rgbToLab(rgb);
+    const distances = labs.map(l => deltaE2000(lab, l));
+    const nearest = distances.indexOf(Math.min(...distances));
+    return {
+      role,
+      hex: rgbToHex(rgb),
+      nearest: dominant[nearest]?.hex || null,
+      distance: nearest === -1 ? null : Math.round(distances[nearest] * 10) / 10,
+      share: Math.round(dominant.reduce((sum, d, i) => sum + (distances[i] <= ON_PALETTE_DISTANCE ? d.share : 0), 0) * 1000) / 1000,
+    };
+  });
+  const targetLabs = targets.map(([, rgb]) => rgbToLab(rgb));
+  const offPalette = dominant.reduce((sum, d, i) => sum + (targetLabs.every(t => deltaE2000(t, labs[i]) > ON_PALETTE_DISTANCE) ? d.share : 0), 0);
+
+  // 1 at up to 5 apart, 0 from 30 apart
+  const match = (d) => (d === null ? 0 : Math.max(0, Math.min(1, 1 - (d - 5) / 25)));
+  const closeness = colors.reduce((sum, c) => sum + match(c.distance), 0) / colors.length;
+  const score = dominant.length ? Math.round(100 * (0.7 * closeness + 0.3 * (1 - offPalette))) : 0;
+  return {
+    score,
+    passes: score >= threshold,
+    threshold,
+    colors,
+    offPalette: Math.round(offPalette * 1000) / 1000,
+    dominant,
+    background,
+  };
+}
+
+// Recolour `input` so its dominant colours become the exact palette colours.
+// The two largest colours are paired with hex1 / hex2 the way that changes
+// them least; smaller ones take the nearer palette colour. Background pixels
+// are kept, and anti-aliased pixels are blended between the background and
+// their new colour in the same proportion as before. Returns a PNG Buffer.
+export async function recolorToPalette(input, palette = {}) {
+  const targets = [palette.hex1 || palette.color1, palette.hex2 || palette.color2].map(hexToRgb);
+  if (targets.some(t => !t)) throw new Error('A palette with two valid HEX codes is required');
+  const { default: sharp } = await import('sharp');
+  const { colors: dominant } = await dominantColors(input);
+  const { data, info } = await sharp(input).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const bg = borderColor(data, info.width, info.height);
+  const bgLab = rgbToLab(bg);
+  if (dominant.length === 0) return sharp(input).png().toBuffer();
+
+  const targetLabs = targets.map(rgbToLab);
+  const sources = dominant.map(d => ({ rgb: hexToRgb(d.hex), lab: rgbToLab(hexToRgb(d.hex)) }));
+  const cost = (s, t) => deltaE2000(sources[s].lab, targetLabs[t]);
+  const mapping = sources.map((_, s) => (cost(s, 0) <= cost(s, 1) ? 0 : 1));
+  if (sources.length >= 2) {
+    const straight = cost(0, 0) + cost(1, 1);
+    const crossed = cost(0, 1) + cost(1, 0);
+    [mapping[0], mapping[1]] = straight <= crossed ? [0, 1] : [1, 0];
+  }
+
+  const cache = new Map();
+  const bgChannels = [bg.r, bg.g, bg.b];
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    let out = cache.get(key);
+    if (out === undefined) {
+      const lab = rgbToLab({ r: data[i], g: data[i + 1], b: data[i + 2] });
+      if (deltaE76(lab, bgLab) <= BACKGROUND_TOLERANCE) {
+        out = null;
+      } else {
+        let s = 0;
+        for (let c = 1; c < sources.length; c++) {
+          if (deltaE76(lab, sources[c].lab) < deltaE76(lab, sources[s].lab)) s = c;
+        }
+        // How far the pixel is from the background towards its source colour
+        const source = [sources[s].rgb.r, sources[s].rgb.g, sources[s].rgb.b];
+        const pixel = [data[i], data[i + 1], data[i + 2]];
+        const span = source.reduce((sum, v, ch) => sum + (v - bgChannels[ch]) ** 2, 0);
+        const along = span > 0 ? pixel.reduce((sum, v, ch) => sum + (v - bgChannels[ch]) * (source[ch] - bgChannels[ch]), 0) / span : 1;
+        const amount = Math.max(0, Math.min(1, along));
+        const target = targets[mapping[s]];
+        out = [target.r, target.g, target.b].map((v, ch) => Math.round(bgChannels[ch] + (v - bgChannels[ch]) * amount));
+      }
+      cache.set(key, out);
+    }
+    if (out) [data[i], data[i + 1], data[i + 2]] = out;
+  }
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+}
@@ -0,0 +1,198 @@
+// BrandScape PDF writer
+// Just enough PDF 1.4 to lay out exports locally without a browser or a PDF
+// library: pages, Helvetica / Helvetica-Bold text, filled and stroked
+// rectangles, lines and RGB(A) images.
+//
+// Coordinates are in points (1/72 inch) from the top-left corner of the page;
+// text is placed by its baseline.
+
+import zlib from 'zlib';
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Glyph widths (1/1000 em) for ASCII 32-126 from the Adobe core font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99,
+};
+
+function encodeText(text) {
+  const bytes = [];
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    if (WIN_ANSI[ch]) bytes.push(WIN_ANSI[ch]);
+    else if (code >= 32 && code <= 255 && !(code >= 127 && code < 160)) bytes.push(code);
+    else if (code === 9) bytes.push(32);
+    else bytes.push(63); // '?'
+  }
+  return bytes;
+}
+
+function charWidth(byte, bold) {
+  const table = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  return byte >= 32 && byte <= 126 ? table[byte - 32] : 556;
+}
+
+const num = (n) => (Math.round(n * 100) / 100).toString();
+
+function colorOp(hex, op) {
+  const n = parseInt(String(hex || '#000000').replace('#', ''), 16);
+  return `${num(((n >> 16) & 255) / 255)} ${num(((n >> 8) & 255) / 255)} ${num((n & 255) / 255)} ${op}`;
+}
+
+export function createPdfDocument({ width = A4.width, height = A4.height } = {}) {
+  const pages = [];
+  const images = [];
+  let page = null;
+
+  const y = (top) => height - top;
+
+  const doc = {
+    width,
+    height,
+
+    addPage() {
+      page = { ops: [], images: new Set() };
+      pages.push(page);
+      return doc;
+    },
+
+    // Width of `text` in points
+    textWidth(text, size = 11, bold = false) {
+      return encodeText(text).reduce((w, b) => w + charWidth(b, bold), 0) * size / 1000;
+    },
+
+    // Split `text` into lines no wider than `maxWidth` (explicit newlines are kept)
+    wrap(text, maxWidth, size = 11, bold = false) {
+      const lines = [];
+      for (const paragraph of String(text ?? '').split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+          const candidate = line ? `${line} ${word}` : word;
+          if (line && doc.textWidth(candidate, size, bold) > maxWidth) {
+            lines.push(line);
+            line = word;
+          } else {
+            line = candidate;
+          }
+        }
+        lines.push(line);
+      }
+      return lines;
+    },
+
+    text(text, x, top, { size = 11, bold = false, color = '#000000' } = {}) {
+      const hex = encodeText(text).map(b => b.toString(16).padStart(2, '0')).join('');
+      page.ops.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${colorOp(color, 'rg')} ${num(x)} ${num(y(top))} Td <${hex}> Tj ET`);
+      return doc;
+    },
+
+    rect(x, top, w, h, { fill, stroke, lineWidth = 1, dash } = {}) {
+      const ops = ['q'];
+      if (fill) ops.push(colorOp(fill, 'rg'));
+      if (stroke) ops.push(colorOp(stroke, 'RG'), `${num(lineWidth)} w`);
+      if (dash) ops.push(`[${dash.map(num).join(' ')}] 0 d`);
+      ops.push(`${num(x)} ${num(y(top + h))} ${num(w)} ${num(h)} re`, fill && stroke ? 'B' : fill ? 'f' : 'S', 'Q');
+      page.ops.push(ops.join(' '));
+      return doc;
+    },
+
+    line(x1, top1, x2, top2, { color = '#000000', lineWidth = 1 } = {}) {
+      page.ops.push(`q ${colorOp(color, 'RG')} ${num(lineWidth)} w ${num(x1)} ${num(y(top1))} m ${num(x2)} ${num(y(top2))} l S Q`);
+      return doc;
+    },
+
+    // Register an image from raw pixels (`channels` 3 = RGB, 4 = RGBA);
+    // returns a handle for image()
+    addImage({ data, width: w, height: h, channels = 3 }) {
+      const rgb = Buffer.alloc(w * h * 3);
+      const alpha = channels === 4 ? Buffer.alloc(w * h) : null;
+      for (let i = 0; i < w * h; i++) {
+        rgb[i * 3] = data[i * channels];
+        rgb[i * 3 + 1] = data[i * channels + 1];
+        rgb[i * 3 + 2] = data[i * channels + 2];
+        if (alpha) alpha[i] = data[i * 4 + 3];
+      }
+      const handle = { name: `Im${images.length + 1}`, width: w, height: h, rgb, alpha };
+      images.push(handle);
+      return handle;
+    },
+
+    image(handle, x, top, w, h) {
+      page.images.add(handle);
+      page.ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(y(top + h))} cm /${handle.name} Do Q`);
+      return doc;
+    },
+
+    // Serialise the document
+    toBuffer() {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+      const stream = (dict, data) => {
+        const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1');
+        return [Buffer.from(`<< ${dict} /Length ${bytes.length} >>\nstream\n`, 'latin1'), bytes, Buffer.from('\nendstream', 'latin1')];
+      };
+
+      const catalogId = add(null);
+      const pagesId = add(null);
+      const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+      const imageIds = new Map();
+      for (const img of images) {
+        let smask = '';
+        if (img.alpha) {
+          const maskId = add(stream(`/Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`, zlib.deflateSync(img.alpha)));
+          smask = ` /SMask ${maskId} 0 R`;
+        }
+        imageIds.set(img, add(stream(`/Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode${smask}`, zlib.deflateSync(img.rgb))));
+      }
+
+      const pageIds = pages.map(p => {
+        const contentId = add(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(p.ops.join('\n'), 'latin1'))));
+        const xobjects = [...p.images].map(img => `/${img.name} ${imageIds.get(img)} 0 R`).join(' ');
+        return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Contents ${contentId} 0 R /Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >>${xobjects ? ` /XObject << ${xobjects} >>` : ''} >> >>`);
+      });
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+      let offset = chunks[0].length;
+      const offsets = [];
+      objects.forEach((body, i) => {
+        offsets.push(offset);
+        const parts = [Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), ...(Array.isArray(body) ? body : [Buffer.from(body, 'latin1')]), Buffer.from('\nendobj\n', 'latin1')];
+        for (const part of parts) {
+          chunks.push(part);
+          offset += part.length;
+        }
+      });
+      const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`, ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`)].join('');
+      chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`, 'latin1'));
+      return Buffer.concat(chunks);
+    },
+  };
+
+  return doc;
+}
@@ -0,0 +1,150 @@
+// BrandScape project store
+// Keeps brand projects in SQLite (bun:sqlite) so a client's brand can be
+// reopened later: the brief, the current selections, and a record of every
+// run made for the project (name batches, screening results, palettes, logo
+// prompts and generated logo files).
+//
+// Project shape (get):
+//   { id, name, brief: { businessDescription, visuals, brandValues },
+//     selectedName, selectedColors, createdAt, updatedAt,
+//     nameBatches, screening, palettes, logoPrompts, logos }
+// where each list holds { id, createdAt, ...data } records, oldest first.
+// Logo records keep the file names served under /api/logo/.
+//
+// Configuration (environment):
+//   BRAND_DB_PATH           SQLite database file (default ./brandscape.db)
+
+import { Database } from 'bun:sqlite';
+import { randomUUID } from 'crypto';
+
+// Record kind -> list name on the loaded project
+export const RECORD_KINDS = {
+  names: 'nameBatches',
+  screening: 'screening',
+  palettes: 'palettes',
+  prompt: 'logoPrompts',
+  logo: 'logos',
+};
+
+const json = (value) => (value === undefined ? null : JSON.stringify(value));
+const parse = (text) => (text == null ? null : JSON.parse(text));
+
+function normaliseBrief(brief = {}) {
+  return {
+    businessDescription: brief.businessDescription || '',
+    visuals: Array.isArray(brief.visuals) ? brief.visuals : [],
+    brandValues: Array.isArray(brief.brandValues) ? brief.brandValues : [],
+  };
+}
+
+function rowToProject(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    brief: parse(row.brief),
+    selectedName: parse(row.selected_name),
+    selectedColors: parse(row.selected_colors),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export function createProjectStore({ path } = {}) {
+  const db = new Database(path || process.env.BRAND_DB_PATH || 'brandscape.db', { create: true });
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec('PRAGMA foreign_keys = ON');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      brief TEXT NOT NULL,
+      selected_name TEXT,
+      selected_colors TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS project_records (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      kind TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS project_records_project ON project_records(project_id, kind);
+  `);
+
+  const selectProject = db.query('SELECT * FROM projects WHERE id = ?');
+  const selectRecords = db.query('SELECT * FROM project_records WHERE project_id = ? ORDER BY id');
+  const touchProject = db.query('UPDATE projects SET updated_at = ? WHERE id = ?');
+  const insertRecord = db.query('INSERT INTO project_records (project_id, kind, data, created_at) VALUES (?, ?, ?, ?)');
+
+  return {
+    // Create a project; `name` defaults to the start of the business description
+    create({ name, brief, selectedName = null, selectedColors = null } = {}) {
+      const id = randomUUID();
+      const now = Date.now();
+      const fullBrief = normaliseBrief(brief);
+      const title = String(name || fullBrief.businessDescription.slice(0, 60) || 'Untitled project');
+      db.query(`INSERT INTO projects (id, name, brief, selected_name, selected_colors, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`).run(id, title, json(fullBrief), json(selectedName), json(selectedColors), now, now);
+      return this.get(id);
+    },
+
+    // Summaries, most recently updated first
+    list() {
+      const counts = db.query('SELECT project_id, kind, COUNT(*) AS n FROM project_records GROUP BY project_id, kind').all();
+      return db.query('SELECT * FROM projects ORDER BY updated_at DESC').all().map(row => {
+        const { id, name, brief, selectedName, selectedColors, createdAt, updatedAt } = rowToProject(row);
+        const runs = {};
+        for (const c of counts.filter(c => c.project_id === id)) runs[RECORD_KINDS[c.kind] || c.kind] = c.n;
+        return { id, name, businessDescription: brief.businessDescription, selectedName, selectedColors, createdAt, updatedAt, runs };
+      });
+    },
+
+    // Full project with its records, or null
+    get(id) {
+      const row = selectProject.get(id);
+      if (!row) return null;
+      const project = rowToProject(row);
+      for (const list of Object.values(RECORD_KINDS)) project[list] = [];
+      for (const r of selectRecords.all(id)) {
+        const list = RECORD_KINDS[r.kind];
+        if (list) project[list].push({ id: r.id, createdAt: r.created_at, ...parse(r.data) });
+      }
+      return project;
+    },
+
+    // Update name, brief (merged) and selections; returns the project or null
+    update(id, { name, brief, selectedName, selectedColors } = {}) {
+      const row = selectProject.get(id);
+      if (!row) return null;
+      const current = rowToProject(row);
+      db.query(`UPDATE projects SET name = ?, brief = ?, selected_name = ?, selected_colors = ?, updated_at = ? WHERE id = ?`).run(
+        name ? String(name) : current.name,
+        json(brief ? normaliseBrief({ ...current.brief, ...brief }) : current.brief),
+        json(selectedName !== undefined ? selectedName : current.selectedName),
+        json(selectedColors !== undefined ? selectedColors : current.selectedColors),
+        Date.now(),
+        id,
+      );
+      return this.get(id);
+    },
+
+    // Delete a project and its records; true when it existed
+    remove(id) {
+      return db.query('DELETE FROM projects WHERE id = ?').run(id).changes > 0;
+    },
+
+    // Append a run to a project (kind is a RECORD_KINDS key); false when the project is unknown
+    addRecord(id, kind, data) {
+      if (!RECORD_KINDS[kind]) throw new Error(`Unknown project record "${kind}" (expected one of ${Object.keys(RECORD_KINDS).join(', ')})`);
+      if (!selectProject.get(id)) return false;
+      const now = Date.now();
+      db.transaction(() => {
+        insertRecord.run(id, kind, json(data), now);
+        touchProject.run(now, id);
+      })();
+      return true;
+    },
+  };
+}
@@ -0,0 +1,74 @@
+// BrandScape RDAP stand-in
+// A small local RDAP server for trying out domain checks without reaching the
+// real registries. It serves a bootstrap file that sends every TLD to itself,
+// answers 200 with an RDAP domain object for the domains listed as registered
+// and 404 for everything else.
+//
+//   bun src/rdap-stand-in.js --port 3980 --registered example.com,example.co.uk
+//   BRAND_RDAP_BOOTSTRAP_URL=http://localhost:3980/dns.json bun src/brandscape.js
+//
+// Options:
+//   --port          port to listen on (default 3980)
+//   --registered    comma-separated domains to report as registered
+//   --tlds          comma-separated TLDs in the bootstrap (default com,uk,co.uk);
+//                   others have no RDAP service, so checks fall back to DNS
+
+import { parseArgs } from 'util';
+
+// RDAP domain object (RFC 9083) for a registered domain
+export function rdapDomainObject(domain, { registrar = 'Stand-in Registrar Ltd', created = '2015-03-01T00:00:00Z', expires = '2030-03-01T00:00:00Z' } = {}) {
+  return {
+    objectClassName: 'domain',
+    rdapConformance: ['rdap_level_0'],
+    ldhName: domain,
+    status: ['client transfer prohibited'],
+    events: [
+      { eventAction: 'registration', eventDate: created },
+      { eventAction: 'expiration', eventDate: expires },
+    ],
+    entities: [{
+      objectClassName: 'entity',
+      handle: 'STANDIN-1',
+      roles: ['registrar'],
+      vcardArray: ['vcard', [['version', {}, 'text', '4.0'], ['fn', {}, 'text', registrar]]],
+    }],
+  };
+}
+
+// Start the stand-in; returns the Bun server (call .stop() when done)
+export function startRdapStandIn({ port = 3980, registered = [], tlds = ['com', 'uk', 'co.uk'] } = {}) {
+  const taken = new Set(registered.map(d => d.toLowerCase()));
+  return Bun.serve({
+    port,
+    fetch(req) {
+      const { pathname, origin } = new URL(req.url);
+      if (pathname === '/dns.json') {
+        return Response.json({
+          version: '1.0',
+          publication: new Date().toISOString(),
+          services: [[tlds, [`${origin}/`]]],
+        });
+      }
+      const match = pathname.match(/^\/domain\/([^/]+)$/);
+      if (!match) return new Response('Not found', { status: 404 });
+      const domain = decodeURIComponent(match[1]).toLowerCase();
+      if (!taken.has(domain)) {
+        return Response.json({ errorCode: 404, title: 'Not Found' }, { status: 404, headers: { 'Content-Type': 'application/rdap+json' } });
+      }
+      return Response.json(rdapDomainObject(domain), { headers: { 'Content-Type': 'application/rdap+json' } });
+    },
+  });
+}
+
+if (import.meta.main) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '3980' },
+      registered: { type: 'string', default: '' },
+      tlds: { type: 'string', default: 'com,uk,co.uk' },
+    },
+  });
+  const list = (v) => v.split(',').map(s => s.trim()).filter(Boolean);
+  const server = startRdapStandIn({ port: Number(values.port), registered: list(values.registered), tlds: list(values.tlds) });
+  console.log(`RDAP stand-in on http://localhost:${server.port}/dns.json (registered: ${list(values.registered).join(', ') || 'none'})`);
+}
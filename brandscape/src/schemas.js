@@ -0,0 +1,89 @@
+// BrandScape structured model output
+// zod schemas for the replies we parse (name suggestions, palettes, logo prompt).
+// Their JSON Schema is sent as the provider's output format (Ollama `format`,
+// OpenAI-compatible `response_format`) and every reply is validated against
+// the schema, after an optional task-specific repair step, before it is used.
+// Replies that still do not fit raise ModelOutputError.
+//
+// zod 4 ships its own JSON Schema export (z.toJSONSchema); zod-to-json-schema
+// 3.x only understands zod 3 schemas, so it is not used here.
+
+import { z } from 'zod';
+
+const HEX_RE = /^#[0-9A-F]{6}$/;
+
+export const NameSuggestionsSchema = z.object({
+  suggestions: z.array(z.object({
+    title: z.string().min(1).max(60),
+    description: z.string(),
+  })).min(1),
+});
+
+export const PaletteSchema = z.object({
+  hex1: z.string().regex(HEX_RE, 'Expected an uppercase #RRGGBB colour'),
+  hex2: z.string().regex(HEX_RE, 'Expected an uppercase #RRGGBB colour'),
+  name1: z.string().min(1),
+  name2: z.string().min(1),
+  explanation: z.string().min(1),
+});
+
+export const PalettesSchema = z.object({
+  palettes: z.array(PaletteSchema).min(1),
+});
+
+export const LogoPromptSchema = z.object({
+  prompt: z.string().min(1),
+});
+
+// Raised when a model reply cannot be parsed into the expected shape.
+// `task` is the LLM task, `raw` the reply text and `issues` the zod issues.
+export class ModelOutputError extends Error {
+  constructor(task, message, { raw = '', issues = [] } = {}) {
+    super(`${task}: ${message}`);
+    this.name = 'ModelOutputError';
+    this.task = task;
+    this.raw = raw;
+    this.issues = issues;
+  }
+}
+
+// JSON Schema for a provider's structured output option
+export function toFormat(schema) {
+  const { $schema, ...jsonSchema } = z.toJSONSchema(schema);
+  return jsonSchema;
+}
+
+// Helper: robustly extract the first JSON object (or array) from a text blob
+export function extractFirstJson(text) {
+  if (!text) throw new Error('Empty text');
+  try { return JSON.parse(text); } catch (e) { /* fallthrough */ }
+  const objStart = text.indexOf('{');
+  const arrStart = text.indexOf('[');
+  const isArray = arrStart !== -1 && (objStart === -1 || arrStart < objStart);
+  const first = isArray ? arrStart : objStart;
+  const last = text.lastIndexOf(isArray ? ']' : '}');
+  if (first === -1 || last === -1 || last <= first) {
+    throw new Error('No JSON object found in response');
+  }
+  const candidate = text.slice(first, last + 1);
+  return JSON.parse(candidate);
+}
+
+// Validate a model reply against `schema`. `repair` receives the parsed JSON
+// (or the trimmed text when the reply holds no JSON) and may reshape it first.
+export function parseStructured(task, text, schema, repair = (value) => value) {
+  let value;
+  try {
+    value = extractFirstJson(text);
+  } catch (e) {
+    value = String(text ?? '').trim();
+  }
+  const result = schema.safeParse(repair(value));
+  if (!result.success) {
+    throw new ModelOutputError(task, 'reply does not match the expected shape:\n' + z.prettifyError(result.error), {
+      raw: String(text ?? ''),
+      issues: result.error.issues,
+    });
+  }
+  return result.data;
+}
@@ -0,0 +1,264 @@
+// BrandScape procedural SVG logos
+// Vector marks built locally from the brand name and palette, no model or
+// network needed. Same inputs + seed always give the same mark.
+//
+// Styles:
+//   monogram  the initial in a solid container (circle, rounded square, hexagon, diamond)
+//   emblem    geometric mark (rays, stacked polygons, interlocking rings, quadrants)
+//   badge     roundel or shield with the initial and the name on a ribbon
+//   icon      a simple pictogram picked from the visuals (leaf, drop, star, ...)
+//
+// Drawing happens in a 1000x1000 box centred in the requested width/height.
+
+import { contrastRatio } from './color.js';
+
+export const SVG_LOGO_STYLES = ['monogram', 'emblem', 'badge', 'icon'];
+
+const FONT = 'Helvetica, Arial, sans-serif';
+
+// FNV-1a hash, used to seed marks from their inputs
+export function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+// Small seeded PRNG (mulberry32)
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(rand, list) {
+  return list[Math.floor(rand() * list.length)];
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[ch]);
+}
+
+// Colour for marks drawn on top of `fill`: the accent when it reads, else white or near-black
+function inkOn(fill, accent) {
+  if (contrastRatio(fill, accent) >= 3) return accent;
+  return contrastRatio(fill, '#FFFFFF') >= contrastRatio(fill, '#1A1A1A') ? '#FFFFFF' : '#1A1A1A';
+}
+
+function polygonPoints(cx, cy, r, sides, rotation = -Math.PI / 2) {
+  return Array.from({ length: sides }, (_, i) => {
+    const a = rotation + (i / sides) * Math.PI * 2;
+    return `${(cx + Math.cos(a) * r).toFixed(1)},${(cy + Math.sin(a) * r).toFixed(1)}`;
+  }).join(' ');
+}
+
+function letter(char, { x = 500, y = 500, size = 460, fill }) {
+  // librsvg has no reliable dominant-baseline, so offset by roughly half the cap height
+  return `<text x="${x}" y="${(y + size * 0.35).toFixed(1)}" text-anchor="middle" font-family="${FONT}" font-weight="700" font-size="${size}" fill="${fill}">${escapeXml(char)}</text>`;
+}
+
+// --- Styles ---
+
+function monogram(rand, { initial, hex1, hex2 }) {
+  const ink = inkOn(hex1, hex2);
+  const container = pick(rand, ['circle', 'rounded', 'hexagon', 'diamond']);
+  const shapes = {
+    circle: `<circle cx="500" cy="500" r="360" fill="${hex1}"/>`,
+    rounded: `<rect x="150" y="150" width="700" height="700" rx="140" fill="${hex1}"/>`,
+    hexagon: `<polygon points="${polygonPoints(500, 500, 390, 6)}" fill="${hex1}"/>`,
+    diamond: `<polygon points="${polygonPoints(500, 500, 400, 4)}" fill="${hex1}"/>`,
+  };
+  const inset = {
+    circle: `<circle cx="500" cy="500" r="320" fill="none" stroke="${ink}" stroke-width="10"/>`,
+    rounded: `<rect x="190" y="190" width="620" height="620" rx="110" fill="none" stroke="${ink}" stroke-width="10"/>`,
+    hexagon: `<polygon points="${polygonPoints(500, 500, 345, 6)}" fill="none" stroke="${ink}" stroke-width="10"/>`,
+    diamond: `<polygon points="${polygonPoints(500, 500, 350, 4)}" fill="none" stroke="${ink}" stroke-width="10"/>`,
+  };
+  const body = [shapes[container]];
+  if (rand() < 0.5) body.push(inset[container]);
+  body.push(letter(initial, { size: container === 'diamond' ? 380 : 440, fill: ink }));
+  return { variant: container, body, description: `Monogram "${initial}" in a ${container} container` };
+}
+
+function emblem(rand, { hex1, hex2 }) {
+  const variant = pick(rand, ['rays', 'stack', 'rings', 'quadrants']);
+  const body = [];
+  if (variant === 'rays') {
+    const count = 8 + 2 * Math.floor(rand() * 5);
+    const spread = Math.PI / count * 0.55;
+    for (let i = 0; i < count; i++) {
+      const a = (i / count) * Math.PI * 2 - Math.PI / 2;
+      const p = [[a - spread, 190], [a, 400], [a + spread, 190]]
+        .map(([t, r]) => `${(500 + Math.cos(t) * r).toFixed(1)},${(500 + Math.sin(t) * r).toFixed(1)}`).join(' ');
+      body.push(`<polygon points="${p}" fill="${hex1}"/>`);
+    }
+    body.push(`<circle cx="500" cy="500" r="150" fill="${hex2}"/>`);
+  } else if (variant === 'stack') {
+    const sides = pick(rand, [3, 4, 5, 6]);
+    const twist = Math.PI / sides;
+    [[380, hex1, 0], [270, hex2, twist], [160, '#FFFFFF', 0], [90, hex1, twist]].forEach(([r, fill, rot]) => {
+      body.push(`<polygon points="${polygonPoints(500, 500, r, sides, -Math.PI / 2 + rot)}" fill="${fill}"/>`);
+    });
+  } else if (variant === 'rings') {
+    const offset = 110 + Math.floor(rand() * 50);
+    body.push(`<circle cx="${500 - offset}" cy="500" r="240" fill="none" stroke="${hex1}" stroke-width="70"/>`);
+    body.push(`<circle cx="${500 + offset}" cy="500" r="240" fill="none" stroke="${hex2}" stroke-width="70"/>`);
+  } else {
+    const gap = 24;
+    const r = 360;
+    const sector = (sx, sy, fill) => {
+      const cx = 500 + sx * gap;
+      const cy = 500 + sy * gap;
+      return `<path d="M${cx},${cy} L${cx + sx * r},${cy} A${r},${r} 0 0 ${sx * sy > 0 ? 1 : 0} ${cx},${cy + sy * r} Z" fill="${fill}"/>`;
+    };
+    const flip = rand() < 0.5;
+    body.push(sector(1, -1, flip ? hex2 : hex1), sector(-1, -1, flip ? hex1 : hex2), sector(-1, 1, flip ? hex2 : hex1), sector(1, 1, flip ? hex1 : hex2));
+  }
+  return { variant, body, description: `Geometric emblem (${variant})` };
+}
+
+function badge(rand, { name, initial, hex1, hex2 }) {
+  const variant = pick(rand, ['roundel', 'shield']);
+  const ink = inkOn(hex1, hex2);
+  const ribbonText = inkOn(hex2, '#FFFFFF');
+  const label = name.length > 16 ? name.slice(0, 15) + '…' : name;
+  const labelSize = Math.min(84, Math.floor(1100 / Math.max(label.length, 6)));
+  const body = [];
+  if (variant === 'roundel') {
+    body.push(`<circle cx="500" cy="470" r="350" fill="${hex1}"/>`);
+    body.push(`<circle cx="500" cy="470" r="305" fill="none" stroke="${ink}" stroke-width="12" stroke-dasharray="${rand() < 0.5 ? '0' : '4 22'}"/>`);
+    body.push(letter(initial, { y: 430, size: 340, fill: ink }));
+  } else {
+    body.push(`<path d="M500,110 L820,210 L820,500 C820,690 680,810 500,890 C320,810 180,690 180,500 L180,210 Z" fill="${hex1}"/>`);
+    body.push(`<path d="M260,300 L500,380 L740,300" fill="none" stroke="${ink}" stroke-width="28" stroke-linejoin="round"/>`);
+    body.push(letter(initial, { y: 530, size: 280, fill: ink }));
+  }
+  if (label) {
+    body.push(`<path d="M120,690 L880,690 L840,760 L880,830 L120,830 L160,760 Z" fill="${hex2}"/>`);
+    body.push(`<text x="500" y="${(760 + labelSize * 0.35).toFixed(1)}" text-anchor="middle" font-family="${FONT}" font-weight="700" font-size="${labelSize}" letter-spacing="4" fill="${ribbonText}">${escapeXml(label.toUpperCase())}</text>`);
+  }
+  return { variant, body, description: `${variant === 'roundel' ? 'Roundel' : 'Shield'} badge with "${initial}"${label ? ` and a "${label}" ribbon` : ''}` };
+}
+
+// Pictograms drawn around (500, 500), roughly 500 units across
+const ICONS = {
+  leaf: (fill, accent) => [
+    `<path d="M300,700 C260,460 400,280 720,260 C740,560 580,720 300,700 Z" fill="${fill}"/>`,
+    `<path d="M300,700 C420,560 520,460 640,360" fill="none" stroke="${accent}" stroke-width="22" stroke-linecap="round"/>`,
+  ],
+  drop: (fill, accent) => [
+    `<path d="M500,240 C600,380 680,470 680,580 C680,690 600,760 500,760 C400,760 320,690 320,580 C320,470 400,380 500,240 Z" fill="${fill}"/>`,
+    `<path d="M420,600 C420,650 450,690 500,700" fill="none" stroke="${accent}" stroke-width="22" stroke-linecap="round"/>`,
+  ],
+  star: (fill, accent) => [
+    `<polygon points="${Array.from({ length: 10 }, (_, i) => {
+      const a = -Math.PI / 2 + (i / 10) * Math.PI * 2;
+      const r = i % 2 === 0 ? 270 : 115;
+      return `${(500 + Math.cos(a) * r).toFixed(1)},${(510 + Math.sin(a) * r).toFixed(1)}`;
+    }).join(' ')}" fill="${fill}"/>`,
+    `<circle cx="500" cy="510" r="40" fill="${accent}"/>`,
+  ],
+  mountain: (fill, accent) => [
+    `<polygon points="230,720 450,330 670,720" fill="${fill}"/>`,
+    `<polygon points="520,720 650,470 780,720" fill="${accent}"/>`,
+    `<polygon points="450,330 510,437 470,420 430,450 390,437" fill="#FFFFFF"/>`,
+  ],
+  wave: (fill, accent) => [
+    `<path d="M240,560 C300,470 380,470 440,560 C500,650 580,650 640,560 C700,470 760,500 780,540 L780,720 L240,720 Z" fill="${fill}"/>`,
+    `<path d="M240,450 C300,360 380,360 440,450 C500,540 580,540 640,450 C700,360 760,390 780,430" fill="none" stroke="${accent}" stroke-width="30" stroke-linecap="round"/>`,
+  ],
+  sun: (fill, accent) => [
+    ...Array.from({ length: 12 }, (_, i) => {
+      const a = (i / 12) * Math.PI * 2;
+      const [x1, y1, x2, y2] = [190, 190, 270, 270].map((r, j) => (j % 2 === 0 ? 500 + Math.cos(a) * r : 500 + Math.sin(a) * r));
+      return `<line x1="${x1.toFixed(1)}" y1="${y1.toFixed(1)}" x2="${x2.toFixed(1)}" y2="${y2.toFixed(1)}" stroke="${accent}" stroke-width="30" stroke-linecap="round"/>`;
+    }),
+    `<circle cx="500" cy="500" r="150" fill="${fill}"/>`,
+  ],
+  heart: (fill, accent) => [
+    `<path d="M500,740 C300,600 240,500 240,410 C240,320 310,260 390,260 C440,260 480,290 500,330 C520,290 560,260 610,260 C690,260 760,320 760,410 C760,500 700,600 500,740 Z" fill="${fill}"/>`,
+    `<circle cx="380" cy="390" r="34" fill="${accent}"/>`,
+  ],
+  bolt: (fill, accent) => [
+    `<polygon points="560,230 330,540 480,540 440,770 680,440 530,440" fill="${fill}"/>`,
+    `<circle cx="700" cy="300" r="34" fill="${accent}"/>`,
+  ],
+};
+
+const ICON_KEYWORDS = {
+  leaf: ['leaf', 'plant', 'tree', 'eco', 'garden', 'herb', 'green', 'organic', 'nature'],
+  drop: ['drop', 'water', 'rain', 'liquid', 'oil', 'ink', 'clean'],
+  star: ['star', 'sparkle', 'shine', 'magic', 'award'],
+  mountain: ['mountain', 'peak', 'hill', 'outdoor', 'hike', 'climb', 'alpine'],
+  wave: ['wave', 'sea', 'ocean', 'surf', 'beach', 'river', 'flow'],
+  sun: ['sun', 'light', 'solar', 'bright', 'morning', 'summer'],
+  heart: ['heart', 'love', 'care', 'kind', 'health'],
+  bolt: ['bolt', 'lightning', 'energy', 'power', 'electric', 'fast', 'speed'],
+};
+
+// Pick the pictogram whose keywords match the visuals (or name); random when none match
+export function matchIcon(words, rand = Math.random) {
+  const text = words.join(' ').toLowerCase();
+  const hit = Object.keys(ICON_KEYWORDS).find(key => ICON_KEYWORDS[key].some(k => text.includes(k)));
+  return hit || pick(rand, Object.keys(ICONS));
+}
+
+function icon(rand, { name, visuals, hex1, hex2 }) {
+  const variant = matchIcon([...visuals, name], rand);
+  const frame = pick(rand, ['circle', 'rounded', 'none']);
+  const body = [];
+  if (frame === 'circle') body.push(`<circle cx="500" cy="500" r="380" fill="${hex2}" fill-opacity="0.18"/>`);
+  if (frame === 'rounded') body.push(`<rect x="130" y="130" width="740" height="740" rx="160" fill="none" stroke="${hex2}" stroke-width="24"/>`);
+  body.push(...ICONS[variant](hex1, hex2));
+  return { variant, body, description: `${variant.charAt(0).toUpperCase() + variant.slice(1)} icon${frame === 'none' ? '' : ` in a ${frame} frame`}` };
+}
+
+const STYLE_BUILDERS = { monogram, emblem, badge, icon };
+
+// Build a vector logo. `hex1` is the main colour, `hex2` the accent.
+// Returns { svg, style, variant, description }.
+export function buildSvgLogo({
+  name = '',
+  initial,
+  hex1 = '#222222',
+  hex2 = '#888888',
+  style = 'monogram',
+  visuals = [],
+  seed,
+  width = 1024,
+  height = 1024,
+  background = '#FFFFFF',
+} = {}) {
+  const styleKey = String(style).toLowerCase();
+  const builder = STYLE_BUILDERS[styleKey];
+  if (!builder) throw new Error(`Unknown logo style "${style}" (expected one of ${SVG_LOGO_STYLES.join(', ')})`);
+
+  const title = String(name || '').trim();
+  const mark = (initial || title.charAt(0) || 'B').charAt(0).toUpperCase();
+  const colors = { hex1: hex1.toUpperCase(), hex2: hex2.toUpperCase() };
+  // Hash the seed with the inputs: mulberry32's first draws are close for nearby seeds
+  const rand = seededRandom(hashString(`${seed ?? ''}|${title}|${styleKey}|${colors.hex1}|${colors.hex2}`));
+  const { variant, body, description } = builder(rand, { name: title, initial: mark, visuals, ...colors });
+
+  // Keep the 1000x1000 drawing centred whatever the aspect ratio
+  const vbWidth = width >= height ? 1000 * width / height : 1000;
+  const vbHeight = height > width ? 1000 * height / width : 1000;
+  const vbX = (1000 - vbWidth) / 2;
+  const vbY = (1000 - vbHeight) / 2;
+  const bg = background && background !== 'none'
+    ? `  <rect x="${vbX}" y="${vbY}" width="${vbWidth}" height="${vbHeight}" fill="${background}"/>\n`
+    : '';
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${vbX} ${vbY} ${vbWidth} ${vbHeight}">
+${bg}${body.map(el => `  ${el}`).join('\n')}
+</svg>
+`;
+  return { svg, style: styleKey, variant, description: `${description}, ${colors.hex1} with ${colors.hex2} accent` };
+}
@@ -0,0 +1,261 @@
+// BrandScape vector store
+// Keeps retrieval chunks and their embeddings, keyed by a hash of the chunk
+// text, so a chunk is only embedded once per embeddings model: the colour
+// corpus, web pages and naming context are re-ranked on later runs without
+// calling the embeddings model again (only the query is new).
+//
+// Every store implements:
+//   getVectors({ collection, model, hashes }) -> Map<hash, number[]>
+//   addChunks({ collection, model, chunks: [{ hash, text, metadata, vector }] })
+//   search({ collection, model, vector, hashes, k }) -> [{ hash, text, metadata, similarity }]
+// where `search` ranks only the chunks in `hashes` by cosine similarity, so
+// chunks cached for other briefs never leak into a result.
+//
+// Stores:
+//   sqlite    embedded on-disk store (bun:sqlite), the default
+//   weaviate  a Weaviate instance (weaviate-client), one collection per
+//             BrandScape collection and embeddings model
+//
+// Configuration (environment):
+//   BRAND_VECTOR_STORE        sqlite | weaviate (default sqlite)
+//   BRAND_VECTOR_DB_PATH      SQLite file for the sqlite store (default ./brandscape-vectors.db)
+//   WEAVIATE_URL              Weaviate HTTP endpoint (default http://localhost:8080)
+//   WEAVIATE_GRPC_PORT        Weaviate gRPC port (default 50051)
+//   WEAVIATE_API_KEY          optional API key
+
+import { Database } from 'bun:sqlite';
+import crypto from 'crypto';
+import mlDistance from 'ml-distance';
+import { getTaskLLM } from './llm-providers.js';
+
+export const VECTOR_STORES = ['sqlite', 'weaviate'];
+
+// Hash identifying a chunk's text
+export const contentHash = (text) => crypto.createHash('sha256').update(String(text)).digest('hex').slice(0, 32);
+
+const cosine = (a, b) => mlDistance.similarity.cosine(a, b);
+
+// bun:sqlite returns BLOBs as Uint8Array views; copy so the floats are aligned
+const toBlob = (vector) => new Uint8Array(Float32Array.from(vector).buffer);
+const fromBlob = (blob) => Array.from(new Float32Array(Uint8Array.from(blob).buffer));
+
+// SQLite has a limit on bound parameters, so long hash lists are queried in slices
+function slices(list, size = 500) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+export function createSqliteVectorStore({ path } = {}) {
+  const db = new Database(path || process.env.BRAND_VECTOR_DB_PATH || 'brandscape-vectors.db', { create: true });
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS chunks (
+      collection TEXT NOT NULL,
+      model TEXT NOT NULL,
+      hash TEXT NOT NULL,
+      text TEXT NOT NULL,
+      metadata TEXT,
+      vector BLOB NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (collection, model, hash)
+    );
+  `);
+  const insert = db.query(`INSERT OR REPLACE INTO chunks (collection, model, hash, text, metadata, vector, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`);
+  const rows = (collection, model, hashes) => slices(hashes).flatMap(part => db
+    .query(`SELECT * FROM chunks WHERE collection = ? AND model = ? AND hash IN (${part.map(() => '?').join(', ')})`)
+    .all(collection, model, ...part));
+
+  return {
+    name: 'sqlite',
+    async getVectors({ collection, model, hashes }) {
+      return new Map(rows(collection, model, hashes).map(row => [row.hash, fromBlob(row.vector)]));
+    },
+    async addChunks({ collection, model, chunks }) {
+      const now = Date.now();
+      db.transaction(() => {
+        for (const c of chunks) insert.run(collection, model, c.hash, c.text, JSON.stringify(c.metadata ?? null), toBlob(c.vector), now);
+      })();
+    },
+    async search({ collection, model, vector, hashes, k = 5 }) {
+      return rows(collection, model, hashes)
+        .map(row => ({ hash: row.hash, text: row.text, metadata: JSON.parse(row.metadata), similarity: cosine(vector, fromBlob(row.vector)) }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, k);
+    },
+  };
+}
+
+// Weaviate collection name for a BrandScape collection and model ("color-corpus",
+// "mxbai-embed-large" -> "BrandscapeColorCorpus_mxbai_embed_large")
+function weaviateCollectionName(collection, model) {
+  const pascal = String(collection).split(/[^A-Za-z0-9]+/).filter(Boolean).map(w => w[0].toUpperCase() + w.slice(1)).join('');
+  return `Brandscape${pascal}_${String(model).replace(/[^A-Za-z0-9]+/g, '_')}`;
+}
+
+export function createWeaviateVectorStore({ url, grpcPort, apiKey } = {}) {
+  const endpoint = new URL(url || process.env.WEAVIATE_URL || 'http://localhost:8080');
+  let clientPromise = null;
+  const ready = new Map();
+
+  const connect = () => {
+    if (!clientPromise) {
+      clientPromise = import('weaviate-client').then(({ default: weaviate, ApiKey }) => {
+        const key = apiKey ?? process.env.WEAVIATE_API_KEY;
+        const secure = endpoint.protocol === 'https:';
+        return weaviate.connectToCustom({
+          httpHost: endpoint.hostname,
+          httpPort: Number(endpoint.port || (secure ? 443 : 80)),
+          httpSecure: secure,
+          grpcHost: endpoint.hostname,
+          grpcPort: Number(grpcPort || process.env.WEAVIATE_GRPC_PORT || 50051),
+          grpcSecure: secure,
+          ...(key && { authCredentials: new ApiKey(key) }),
+        });
+      });
+      clientPromise.catch(() => { clientPromise = null; });
+    }
+    return clientPromise;
+  };
+
+  // The collection for `collection` / `model`, created on first use
+  const collectionFor = async (collection, model) => {
+    const client = await connect();
+    const name = weaviateCollectionName(collection, model);
+    if (!ready.has(name)) {
+      if (!(await client.collections.exists(name))) {
+        const { default: weaviate } = await import('weaviate-client');
+        await client.collections.create({
+          name,
+          properties: [
+            { name: 'hash', dataType: 'text' },
+            { name: 'text', dataType: 'text' },
+            { name: 'metadata', dataType: 'text' },
+          ],
+          vectorizers: weaviate.configure.vectorizer.selfProvided({
+            vectorIndexConfig: weaviate.configure.vectorIndex.hnsw({ distanceMetric: 'cosine' }),
+          }),
+        });
+      }
+      ready.set(name, client.collections.get(name));
+    }
+    return ready.get(name);
+  };
+
+  // Objects are stored under a UUID derived from the hash, so they can be fetched by id
+  const idFor = async (hash) => (await import('weaviate-client')).generateUuid5(hash);
+
+  return {
+    name: 'weaviate',
+    async getVectors({ collection, model, hashes }) {
+      const target = await collectionFor(collection, model);
+      const found = new Map();
+      for (const part of slices(hashes, 100)) {
+        const ids = await Promise.all(part.map(idFor));
+        const { objects } = await target.query.fetchObjects({
+          filters: target.filter.byId().containsAny(ids),
+          includeVector: true,
+          limit: part.length,
+        });
+        for (const obj of objects) found.set(obj.properties.hash, obj.vectors.default);
+      }
+      return found;
+    },
+    async addChunks({ collection, model, chunks }) {
+      const target = await collectionFor(collection, model);
+      const objects = await Promise.all(chunks.map(async c => ({
+        id: await idFor(c.hash),
+        properties: { hash: c.hash, text: c.text, metadata: JSON.stringify(c.metadata ?? null) },
+        vectors: c.vector,
+      })));
+      const result = await target.data.insertMany(objects);
+      if (result.hasErrors) throw new Error(`Weaviate rejected ${Object.keys(result.errors).length} chunk(s)`);
+    },
+    async search({ collection, model, vector, hashes, k = 5 }) {
+      const target = await collectionFor(collection, model);
+      const { objects } = await target.query.nearVector(vector, {
+        filters: target.filter.byProperty('hash').containsAny(hashes),
+        limit: k,
+        returnMetadata: ['distance'],
+      });
+      return objects.map(obj => ({
+        hash: obj.properties.hash,
+        text: obj.properties.text,
+        metadata: JSON.parse(obj.properties.metadata),
+        similarity: 1 - obj.metadata.distance,
+      }));
+    },
+  };
+}
+
+let defaultStore = null;
+
+// The store picked by BRAND_VECTOR_STORE, created on first use
+export function getVectorStore() {
+  if (!defaultStore) {
+    const kind = (process.env.BRAND_VECTOR_STORE || 'sqlite').toLowerCase();
+    if (kind === 'sqlite') defaultStore = createSqliteVectorStore();
+    else if (kind === 'weaviate') defaultStore = createWeaviateVectorStore();
+    else throw new Error(`Unknown vector store "${kind}" (expected one of ${VECTOR_STORES.join(', ')})`);
+  }
+  return defaultStore;
+}
+
+async function embedTexts(input) {
+  const { provider, model } = getTaskLLM('embeddings');
+  return provider.embed({ model, input });
+}
+
+// Rank `chunks` ([{ text, metadata, vector? }]) against `query` and return the
+// best `k` as [{ text, metadata, similarity }]. Chunks and queries already in
+// the store are not embedded again; a chunk that comes with a `vector`
+// (precomputed) is stored as it is. Queries are cached in the 'queries'
+// collection. When the store cannot be reached the chunks are embedded and
+// ranked in memory instead.
+export async function rankChunks(query, chunks, { collection, k = 5, store = getVectorStore() } = {}) {
+  const { model } = getTaskLLM('embeddings');
+  const unique = new Map();
+  for (const chunk of chunks) {
+    const hash = contentHash(chunk.text);
+    if (!unique.has(hash)) unique.set(hash, { ...chunk, hash });
+  }
+  const items = [...unique.values()];
+  const queryHash = contentHash(query);
+
+  let cached = new Map();
+  let cachedQuery = null;
+  let storeUsable = true;
+  try {
+    cached = await store.getVectors({ collection, model, hashes: items.map(c => c.hash) });
+    cachedQuery = (await store.getVectors({ collection: 'queries', model, hashes: [queryHash] })).get(queryHash) || null;
+  } catch (e) {
+    console.warn(`Vector store (${store.name}) unavailable, embedding without the cache:`, e.message);
+    storeUsable = false;
+  }
+
+  const missing = items.filter(c => !cached.has(c.hash));
+  const toEmbed = missing.filter(c => !c.vector);
+  const texts = [...(cachedQuery ? [] : [query]), ...toEmbed.map(c => c.text)];
+  const vectors = texts.length > 0 ? await embedTexts(texts) : [];
+  const queryVector = cachedQuery || vectors.shift();
+  toEmbed.forEach((c, i) => { c.vector = vectors[i]; });
+
+  if (storeUsable) {
+    try {
+      if (missing.length > 0) {
+        await store.addChunks({ collection, model, chunks: missing.map(({ hash, text, metadata, vector }) => ({ hash, text, metadata, vector })) });
+      }
+      if (!cachedQuery) await store.addChunks({ collection: 'queries', model, chunks: [{ hash: queryHash, text: query, vector: queryVector }] });
+      return (await store.search({ collection, model, vector: queryVector, hashes: items.map(c => c.hash), k }))
+        .map(({ text, metadata, similarity }) => ({ text, metadata, similarity }));
+    } catch (e) {
+      console.warn(`Vector store (${store.name}) failed, ranking in memory:`, e.message);
+    }
+  }
+
+  return items
+    .map(c => ({ text: c.text, metadata: c.metadata ?? null, similarity: cosine(queryVector, c.vector || cached.get(c.hash)) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+}
@@ -0,0 +1,330 @@
+// BrandScape raster-to-SVG tracing
+// Converts a rendered logo into a clean vector with only the brand colours:
+//   1. quantise every pixel to the nearest of background / hex1 / hex2 (CIE Lab)
+//   2. clean up: a majority filter, then specks below `minArea` join their neighbours
+//   3. trace each colour's outlines along pixel edges
+//   4. smooth the pixel staircases, simplify the outlines (Ramer-Douglas-Peucker)
+//      and turn gentle corners into quadratic curves
+// The background colour is left out, so the SVG is transparent around the mark.
+
+import { hexToRgb, rgbToHex, rgbToLab, deltaE76 } from './color.js';
+
+// Most common colour along the image border (transparent pixels excluded)
+export function borderColor(data, width, height) {
+  const counts = new Map();
+  const visit = (x, y) => {
+    const i = (y * width + x) * 4;
+    if (data[i + 3] < 128) return;
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const entry = counts.get(key) || { n: 0, r: 0, g: 0, b: 0 };
+    entry.n++;
+    entry.r += data[i];
+    entry.g += data[i + 1];
+    entry.b += data[i + 2];
+    counts.set(key, entry);
+  };
+  for (let x = 0; x < width; x++) {
+    visit(x, 0);
+    visit(x, height - 1);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(0, y);
+    visit(width - 1, y);
+  }
+  const best = [...counts.values()].sort((a, b) => b.n - a.n)[0];
+  return best ? { r: best.r / best.n, g: best.g / best.n, b: best.b / best.n } : { r: 255, g: 255, b: 255 };
+}
+
+// Label of the nearest palette colour per pixel; label 0 is the background
+function quantize(data, width, height, paletteLabs) {
+  const labels = new Uint8Array(width * height);
+  const cache = new Map();
+  for (let p = 0; p < width * height; p++) {
+    const i = p * 4;
+    if (data[i + 3] < 128) continue;
+    const key = ((data[i] >> 2) << 12) | ((data[i + 1] >> 2) << 6) | (data[i + 2] >> 2);
+    let label = cache.get(key);
+    if (label === undefined) {
+      const lab = rgbToLab({ r: data[i], g: data[i + 1], b: data[i + 2] });
+      let best = Infinity;
+      paletteLabs.forEach((target, index) => {
+        const d = deltaE76(lab, target);
+        if (d < best) {
+          best = d;
+          label = index;
+        }
+      });
+      cache.set(key, label);
+    }
+    labels[p] = label;
+  }
+  return labels;
+}
+
+// A pixel takes the label shared by at least 5 of its 8 neighbours
+function majorityFilter(labels, width, height, labelCount) {
+  const out = labels.slice();
+  const counts = new Uint8Array(labelCount);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      counts.fill(0);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx || dy) counts[labels[(y + dy) * width + x + dx]]++;
+        }
+      }
+      for (let l = 0; l < labelCount; l++) {
+        if (counts[l] >= 5) {
+          out[y * width + x] = l;
+          break;
+        }
+      }
+    }
+  }
+  return out;
+}
+
+// Merge 4-connected regions smaller than `minArea` into the label that
+// surrounds them most
+function removeSpecks(labels, width, height, minArea, labelCount) {
+  const seen = new Uint8Array(width * height);
+  const queue = new Int32Array(width * height);
+  const borderCounts = new Int32Array(labelCount);
+  for (let start = 0; start < width * height; start++) {
+    if (seen[start]) continue;
+    const label = labels[start];
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    seen[start] = 1;
+    borderCounts.fill(0);
+    while (head < tail) {
+      const p = queue[head++];
+      const x = p % width;
+      const y = (p - x) / width;
+      const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, y > 0 ? p - width : -1, y < height - 1 ? p + width : -1];
+      for (const n of neighbours) {
+        if (n < 0) continue;
+        if (labels[n] === label) {
+          if (!seen[n]) {
+            seen[n] = 1;
+            queue[tail++] = n;
+          }
+        } else {
+          borderCounts[labels[n]]++;
+        }
+      }
+    }
+    if (tail < minArea) {
+      let replacement = label;
+      let best = 0;
+      borderCounts.forEach((n, l) => {
+        if (n > best) {
+          best = n;
+          replacement = l;
+        }
+      });
+      for (let k = 0; k < tail; k++) labels[queue[k]] = replacement;
+    }
+  }
+}
+
+// Closed outlines of the pixels where labels === label, as arrays of pixel
+// corner points (one per unit step). Edges run clockwise around filled pixels; where two regions touch
+// only at a corner the walk turns right, keeping them separate.
+function traceOutlines(labels, width, height, label) {
+  const stride = width + 1;
+  const filled = (x, y) => x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === label;
+  const edgeFrom = [];
+  const edgeTo = [];
+  const outgoing = new Map();
+  const addEdge = (x1, y1, x2, y2) => {
+    const from = y1 * stride + x1;
+    edgeFrom.push(from);
+    edgeTo.push(y2 * stride + x2);
+    const list = outgoing.get(from);
+    if (list) list.push(edgeFrom.length - 1);
+    else outgoing.set(from, [edgeFrom.length - 1]);
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!filled(x, y)) continue;
+      if (!filled(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!filled(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+      if (!filled(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!filled(x - 1, y)) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  const used = new Uint8Array(edgeFrom.length);
+  const outlines = [];
+  for (let first = 0; first < edgeFrom.length; first++) {
+    if (used[first]) continue;
+    const points = [];
+    let edge = first;
+    while (!used[edge]) {
+      used[edge] = 1;
+      const from = edgeFrom[edge];
+      const to = edgeTo[edge];
+      points.push([from % stride, Math.floor(from / stride)]);
+      const dx = (to % stride) - (from % stride);
+      const dy = Math.floor(to / stride) - Math.floor(from / stride);
+      const candidates = (outgoing.get(to) || []).filter(e => !used[e]);
+      if (candidates.length === 0) break;
+      edge = candidates[0];
+      if (candidates.length > 1) {
+        // Prefer the right turn: direction (dx, dy) -> (-dy, dx) in screen coordinates
+        edge = candidates.find(e => {
+          const nx = (edgeTo[e] % stride) - (edgeFrom[e] % stride);
+          const ny = Math.floor(edgeTo[e] / stride) - Math.floor(edgeFrom[e] / stride);
+          return nx === -dy && ny === dx;
+        }) ?? candidates[0];
+      }
+    }
+    if (points.length >= 4) outlines.push(points);
+  }
+  return outlines;
+}
+
+// Average each point with its neighbours so pixel staircases become straight
+// or curved lines before simplification
+function smoothOutline(points, passes = 4) {
+  let current = points;
+  for (let pass = 0; pass < passes; pass++) {
+    const n = current.length;
+    current = current.map((p, i) => {
+      const prev = current[(i - 1 + n) % n];
+      const next = current[(i + 1) % n];
+      return [(prev[0] + 2 * p[0] + next[0]) / 4, (prev[1] + 2 * p[1] + next[1]) / 4];
+    });
+  }
+  return current;
+}
+
+function pointLineDistance(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const length = Math.hypot(dx, dy);
+  if (length === 0) return Math.hypot(p[0] - a[0], p[1] - a[1]);
+  return Math.abs(dy * p[0] - dx * p[1] + b[0] * a[1] - b[1] * a[0]) / length;
+}
+
+function simplifyOpen(points, epsilon) {
+  if (points.length < 3) return points;
+  let index = 0;
+  let max = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const d = pointLineDistance(points[i], points[0], points[points.length - 1]);
+    if (d > max) {
+      max = d;
+      index = i;
+    }
+  }
+  if (max <= epsilon) return [points[0], points[points.length - 1]];
+  const left = simplifyOpen(points.slice(0, index + 1), epsilon);
+  const right = simplifyOpen(points.slice(index), epsilon);
+  return [...left.slice(0, -1), ...right];
+}
+
+// Ramer-Douglas-Peucker on a closed outline, split at the point farthest from the first
+function simplifyClosed(points, epsilon) {
+  let far = 0;
+  let max = 0;
+  points.forEach((p, i) => {
+    const d = Math.hypot(p[0] - points[0][0], p[1] - points[0][1]);
+    if (d > max) {
+      max = d;
+      far = i;
+    }
+  });
+  const first = simplifyOpen(points.slice(0, far + 1), epsilon);
+  const second = simplifyOpen([...points.slice(far), points[0]], epsilon);
+  return [...first.slice(0, -1), ...second.slice(0, -1)];
+}
+
+// Signed area (shoelace); used to drop outlines that simplified to nothing
+function polygonArea(points) {
+  let area = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    area += p[0] * q[1] - q[0] * p[1];
+  });
+  return area / 2;
+}
+
+const fmt = (n) => String(Math.round(n * 10) / 10);
+
+// SVG path data: corners sharper than `cornerAngle` degrees stay corners,
+// the rest become quadratic curves through the segment midpoints
+function outlineToPath(points, cornerAngle) {
+  const n = points.length;
+  const mid = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+  const isCorner = (i) => {
+    const prev = points[(i - 1 + n) % n];
+    const p = points[i];
+    const next = points[(i + 1) % n];
+    const a1 = Math.atan2(p[1] - prev[1], p[0] - prev[0]);
+    const a2 = Math.atan2(next[1] - p[1], next[0] - p[0]);
+    let turn = Math.abs(a2 - a1) * 180 / Math.PI;
+    if (turn > 180) turn = 360 - turn;
+    return turn > cornerAngle;
+  };
+  const start = mid(points[n - 1], points[0]);
+  let d = `M${fmt(start[0])} ${fmt(start[1])}`;
+  for (let i = 0; i < n; i++) {
+    const p = points[i];
+    const m = mid(p, points[(i + 1) % n]);
+    d += isCorner(i)
+      ? `L${fmt(p[0])} ${fmt(p[1])}L${fmt(m[0])} ${fmt(m[1])}`
+      : `Q${fmt(p[0])} ${fmt(p[1])} ${fmt(m[0])} ${fmt(m[1])}`;
+  }
+  return d + 'Z';
+}
+
+// Trace `input` (file path or Buffer) with `colors` (HEX codes, usually hex1
+// and hex2). Options: background (HEX, default: the border colour), maxSize
+// (tracing resolution, default 1024), minArea (speck size in traced pixels),
+// epsilon (simplification tolerance, default 1.5), cornerAngle (default 50).
+// Returns { svg, width, height, background, colors: [{ hex, coverage }] }.
+export async function vectorizeImage(input, { colors = [], background, maxSize = 1024, minArea, epsilon = 1.5, cornerAngle = 50 } = {}) {
+  const { default: sharp } = await import('sharp');
+  const image = sharp(input);
+  const meta = await image.metadata();
+  const { data, info } = await image
+    .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+
+  const backgroundRgb = hexToRgb(background) || borderColor(data, width, height);
+  const palette = [backgroundRgb, ...colors.map(hexToRgb).filter(Boolean)];
+  const labelCount = palette.length;
+  let labels = quantize(data, width, height, palette.map(rgbToLab));
+  labels = majorityFilter(labels, width, height, labelCount);
+  removeSpecks(labels, width, height, minArea ?? Math.max(8, Math.round(width * height * 0.0002)), labelCount);
+
+  const coverage = new Array(labelCount).fill(0);
+  for (const l of labels) coverage[l]++;
+
+  const paths = [];
+  const used = [];
+  for (let label = 1; label < labelCount; label++) {
+    if (coverage[label] === 0) continue;
+    const outlines = traceOutlines(labels, width, height, label)
+      .map(outline => simplifyClosed(smoothOutline(outline), epsilon))
+      .filter(outline => outline.length >= 3 && Math.abs(polygonArea(outline)) >= 1);
+    if (outlines.length === 0) continue;
+    const hex = rgbToHex(palette[label]);
+    paths.push(`  <path fill="${hex}" fill-rule="evenodd" d="${outlines.map(o => outlineToPath(o, cornerAngle)).join('')}"/>`);
+    used.push({ hex, coverage: Math.round(coverage[label] / labels.length * 1000) / 10 });
+  }
+
+  const outWidth = meta.width || width;
+  const outHeight = meta.height || height;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${outWidth}" height="${outHeight}" viewBox="0 0 ${width} ${height}">
+${paths.join('\n')}
+</svg>
+`;
+  return { svg, width: outWidth, height: outHeight, background: rgbToHex(backgroundRgb), colors: used };
+}
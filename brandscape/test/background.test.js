@@ -0,0 +1,41 @@
+import { describe, expect, test } from 'bun:test';
+import sharp from 'sharp';
+import { removeBackground } from '../src/background.js';
+
+// A navy ring on white: the outside and the enclosed hole are both background
+const ring = () => sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">
+  <rect width="100" height="100" fill="#FFFFFF"/>
+  <circle cx="50" cy="50" r="30" fill="none" stroke="#0B5394" stroke-width="12"/>
+</svg>`)).png().toBuffer();
+
+async function alphaAt(png, x, y) {
+  const { data, info } = await sharp(png).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return data[(y * info.width + x) * 4 + 3];
+}
+
+describe('removeBackground', () => {
+  test('makes the white field and enclosed holes transparent', async () => {
+    const result = await removeBackground(await ring());
+    expect(result.background).toBe('#FFFFFF');
+    expect([result.width, result.height]).toEqual([100, 100]);
+    expect(await alphaAt(result.png, 2, 2)).toBe(0);
+    expect(await alphaAt(result.png, 50, 50)).toBe(0);
+    expect(await alphaAt(result.png, 50, 20)).toBe(255);
+    // Ring area: pi * (36^2 - 24^2) of 100x100
+    expect(result.removed).toBeCloseTo(1 - 0.226, 1);
+    expect((await sharp(result.webp).metadata()).hasAlpha).toBe(true);
+  });
+
+  test('keeps enclosed areas when holes is off', async () => {
+    const result = await removeBackground(await ring(), { holes: false });
+    expect(await alphaAt(result.png, 2, 2)).toBe(0);
+    expect(await alphaAt(result.png, 50, 50)).toBe(255);
+  });
+
+  test('softens the edge pixels instead of cutting them', async () => {
+    const result = await removeBackground(await ring(), { feather: 1 });
+    const { data } = await sharp(result.png).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const partial = [...data].filter((v, i) => i % 4 === 3 && v > 0 && v < 255);
+    expect(partial.length).toBeGreaterThan(0);
+  });
+});
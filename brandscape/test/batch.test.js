@@ -0,0 +1,156 @@
+import { afterAll, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCsv, readBriefs, runBatch } from '../src/batch.js';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'brandscape-batch-'));
+afterAll(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const write = (name, text) => {
+  const file = path.join(tmp, name);
+  fs.writeFileSync(file, text);
+  return file;
+};
+
+const quiet = () => {};
+
+const NAMES = [{ title: 'Luminara', description: 'Light.' }, { title: 'Emberly', description: 'Glow.' }];
+const PALETTES = [{ hex1: '#0B5394', hex2: '#F4B183' }, { hex1: '#18AF6E', hex2: '#FF6F61' }];
+
+// Stand-ins for the API wrappers; `fail` maps a business to the { error }
+// results its names step returns before succeeding
+const stubApi = (fail = {}) => {
+  const calls = { names: 0, colors: 0, prompt: 0 };
+  return {
+    calls,
+    generateNames: async (business) => {
+      calls.names++;
+      const queued = fail[business];
+      return queued?.length ? queued.shift() : { names: NAMES };
+    },
+    generateColors: async () => { calls.colors++; return { palettes: PALETTES }; },
+    generateLogoPrompt: async (business, visuals, name, palette) => {
+      calls.prompt++;
+      return { prompt: `${name.title} in ${palette.hex1}` };
+    },
+  };
+};
+
+describe('parseCsv', () => {
+  test('handles quoted fields, escaped quotes and CRLF', () => {
+    expect(parseCsv('business,visuals\r\n"knitwear, handmade","yarn ""soft"""\r\nbakery,bread\n')).toEqual([
+      ['business', 'visuals'],
+      ['knitwear, handmade', 'yarn "soft"'],
+      ['bakery', 'bread'],
+    ]);
+  });
+
+  test('skips blank lines and keeps a last line without a newline', () => {
+    expect(parseCsv('a,b\n\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('readBriefs', () => {
+  test('maps CSV rows onto the header columns', () => {
+    const file = write('briefs.csv', 'id,business,visuals\nk1, knitwear ,yarn\n');
+    expect(readBriefs(file)).toEqual([{ id: 'k1', business: 'knitwear', visuals: 'yarn' }]);
+  });
+
+  test('turns a malformed JSONL line into an invalid brief instead of throwing', () => {
+    const file = write('briefs.jsonl', '{"business":"bakery"}\n{not json\n\n42\n');
+    const briefs = readBriefs(file);
+    expect(briefs).toHaveLength(3);
+    expect(briefs[0]).toEqual({ business: 'bakery' });
+    expect(briefs[1].invalid).toStartWith('Line 2 is not valid JSON');
+    expect(briefs[2].invalid).toBe('Line 4 is not a JSON object');
+  });
+});
+
+describe('runBatch', () => {
+  test('reports invalid and duplicate rows as failed without aborting', async () => {
+    const outDir = path.join(tmp, 'out-rows');
+    const summary = await runBatch([
+      { id: 'same', visuals: 'yarn' },
+      { invalid: 'Line 2 is not valid JSON' },
+      { id: 'same', visuals: 'bread' },
+    ], { outDir, retries: 0, log: quiet });
+
+    expect(summary.map(r => r.status)).toEqual(['failed', 'failed', 'failed']);
+    expect(summary[0].error).toBe('Brief is missing a business description');
+    expect(summary[1].error).toBe('Line 2 is not valid JSON');
+    expect(summary[2].error).toBe('Duplicate id "same" (already used by row 1)');
+    // The first row's folder is not overwritten by the duplicate
+    expect(JSON.parse(fs.readFileSync(path.join(outDir, 'same', 'error.json'), 'utf8')).brief.visuals).toBe('yarn');
+    expect(fs.readFileSync(path.join(outDir, 'summary.csv'), 'utf8').trim().split('\n')).toHaveLength(4);
+  });
+
+  test('writes each result and a summary row for a brief that runs', async () => {
+    const outDir = path.join(tmp, 'out-ok');
+    const api = stubApi();
+    const [row] = await runBatch([{ id: 'lamps', business: 'lighting studio', visuals: 'lamp', pickName: '2', pickPalette: '2' }], { outDir, log: quiet, api });
+
+    expect(row).toMatchObject({ status: 'ok', attempts: 1, name: 'Emberly', hex1: '#18AF6E', hex2: '#FF6F61', error: '' });
+    const result = JSON.parse(fs.readFileSync(path.join(outDir, 'lamps', 'result.json'), 'utf8'));
+    expect(result.brief).toEqual({ business: 'lighting studio', visuals: ['lamp'], brandValues: [] });
+    expect(result.selectedName.title).toBe('Emberly');
+    expect(result.selectedPalette).toEqual(PALETTES[1]);
+    expect(result.logoPrompt).toBe('Emberly in #18AF6E');
+    expect(fs.existsSync(path.join(outDir, 'lamps', 'error.json'))).toBe(false);
+
+    const csv = fs.readFileSync(path.join(outDir, 'summary.csv'), 'utf8').trim().split('\n');
+    expect(csv).toEqual([
+      'row,id,business,status,attempts,name,hex1,hex2,folder,error',
+      `1,lamps,lighting studio,ok,1,Emberly,#18AF6E,#FF6F61,${path.join(outDir, 'lamps')},`,
+    ]);
+  });
+
+  test('retries a row that fails once', async () => {
+    const api = stubApi({ bakery: [{ error: 'fetch failed' }] });
+    const [row] = await runBatch([{ business: 'bakery' }], { outDir: path.join(tmp, 'out-retry'), retries: 2, log: quiet, api });
+    expect(row).toMatchObject({ status: 'ok', attempts: 2, name: 'Luminara', error: '' });
+    expect(api.calls.names).toBe(2);
+  });
+
+  test('fails bad picks and rejected model replies without retrying', async () => {
+    const api = stubApi({ bakery: [{ error: 'Model reply did not match the schema', errorType: 'model_output', task: 'naming' }] });
+    const summary = await runBatch([
+      { business: 'bakery' },
+      { business: 'florist', pickName: '9' },
+      { business: 'tailor', pickPalette: '6' },
+    ], { outDir: path.join(tmp, 'out-permanent'), retries: 2, log: quiet, api });
+
+    expect(summary.map(r => [r.status, r.attempts, r.error])).toEqual([
+      ['failed', 1, 'names: Model reply did not match the schema'],
+      ['failed', 1, 'Name pick 9 is out of range (1-5)'],
+      ['failed', 1, 'Palette pick 6 is out of range (1-5)'],
+    ]);
+    expect(api.calls.names).toBe(1);
+  });
+
+  test('keeps brief ids inside the output folder', async () => {
+    const outDir = path.join(tmp, 'out-ids');
+    const [row] = await runBatch([{ id: '../../escape' }], { outDir, retries: 0, log: quiet });
+    expect(row.id).toBe('escape');
+    expect(fs.existsSync(path.join(outDir, 'escape', 'error.json'))).toBe(true);
+    expect(fs.existsSync(path.join(tmp, '..', 'escape'))).toBe(false);
+  });
+
+  test('rejects a concurrency that is not a positive integer', async () => {
+    for (const concurrency of [0, -1, NaN, 1.5]) {
+      await expect(runBatch([], { outDir: path.join(tmp, 'out-n'), concurrency })).rejects.toThrow('concurrency must be a positive integer');
+    }
+    await expect(runBatch([], { outDir: path.join(tmp, 'out-n'), retries: -1 })).rejects.toThrow('retries must be a non-negative integer');
+  });
+
+  test('the CLI rejects --concurrency 0 and non-numeric values', () => {
+    const file = write('cli.csv', 'business\nbakery\n');
+    const cli = path.join(import.meta.dir, '..', 'src', 'batch.js');
+    for (const value of ['0', 'abc']) {
+      const proc = Bun.spawnSync(['bun', cli, file, '--out', path.join(tmp, 'out-cli'), '--concurrency', value], { stdout: 'pipe', stderr: 'pipe' });
+      expect(proc.exitCode).toBe(1);
+      expect(proc.stderr.toString()).toContain('--concurrency');
+    }
+    expect(fs.existsSync(path.join(tmp, 'out-cli'))).toBe(false);
+  });
+});
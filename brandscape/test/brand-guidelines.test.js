@@ -0,0 +1,99 @@
+import { afterAll, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import zlib from 'zlib';
+import { brandSlug, buildGuidelines, guidelinesFilename, renderGuidelinesHtml, renderGuidelinesPdf } from '../src/brand-guidelines.js';
+import { createPdfDocument } from '../src/pdf.js';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'brandscape-guidelines-'));
+afterAll(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const input = {
+  businessDescription: 'handmade knitwear',
+  brandValues: ['warmth'],
+  selectedName: {
+    title: 'Purl & Co',
+    description: 'A knitting stitch <and> a promise',
+    domainDetails: { 'purlandco.com': { status: 'registered', registrar: 'Registrar Ltd', expires: '2027-01-01' }, 'purlandco.uk': { status: 'unregistered' } },
+  },
+  selectedColors: { hex1: '#0B5394', hex2: '#F1C232', namePair: 'Navy & Gold', explanation: 'Trust with warmth.' },
+};
+
+// Every xref entry must point at the start of its object
+function checkXref(buffer) {
+  const text = buffer.toString('latin1');
+  const start = Number(text.match(/startxref\n(\d+)/)[1]);
+  const [header, ...rows] = text.slice(start).split('\n');
+  expect(header).toBe('xref');
+  const count = Number(rows[0].split(' ')[1]);
+  rows.slice(2, count + 1).forEach((row, i) => {
+    expect(text.slice(Number(row.slice(0, 10))).startsWith(`${i + 1} 0 obj`)).toBe(true);
+  });
+}
+
+describe('buildGuidelines', () => {
+  test('collects the name, colours and domain details', () => {
+    const g = buildGuidelines(input);
+    expect(g.name).toBe('Purl & Co');
+    expect(g.colors.map(c => [c.role, c.name, c.hex])).toEqual([['Primary', 'Navy', '#0B5394'], ['Secondary', 'Gold', '#F1C232']]);
+    expect(g.screening.domains).toEqual([
+      { domain: 'purlandco.com', status: 'registered', registrar: 'Registrar Ltd', expires: '2027-01-01' },
+      { domain: 'purlandco.uk', status: 'available', registrar: null, expires: null },
+    ]);
+    expect(g.logo).toBeNull();
+    expect(guidelinesFilename(g, 'pdf')).toBe('purl-co-brand-guidelines.pdf');
+    expect(brandSlug('')).toBe('brand');
+  });
+
+  test('falls back to the older domain map', () => {
+    const g = buildGuidelines({ selectedName: { title: 'Purl', domains: { 'purl.com': true, 'purl.uk': null } } });
+    expect(g.screening.domains.map(d => d.status)).toEqual(['registered', 'unknown']);
+  });
+});
+
+describe('renderers', () => {
+  test('the HTML escapes the brief and embeds the logo', async () => {
+    const logoPath = path.join(tmp, 'logo.png');
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#0B5394' } }).png().toFile(logoPath);
+    const html = renderGuidelinesHtml(buildGuidelines({ ...input, logo: { path: logoPath } }));
+    expect(html).toContain('A knitting stitch &lt;and&gt; a promise');
+    expect(html).toContain('data:image/png;base64,');
+    expect(html).toContain('purlandco.com: registered (Registrar Ltd, expires 2027-01-01)');
+  });
+
+  test('the PDF is a well-formed document with the brand name', async () => {
+    const pdf = await renderGuidelinesPdf(buildGuidelines(input));
+    expect(pdf.subarray(0, 8).toString('latin1')).toBe('%PDF-1.4');
+    expect(pdf.toString('latin1').trimEnd()).toEndWith('%%EOF');
+    checkXref(pdf);
+  });
+});
+
+describe('pdf writer', () => {
+  test('wraps text to the width using the font metrics', () => {
+    const doc = createPdfDocument();
+    expect(doc.textWidth('ii', 10)).toBeCloseTo(4.44);
+    expect(doc.wrap('one two three four', doc.textWidth('three four', 11) + 1, 11)).toEqual(['one two', 'three four']);
+    expect(doc.wrap('a\nb', 500)).toEqual(['a', 'b']);
+  });
+
+  test('writes pages, WinAnsi text and images', () => {
+    const doc = createPdfDocument({ width: 200, height: 100 });
+    const image = doc.addImage({ data: Buffer.from([255, 0, 0, 128]), width: 1, height: 1, channels: 4 });
+    doc.addPage().text('Café €5', 10, 20).image(image, 10, 30, 20, 20);
+    doc.addPage().rect(0, 0, 10, 10, { fill: '#FF0000' });
+    const pdf = doc.toBuffer();
+    const text = pdf.toString('latin1');
+    expect(text).toContain('/Count 2');
+    expect(text).toContain('/SMask');
+    checkXref(pdf);
+
+    // The first page's content stream holds the text as WinAnsi hex
+    const [, length] = text.match(/<< \/Filter \/FlateDecode \/Length (\d+) >>\nstream\n/);
+    const start = text.indexOf('stream\n', text.indexOf(`/Filter /FlateDecode /Length ${length}`)) + 7;
+    const content = zlib.inflateSync(pdf.subarray(start, start + Number(length))).toString('latin1');
+    expect(content).toContain('<436166e9208035>');
+  });
+});
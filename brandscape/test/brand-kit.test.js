@@ -0,0 +1,77 @@
+import { afterAll, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import zlib from 'zlib';
+import { LOGO_SIZES, SOCIAL_CROPS, buildBrandKit } from '../src/brand-kit.js';
+import { createZip } from '../src/zip.js';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'brandscape-kit-'));
+afterAll(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// Read a zip through its central directory: { path: { data, method } }, checking every CRC
+function readZip(zip) {
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = zip.readUInt16LE(end + 10);
+  let at = zip.readUInt32LE(end + 16);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    expect(zip.readUInt32LE(at)).toBe(0x02014b50);
+    const method = zip.readUInt16LE(at + 10);
+    const crc = zip.readUInt32LE(at + 16);
+    const size = zip.readUInt32LE(at + 20);
+    const nameLength = zip.readUInt16LE(at + 28);
+    const local = zip.readUInt32LE(at + 42);
+    const name = zip.subarray(at + 46, at + 46 + nameLength).toString('utf8');
+    const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    const body = zip.subarray(start, start + size);
+    const data = method === 8 ? zlib.inflateRawSync(body) : body;
+    expect(zlib.crc32(data)).toBe(crc);
+    files[name] = { data, method };
+    at += 46 + nameLength;
+  }
+  return files;
+}
+
+describe('zip writer', () => {
+  test('stores small entries, deflates repetitive ones and keeps UTF-8 names', () => {
+    const zip = createZip([
+      { path: 'a\\b.txt', data: 'x' },
+      { path: 'café/long.txt', data: 'brand '.repeat(200) },
+    ], { date: new Date(2024, 0, 2, 3, 4, 6) });
+    const files = readZip(zip);
+    expect(Object.keys(files)).toEqual(['a/b.txt', 'café/long.txt']);
+    expect(files['a/b.txt']).toMatchObject({ method: 0 });
+    expect(files['café/long.txt'].method).toBe(8);
+    expect(files['café/long.txt'].data.toString()).toBe('brand '.repeat(200));
+    // DOS date: 2024-01-02 03:04:06
+    expect(zip.readUInt16LE(10)).toBe((3 << 11) | (4 << 5) | 3);
+    expect(zip.readUInt16LE(12)).toBe((44 << 9) | (1 << 5) | 2);
+  });
+});
+
+describe('buildBrandKit', () => {
+  test('packs logo sizes, favicons, social crops and palette files', async () => {
+    const svgPath = path.join(tmp, 'logo.svg');
+    fs.writeFileSync(svgPath, '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100"><circle cx="50" cy="50" r="40" fill="#0B5394"/></svg>');
+    const zip = await buildBrandKit({ name: 'Purl Co', palette: { hex1: '#0B5394', hex2: '#F1C232', name1: 'Navy', name2: 'Gold' }, svgPath });
+    const files = readZip(zip);
+    const prefix = 'purl-co-brand-kit/';
+    for (const size of LOGO_SIZES) {
+      expect(await sharp(files[`${prefix}logo/logo-${size}.png`].data).metadata()).toMatchObject({ width: size, height: size });
+    }
+    for (const crop of SOCIAL_CROPS) {
+      expect(await sharp(files[`${prefix}social/${crop.file}`].data).metadata()).toMatchObject({ width: crop.width, height: crop.height });
+    }
+    expect(files[`${prefix}logo/logo.svg`].data.toString()).toContain('<circle');
+    expect(files[`${prefix}favicon/favicon.ico`].data.readUInt16LE(4)).toBe(3);
+    expect(JSON.parse(files[`${prefix}favicon/site.webmanifest`].data).theme_color).toBe('#0B5394');
+    expect(files[`${prefix}palette/palette.css`].data.toString()).toContain('#0B5394');
+    expect(files[`${prefix}README.txt`]).toBeDefined();
+  }, 60000);
+
+  test('fails without a logo file', async () => {
+    await expect(buildBrandKit({ name: 'Purl', palette: {}, logoPath: path.join(tmp, 'missing.png') })).rejects.toThrow('Logo file not found');
+  });
+});
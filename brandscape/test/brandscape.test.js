@@ -0,0 +1,137 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import {
+  shortenBusinessDescription,
+  parseVisuals,
+  parseBrandValues,
+  buildNameQuery,
+  cleanSuffixes,
+  normalizeHex,
+  suggestionCount,
+} from '../src/brandscape.js';
+import * as api from '../src/brandscape-api.js';
+import { configureLLM, getTaskLLM } from '../src/llm-providers.js';
+import { STAND_IN_NAMES } from '../src/llm-stand-in.js';
+import { startRdapStandIn } from '../src/rdap-stand-in.js';
+
+describe('input normalisation', () => {
+  test('keeps the first five words of the business description', () => {
+    expect(shortenBusinessDescription('  handmade   knitwear for cold winter mornings ')).toBe('handmade knitwear for cold winter');
+    expect(shortenBusinessDescription(undefined)).toBe('');
+  });
+
+  test('takes up to two visuals from a list or a comma-separated string', () => {
+    expect(parseVisuals('yarn, needles, wool')).toEqual(['yarn', 'needles']);
+    expect(parseVisuals([' yarn ', '', 'wool'])).toEqual(['yarn', 'wool']);
+    expect(parseVisuals('')).toEqual([]);
+  });
+
+  test('splits brand values on commas, "and" and slashes', () => {
+    expect(parseBrandValues('warmth and craftsmanship')).toEqual(['warmth', 'craftsmanship']);
+    expect(parseBrandValues('calm/trust, speed')).toEqual(['calm', 'trust']);
+    expect(parseBrandValues(['care'])).toEqual(['care']);
+  });
+
+  test('builds the naming query with visuals and values', () => {
+    expect(buildNameQuery('knitwear')).toBe(`Make a list of ${suggestionCount} innovative business ideas for: "knitwear"`);
+    expect(buildNameQuery('knitwear', ['yarn'], ['warmth'])).toContain('Visuals: yarn. Brand values: warmth.');
+  });
+
+  test('drops business entity suffixes from names', () => {
+    expect(cleanSuffixes('Emberly Co.')).toBe('Emberly');
+    expect(cleanSuffixes('Luminara Branding Co')).toBe('Luminara');
+    expect(cleanSuffixes('Hearth Studio')).toBe('Hearth');
+    expect(cleanSuffixes('Cobalt')).toBe('Cobalt');
+  });
+
+  test('normalizes HEX codes', () => {
+    expect(normalizeHex('0b5394')).toBe('#0B5394');
+    expect(normalizeHex('#12345')).toBeNull();
+  });
+});
+
+describe('library use', () => {
+  test('importing the core library does not start the interactive CLI', () => {
+    // The prompts would block the test run; reaching here means import.meta.main guarded them
+    expect(typeof buildNameQuery).toBe('function');
+  });
+
+  test('the web API wraps the library functions', () => {
+    for (const fn of ['generateNames', 'generateColors', 'generateLogoPrompt', 'generateLogo', 'checkDomain']) {
+      expect(typeof api[fn]).toBe('function');
+    }
+  });
+});
+
+describe('web API results come from the library', () => {
+  const TASKS = ['naming', 'embeddings', 'search'];
+  const ENV_KEYS = ['BRAND_RDAP_BOOTSTRAP_URL', 'BRAND_VECTOR_DB_PATH', 'SERPAPI_KEY', 'WHOISXMLAPI_KEY'];
+  const queries = [];
+  let rdap;
+  let savedEnv;
+  let savedLLM;
+
+  // Every trademark query finds the name on the UK IPO register
+  const search = {
+    name: 'stub',
+    async webSearch({ query }) {
+      queries.push(query);
+      const [, name] = query.match(/^"([^"]+)"/);
+      return { results: [{ title: `${name} - UK00003456789`, url: `https://trademarks.ipo.gov.uk/ipo-tmcase/page/Results/1/${name}`, snippet: `${name}: registered trade mark, class 11 lighting` }] };
+    },
+  };
+
+  beforeAll(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    savedLLM = Object.fromEntries(TASKS.map(task => [task, getTaskLLM(task)]));
+    rdap = startRdapStandIn({ port: 0, registered: ['luminara.com'] });
+    process.env.BRAND_RDAP_BOOTSTRAP_URL = `http://localhost:${rdap.port}/dns.json`;
+    process.env.BRAND_VECTOR_DB_PATH = ':memory:';
+    delete process.env.SERPAPI_KEY;
+    delete process.env.WHOISXMLAPI_KEY;
+    configureLLM({
+      naming: { provider: { name: 'stub', async generate() { return JSON.stringify({ suggestions: STAND_IN_NAMES }); } }, model: 'stub' },
+      embeddings: { provider: { name: 'stub', async embed({ input }) { return input.map(text => [1, text.length]); } }, model: 'stub' },
+      search: { provider: search, model: 'stub' },
+    });
+  });
+
+  afterAll(() => {
+    configureLLM(Object.fromEntries(Object.entries(savedLLM).map(([task, { provider, model }]) => [task, { provider, model }])));
+    for (const [key, saved] of Object.entries(savedEnv)) {
+      if (saved === undefined) delete process.env[key];
+      else process.env[key] = saved;
+    }
+    rdap.stop(true);
+  });
+
+  test('checkTrademark returns the expanded search and its notes', async () => {
+    const { notes, searchResults } = await api.checkTrademark('Luminara', 'lighting studio');
+    expect(queries).toContain('"Luminara" trademark site:ipo.gov.uk');
+    expect(Array.isArray(searchResults.summary)).toBe(true);
+    expect(searchResults.warnings).not.toContainEqual(expect.stringContaining('No search provider available'));
+    // The four queries find the same record, which is kept once
+    const web = searchResults.hits.filter(h => h.source === 'websearch');
+    expect(web.map(h => h.title)).toEqual(['Luminara - UK00003456789']);
+    expect(notes).toContain('The exact name "Luminara" was found as a registered trademark in the UK IPO');
+    expect(notes).toEndWith('DISCLAIMER: This is not a legal clearance.');
+  });
+
+  test('generateNames screens every suggestion', async () => {
+    const checker = { async check({ handle }) { return { status: handle === 'emberly' ? 'taken' : 'available' }; } };
+    const { names, error } = await api.generateNames('lighting studio', ['lamp'], ['warmth'], [], {
+      domains: { tlds: 'com', alternatives: 0 },
+      handles: { platforms: 'github', checker },
+    });
+    expect(error).toBeUndefined();
+    expect(names.map(n => n.title)).toEqual(STAND_IN_NAMES.map(n => n.title));
+    const [luminara, emberly] = names;
+    expect(luminara.domains).toEqual({ 'luminara.com': true });
+    expect(luminara.domainDetails['luminara.com'].registrar).toBe('Stand-in Registrar Ltd');
+    expect(emberly.handles.github).toMatchObject({ handle: 'emberly', status: 'taken' });
+    expect(luminara.handles.github.status).toBe('available');
+    for (const { title, trademarkNotes } of names) {
+      expect(trademarkNotes).toContain(`The exact name "${title}" was found as a registered trademark in the UK IPO`);
+    }
+    expect(queries).toContain('"Northwind" trademark site:ipo.gov.uk');
+  });
+});
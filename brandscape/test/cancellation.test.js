@@ -0,0 +1,62 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { screenName } from '../src/brandscape.js';
+import { generateNames } from '../src/brandscape-api.js';
+import { configureLLM, getTaskLLM } from '../src/llm-providers.js';
+import { startRdapStandIn } from '../src/rdap-stand-in.js';
+
+const ENV_KEYS = ['BRAND_RDAP_BOOTSTRAP_URL', 'BRAND_VECTOR_DB_PATH'];
+
+let rdap;
+let savedEnv;
+
+beforeAll(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  rdap = startRdapStandIn({ port: 0, registered: ['luminara.com'] });
+  process.env.BRAND_RDAP_BOOTSTRAP_URL = `http://localhost:${rdap.port}/dns.json`;
+  // Keep the naming context's embeddings out of the working directory
+  process.env.BRAND_VECTOR_DB_PATH = ':memory:';
+});
+
+afterAll(() => {
+  for (const [key, saved] of Object.entries(savedEnv)) {
+    if (saved === undefined) delete process.env[key];
+    else process.env[key] = saved;
+  }
+  rdap.stop(true);
+});
+
+describe('cancelling a run', () => {
+  test('screening stops before the trademark stage once the client has gone', async () => {
+    const controller = new AbortController();
+    const stages = [];
+    // The client disconnects while the handles are being checked
+    const checker = { async check() { controller.abort(); return { status: 'unknown' }; } };
+    await expect(screenName('Luminara', 'lighting', {
+      signal: controller.signal,
+      domains: { tlds: 'com', alternatives: 0 },
+      handles: { platforms: 'github', checker },
+      onProgress: ({ stage }) => stages.push(stage),
+    })).rejects.toThrow();
+    expect(stages).toContain('handles');
+    expect(stages).not.toContain('trademark');
+  });
+
+  test('generateNames does not ask for names once the client has gone', async () => {
+    const controller = new AbortController();
+    let named = false;
+    const before = { naming: getTaskLLM('naming'), embeddings: getTaskLLM('embeddings') };
+    configureLLM({
+      // The client disconnects while the naming context is built
+      embeddings: { provider: { name: 'stub', async embed({ input }) { controller.abort(); return input.map(() => [1, 0]); } }, model: 'stub' },
+      naming: { provider: { name: 'stub', async generate() { named = true; return '{}'; } }, model: 'stub' },
+    });
+    try {
+      const result = await generateNames('lighting studio', [], [], [], { signal: controller.signal });
+      expect(result.names).toBeUndefined();
+      expect(result.error).toContain('aborted');
+      expect(named).toBe(false);
+    } finally {
+      configureLLM(Object.fromEntries(Object.entries(before).map(([task, { provider, model }]) => [task, { provider, model }])));
+    }
+  });
+});
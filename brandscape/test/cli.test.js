@@ -0,0 +1,130 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { normalizeBrief, runBrief } from '../src/brandscape.js';
+import { STAND_IN_NAMES, startLlmStandIn } from '../src/llm-stand-in.js';
+import { startRdapStandIn } from '../src/rdap-stand-in.js';
+import { startHandleStandIn } from '../src/handle-stand-in.js';
+
+const CLI = path.join(import.meta.dir, '..', 'src', 'brandscape.js');
+
+const runCli = (args) => {
+  const proc = Bun.spawnSync(['bun', CLI, ...args], { stdout: 'pipe', stderr: 'pipe' });
+  return { code: proc.exitCode, stdout: proc.stdout.toString(), stderr: proc.stderr.toString() };
+};
+
+describe('normalizeBrief', () => {
+  test('accepts the JSON brief fields and their aliases', () => {
+    expect(normalizeBrief({
+      businessDescription: 'handmade knitwear for the cold',
+      visuals: 'yarn, needles',
+      values: 'warmth and care',
+      pickName: '2',
+      logoPrompt: '  a ball of yarn ',
+    })).toEqual({
+      business: 'handmade knitwear for the cold',
+      visuals: ['yarn', 'needles'],
+      brandValues: ['warmth', 'care'],
+      pickName: 2,
+      pickPalette: 1,
+      logoPrompt: 'a ball of yarn',
+    });
+  });
+
+  test('defaults the picks to the first name and palette', () => {
+    const brief = normalizeBrief({ business: 'bakery' });
+    expect(brief.pickName).toBe(1);
+    expect(brief.pickPalette).toBe(1);
+  });
+});
+
+describe('unattended mode', () => {
+  test('rejects a brief without a business description', async () => {
+    await expect(runBrief({ visuals: ['yarn'] })).rejects.toThrow('Brief is missing a business description');
+  });
+
+  test('rejects name and palette picks before asking for names', async () => {
+    // No model is configured here, so reaching the naming step would fail differently
+    await expect(runBrief({ business: 'bakery', pickName: 9 })).rejects.toThrow('Name pick 9 is out of range (1-5)');
+    await expect(runBrief({ business: 'bakery', pickPalette: 6 })).rejects.toThrow('Palette pick 6 is out of range (1-5)');
+  });
+
+  test('--help prints the unattended options', () => {
+    const { code, stdout } = runCli(['--help']);
+    expect(code).toBe(0);
+    expect(stdout).toContain('--brief <file>');
+    expect(stdout).toContain('--pick-name <n>');
+  });
+
+  test('a missing brief file fails with a non-zero exit code', () => {
+    const { code, stderr } = runCli(['--brief', path.join(import.meta.dir, 'no-such-brief.json')]);
+    expect(code).toBe(1);
+    expect(stderr).toContain('no-such-brief.json');
+  });
+});
+
+describe('unattended run', () => {
+  let llm;
+  let rdap;
+  let handles;
+  let dir;
+
+  beforeAll(() => {
+    llm = startLlmStandIn({ port: 0 });
+    rdap = startRdapStandIn({ port: 0, registered: ['emberly.com'] });
+    handles = startHandleStandIn({ port: 0, taken: ['emberly'] });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brandscape-cli-'));
+  });
+
+  afterAll(() => {
+    llm.stop(true);
+    rdap.stop(true);
+    handles.stop(true);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes the names, screening, palettes, logo prompt and logo to --out', async () => {
+    const out = path.join(dir, 'out');
+    // Spawned without waiting, so the stand-ins in this process can answer
+    const proc = Bun.spawn(['bun', CLI,
+      '--business', 'lighting studio', '--visuals', 'lamp', '--values', 'warmth',
+      '--pick-name', '2', '--pick-palette', '3', '--tlds', 'com', '--domain-alternatives', '1',
+      '--image-backend', 'offline', '--width', '256', '--height', '256', '--out', out,
+    ], {
+      cwd: dir,
+      stdout: 'pipe',
+      stderr: 'pipe',
+      env: {
+        ...process.env,
+        BRAND_PROVIDER: 'openai',
+        OPENAI_COMPAT_URL: `http://localhost:${llm.port}/v1`,
+        BRAND_VECTOR_DB_PATH: ':memory:',
+        BRAND_RDAP_BOOTSTRAP_URL: `http://localhost:${rdap.port}/dns.json`,
+        BRAND_HANDLE_BASE_URL: `http://localhost:${handles.port}`,
+        BRAND_HANDLE_PLATFORMS: 'github,x',
+      },
+    });
+    const [code, stderr] = await Promise.all([proc.exited, new Response(proc.stderr).text()]);
+    expect(stderr).not.toContain('Logo generation failed');
+    expect(code).toBe(0);
+
+    const result = JSON.parse(fs.readFileSync(path.join(out, 'result.json'), 'utf8'));
+    expect(result.names.map(n => n.title)).toEqual(STAND_IN_NAMES.map(n => n.title));
+    expect(result.selectedName.title).toBe('Emberly');
+    expect(result.selectedName.domains).toEqual({ 'emberly.com': true });
+    expect(result.selectedName.domainDetails['emberly.com'].registrar).toBe('Stand-in Registrar Ltd');
+    expect(result.selectedName.domainAlternatives).toEqual([expect.objectContaining({ domain: 'embrly.com', status: 'unregistered' })]);
+    expect(result.selectedName.handles.github.status).toBe('taken');
+    expect(result.names[0].handles.github.status).toBe('available');
+    expect(result.selectedName.trademarkNotes).toContain('DISCLAIMER');
+
+    expect(result.palettes).toHaveLength(5);
+    expect(result.selectedPalette).toEqual(result.palettes[2]);
+    expect(result.logoPrompt).toContain(result.selectedPalette.hex1);
+    expect(result.logo.backend).toBe('offline');
+    expect(fs.existsSync(result.logo.imagePath)).toBe(true);
+    expect(path.dirname(path.resolve(dir, result.logo.imagePath))).toBe(out);
+    expect(fs.readdirSync(path.join(out, 'tokens')).length).toBeGreaterThan(0);
+  });
+});
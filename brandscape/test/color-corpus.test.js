@@ -0,0 +1,127 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  COLOR_CORPUS,
+  COLOR_CORPUS_EMBEDDINGS_PATH,
+  COLOR_CORPUS_VERSION,
+  entryHash,
+  retrieveColorContext,
+  writeCorpusEmbeddings,
+} from '../src/color-corpus.js';
+import { configureLLM, getTaskLLM } from '../src/llm-providers.js';
+
+const WORDS = ['trust', 'bank', 'energy', 'nature', 'calm', 'luxury'];
+
+let dir;
+let before;
+let embedded;
+let savedDbPath;
+
+// Embed with a stub model named `model` that counts a few keywords and
+// records every text it is asked for
+function useStubModel(model) {
+  const provider = {
+    name: 'stub',
+    async embed({ input }) {
+      embedded.push(...input);
+      return input.map(text => [0.01, ...WORDS.map(w => (text.toLowerCase().includes(w) ? 1 : 0))]);
+    },
+  };
+  configureLLM({ embeddings: { provider, model } });
+}
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brandscape-corpus-'));
+  savedDbPath = process.env.BRAND_VECTOR_DB_PATH;
+  process.env.BRAND_VECTOR_DB_PATH = ':memory:';
+  before = getTaskLLM('embeddings');
+});
+
+afterAll(() => {
+  configureLLM({ embeddings: { provider: before.provider, model: before.model } });
+  if (savedDbPath === undefined) delete process.env.BRAND_VECTOR_DB_PATH;
+  else process.env.BRAND_VECTOR_DB_PATH = savedDbPath;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('precomputed corpus embeddings', () => {
+  // Written by `bun src/color-corpus.js --embed`, which needs the embeddings model
+  test.skipIf(!fs.existsSync(COLOR_CORPUS_EMBEDDINGS_PATH))('the committed file is up to date with the corpus', () => {
+    const { version, model, entries } = JSON.parse(fs.readFileSync(COLOR_CORPUS_EMBEDDINGS_PATH, 'utf8'));
+    expect(version).toBe(COLOR_CORPUS_VERSION);
+    expect(typeof model).toBe('string');
+    expect(Object.keys(entries).sort()).toEqual(COLOR_CORPUS.map(entry => entry.id).sort());
+    const length = entries[COLOR_CORPUS[0].id].embedding.length;
+    expect(length).toBeGreaterThan(0);
+    for (const entry of COLOR_CORPUS) {
+      expect(entries[entry.id].hash).toBe(entryHash(entry));
+      expect(entries[entry.id].embedding).toHaveLength(length);
+    }
+  });
+
+  test('the file records the corpus version and model, and its vectors are reused', async () => {
+    const file = path.join(dir, 'fresh.json');
+    embedded = [];
+    useStubModel('stub-fresh');
+    expect(await writeCorpusEmbeddings(file)).toBe(COLOR_CORPUS.length);
+    const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(written.version).toBe(COLOR_CORPUS_VERSION);
+    expect(written.model).toBe('stub-fresh');
+    expect(Object.keys(written.entries)).toHaveLength(COLOR_CORPUS.length);
+
+    embedded = [];
+    const docs = await retrieveColorContext('trust for a bank', { k: 3, embeddingsPath: file });
+    expect(embedded).toEqual(['trust for a bank']);
+    expect(docs).toHaveLength(3);
+    expect(docs[0].source).toBe('corpus');
+  });
+
+  test('a file from another corpus version is thrown away', async () => {
+    const file = path.join(dir, 'old-version.json');
+    useStubModel('stub-old-version');
+    await writeCorpusEmbeddings(file);
+    const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fs.writeFileSync(file, JSON.stringify({ ...written, version: '0.0.1' }));
+
+    embedded = [];
+    await retrieveColorContext('calm nature', { embeddingsPath: file });
+    expect(embedded).toHaveLength(COLOR_CORPUS.length + 1);
+  });
+
+  test('a file from another model is thrown away', async () => {
+    const file = path.join(dir, 'other-model.json');
+    useStubModel('stub-written');
+    await writeCorpusEmbeddings(file);
+
+    embedded = [];
+    useStubModel('stub-reading');
+    await retrieveColorContext('energy', { embeddingsPath: file });
+    expect(embedded).toHaveLength(COLOR_CORPUS.length + 1);
+  });
+
+  test('a missing file embeds the corpus at run time', async () => {
+    embedded = [];
+    useStubModel('stub-missing');
+    await retrieveColorContext('luxury', { embeddingsPath: path.join(dir, 'missing.json') });
+    expect(embedded).toHaveLength(COLOR_CORPUS.length + 1);
+  });
+});
+
+describe('keyword fallback', () => {
+  test('ranks by keywords when nothing can be embedded', async () => {
+    configureLLM({ embeddings: { provider: { name: 'stub', async embed() { throw new Error('connect ECONNREFUSED'); } }, model: 'stub-down' } });
+    const docs = await retrieveColorContext('a brand for a bank that needs trust and reliability', { k: 2 });
+    expect(docs).toHaveLength(2);
+    expect(docs.map(d => d.id)).toContain('color-blue');
+    expect(docs[0].similarity).toBeGreaterThan(0);
+  });
+
+  test('web chunks compete with the corpus', async () => {
+    configureLLM({ embeddings: { provider: { name: 'stub', async embed() { throw new Error('down'); } }, model: 'stub-down' } });
+    const extraDocs = [{ pageContent: 'Zebra-striped vermilion packaging for skateboards', source: 'https://example.com/zebra' }];
+    const [top] = await retrieveColorContext('zebra skateboards', { k: 1, extraDocs });
+    expect(top).toMatchObject({ topic: 'web', source: 'https://example.com/zebra' });
+  });
+});
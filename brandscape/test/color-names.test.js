@@ -0,0 +1,56 @@
+import { describe, expect, test } from 'bun:test';
+import { deltaE2000, deltaE76, hexToRgb, labToRgb, rgbToLab } from '../src/color.js';
+import { COLOR_NAMES, colorNamePair, nearestColorName, titleCaseColorName } from '../src/color-names.js';
+
+describe('CIEDE2000', () => {
+  // Test data from Sharma, Wu & Dalal (2005), Table 1
+  const pairs = [
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, 0, 0], [50, -1, 2], 2.3669],
+    [[50, 2.49, -0.001], [50, -2.49, 0.0011], 7.2195],
+    [[50, 2.5, 0], [73, 25, -18], 27.1492],
+    [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+    [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373],
+    [[2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514], 0.9082],
+  ];
+  const lab = ([l, a, b]) => ({ l, a, b });
+
+  test('matches the published reference differences', () => {
+    for (const [a, b, expected] of pairs) {
+      expect(deltaE2000(lab(a), lab(b))).toBeCloseTo(expected, 4);
+      expect(deltaE2000(lab(b), lab(a))).toBeCloseTo(expected, 4);
+    }
+    expect(deltaE2000(lab([50, 10, 10]), lab([50, 10, 10]))).toBe(0);
+  });
+
+  test('Lab conversions agree with the D65 reference points', () => {
+    const white = rgbToLab({ r: 255, g: 255, b: 255 });
+    expect(white.l).toBeCloseTo(100, 2);
+    expect(Math.abs(white.a) + Math.abs(white.b)).toBeLessThan(0.05);
+    const red = rgbToLab(hexToRgb('#FF0000'));
+    expect([red.l, red.a, red.b].map(v => Math.round(v))).toEqual([53, 80, 67]);
+    const back = labToRgb(rgbToLab({ r: 11, g: 83, b: 148 }));
+    expect([back.r, back.g, back.b].map(Math.round)).toEqual([11, 83, 148]);
+    expect(deltaE76(lab([50, 0, 0]), lab([53, 4, 0]))).toBe(5);
+  });
+});
+
+describe('colour names', () => {
+  test('exact entries name themselves', () => {
+    for (const [name, hex] of COLOR_NAMES.slice(0, 20)) {
+      expect(nearestColorName(hex)).toEqual({ name, hex, distance: 0 });
+    }
+  });
+
+  test('near colours take the closest everyday name', () => {
+    expect(nearestColorName('#FE0101').name).toBe('red');
+    expect(nearestColorName('#000001').name).toBe('black');
+    expect(nearestColorName('not a colour')).toBeNull();
+  });
+
+  test('name pairs are title-cased for palette cards', () => {
+    expect(titleCaseColorName('off-white')).toBe('Off-White');
+    expect(colorNamePair('#000000', '#FFFFFF')).toEqual({ name1: 'Black', name2: 'White', namePair: 'Black & White' });
+    expect(colorNamePair('#000000', 'nope')).toBeNull();
+  });
+});
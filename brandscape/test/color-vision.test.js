@@ -0,0 +1,36 @@
+import { describe, expect, test } from 'bun:test';
+import sharp from 'sharp';
+import { CVD_TYPES, simulateColor, simulateImage, simulatePalette } from '../src/color-vision.js';
+
+describe('colour vision simulation', () => {
+  test('keeps greys, and achromatopsia turns colours grey', () => {
+    for (const type of CVD_TYPES) {
+      expect(simulateColor('#FFFFFF', type)).toBe('#FFFFFF');
+      expect(simulateColor('#000000', type)).toBe('#000000');
+    }
+    const grey = simulateColor('#CC0000', 'achromatopsia');
+    expect(grey.slice(1, 3)).toBe(grey.slice(3, 5));
+    expect(grey.slice(3, 5)).toBe(grey.slice(5, 7));
+    expect(simulateColor('nope', 'protanopia')).toBeNull();
+    expect(() => simulateColor('#FFFFFF', 'tetrachromacy')).toThrow('Unknown colour vision type "tetrachromacy"');
+  });
+
+  test('flags red and green as a confusion but not blue and yellow', () => {
+    const redGreen = simulatePalette({ hex1: '#D62828', hex2: '#2A9D3A' });
+    expect(redGreen.flagged.some(f => f.type === 'deuteranopia' && f.pair === 'hex1-hex2')).toBe(true);
+    const blueYellow = simulatePalette({ hex1: '#0B5394', hex2: '#F1C232' });
+    expect(blueYellow.flagged.filter(f => f.pair === 'hex1-hex2' && f.type !== 'achromatopsia')).toEqual([]);
+    expect(blueYellow.types.map(t => t.type)).toEqual(CVD_TYPES);
+    expect(simulatePalette({ hex1: '#0B5394' })).toBeNull();
+  });
+
+  test('simulates images pixel by pixel and keeps alpha', async () => {
+    const input = await sharp({ create: { width: 4, height: 2, channels: 4, background: { r: 204, g: 0, b: 0, alpha: 0.5 } } }).png().toBuffer();
+    const png = await simulateImage(input, 'protanopia');
+    const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+    expect([info.width, info.height, info.channels]).toEqual([4, 2, 4]);
+    const hex = '#' + [...data.subarray(0, 3)].map(v => v.toString(16).padStart(2, '0')).join('').toUpperCase();
+    expect(hex).toBe(simulateColor('#CC0000', 'protanopia'));
+    expect(data[3]).toBe(128);
+  });
+});
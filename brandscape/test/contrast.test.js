@@ -0,0 +1,43 @@
+import { describe, expect, test } from 'bun:test';
+import { contrastRatio, relativeLuminance } from '../src/color.js';
+import { WCAG_LEVELS, accessibleVariant, analyzePaletteContrast, wcagRating } from '../src/contrast.js';
+
+describe('WCAG contrast', () => {
+  test('relative luminance and contrast ratios match the WCAG reference values', () => {
+    expect(relativeLuminance({ r: 255, g: 255, b: 255 })).toBe(1);
+    expect(relativeLuminance({ r: 0, g: 0, b: 0 })).toBe(0);
+    expect(contrastRatio('#000000', '#FFFFFF')).toBe(21);
+    expect(contrastRatio('#777777', '#FFFFFF')).toBeCloseTo(4.48, 2);
+    expect(contrastRatio('#767676', '#FFFFFF')).toBeCloseTo(4.54, 2);
+    expect(contrastRatio('#FFFFFF', '#777777')).toBe(contrastRatio('#777777', '#FFFFFF'));
+    expect(contrastRatio('nope', '#FFFFFF')).toBeNull();
+  });
+
+  test('rates ratios without rounding a failure up to a pass', () => {
+    expect(wcagRating(21)).toMatchObject({ ratio: 21, level: 'AAA', aa: true });
+    expect(wcagRating(4.499)).toMatchObject({ ratio: 4.49, level: 'AA Large', aa: false, aaLarge: true });
+    expect(wcagRating(2.9).level).toBe('Fail');
+  });
+});
+
+describe('accessible variants', () => {
+  test('finds the nearest same-hue variant that reaches the target', () => {
+    const variant = accessibleVariant('#F1C232', '#FFFFFF');
+    expect(variant.direction).toBe('darker');
+    expect(variant.ratio).toBeGreaterThanOrEqual(WCAG_LEVELS.AA);
+    expect(contrastRatio(variant.hex, '#FFFFFF')).toBeGreaterThanOrEqual(WCAG_LEVELS.AA);
+    expect(accessibleVariant('#0B5394', '#000000').direction).toBe('lighter');
+    expect(accessibleVariant('bad', '#FFFFFF')).toBeNull();
+  });
+
+  test('the palette report lists failing pairs with a suggestion for each', () => {
+    const report = analyzePaletteContrast({ hex1: '0b5394', hex2: '#F1C232' });
+    const byId = Object.fromEntries(report.pairs.map(p => [p.id, p]));
+    expect(byId['hex1-white'].passes).toBe(true);
+    expect(byId['hex2-white'].passes).toBe(false);
+    expect(report.suggestions.map(s => s.pair)).toEqual(report.pairs.filter(p => !p.passes).map(p => p.id));
+    expect(report.suggestions.find(s => s.pair === 'hex2-white')).toMatchObject({ replaces: 'hex2', from: '#F1C232', direction: 'darker' });
+    expect(report.textOnFill.map(t => t.text)).toEqual(['#FFFFFF', '#000000']);
+    expect(analyzePaletteContrast({ hex1: '#0B5394' })).toBeNull();
+  });
+});
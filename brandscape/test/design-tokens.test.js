@@ -0,0 +1,69 @@
+import { describe, expect, test } from 'bun:test';
+import { contrastRatio, hexToRgb, rgbToLab } from '../src/color.js';
+import { TOKEN_FORMATS, TOKEN_STEPS, buildAse, buildColorSystem, designTokenFiles, renderTokens } from '../src/design-tokens.js';
+
+const palette = { hex1: '#0B5394', hex2: '#F1C232' };
+const lightness = (hex) => rgbToLab(hexToRgb(hex)).l;
+
+describe('buildColorSystem', () => {
+  test('ramps run light to dark and keep the palette colours exactly', () => {
+    const system = buildColorSystem(palette);
+    for (const ramp of ['primary', 'accent', 'neutral']) {
+      const steps = TOKEN_STEPS.map(step => system.ramps[ramp][step]);
+      expect(steps).toHaveLength(11);
+      steps.slice(1).forEach((hex, i) => expect(lightness(hex)).toBeLessThan(lightness(steps[i])));
+    }
+    expect(system.ramps.primary[system.bases.primary]).toBe('#0B5394');
+    expect(system.ramps.accent[system.bases.accent]).toBe('#F1C232');
+  });
+
+  test('theme roles give readable text on their fills', () => {
+    const { themes } = buildColorSystem(palette);
+    for (const theme of [themes.light, themes.dark]) {
+      expect(contrastRatio(theme.text.hex, theme.background.hex)).toBeGreaterThanOrEqual(4.5);
+      expect(contrastRatio(theme.onPrimary.hex, theme.primary.hex)).toBeGreaterThanOrEqual(4.5);
+    }
+    expect(themes.light.primary.ref).toMatch(/^primary\.\d+$/);
+    expect(buildColorSystem({ hex1: '#0B5394' })).toBeNull();
+  });
+});
+
+describe('token files', () => {
+  const system = buildColorSystem(palette);
+
+  test('CSS, JSON and GPL reference the same ramps', () => {
+    const css = renderTokens(system, 'css', 'Purl Co').data;
+    expect(css).toContain(`--purl-co-primary-${system.bases.primary}: #0B5394;`);
+    expect(css).toContain('--purl-co-text: var(--purl-co-neutral-900);');
+    const json = JSON.parse(renderTokens(system, 'json', 'Purl Co').data);
+    expect(json.color.accent[system.bases.accent]).toEqual({ $value: '#F1C232', $type: 'color' });
+    expect(json.light.text.$value).toBe('{color.neutral.900}');
+    const gpl = renderTokens(system, 'gpl', 'Purl Co').data.split('\n');
+    expect(gpl[0]).toBe('GIMP Palette');
+    expect(gpl.filter(l => /^\s*\d+\s+\d+\s+\d+\t/.test(l))).toHaveLength(33);
+  });
+
+  test('the Tailwind preset is a loadable CommonJS module', () => {
+    const { data } = renderTokens(system, 'tailwind', 'Purl Co');
+    const module = { exports: {} };
+    new Function('module', data)(module);
+    expect(module.exports.theme.extend.colors.primary[50]).toBe(system.ramps.primary[50]);
+    expect(module.exports.theme.extend.colors.primary.DEFAULT).toBe('var(--purl-co-primary)');
+  });
+
+  test('ASE files hold groups and RGB colours', () => {
+    const ase = buildAse([{ name: 'Brand', colors: [{ label: 'Navy', hex: '#0B5394' }] }]);
+    expect(ase.subarray(0, 4).toString('ascii')).toBe('ASEF');
+    expect(ase.readUInt32BE(8)).toBe(3);
+    expect(ase.readUInt16BE(12)).toBe(0xC001);
+    const colour = ase.indexOf('RGB ', 0, 'ascii');
+    expect(Math.round(ase.readFloatBE(colour + 4) * 255)).toBe(11);
+    expect(Math.round(ase.readFloatBE(colour + 12) * 255)).toBe(148);
+  });
+
+  test('every format is written and unknown ones are rejected', () => {
+    expect(designTokenFiles('Purl', palette).map(f => f.path)).toEqual(TOKEN_FORMATS.map(f => `tokens/${renderTokens(system, f).filename}`));
+    expect(designTokenFiles('Purl', {})).toEqual([]);
+    expect(() => renderTokens(system, 'xml')).toThrow('Unknown token format "xml"');
+  });
+});
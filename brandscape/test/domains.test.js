@@ -0,0 +1,178 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import {
+  TLD_SETS,
+  availabilityMap,
+  checkDomainAlternatives,
+  checkDomainRegistration,
+  checkDomains,
+  domainCandidates,
+  domainLabels,
+  parseRdapDomain,
+  rdapServerFor,
+  resolveTlds,
+} from '../src/domains.js';
+import { rdapDomainObject, startRdapStandIn } from '../src/rdap-stand-in.js';
+
+let rdap;
+let bootstrapUrl;
+
+beforeAll(() => {
+  rdap = startRdapStandIn({ port: 0, registered: ['luminara.com', 'luminara.co.uk', 'getluminara.com', 'saltandpepper.com'] });
+  bootstrapUrl = `http://localhost:${rdap.port}/dns.json`;
+});
+
+afterAll(() => {
+  rdap.stop(true);
+});
+
+describe('parseRdapDomain', () => {
+  test('reads the registrar, dates and statuses', () => {
+    const data = rdapDomainObject('luminara.com', { registrar: 'Example Registrar', created: '2012-05-06T10:00:00Z', expires: '2031-05-06T10:00:00Z' });
+    expect(parseRdapDomain(data)).toEqual({
+      registrar: 'Example Registrar',
+      created: '2012-05-06',
+      expires: '2031-05-06',
+      statuses: ['client transfer prohibited'],
+    });
+  });
+
+  test('falls back to the registrar handle and tolerates missing fields', () => {
+    expect(parseRdapDomain({ entities: [{ handle: 'R-1', roles: ['registrar'] }] }).registrar).toBe('R-1');
+    expect(parseRdapDomain()).toEqual({ registrar: null, created: null, expires: null, statuses: [] });
+  });
+});
+
+describe('checkDomainRegistration over RDAP', () => {
+  test('finds the RDAP server on the longest matching suffix', async () => {
+    const base = `http://localhost:${rdap.port}/`;
+    expect(await rdapServerFor('luminara.co.uk', { bootstrapUrl, timeout: 5000 })).toBe(base);
+    expect(await rdapServerFor('luminara.io', { bootstrapUrl, timeout: 5000 })).toBeNull();
+  });
+
+  test('a registered domain comes with its registrar and dates', async () => {
+    expect(await checkDomainRegistration('Luminara.com', { bootstrapUrl })).toEqual({
+      status: 'registered',
+      source: 'rdap',
+      registrar: 'Stand-in Registrar Ltd',
+      created: '2015-03-01',
+      expires: '2030-03-01',
+      statuses: ['client transfer prohibited'],
+      error: null,
+    });
+  });
+
+  test('a 404 from the registry means unregistered', async () => {
+    expect(await checkDomainRegistration('emberly.co.uk', { bootstrapUrl })).toMatchObject({
+      status: 'unregistered', source: 'rdap', registrar: null, error: null,
+    });
+  });
+
+  test('a TLD without RDAP falls back to DNS', async () => {
+    const result = await checkDomainRegistration('brandscape-test.invalid', { bootstrapUrl });
+    expect(result.source).not.toBe('rdap');
+    expect(['unregistered', 'unknown']).toContain(result.status);
+    if (result.status === 'unknown') expect(result.error).toContain('No RDAP service for brandscape-test.invalid');
+  });
+
+  test('dns mode skips RDAP', async () => {
+    const result = await checkDomainRegistration('luminara.com', { mode: 'DNS', bootstrapUrl });
+    expect(result.source).not.toBe('rdap');
+    expect(result.registrar).toBeNull();
+  });
+
+  test('an aborted signal cancels the check instead of falling back to DNS', async () => {
+    await expect(checkDomainRegistration('luminara.com', { bootstrapUrl, signal: AbortSignal.abort() })).rejects.toThrow();
+    const controller = new AbortController();
+    const pending = checkDomainRegistration('brandscape-test.invalid', { bootstrapUrl, signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toThrow();
+  });
+
+  test('rejects unknown modes', async () => {
+    await expect(checkDomainRegistration('luminara.com', { mode: 'whois' }))
+      .rejects.toThrow('Unknown domain check mode "whois" (expected one of rdap, dns)');
+  });
+});
+
+describe('reports', () => {
+  test('checkDomains keys the results by domain and availabilityMap flattens them', async () => {
+    const report = await checkDomains(['luminara.com', 'luminara.uk'], { bootstrapUrl });
+    expect(Object.keys(report)).toEqual(['luminara.com', 'luminara.uk']);
+    expect(availabilityMap(report)).toEqual({ 'luminara.com': true, 'luminara.uk': false });
+    expect(availabilityMap({ 'x.io': { status: 'unknown' } })).toEqual({ 'x.io': null });
+  });
+});
+
+describe('TLD sets', () => {
+  test('named sets, custom lists and the default', () => {
+    expect(resolveTlds('Tech')).toEqual(TLD_SETS.tech);
+    expect(resolveTlds('.io, ai io')).toEqual(['io', 'ai']);
+    expect(resolveTlds(['COM', '.co.uk'])).toEqual(['com', 'co.uk']);
+    const saved = process.env.BRAND_DOMAIN_TLDS;
+    delete process.env.BRAND_DOMAIN_TLDS;
+    try {
+      expect(resolveTlds()).toEqual(TLD_SETS.uk);
+    } finally {
+      if (saved !== undefined) process.env.BRAND_DOMAIN_TLDS = saved;
+    }
+  });
+
+  test('rejects unknown sets and malformed TLDs', () => {
+    expect(() => resolveTlds('asia pacific!')).toThrow('Unknown TLD set "pacific!"');
+    expect(() => resolveTlds('')).toThrow('expected one of uk, global, eu, tech');
+  });
+
+  test('domainCandidates puts the exact name under each TLD', () => {
+    expect(domainCandidates('Salt & Pepper', 'global')).toEqual(['saltandpepper.com', 'saltandpepper.net', 'saltandpepper.org']);
+    expect(domainCandidates('!!!', 'global')).toEqual([]);
+  });
+});
+
+describe('domainLabels', () => {
+  test('spells "&" as "and" and offers the other ampersand forms', () => {
+    const { exact, alternatives } = domainLabels('Salt & Pepper');
+    expect(exact).toBe('saltandpepper');
+    expect(alternatives.filter(a => a.kind === 'ampersand').map(a => a.label)).toEqual(['saltpepper', 'saltnpepper']);
+    expect(alternatives.filter(a => a.kind === 'hyphenated').map(a => a.label)).toEqual(['salt-pepper', 'salt-n-pepper', 'salt-and-pepper']);
+  });
+
+  test('drops vowels after each first letter, leaving "&" out', () => {
+    expect(domainLabels('Salt & Pepper').alternatives.find(a => a.kind === 'no-vowels').label).toBe('sltpppr');
+    expect(domainLabels('Luminara Co').alternatives.find(a => a.kind === 'no-vowels').label).toBe('lmnrc');
+  });
+
+  test('lists alternatives shortest first without repeating the exact label', () => {
+    const { exact, alternatives } = domainLabels('Luminara');
+    expect(exact).toBe('luminara');
+    expect(alternatives).toEqual([
+      { label: 'lmnr', kind: 'no-vowels' },
+      { label: 'luminarahq', kind: 'suffix' },
+      { label: 'getluminara', kind: 'prefix' },
+      { label: 'tryluminara', kind: 'prefix' },
+    ]);
+    expect(domainLabels('Oak').alternatives.map(a => a.label)).not.toContain('oak');
+    expect(domainLabels('')).toEqual({ exact: '', alternatives: [] });
+  });
+});
+
+describe('checkDomainAlternatives', () => {
+  test('checks alternatives only under the TLDs where the exact name is taken', async () => {
+    const report = await checkDomains(['luminara.com', 'luminara.uk'], { bootstrapUrl });
+    const results = await checkDomainAlternatives('Luminara', report, { max: 3, bootstrapUrl });
+    expect(results.map(r => [r.domain, r.kind, r.status])).toEqual([
+      ['lmnr.com', 'no-vowels', 'unregistered'],
+      ['luminarahq.com', 'suffix', 'unregistered'],
+      ['getluminara.com', 'prefix', 'registered'],
+    ]);
+    expect(results[2].registrar).toBe('Stand-in Registrar Ltd');
+  });
+
+  test('checks nothing when the exact name is free or alternatives are off', async () => {
+    const free = await checkDomains(['emberly.com'], { bootstrapUrl });
+    expect(await checkDomainAlternatives('Emberly', free, { bootstrapUrl })).toEqual([]);
+    const taken = await checkDomains(['saltandpepper.com'], { bootstrapUrl });
+    expect(await checkDomainAlternatives('Salt & Pepper', taken, { max: 0, bootstrapUrl })).toEqual([]);
+    expect((await checkDomainAlternatives('Salt & Pepper', taken, { max: 2, bootstrapUrl })).map(r => r.domain))
+      .toEqual(['sltpppr.com', 'saltpepper.com']);
+  });
+});
@@ -0,0 +1,112 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { HANDLE_PLATFORMS, checkHandles, getHandleChecker, normalizeHandle, resolvePlatforms } from '../src/handles.js';
+import { startHandleStandIn } from '../src/handle-stand-in.js';
+
+let stand;
+let baseUrl;
+
+beforeAll(() => {
+  stand = startHandleStandIn({ port: 0, taken: ['luminara', 'x:emberly'], blocked: ['tiktok'] });
+  baseUrl = `http://localhost:${stand.port}/`;
+});
+
+afterAll(() => {
+  stand.stop(true);
+});
+
+describe('normalizeHandle', () => {
+  test('spells "&" as "and" and drops spaces, accents and disallowed characters', () => {
+    for (const platform of Object.keys(HANDLE_PLATFORMS)) {
+      expect(normalizeHandle('Salt & Pepper', platform).handle).toBe('saltandpepper');
+    }
+    expect(normalizeHandle('Café Noël!', 'github')).toEqual({ handle: 'cafenoel', valid: true, reason: null });
+  });
+
+  test('keeps platform punctuation inside the handle only', () => {
+    expect(normalizeHandle('Luminara Co.', 'instagram').handle).toBe('luminaraco');
+    expect(normalizeHandle('Luminara..Co', 'instagram').handle).toBe('luminara.co');
+    expect(normalizeHandle('-Ember--Studio-', 'linkedin').handle).toBe('ember-studio');
+    expect(normalizeHandle('Ember_Studio', 'github').handle).toBe('emberstudio');
+  });
+
+  test('reports handles outside the platform limits as invalid', () => {
+    expect(normalizeHandle('The Luminara Lighting Company', 'x')).toEqual({
+      handle: 'theluminaralightingcompany', valid: false, reason: 'longer than 15 characters',
+    });
+    expect(normalizeHandle('The Luminara Lighting Company', 'instagram').valid).toBe(true);
+    expect(normalizeHandle('Oak', 'x').reason).toBe('shorter than 4 characters');
+    expect(normalizeHandle('Admin Tools', 'x').reason).toBe('cannot contain "twitter" or "admin"');
+    expect(normalizeHandle('!!!', 'github').reason).toBe('shorter than 1 characters');
+  });
+
+  test('rejects unknown platforms', () => {
+    expect(() => normalizeHandle('Luminara', 'myspace')).toThrow('Unknown handle platform "myspace"');
+  });
+});
+
+describe('resolvePlatforms', () => {
+  test('takes a list, a comma-separated string or every platform', () => {
+    expect(resolvePlatforms(['GitHub', 'x', 'github'])).toEqual(['github', 'x']);
+    expect(resolvePlatforms(' instagram, tiktok ')).toEqual(['instagram', 'tiktok']);
+    const saved = process.env.BRAND_HANDLE_PLATFORMS;
+    delete process.env.BRAND_HANDLE_PLATFORMS;
+    try {
+      expect(resolvePlatforms()).toEqual(Object.keys(HANDLE_PLATFORMS));
+    } finally {
+      if (saved !== undefined) process.env.BRAND_HANDLE_PLATFORMS = saved;
+    }
+  });
+
+  test('rejects unknown platforms', () => {
+    expect(() => resolvePlatforms('x,threads')).toThrow('Unknown handle platform "threads" (expected one of instagram, x, tiktok, youtube, github, linkedin)');
+  });
+});
+
+describe('checkHandles', () => {
+  test('reads taken, available and blocked lookups from the stand-in', async () => {
+    const handles = await checkHandles('Luminara', { checker: 'http', baseUrl });
+    expect(Object.keys(handles)).toEqual(Object.keys(HANDLE_PLATFORMS));
+    expect(handles.instagram).toEqual({
+      handle: 'luminara', status: 'taken', url: 'https://www.instagram.com/luminara/', reason: null, error: null,
+    });
+    expect(handles.tiktok).toMatchObject({ status: 'unknown', error: 'HTTP 429 for luminara' });
+
+    const emberly = await checkHandles('Emberly', { platforms: 'x,github', checker: 'http', baseUrl });
+    expect(emberly.x.status).toBe('taken');
+    expect(emberly.github.status).toBe('available');
+  });
+
+  test('does not look up invalid handles', async () => {
+    const lookups = [];
+    const checker = { async check({ platform }) { lookups.push(platform); return { status: 'available' }; } };
+    const handles = await checkHandles('The Luminara Lighting Company', { platforms: 'x,github', checker });
+    expect(handles.x).toEqual({ handle: 'theluminaralightingcompany', status: 'invalid', url: null, reason: 'longer than 15 characters', error: null });
+    expect(lookups).toEqual(['github']);
+  });
+
+  test('a custom checker gets the stand-in address and the profile URL is kept', async () => {
+    const seen = [];
+    const checker = { async check(args) { seen.push(args); return { status: 'taken' }; } };
+    const handles = await checkHandles('Salt & Pepper', { platforms: ['youtube'], checker, baseUrl });
+    expect(seen[0]).toMatchObject({ platform: 'youtube', handle: 'saltandpepper', url: `${baseUrl}youtube/saltandpepper` });
+    expect(handles.youtube).toEqual({
+      handle: 'saltandpepper', status: 'taken', url: 'https://www.youtube.com/@saltandpepper', reason: null, error: null,
+    });
+  });
+
+  test('the off checker reports every valid handle as unknown', async () => {
+    const handles = await checkHandles('Luminara', { platforms: 'github,x', checker: 'off' });
+    expect(handles.github).toMatchObject({ status: 'unknown', error: 'Handle checks are turned off' });
+    expect(getHandleChecker('OFF').name).toBe('off');
+  });
+
+  test('an aborted signal cancels the lookups', async () => {
+    await expect(checkHandles('Luminara', { platforms: 'github', checker: 'http', baseUrl, signal: AbortSignal.abort() }))
+      .rejects.toThrow();
+  });
+
+  test('rejects unknown checkers', async () => {
+    expect(() => getHandleChecker('scraper')).toThrow('Unknown handle checker "scraper" (expected one of http, off)');
+    await expect(checkHandles('Luminara', { checker: 'scraper' })).rejects.toThrow('Unknown handle checker');
+  });
+});
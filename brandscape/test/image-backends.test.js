@@ -0,0 +1,86 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import sharp from 'sharp';
+import { createA1111Backend, createFluxBackend, getImageBackend, resolveImageOptions } from '../src/image-backends.js';
+import { startA1111StandIn } from '../src/a1111-stand-in.js';
+
+describe('resolveImageOptions', () => {
+  test('merges request options over the defaults', () => {
+    const opts = resolveImageOptions({ backend: 'OFFLINE', width: '512', height: '', steps: 10, seed: '7' });
+    expect(opts.backend).toBe('offline');
+    expect(opts.width).toBe(512);
+    expect(opts.height).toBe(1024);
+    expect(opts.steps).toBe(10);
+    expect(opts.seed).toBe(7);
+  });
+
+  test('rejects sizes and settings that are not numbers', () => {
+    expect(() => resolveImageOptions({ width: 'abc' })).toThrow('Image width must be a number (got "abc")');
+    expect(() => resolveImageOptions({ steps: Infinity })).toThrow('Image steps must be a number');
+    expect(() => resolveImageOptions({ guidance: 'high' })).toThrow('Image guidance must be a number');
+    expect(() => resolveImageOptions({ seed: 'lucky' })).toThrow('Image seed must be a number');
+  });
+
+  test('clamps sizes, steps and guidance to the supported ranges', () => {
+    const opts = resolveImageOptions({ width: 100000, height: 8, steps: 0, guidance: -2 });
+    expect(opts).toMatchObject({ width: 2048, height: 64, steps: 1, guidance: 0 });
+    expect(resolveImageOptions({ width: 640.6, guidance: 99 })).toMatchObject({ width: 641, guidance: 30 });
+  });
+
+  test('rejects unknown backends, modes and styles', () => {
+    expect(() => resolveImageOptions({ backend: 'dalle' })).toThrow('Unknown image backend "dalle"');
+    expect(() => resolveImageOptions({ mode: 'ascii' })).toThrow('Unknown logo mode');
+    expect(() => resolveImageOptions({ style: 'wordart' })).toThrow('Unknown logo style');
+  });
+});
+
+describe('offline backend', () => {
+  test('renders the same image for the same prompt and seed', async () => {
+    const backend = getImageBackend('offline');
+    const render = () => backend.render({ prompt: 'logo in #0B5394 and #F1C232', width: 128, height: 96, seed: 3 });
+    const [a, b] = [await render(), await render()];
+    expect(a.extension).toBe('png');
+    expect(a.buffer.equals(b.buffer)).toBe(true);
+    expect(await sharp(a.buffer).metadata()).toMatchObject({ width: 128, height: 96 });
+  });
+});
+
+describe('flux backend', () => {
+  test('an aborted signal stops the render before connecting to the Space', async () => {
+    const messages = [];
+    const backend = createFluxBackend({ space: 'brandscape/not-a-space' });
+    await expect(backend.render({ prompt: 'x', width: 64, height: 64, signal: AbortSignal.abort(), onProgress: ({ message }) => messages.push(message) }))
+      .rejects.toThrow('aborted');
+    expect(messages).toEqual([]);
+  });
+});
+
+describe('a1111 backend', () => {
+  let server;
+  let failing;
+  const requests = [];
+
+  beforeAll(() => {
+    server = startA1111StandIn({ port: 0, onRequest: body => requests.push(body) });
+    failing = startA1111StandIn({ port: 0, status: 503 });
+  });
+
+  afterAll(() => {
+    server.stop(true);
+    failing.stop(true);
+  });
+
+  test('sends the render settings and decodes the base64 image', async () => {
+    const backend = createA1111Backend({ baseUrl: `http://localhost:${server.port}/` });
+    const { buffer, extension } = await backend.render({ prompt: 'mark in #FF0000', width: 64, height: 80, guidance: 5, steps: 12 });
+    expect(extension).toBe('png');
+    expect(requests.at(-1)).toMatchObject({ width: 64, height: 80, cfg_scale: 5, steps: 12, seed: -1 });
+    const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+    expect([info.width, info.height]).toEqual([64, 80]);
+    expect([...data.subarray(0, 3)]).toEqual([255, 0, 0]);
+  });
+
+  test('reports a failing server', async () => {
+    const backend = createA1111Backend({ baseUrl: `http://localhost:${failing.port}` });
+    await expect(backend.render({ prompt: 'x', width: 64, height: 64 })).rejects.toThrow('Image API status 503');
+  });
+});
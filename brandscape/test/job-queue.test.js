@@ -0,0 +1,128 @@
+import { afterAll, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJobQueue } from '../src/job-queue.js';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'brandscape-jobs-'));
+afterAll(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+let dirs = 0;
+const jobsDir = () => path.join(tmp, `jobs-${++dirs}`);
+
+// Wait until the job has left the queued and running states
+async function settled(queue, id) {
+  for (let i = 0; i < 200; i++) {
+    const job = queue.get(id);
+    if (job.status !== 'queued' && job.status !== 'running') return job;
+    await Bun.sleep(5);
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+const stored = (dir, id) => JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf8'));
+
+describe('job queue', () => {
+  test('runs a job, records its progress and saves the result', async () => {
+    const dir = jobsDir();
+    const queue = createJobQueue({
+      dir,
+      handlers: { echo: async (input, { onProgress }) => { onProgress({ stage: 'work', message: 'working' }); return { echoed: input.text }; } },
+    });
+    const job = await settled(queue, queue.add('echo', { text: 'hi' }).id);
+    expect(job.status).toBe('done');
+    expect(job.result).toEqual({ echoed: 'hi' });
+    expect(job.progress.map(p => p.stage)).toEqual(['work']);
+    expect(stored(dir, job.id).status).toBe('done');
+  });
+
+  test('an { error } result fails the job', async () => {
+    const queue = createJobQueue({ dir: jobsDir(), handlers: { fail: async () => ({ error: 'no backend' }) } });
+    const job = await settled(queue, queue.add('fail').id);
+    expect(job).toMatchObject({ status: 'failed', error: 'no backend' });
+  });
+
+  test('a result that cannot be saved fails the job and the queue keeps going', async () => {
+    const queue = createJobQueue({
+      dir: jobsDir(),
+      handlers: { big: async () => ({ value: 1n }), ok: async () => ({ ok: true }) },
+    });
+    const big = queue.add('big');
+    const ok = queue.add('ok');
+    const failed = await settled(queue, big.id);
+    expect(failed.status).toBe('failed');
+    expect(failed.result).toBeNull();
+    expect(failed.error).toContain('BigInt');
+    expect((await settled(queue, ok.id)).status).toBe('done');
+  });
+
+  test('a job that cannot be saved is not queued', async () => {
+    const dir = jobsDir();
+    let runs = 0;
+    const queue = createJobQueue({ dir, handlers: { echo: async () => { runs++; return {}; } } });
+    // The jobs directory disappears, so the job file cannot be written
+    fs.rmSync(dir, { recursive: true });
+    expect(() => queue.add('echo')).toThrow();
+    await Bun.sleep(20);
+    expect(runs).toBe(0);
+
+    fs.mkdirSync(dir);
+    const job = await settled(queue, queue.add('echo').id);
+    expect(job.status).toBe('done');
+    expect(runs).toBe(1);
+    expect(fs.readdirSync(dir)).toEqual([`${job.id}.json`]);
+  });
+
+  test('cancels a running job through its signal', async () => {
+    const queue = createJobQueue({
+      dir: jobsDir(),
+      handlers: {
+        slow: (input, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason))),
+      },
+    });
+    const { id } = queue.add('slow');
+    await Bun.sleep(5);
+    queue.cancel(id);
+    expect((await settled(queue, id)).status).toBe('cancelled');
+  });
+
+  test('re-queues jobs that were running when the server stopped', async () => {
+    const dir = jobsDir();
+    fs.mkdirSync(dir, { recursive: true });
+    const interrupted = { id: 'interrupted', type: 'echo', status: 'running', input: {}, progress: [], result: null, error: null, createdAt: Date.now() };
+    fs.writeFileSync(path.join(dir, 'interrupted.json'), JSON.stringify(interrupted));
+    const queue = createJobQueue({ dir, handlers: { echo: async () => ({ again: true }) } });
+    const job = await settled(queue, 'interrupted');
+    expect(job.status).toBe('done');
+    expect(job.progress[0].message).toBe('Re-queued after a server restart');
+  });
+});
+
+describe('retention', () => {
+  test('drops finished jobs older than the retention age at start-up', () => {
+    const dir = jobsDir();
+    fs.mkdirSync(dir, { recursive: true });
+    const day = 24 * 3600 * 1000;
+    for (const [id, age] of [['old', 10 * day], ['recent', day]]) {
+      const job = { id, type: 'echo', status: 'done', input: {}, progress: [], createdAt: Date.now() - age, finishedAt: Date.now() - age };
+      fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(job));
+    }
+    const queue = createJobQueue({ dir, handlers: { echo: async () => ({}) }, retentionMs: 7 * day });
+    expect(queue.get('old')).toBeNull();
+    expect(fs.existsSync(path.join(dir, 'old.json'))).toBe(false);
+    expect(queue.get('recent').status).toBe('done');
+  });
+
+  test('keeps only the newest finished jobs', async () => {
+    const dir = jobsDir();
+    const queue = createJobQueue({ dir, handlers: { echo: async () => ({}) }, keep: 2 });
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      ids.push(queue.add('echo').id);
+      await settled(queue, ids[i]);
+      await Bun.sleep(2);
+    }
+    expect(queue.get(ids[0])).toBeNull();
+    expect(fs.readdirSync(dir).sort()).toEqual([`${ids[1]}.json`, `${ids[2]}.json`].sort());
+  });
+});
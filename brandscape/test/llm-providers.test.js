@@ -0,0 +1,95 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import {
+  configureLLM,
+  createOllamaProvider,
+  createOpenAICompatibleProvider,
+  extractTextFromOllamaResult,
+  getTaskLLM,
+} from '../src/llm-providers.js';
+
+// Stand-in for an Ollama server and an OpenAI-compatible server on one port
+let server;
+const requests = [];
+
+beforeAll(() => {
+  server = Bun.serve({
+    port: 0,
+    async fetch(req) {
+      const { pathname } = new URL(req.url);
+      const body = await req.json();
+      requests.push({ pathname, body, auth: req.headers.get('authorization') });
+      if (pathname === '/api/generate') return Response.json({ model: body.model, response: `ollama: ${body.prompt}`, done: true });
+      if (pathname === '/api/embed') return Response.json({ model: body.model, embeddings: body.input.map((_, i) => [i, 1]) });
+      if (pathname === '/v1/chat/completions') {
+        const last = body.messages[body.messages.length - 1].content;
+        return Response.json({ choices: [{ message: { role: 'assistant', content: `openai: ${last}` } }] });
+      }
+      if (pathname === '/v1/embeddings') {
+        // Out of order on purpose: the provider must sort by index
+        return Response.json({ data: body.input.map((_, i) => ({ index: i, embedding: [i] })).reverse() });
+      }
+      return new Response('missing', { status: 404 });
+    },
+  });
+});
+
+afterAll(() => server.stop(true));
+
+describe('Ollama provider', () => {
+  test('generates text and embeddings', async () => {
+    const provider = createOllamaProvider({ host: `http://localhost:${server.port}` });
+    expect(await provider.generate({ model: 'm', prompt: 'hello', temperature: 0.2 })).toBe('ollama: hello');
+    expect(await provider.embed({ model: 'e', input: ['a', 'b'] })).toEqual([[0, 1], [1, 1]]);
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  test('sends system prompts, JSON schemas and the API key', async () => {
+    const provider = createOpenAICompatibleProvider({ baseUrl: `http://localhost:${server.port}/v1/`, apiKey: 'secret' });
+    const format = { type: 'object', properties: { names: { type: 'array' } } };
+    expect(await provider.generate({ model: 'm', system: 'be brief', prompt: 'hi', format })).toBe('openai: hi');
+    const sent = requests.findLast(r => r.pathname === '/v1/chat/completions');
+    expect(sent.auth).toBe('Bearer secret');
+    expect(sent.body.messages[0]).toEqual({ role: 'system', content: 'be brief' });
+    expect(sent.body.response_format.json_schema.schema).toEqual(format);
+  });
+
+  test('keeps embeddings in input order', async () => {
+    const provider = createOpenAICompatibleProvider({ baseUrl: `http://localhost:${server.port}/v1` });
+    expect(await provider.embed({ model: 'e', input: ['a', 'b', 'c'] })).toEqual([[0], [1], [2]]);
+  });
+
+  test('reports the server status on errors', async () => {
+    const provider = createOpenAICompatibleProvider({ baseUrl: `http://localhost:${server.port}/missing` });
+    await expect(provider.chat({ model: 'm', messages: [] })).rejects.toThrow('OpenAI-compatible server status 404');
+  });
+});
+
+describe('task configuration', () => {
+  test('a task can be given its own provider object and model', async () => {
+    const stub = { name: 'stub', generate: async () => 'stubbed' };
+    const before = getTaskLLM('logoPrompt');
+    configureLLM({ logoPrompt: { provider: stub, model: 'tiny' } });
+    try {
+      const { provider, model } = getTaskLLM('logoPrompt');
+      expect(model).toBe('tiny');
+      expect(await provider.generate({})).toBe('stubbed');
+      expect(getTaskLLM('naming').provider).not.toBe(stub);
+    } finally {
+      configureLLM({ logoPrompt: { provider: before.provider, model: before.model } });
+    }
+  });
+
+  test('unknown tasks and providers are rejected', () => {
+    expect(() => configureLLM({ poetry: {} })).toThrow('Unknown LLM task "poetry"');
+    expect(() => getTaskLLM('poetry')).toThrow('Unknown LLM task');
+    expect(() => configureLLM({ naming: { provider: 'nope' } })).toThrow('Unknown LLM provider "nope" (expected one of ollama, openai)');
+    expect(getTaskLLM('naming').provider.name).not.toBe('nope');
+  });
+
+  test('extracts text from the reply shapes providers return', () => {
+    expect(extractTextFromOllamaResult({ response: 'a' })).toBe('a');
+    expect(extractTextFromOllamaResult({ message: { content: 'b' } })).toBe('b');
+    expect(extractTextFromOllamaResult({ choices: [{ message: { content: 'c' } }] })).toBe('c');
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, expect, test } from 'bun:test';
+import { COLOR_FAMILIES, DIVERSITY_MIN_DISTANCE, analyzePaletteDiversity, colorFamily, paletteDistance } from '../src/palette-diversity.js';
+
+describe('colour families', () => {
+  test('sorts colours into warm, cool and neutral', () => {
+    expect(colorFamily('#D62828')).toBe('warm');
+    expect(colorFamily('#F1C232')).toBe('warm');
+    expect(colorFamily('#0B5394')).toBe('cool');
+    expect(colorFamily('#2A9D3A')).toBe('cool');
+    expect(colorFamily('#808080')).toBe('neutral');
+    expect(colorFamily('#C2B280')).toBe('neutral');
+    expect(colorFamily('nope')).toBeNull();
+  });
+});
+
+describe('paletteDistance', () => {
+  test('matches colours up regardless of their order', () => {
+    const a = { hex1: '#0B5394', hex2: '#F1C232' };
+    expect(paletteDistance(a, { hex1: '#F1C232', hex2: '#0B5394' }).distance).toBe(0);
+    expect(paletteDistance(a, { hex1: '#0C5596', hex2: '#F0C030' }).distance).toBeLessThan(DIVERSITY_MIN_DISTANCE);
+    expect(paletteDistance(a, { hex1: '#D62828', hex2: '#808080' }).distance).toBeGreaterThan(DIVERSITY_MIN_DISTANCE);
+  });
+});
+
+describe('analyzePaletteDiversity', () => {
+  test('a varied set reaching every family passes', () => {
+    const report = analyzePaletteDiversity([
+      { hex1: '#D62828', hex2: '#F1C232' },
+      { hex1: '#0B5394', hex2: '#2A9D3A' },
+      { hex1: '#808080', hex2: '#36454F' },
+    ]);
+    expect(report.missingFamilies).toEqual([]);
+    expect(report.nearDuplicates).toEqual([]);
+    expect(report.failing).toEqual([]);
+    expect(report.score).toBeGreaterThan(75);
+  });
+
+  test('flags the later near-duplicate and asks it for a missing family', () => {
+    const report = analyzePaletteDiversity([
+      { hex1: '#0B5394', hex2: '#F1C232' },
+      { hex1: '#0C5596', hex2: '#F0C030' },
+      { hex1: '#D62828', hex2: '#2A9D3A' },
+    ]);
+    expect(report.nearDuplicates.map(d => [d.index, d.of])).toEqual([[1, 0]]);
+    expect(report.missingFamilies).toEqual(['neutral']);
+    expect(report.failing).toEqual([{ index: 1, reason: 'duplicate', family: 'neutral' }]);
+  });
+
+  test('takes a slot for a missing family even without duplicates', () => {
+    const report = analyzePaletteDiversity([
+      { hex1: '#D62828', hex2: '#F1C232' },
+      { hex1: '#E69138', hex2: '#CC0066' },
+    ]);
+    expect(report.missingFamilies.sort()).toEqual(['cool', 'neutral']);
+    expect(report.failing).toHaveLength(1);
+    expect(COLOR_FAMILIES).toContain(report.failing[0].family);
+    expect(report.failing[0].reason).toBe('family');
+  });
+
+  test('skips invalid palettes', () => {
+    const report = analyzePaletteDiversity([{ hex1: 'nope', hex2: '#FFFFFF' }, { hex1: '#0B5394', hex2: '#F1C232' }]);
+    expect(report.families.cool).toEqual([1]);
+    expect(report.minDistance).toBe(0);
+  });
+});
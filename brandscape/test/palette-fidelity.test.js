@@ -0,0 +1,60 @@
+import { describe, expect, test } from 'bun:test';
+import sharp from 'sharp';
+import { dominantColors, paletteFidelity, recolorToPalette } from '../src/palette-fidelity.js';
+
+const palette = { hex1: '#0B5394', hex2: '#F1C232' };
+
+// A mark on white: a large square in `a` with a dot in `b`
+const mark = (a, b) => sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128">
+  <rect width="128" height="128" fill="#FFFFFF"/>
+  <rect x="24" y="24" width="80" height="80" fill="${a}"/>
+  <circle cx="64" cy="64" r="20" fill="${b}"/>
+</svg>`)).png().toBuffer();
+
+describe('dominantColors', () => {
+  test('finds the mark colours and their shares, leaving the background out', async () => {
+    const { background, colors } = await dominantColors(await mark('#0B5394', '#F1C232'));
+    expect(background).toBe('#FFFFFF');
+    expect(colors[0].hex).toBe('#0B5394');
+    expect(colors.some(c => c.hex === '#F1C232')).toBe(true);
+    // The square minus the dot is about 80% of the mark
+    expect(colors[0].share).toBeCloseTo(0.8, 1);
+  });
+});
+
+describe('paletteFidelity', () => {
+  test('a logo in the palette colours passes', async () => {
+    const result = await paletteFidelity(await mark('#0B5394', '#F1C232'), palette);
+    expect(result.score).toBeGreaterThanOrEqual(95);
+    expect(result.passes).toBe(true);
+    expect(result.colors.map(c => c.distance)).toEqual([0, 0]);
+    // Only anti-aliased blends between the two colours are off the palette
+    expect(result.offPalette).toBeLessThan(0.02);
+  });
+
+  test('a logo that drifted to other colours fails', async () => {
+    const result = await paletteFidelity(await mark('#2A9D3A', '#D62828'), palette);
+    expect(result.passes).toBe(false);
+    expect(result.score).toBeLessThan(40);
+    expect(result.offPalette).toBeGreaterThan(0.9);
+  });
+
+  test('needs a valid palette', async () => {
+    expect(await paletteFidelity(await mark('#0B5394', '#F1C232'), { hex1: '#0B5394' })).toBeNull();
+    await expect(recolorToPalette(await mark('#0B5394', '#F1C232'), {})).rejects.toThrow('A palette with two valid HEX codes is required');
+  });
+});
+
+describe('recolorToPalette', () => {
+  test('maps the drifted colours onto the palette and keeps the background', async () => {
+    const drifted = await mark('#1E6FB8', '#E0A800');
+    expect((await paletteFidelity(drifted, palette)).score).toBeLessThan(100);
+    const fixed = await recolorToPalette(drifted, palette);
+    const { data, info } = await sharp(fixed).raw().toBuffer({ resolveWithObject: true });
+    const at = (x, y) => [...data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3)];
+    expect(at(2, 2)).toEqual([255, 255, 255]);
+    expect(at(30, 30)).toEqual([11, 83, 148]);
+    expect(at(64, 64)).toEqual([241, 194, 50]);
+    expect((await paletteFidelity(fixed, palette)).score).toBeGreaterThanOrEqual(95);
+  });
+});
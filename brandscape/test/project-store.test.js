@@ -0,0 +1,50 @@
+import { describe, expect, test } from 'bun:test';
+import { createProjectStore } from '../src/project-store.js';
+
+const store = () => createProjectStore({ path: ':memory:' });
+
+describe('project store', () => {
+  test('creates a project from the brief and names it after the business', () => {
+    const projects = store();
+    const project = projects.create({ brief: { businessDescription: 'handmade knitwear', visuals: ['yarn'], brandValues: 'warmth' } });
+    expect(project.name).toBe('handmade knitwear');
+    expect(project.brief).toEqual({ businessDescription: 'handmade knitwear', visuals: ['yarn'], brandValues: [] });
+    expect(project.logos).toEqual([]);
+    expect(projects.create({}).name).toBe('Untitled project');
+  });
+
+  test('updates merge the brief and keep selections that are not given', () => {
+    const projects = store();
+    const { id } = projects.create({ name: 'Knit', brief: { businessDescription: 'knitwear', visuals: ['yarn'] }, selectedName: { title: 'Purl' } });
+    const updated = projects.update(id, { brief: { brandValues: ['care'] }, selectedColors: { hex1: '#0B5394' } });
+    expect(updated.name).toBe('Knit');
+    expect(updated.brief).toEqual({ businessDescription: 'knitwear', visuals: ['yarn'], brandValues: ['care'] });
+    expect(updated.selectedName).toEqual({ title: 'Purl' });
+    expect(updated.selectedColors).toEqual({ hex1: '#0B5394' });
+    expect(projects.update('missing', { name: 'x' })).toBeNull();
+  });
+
+  test('records runs by kind, oldest first, and counts them in the list', () => {
+    const projects = store();
+    const { id } = projects.create({ name: 'Knit' });
+    expect(projects.addRecord(id, 'names', { names: [{ title: 'Purl' }] })).toBe(true);
+    projects.addRecord(id, 'logo', { filename: 'logo-1.png' });
+    projects.addRecord(id, 'logo', { filename: 'logo-2.png' });
+    const project = projects.get(id);
+    expect(project.nameBatches[0].names).toEqual([{ title: 'Purl' }]);
+    expect(project.logos.map(l => l.filename)).toEqual(['logo-1.png', 'logo-2.png']);
+    expect(projects.list()[0].runs).toEqual({ nameBatches: 1, logos: 2 });
+    expect(projects.addRecord('missing', 'logo', {})).toBe(false);
+    expect(() => projects.addRecord(id, 'video', {})).toThrow('Unknown project record "video"');
+  });
+
+  test('removing a project removes its records', () => {
+    const projects = store();
+    const { id } = projects.create({ name: 'Knit' });
+    projects.addRecord(id, 'prompt', { prompt: 'a ball of yarn' });
+    expect(projects.remove(id)).toBe(true);
+    expect(projects.get(id)).toBeNull();
+    expect(projects.remove(id)).toBe(false);
+    expect(projects.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,173 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  LogoPromptSchema,
+  ModelOutputError,
+  NameSuggestionsSchema,
+  PalettesSchema,
+  extractFirstJson,
+  parseStructured,
+  toFormat,
+} from '../src/schemas.js';
+import { generateLogoPromptText, repairLogoPrompt, repairNameSuggestions, repairPalettes } from '../src/brandscape.js';
+import { configureLLM, getTaskLLM } from '../src/llm-providers.js';
+import { startLlmStandIn } from '../src/llm-stand-in.js';
+import { startRdapStandIn } from '../src/rdap-stand-in.js';
+
+const CLI = path.join(import.meta.dir, '..', 'src', 'brandscape.js');
+
+// Run the interactive CLI, answering each prompt in `script` ([text to wait
+// for, answer]) as it appears. The CLI is stopped once the last prompt, which
+// has no answer, shows up.
+async function converse(script, { env, cwd }) {
+  const proc = Bun.spawn(['bun', CLI], { stdin: 'pipe', stdout: 'pipe', stderr: 'pipe', env, cwd });
+  const stderr = new Response(proc.stderr).text();
+  const reader = proc.stdout.getReader();
+  const decoder = new TextDecoder();
+  let stdout = '';
+  let from = 0;
+  const killer = setTimeout(() => proc.kill(), 20000);
+  try {
+    for (const [prompt, answer] of script) {
+      while (stdout.indexOf(prompt, from) === -1) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error(`CLI exited before asking "${prompt}":\n${stdout}\n${await stderr}`);
+        stdout += decoder.decode(value);
+      }
+      from = stdout.indexOf(prompt, from) + prompt.length;
+      if (answer === undefined) break;
+      proc.stdin.write(`${answer}\n`);
+      proc.stdin.flush();
+    }
+  } finally {
+    clearTimeout(killer);
+    proc.kill();
+    await proc.exited;
+  }
+  return { stdout, stderr: await stderr };
+}
+
+describe('extractFirstJson', () => {
+  test('finds the JSON inside a chatty reply', () => {
+    expect(extractFirstJson('Sure! {"prompt": "a leaf"} Hope this helps')).toEqual({ prompt: 'a leaf' });
+    expect(extractFirstJson('Names: [1, 2]')).toEqual([1, 2]);
+  });
+
+  test('throws when there is no JSON', () => {
+    expect(() => extractFirstJson('')).toThrow('Empty text');
+    expect(() => extractFirstJson('no json here')).toThrow('No JSON object found in response');
+  });
+});
+
+describe('parseStructured', () => {
+  test('returns the validated reply', () => {
+    expect(parseStructured('logoPrompt', '{"prompt":"a leaf"}', LogoPromptSchema)).toEqual({ prompt: 'a leaf' });
+  });
+
+  test('raises ModelOutputError with the raw reply and issues', () => {
+    let error;
+    try {
+      parseStructured('colors', '{"palettes":[{"hex1":"red"}]}', PalettesSchema);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(ModelOutputError);
+    expect(error.task).toBe('colors');
+    expect(error.message).toStartWith('colors: reply does not match the expected shape');
+    expect(error.raw).toBe('{"palettes":[{"hex1":"red"}]}');
+    expect(error.issues.length).toBeGreaterThan(0);
+  });
+
+  test('toFormat gives a JSON Schema without the $schema key', () => {
+    const format = toFormat(NameSuggestionsSchema);
+    expect(format.$schema).toBeUndefined();
+    expect(format.properties.suggestions.type).toBe('array');
+  });
+});
+
+describe('repairs', () => {
+  test('name suggestions from arrays, strings and `name` fields', () => {
+    const repaired = repairNameSuggestions([{ name: 'Luminara', reason: 'light' }, 'Emberly']);
+    expect(parseStructured('naming', JSON.stringify(repaired), NameSuggestionsSchema).suggestions).toEqual([
+      { title: 'Luminara', description: 'light' },
+      { title: 'Emberly', description: '' },
+    ]);
+  });
+
+  test('palettes in the old line format or with loose HEX codes', () => {
+    const text = '0b5394,f1c232 - Navy & Gold - trust and warmth';
+    expect(parseStructured('colors', text, PalettesSchema, repairPalettes).palettes[0]).toEqual({
+      hex1: '#0B5394', hex2: '#F1C232', name1: 'Navy', name2: 'Gold', explanation: 'trust and warmth',
+    });
+    const loose = { palettes: [{ colors: ['#cc0000', 'ffd966'], namePair: 'Red and Butter', reason: 'bold' }] };
+    expect(repairPalettes(loose).palettes[0]).toMatchObject({ hex1: '#CC0000', hex2: '#FFD966', name1: 'Red', name2: 'Butter' });
+  });
+
+  test('a plain-text logo prompt', () => {
+    expect(repairLogoPrompt('a leaf in #00FF00')).toEqual({ prompt: 'a leaf in #00FF00' });
+    expect(repairLogoPrompt({ description: 'a drop' })).toEqual({ prompt: 'a drop' });
+  });
+});
+
+describe('structured generation', () => {
+  test('retries a reply that does not validate with the error in the prompt', async () => {
+    const prompts = [];
+    const replies = ['{"prompt": ""}', '{"prompt": "a leaf in #0B5394 over #F1C232"}'];
+    const stub = { name: 'stub', generate: async ({ prompt }) => { prompts.push(prompt); return replies.shift(); } };
+    const before = getTaskLLM('logoPrompt');
+    configureLLM({ logoPrompt: { provider: stub, model: 'stub' } });
+    try {
+      const text = await generateLogoPromptText({ description: 'garden shop', visuals: ['leaf'], hex1: '#0b5394', hex2: '#f1c232' });
+      expect(text).toBe('a leaf in #0B5394 over #F1C232');
+      expect(prompts).toHaveLength(2);
+      expect(prompts[1]).toContain('Your previous reply was rejected');
+    } finally {
+      configureLLM({ logoPrompt: { provider: before.provider, model: before.model } });
+    }
+  });
+});
+
+describe('interactive naming', () => {
+  let llm;
+  let rdap;
+  let cwd;
+
+  beforeAll(() => {
+    // Both naming attempts get a reply that is not JSON; the refresh works
+    llm = startLlmStandIn({ port: 0, broken: 2 });
+    rdap = startRdapStandIn({ port: 0 });
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'brandscape-interactive-'));
+  });
+
+  afterAll(() => {
+    llm.stop(true);
+    rdap.stop(true);
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  test('names that never validate are reported and can be refreshed instead of ending the run', async () => {
+    const env = {
+      ...process.env,
+      BRAND_PROVIDER: 'openai',
+      OPENAI_COMPAT_URL: `http://localhost:${llm.port}/v1`,
+      BRAND_VECTOR_DB_PATH: ':memory:',
+      BRAND_RDAP_BOOTSTRAP_URL: `http://localhost:${rdap.port}/dns.json`,
+      BRAND_DOMAIN_TLDS: 'com',
+      BRAND_DOMAIN_ALTERNATIVES: '0',
+      BRAND_HANDLE_CHECKER: 'off',
+      OLLAMA_DEBUG: '1',
+    };
+    const { stdout, stderr } = await converse([
+      ["What's your business all about?", 'lighting studio'],
+      ['visual elements', 'lamp'],
+      ['brand values', 'warmth'],
+      ['No names to pick from yet. Type refresh to ask the model again:', 'refresh'],
+      ['Pick one name or type refresh:'],
+    ], { env, cwd });
+    expect(stderr).toContain('Could not get name suggestions: naming: reply does not match the expected shape');
+    expect(stdout).toContain('1) Luminara');
+    expect(fs.readdirSync(cwd)).toEqual([]);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, expect, test } from 'bun:test';
+import { SVG_LOGO_STYLES, buildSvgLogo, hashString, matchIcon, seededRandom } from '../src/svg-logo.js';
+
+describe('buildSvgLogo', () => {
+  test('builds every style as standalone SVG', () => {
+    for (const style of SVG_LOGO_STYLES) {
+      const logo = buildSvgLogo({ name: 'Luminara', hex1: '#0b5394', hex2: '#f1c232', style, seed: 1 });
+      expect(logo.style).toBe(style);
+      expect(logo.svg).toStartWith('<svg xmlns="http://www.w3.org/2000/svg"');
+      expect(logo.description).toEndWith('#0B5394 with #F1C232 accent');
+    }
+  });
+
+  test('the same inputs and seed give the same mark', () => {
+    const opts = { name: 'Emberly', hex1: '#CC0000', hex2: '#FFD966', style: 'emblem', seed: 42 };
+    expect(buildSvgLogo(opts).svg).toBe(buildSvgLogo(opts).svg);
+    const others = [1, 2, 3, 4, 5].map(seed => buildSvgLogo({ ...opts, seed }).svg);
+    expect(new Set(others).size).toBeGreaterThan(1);
+  });
+
+  test('draws the initial in a colour that reads on the container', () => {
+    // Yellow on white-ish yellow fails contrast, so the letter falls back to near-black
+    const { svg } = buildSvgLogo({ name: 'Sunny', hex1: '#FFE599', hex2: '#FFF2CC', style: 'monogram', seed: 1 });
+    expect(svg).toContain('fill="#1A1A1A">S</text>');
+    const dark = buildSvgLogo({ name: 'Night', hex1: '#0B1F3A', hex2: '#102A4C', style: 'monogram', seed: 1 });
+    expect(dark.svg).toContain('fill="#FFFFFF">N</text>');
+  });
+
+  test('escapes the name and rejects unknown styles', () => {
+    const { svg } = buildSvgLogo({ name: '<Salt & Pepper>', style: 'badge', seed: 1 });
+    expect(svg).not.toContain('<Salt');
+    expect(() => buildSvgLogo({ style: 'wordart' })).toThrow('Unknown logo style "wordart"');
+  });
+
+  test('keeps the drawing centred in wide canvases', () => {
+    const { svg } = buildSvgLogo({ name: 'Wide', width: 2000, height: 1000, seed: 1 });
+    expect(svg).toContain('viewBox="-500 0 2000 1000"');
+  });
+});
+
+describe('helpers', () => {
+  test('matchIcon picks the pictogram for the visuals', () => {
+    expect(matchIcon(['green leaf', 'Verdant'])).toBe('leaf');
+    expect(matchIcon(['ocean waves'])).toBe('wave');
+  });
+
+  test('seededRandom is repeatable and hashString is stable', () => {
+    const a = seededRandom(hashString('brand'));
+    const b = seededRandom(hashString('brand'));
+    expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+    expect(hashString('')).toBe(0x811c9dc5);
+  });
+});
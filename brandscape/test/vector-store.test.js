@@ -0,0 +1,133 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { contentHash, createSqliteVectorStore, createWeaviateVectorStore, rankChunks } from '../src/vector-store.js';
+import { configureLLM, getTaskLLM } from '../src/llm-providers.js';
+
+const WORDS = ['red', 'green', 'blue'];
+
+let dir;
+let before;
+let embedded;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brandscape-vectors-'));
+  before = getTaskLLM('embeddings');
+  // A stub model that counts colour words and records every text it embeds
+  const provider = {
+    name: 'stub',
+    async embed({ input }) {
+      embedded.push(...input);
+      return input.map(text => [0.01, ...WORDS.map(w => (text.includes(w) ? 1 : 0))]);
+    },
+  };
+  configureLLM({ embeddings: { provider, model: 'stub' } });
+});
+
+afterAll(() => {
+  configureLLM({ embeddings: { provider: before.provider, model: before.model } });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const chunk = (text) => ({ hash: contentHash(text), text, metadata: { text }, vector: [0.01, ...WORDS.map(w => (text.includes(w) ? 1 : 0))] });
+
+describe('sqlite store', () => {
+  test('keeps vectors per collection and model', async () => {
+    const store = createSqliteVectorStore({ path: ':memory:' });
+    const a = chunk('red apple');
+    await store.addChunks({ collection: 'notes', model: 'm1', chunks: [a] });
+    const vectors = await store.getVectors({ collection: 'notes', model: 'm1', hashes: [a.hash, 'unknown'] });
+    expect([...vectors.keys()]).toEqual([a.hash]);
+    expect(vectors.get(a.hash)[1]).toBe(1);
+    expect((await store.getVectors({ collection: 'notes', model: 'm2', hashes: [a.hash] })).size).toBe(0);
+    expect((await store.getVectors({ collection: 'other', model: 'm1', hashes: [a.hash] })).size).toBe(0);
+  });
+
+  test('search ranks only the given hashes', async () => {
+    const store = createSqliteVectorStore({ path: ':memory:' });
+    const [red, blue, alsoRed] = [chunk('red apple'), chunk('blue sky'), chunk('red brick')];
+    await store.addChunks({ collection: 'notes', model: 'm', chunks: [red, blue, alsoRed] });
+    const hits = await store.search({ collection: 'notes', model: 'm', vector: [0, 1, 0, 0], hashes: [blue.hash, alsoRed.hash], k: 5 });
+    expect(hits.map(h => h.text)).toEqual(['red brick', 'blue sky']);
+    expect(hits[0].metadata).toEqual({ text: 'red brick' });
+    expect(hits[0].similarity).toBeGreaterThan(hits[1].similarity);
+  });
+
+  test('persists to disk and handles long hash lists', async () => {
+    const file = path.join(dir, 'vectors.db');
+    const chunks = Array.from({ length: 1200 }, (_, i) => chunk(`note ${i} green`));
+    await createSqliteVectorStore({ path: file }).addChunks({ collection: 'notes', model: 'm', chunks });
+    const reopened = createSqliteVectorStore({ path: file });
+    expect((await reopened.getVectors({ collection: 'notes', model: 'm', hashes: chunks.map(c => c.hash) })).size).toBe(1200);
+  });
+});
+
+// Runs against a real instance only: WEAVIATE_URL=http://localhost:8080 bun test test/vector-store.test.js
+describe.skipIf(!process.env.WEAVIATE_URL)('weaviate store', () => {
+  // A model name of its own, so every run starts from an empty collection
+  const model = `test-${Date.now()}`;
+  const collectionName = `BrandscapeNotes_${model.replace(/-/g, '_')}`;
+
+  afterAll(async () => {
+    const key = process.env.WEAVIATE_API_KEY;
+    await fetch(new URL(`/v1/schema/${collectionName}`, process.env.WEAVIATE_URL), {
+      method: 'DELETE',
+      headers: key ? { Authorization: `Bearer ${key}` } : {},
+    }).catch(() => {}); // An unreachable instance already fails the test
+  });
+
+  test('stores chunks and finds them again by hash and by vector', async () => {
+    const store = createWeaviateVectorStore();
+    const [red, blue, alsoRed] = [chunk('red apple'), chunk('blue sky'), chunk('red brick')];
+    await store.addChunks({ collection: 'notes', model, chunks: [red, blue, alsoRed] });
+
+    const vectors = await store.getVectors({ collection: 'notes', model, hashes: [red.hash, blue.hash, 'unknown'] });
+    expect([...vectors.keys()].sort()).toEqual([red.hash, blue.hash].sort());
+    expect(vectors.get(blue.hash)).toEqual(blue.vector);
+
+    const hits = await store.search({ collection: 'notes', model, vector: [0, 1, 0, 0], hashes: [blue.hash, alsoRed.hash], k: 5 });
+    expect(hits.map(h => h.text)).toEqual(['red brick', 'blue sky']);
+    expect(hits[0].metadata).toEqual({ text: 'red brick' });
+    expect(hits[0].similarity).toBeGreaterThan(hits[1].similarity);
+  });
+});
+
+describe('rankChunks', () => {
+  test('embeds each chunk and query once', async () => {
+    const store = createSqliteVectorStore({ path: ':memory:' });
+    const chunks = ['red roses', 'green leaves', 'blue water', 'red roses'].map(text => ({ text, metadata: { text } }));
+
+    embedded = [];
+    const first = await rankChunks('something red', chunks, { collection: 'notes', k: 2, store });
+    expect(first[0]).toMatchObject({ text: 'red roses', metadata: { text: 'red roses' } });
+    expect(first).toHaveLength(2);
+    expect(embedded).toEqual(['something red', 'red roses', 'green leaves', 'blue water']);
+
+    embedded = [];
+    await rankChunks('something red', chunks, { collection: 'notes', store });
+    expect(embedded).toEqual([]);
+
+    embedded = [];
+    const second = await rankChunks('deep blue', [...chunks, { text: 'blue jeans' }], { collection: 'notes', k: 1, store });
+    expect(embedded).toEqual(['deep blue', 'blue jeans']);
+    expect(second[0].text).toMatch(/blue/);
+  });
+
+  test('stores a precomputed vector without embedding it', async () => {
+    const store = createSqliteVectorStore({ path: ':memory:' });
+    embedded = [];
+    await rankChunks('green', [{ text: 'precomputed', vector: [0, 0, 1, 0] }], { collection: 'notes', store });
+    expect(embedded).toEqual(['green']);
+    const vectors = await store.getVectors({ collection: 'notes', model: 'stub', hashes: [contentHash('precomputed')] });
+    expect(vectors.get(contentHash('precomputed'))).toEqual([0, 0, 1, 0]);
+  });
+
+  test('ranks in memory when the store is down', async () => {
+    const down = { name: 'down', async getVectors() { throw new Error('connection refused'); } };
+    embedded = [];
+    const ranked = await rankChunks('blue', [{ text: 'red car' }, { text: 'blue car' }], { collection: 'notes', k: 1, store: down });
+    expect(ranked).toEqual([{ text: 'blue car', metadata: null, similarity: expect.any(Number) }]);
+    expect(embedded).toEqual(['blue', 'red car', 'blue car']);
+  });
+});
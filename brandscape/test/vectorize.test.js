@@ -0,0 +1,40 @@
+import { describe, expect, test } from 'bun:test';
+import sharp from 'sharp';
+import { borderColor, vectorizeImage } from '../src/vectorize.js';
+
+// A 200 px logo on white: a navy square with a gold dot, blurred like an anti-aliased render
+const logo = () => sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200">
+  <rect width="200" height="200" fill="#FFFFFF"/>
+  <rect x="40" y="40" width="120" height="120" fill="#0B5394"/>
+  <circle cx="100" cy="100" r="30" fill="#F1C232"/>
+</svg>`)).blur(0.8).png().toBuffer();
+
+async function pixel(png, x, y) {
+  const { data, info } = await sharp(png).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const i = (y * info.width + x) * 4;
+  return [...data.subarray(i, i + 4)];
+}
+
+describe('vectorizeImage', () => {
+  test('traces the mark in the palette colours only, leaving the background out', async () => {
+    const { svg, width, height, background, colors } = await vectorizeImage(await logo(), { colors: ['#0B5394', '#F1C232'] });
+    expect([width, height]).toEqual([200, 200]);
+    expect(background).toBe('#FFFFFF');
+    expect(colors.map(c => c.hex)).toEqual(['#0B5394', '#F1C232']);
+    // 120x120 square minus the dot, and the dot (pi * 30^2) of 200x200
+    expect(colors[0].coverage).toBeCloseTo(28.9, 0);
+    expect(colors[1].coverage).toBeCloseTo(7.1, 0);
+    expect(svg.match(/fill="#[0-9A-F]{6}"/g).sort()).toEqual(['fill="#0B5394"', 'fill="#F1C232"']);
+
+    const traced = await sharp(Buffer.from(svg)).png().toBuffer();
+    expect(await pixel(traced, 5, 5)).toEqual([0, 0, 0, 0]);
+    expect(await pixel(traced, 50, 50)).toEqual([11, 83, 148, 255]);
+    expect(await pixel(traced, 100, 100)).toEqual([241, 194, 50, 255]);
+  });
+
+  test('borderColor finds the most common opaque edge colour', () => {
+    const data = Buffer.alloc(3 * 3 * 4, 255);
+    data.writeUInt32BE(0x000000ff, 0);
+    expect(borderColor(data, 3, 3)).toEqual({ r: 255, g: 255, b: 255 });
+  });
+});